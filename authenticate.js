@@ -0,0 +1,147 @@
+const moment = require('moment');
+const sessionService = require('./services/sessionService');
+const apiKeyService = require('./services/apiKeyService');
+const { getQuery } = require('./database/db');
+
+// Client details recorded against a session
+function clientInfo(req) {
+    return {
+        userAgent: req.headers['user-agent'] || null,
+        ipAddress: req.ip || req.connection?.remoteAddress || null
+    };
+}
+
+function setRequestUser(req, decoded, token) {
+    req.userId = decoded.userId;
+    req.userEmail = decoded.email;
+    req.sessionId = decoded.sid;
+    req.token = token;
+    req.tokenExpiresAt = decoded.exp * 1000;
+}
+
+function setApiKeyUser(req, apiKey, token) {
+    req.userId = apiKey.userId;
+    req.userEmail = apiKey.email;
+    req.sessionId = null;
+    req.apiKeyId = apiKey.id;
+    req.token = token;
+    // Keys without an expiry stay valid until revoked
+    req.tokenExpiresAt = apiKey.expiresAt ? moment.utc(apiKey.expiresAt).valueOf() : null;
+}
+
+// Lets personal API keys with the given scope through the authentication that follows it:
+// router.get('/bookmarks', allowApiKey('bookmarks:read'), authenticateToken, ...)
+// Endpoints without it only accept access tokens.
+function allowApiKey(scope) {
+    return (req, res, next) => {
+        req.apiKeyScope = scope;
+        next();
+    };
+}
+
+// Middleware to authenticate requests with a short-lived access token (Authorization: Bearer <token>),
+// or with a personal API key where the route allows one
+async function authenticateToken(req, res, next) {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+
+    if (!token) {
+        return res.status(401).json({ error: 'Access token required' });
+    }
+
+    try {
+        if (apiKeyService.isApiKey(token)) {
+            if (!req.apiKeyScope) {
+                return res.status(403).json({ error: 'API keys cannot be used for this endpoint', code: 'api_key_not_allowed' });
+            }
+            const apiKey = await apiKeyService.verifyKey(token, clientInfo(req));
+            if (!apiKey) {
+                return res.status(401).json({ error: 'Invalid or expired API key' });
+            }
+            if (!apiKeyService.hasScope(apiKey.scopes, req.apiKeyScope)) {
+                return res.status(403).json({ error: `API key lacks the ${req.apiKeyScope} scope`, code: 'insufficient_scope' });
+            }
+            setApiKeyUser(req, apiKey, token);
+            return next();
+        }
+
+        const decoded = await sessionService.verifyAccessToken(token, clientInfo(req));
+        setRequestUser(req, decoded, token);
+        next();
+    } catch (error) {
+        if (error.name === 'TokenExpiredError') {
+            return res.status(401).json({ error: 'Token expired', code: 'token_expired' });
+        } else if (error.name === 'JsonWebTokenError' || error.name === 'SessionError') {
+            return res.status(401).json({ error: 'Invalid or expired token' });
+        }
+        console.error('Token authentication error:', error);
+        return res.status(500).json({ error: 'Token verification failed' });
+    }
+}
+
+// Whether the API key or session an authenticated request was made with is still live, and its account
+// neither suspended nor pending deletion. Long-lived responses (the news stream) re-check with this.
+async function isStillAuthenticated(req) {
+    try {
+        if (req.apiKeyId) {
+            return Boolean(await apiKeyService.verifyKey(req.token));
+        }
+        await sessionService.verifyAccessToken(req.token);
+        const user = await getQuery(`
+      SELECT id FROM users WHERE id = ? AND suspended_at IS NULL AND deletion_requested_at IS NULL
+    `, [req.userId]);
+        return Boolean(user);
+    } catch (error) {
+        if (['TokenExpiredError', 'JsonWebTokenError', 'SessionError'].includes(error.name)) {
+            return false;
+        }
+        throw error;
+    }
+}
+
+// For public endpoints that personalize when a valid access token is sent; without one (or with an
+// invalid one) the request is served anonymously
+async function optionalAuthenticateToken(req, res, next) {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1];
+
+    if (token) {
+        try {
+            if (!apiKeyService.isApiKey(token)) {
+                setRequestUser(req, await sessionService.verifyAccessToken(token, clientInfo(req)), token);
+            } else if (req.apiKeyScope) {
+                const apiKey = await apiKeyService.verifyKey(token, clientInfo(req));
+                if (apiKey && apiKeyService.hasScope(apiKey.scopes, req.apiKeyScope)) {
+                    setApiKeyUser(req, apiKey, token);
+                }
+            }
+        } catch (error) {
+            // Anonymous request
+        }
+    }
+    next();
+}
+
+// Middleware for admin-only routes, used after authenticateToken. The role is read on every
+// request so a revoked admin loses access immediately.
+async function requireAdmin(req, res, next) {
+    try {
+        const user = await getQuery('SELECT role FROM users WHERE id = ?', [req.userId]);
+        if (!user || user.role !== 'admin') {
+            return res.status(403).json({ error: 'Admin access required' });
+        }
+        next();
+    } catch (error) {
+        console.error('Admin authorization error:', error);
+        return res.status(500).json({ error: 'Authorization check failed' });
+    }
+}
+
+module.exports = {
+    authenticateToken,
+    allowApiKey,
+    optionalAuthenticateToken,
+    isStillAuthenticated,
+    requireAdmin,
+    clientInfo
+};
@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+// Admin role CLI:
+//   npm run admin:list                  list admins
+//   npm run admin:grant -- <email>      give a user the admin role
+//   npm run admin:revoke -- <email>     take it away again
+require('dotenv').config();
+const { openDatabase, closeDatabase, runQuery, allQuery } = require('./db');
+
+async function setRole(email, role) {
+    if (!email) {
+        throw new Error('Email address required');
+    }
+    const result = await runQuery('UPDATE users SET role = ? WHERE email = ?', [role, email.trim().toLowerCase()]);
+    if (result.changes === 0) {
+        throw new Error(`No user with email ${email}`);
+    }
+    console.log(`${email} is now ${role === 'admin' ? 'an admin' : 'a regular user'}`);
+}
+
+const commands = {
+    async list() {
+        const admins = await allQuery("SELECT email FROM users WHERE role = 'admin' ORDER BY email");
+        if (admins.length === 0) {
+            console.log('No admins');
+        }
+        admins.forEach(admin => console.log(admin.email));
+    },
+
+    grant(email) {
+        return setRole(email, 'admin');
+    },
+
+    revoke(email) {
+        return setRole(email, 'user');
+    }
+};
+
+const main = async () => {
+    const [command = 'list', ...args] = process.argv.slice(2);
+    if (!commands[command]) {
+        console.error(`Unknown command "${command}". Use one of: ${Object.keys(commands).join(', ')}`);
+        process.exit(1);
+    }
+
+    await openDatabase();
+    try {
+        await commands[command](...args);
+    } finally {
+        await closeDatabase();
+    }
+};
+
+main().catch(error => {
+    console.error('Admin command failed:', error.message);
+    process.exit(1);
+});
@@ -1,11 +1,13 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
+const migrator = require('./migrator');
 
-const DB_PATH = path.join(__dirname, '../data/news_aggregator.db');
+// DATABASE_PATH=:memory: gives a throwaway database, as the tests use
+const DB_PATH = process.env.DATABASE_PATH || path.join(__dirname, '../data/news_aggregator.db');
 
 let db;
 
-const initializeDatabase = () => {
+const openDatabase = () => {
     return new Promise((resolve, reject) => {
         // Ensure data directory exists
         const fs = require('fs');
@@ -21,101 +23,16 @@ const initializeDatabase = () => {
                 return;
             }
             console.log('Connected to SQLite database');
-            createTables().then(resolve).catch(reject);
+            resolve(db);
         });
     });
 };
 
-const createTables = () => {
-    return new Promise((resolve, reject) => {
-        const tables = [
-            // Users table
-            `CREATE TABLE IF NOT EXISTS users (
-        id TEXT PRIMARY KEY,
-        email TEXT UNIQUE NOT NULL,
-        password_hash TEXT NOT NULL,
-        first_name TEXT,
-        last_name TEXT,
-        career_field TEXT,
-        industries TEXT, -- JSON array
-        city TEXT,
-        state TEXT,
-        country TEXT,
-        preferences TEXT, -- JSON object
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )`,
-
-            // User sessions
-            `CREATE TABLE IF NOT EXISTS user_sessions (
-        id TEXT PRIMARY KEY,
-        user_id TEXT NOT NULL,
-        token TEXT NOT NULL,
-        expires_at DATETIME NOT NULL,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (user_id) REFERENCES users (id)
-      )`,
-
-            // News articles cache
-            `CREATE TABLE IF NOT EXISTS news_articles (
-        id TEXT PRIMARY KEY,
-        title TEXT NOT NULL,
-        description TEXT,
-        url TEXT NOT NULL,
-        image_url TEXT,
-        published_at DATETIME,
-        source_name TEXT,
-        source_url TEXT,
-        category TEXT,
-        location_type TEXT, -- 'local', 'state', 'national', 'global'
-        location_value TEXT,
-        industry TEXT,
-        relevance_score REAL DEFAULT 0,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )`,
-
-            // User reading history
-            `CREATE TABLE IF NOT EXISTS user_reading_history (
-        id TEXT PRIMARY KEY,
-        user_id TEXT NOT NULL,
-        article_id TEXT NOT NULL,
-        read_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        reading_time INTEGER, -- seconds spent reading
-        FOREIGN KEY (user_id) REFERENCES users (id),
-        FOREIGN KEY (article_id) REFERENCES news_articles (id)
-      )`,
-
-            // User bookmarks
-            `CREATE TABLE IF NOT EXISTS user_bookmarks (
-        id TEXT PRIMARY KEY,
-        user_id TEXT NOT NULL,
-        article_id TEXT NOT NULL,
-        bookmarked_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (user_id) REFERENCES users (id),
-        FOREIGN KEY (article_id) REFERENCES news_articles (id),
-        UNIQUE(user_id, article_id)
-      )`
-        ];
-
-        let completed = 0;
-        const total = tables.length;
-
-        tables.forEach((sql, index) => {
-            db.run(sql, (err) => {
-                if (err) {
-                    console.error(`Error creating table ${index}:`, err);
-                    reject(err);
-                    return;
-                }
-
-                completed++;
-                if (completed === total) {
-                    console.log('All database tables created successfully');
-                    resolve();
-                }
-            });
-        });
-    });
+// Open the database and bring the schema up to date; see database/migrations/
+const initializeDatabase = async () => {
+    await openDatabase();
+    await migrator.migrate({ runQuery, getQuery, allQuery });
+    console.log('Database schema is up to date');
 };
 
 const getDatabase = () => {
@@ -162,6 +79,20 @@ const allQuery = (sql, params = []) => {
     });
 };
 
+// Run work() between BEGIN and COMMIT, rolling back if it throws. Statements from other requests
+// share the connection, so keep the work to a short series of writes.
+const runInTransaction = async (work) => {
+    await runQuery('BEGIN IMMEDIATE');
+    try {
+        const result = await work();
+        await runQuery('COMMIT');
+        return result;
+    } catch (error) {
+        await runQuery('ROLLBACK');
+        throw error;
+    }
+};
+
 const closeDatabase = () => {
     return new Promise((resolve, reject) => {
         if (db) {
@@ -180,10 +111,12 @@ const closeDatabase = () => {
 };
 
 module.exports = {
+    openDatabase,
     initializeDatabase,
     getDatabase,
     runQuery,
     getQuery,
     allQuery,
+    runInTransaction,
     closeDatabase
 };
\ No newline at end of file
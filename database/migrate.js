@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+// Schema migration CLI:
+//   npm run migrate                 apply pending migrations
+//   npm run migrate:status          list migrations and when they were applied
+//   npm run migrate:rollback [-- N] undo the last N migrations (default 1)
+require('dotenv').config();
+const { openDatabase, closeDatabase, runQuery, getQuery, allQuery } = require('./db');
+const migrator = require('./migrator');
+
+const helpers = { runQuery, getQuery, allQuery };
+
+const commands = {
+    async up() {
+        const applied = await migrator.migrate(helpers);
+        console.log(applied.length > 0 ? `Applied ${applied.length} migration(s)` : 'No pending migrations');
+    },
+
+    async status() {
+        const migrations = await migrator.status(helpers);
+        migrations.forEach(migration => {
+            const state = migration.appliedAt ? `applied ${migration.appliedAt}` : 'pending';
+            console.log(`${migration.version}_${migration.name}  ${state}`);
+        });
+    },
+
+    async rollback(steps = '1') {
+        const count = parseInt(steps, 10);
+        if (isNaN(count) || count < 1) {
+            throw new Error('Rollback steps must be a positive number');
+        }
+        const rolledBack = await migrator.rollback(helpers, count);
+        console.log(rolledBack.length > 0 ? `Rolled back ${rolledBack.length} migration(s)` : 'Nothing to roll back');
+    }
+};
+
+const main = async () => {
+    const [command = 'up', ...args] = process.argv.slice(2);
+    if (!commands[command]) {
+        console.error(`Unknown command "${command}". Use one of: ${Object.keys(commands).join(', ')}`);
+        process.exit(1);
+    }
+
+    await openDatabase();
+    try {
+        await commands[command](...args);
+    } finally {
+        await closeDatabase();
+    }
+};
+
+main().catch(error => {
+    console.error('Migration failed:', error.message);
+    process.exit(1);
+});
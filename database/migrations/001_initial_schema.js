@@ -0,0 +1,79 @@
+// Tables as they shipped in the first release
+module.exports = {
+    async up({ runQuery }) {
+        await runQuery(`
+      CREATE TABLE IF NOT EXISTS users (
+        id TEXT PRIMARY KEY,
+        email TEXT UNIQUE NOT NULL,
+        password_hash TEXT NOT NULL,
+        first_name TEXT,
+        last_name TEXT,
+        career_field TEXT,
+        industries TEXT, -- JSON array
+        city TEXT,
+        state TEXT,
+        country TEXT,
+        preferences TEXT, -- JSON object
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`);
+
+        await runQuery(`
+      CREATE TABLE IF NOT EXISTS user_sessions (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        token TEXT NOT NULL,
+        expires_at DATETIME NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id)
+      )`);
+
+        await runQuery(`
+      CREATE TABLE IF NOT EXISTS news_articles (
+        id TEXT PRIMARY KEY,
+        title TEXT NOT NULL,
+        description TEXT,
+        url TEXT NOT NULL,
+        image_url TEXT,
+        published_at DATETIME,
+        source_name TEXT,
+        source_url TEXT,
+        category TEXT,
+        location_type TEXT, -- 'local', 'state', 'national', 'global'
+        location_value TEXT,
+        industry TEXT,
+        relevance_score REAL DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`);
+
+        await runQuery(`
+      CREATE TABLE IF NOT EXISTS user_reading_history (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        article_id TEXT NOT NULL,
+        read_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        reading_time INTEGER, -- seconds spent reading
+        FOREIGN KEY (user_id) REFERENCES users (id),
+        FOREIGN KEY (article_id) REFERENCES news_articles (id)
+      )`);
+
+        await runQuery(`
+      CREATE TABLE IF NOT EXISTS user_bookmarks (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        article_id TEXT NOT NULL,
+        bookmarked_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id),
+        FOREIGN KEY (article_id) REFERENCES news_articles (id),
+        UNIQUE(user_id, article_id)
+      )`);
+    },
+
+    async down({ runQuery }) {
+        await runQuery('DROP TABLE IF EXISTS user_bookmarks');
+        await runQuery('DROP TABLE IF EXISTS user_reading_history');
+        await runQuery('DROP TABLE IF EXISTS news_articles');
+        await runQuery('DROP TABLE IF EXISTS user_sessions');
+        await runQuery('DROP TABLE IF EXISTS users');
+    }
+};
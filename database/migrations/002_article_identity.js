@@ -0,0 +1,14 @@
+// Canonical URLs, syndicated duplicates and article language
+module.exports = {
+    async up({ addColumn }) {
+        await addColumn('news_articles', 'canonical_url', 'TEXT');
+        await addColumn('news_articles', 'alternate_sources', 'TEXT'); // JSON array of { name, url }
+        await addColumn('news_articles', 'language', "TEXT DEFAULT 'en'");
+    },
+
+    async down({ dropColumn }) {
+        await dropColumn('news_articles', 'language');
+        await dropColumn('news_articles', 'alternate_sources');
+        await dropColumn('news_articles', 'canonical_url');
+    }
+};
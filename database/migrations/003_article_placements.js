@@ -0,0 +1,19 @@
+// Which feed buckets an article was ingested for (one article can serve several)
+module.exports = {
+    async up({ runQuery }) {
+        await runQuery(`
+      CREATE TABLE IF NOT EXISTS article_placements (
+        article_id TEXT NOT NULL,
+        bucket TEXT NOT NULL, -- 'local', 'regional', 'national', 'industry', 'global', 'trending'
+        bucket_value TEXT NOT NULL DEFAULT '', -- lowercased city/state/country/industry/topic
+        relevance_score REAL DEFAULT 0,
+        ingested_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (article_id, bucket, bucket_value),
+        FOREIGN KEY (article_id) REFERENCES news_articles (id)
+      )`);
+    },
+
+    async down({ runQuery }) {
+        await runQuery('DROP TABLE IF EXISTS article_placements');
+    }
+};
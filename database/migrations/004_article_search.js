@@ -0,0 +1,41 @@
+// FTS5 index over article titles and descriptions, kept in sync with news_articles by triggers
+module.exports = {
+    async up({ runQuery, getQuery }) {
+        const existing = await getQuery(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'news_articles_fts'`);
+
+        await runQuery(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS news_articles_fts USING fts5(
+        title, description,
+        content = 'news_articles', content_rowid = 'rowid',
+        tokenize = 'porter unicode61'
+      )`);
+
+        await runQuery(`
+      CREATE TRIGGER IF NOT EXISTS news_articles_fts_insert AFTER INSERT ON news_articles BEGIN
+        INSERT INTO news_articles_fts (rowid, title, description) VALUES (new.rowid, new.title, new.description);
+      END`);
+        await runQuery(`
+      CREATE TRIGGER IF NOT EXISTS news_articles_fts_delete AFTER DELETE ON news_articles BEGIN
+        INSERT INTO news_articles_fts (news_articles_fts, rowid, title, description)
+        VALUES ('delete', old.rowid, old.title, old.description);
+      END`);
+        await runQuery(`
+      CREATE TRIGGER IF NOT EXISTS news_articles_fts_update AFTER UPDATE OF title, description ON news_articles BEGIN
+        INSERT INTO news_articles_fts (news_articles_fts, rowid, title, description)
+        VALUES ('delete', old.rowid, old.title, old.description);
+        INSERT INTO news_articles_fts (rowid, title, description) VALUES (new.rowid, new.title, new.description);
+      END`);
+
+        // Index articles stored before the search index existed
+        if (!existing) {
+            await runQuery(`INSERT INTO news_articles_fts (news_articles_fts) VALUES ('rebuild')`);
+        }
+    },
+
+    async down({ runQuery }) {
+        await runQuery('DROP TRIGGER IF EXISTS news_articles_fts_update');
+        await runQuery('DROP TRIGGER IF EXISTS news_articles_fts_delete');
+        await runQuery('DROP TRIGGER IF EXISTS news_articles_fts_insert');
+        await runQuery('DROP TABLE IF EXISTS news_articles_fts');
+    }
+};
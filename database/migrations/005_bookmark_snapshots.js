@@ -0,0 +1,49 @@
+// Bookmarks keep a copy of the article and gain folders, tags, notes and a read flag
+const SNAPSHOT_COLUMNS = [
+    ['title', 'TEXT'],
+    ['description', 'TEXT'],
+    ['url', 'TEXT'],
+    ['image_url', 'TEXT'],
+    ['source_name', 'TEXT'],
+    ['published_at', 'DATETIME'],
+    ['folder_id', 'TEXT'],
+    ['tags', 'TEXT'], // JSON array
+    ['note', 'TEXT'],
+    ['is_read', 'INTEGER DEFAULT 0'],
+    ['read_at', 'DATETIME'],
+    ['updated_at', 'DATETIME']
+];
+
+module.exports = {
+    async up({ runQuery, addColumn }) {
+        for (const [column, definition] of SNAPSHOT_COLUMNS) {
+            await addColumn('user_bookmarks', column, definition);
+        }
+
+        await runQuery(`
+      CREATE TABLE IF NOT EXISTS bookmark_folders (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        name TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id),
+        UNIQUE(user_id, name)
+      )`);
+
+        // Copy what is still in the article store for bookmarks made before snapshots existed
+        await runQuery(`
+      UPDATE user_bookmarks SET
+        title = n.title, description = n.description, url = n.url, image_url = n.image_url,
+        source_name = n.source_name, published_at = n.published_at
+      FROM news_articles n
+      WHERE user_bookmarks.article_id = n.id AND user_bookmarks.title IS NULL
+    `);
+    },
+
+    async down({ runQuery, dropColumn }) {
+        await runQuery('DROP TABLE IF EXISTS bookmark_folders');
+        for (const [column] of [...SNAPSHOT_COLUMNS].reverse()) {
+            await dropColumn('user_bookmarks', column);
+        }
+    }
+};
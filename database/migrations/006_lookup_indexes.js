@@ -0,0 +1,23 @@
+// Indexes for the lookups every request makes
+const INDEXES = [
+    ['idx_user_sessions_token', 'user_sessions (token)'],
+    ['idx_user_sessions_user_id', 'user_sessions (user_id)'],
+    ['idx_user_bookmarks_user_id', 'user_bookmarks (user_id)'],
+    ['idx_user_reading_history_user_read_at', 'user_reading_history (user_id, read_at)'],
+    ['idx_article_placements_bucket', 'article_placements (bucket, bucket_value)'],
+    ['idx_news_articles_published_at', 'news_articles (published_at)']
+];
+
+module.exports = {
+    async up({ runQuery }) {
+        for (const [name, target] of INDEXES) {
+            await runQuery(`CREATE INDEX IF NOT EXISTS ${name} ON ${target}`);
+        }
+    },
+
+    async down({ runQuery }) {
+        for (const [name] of INDEXES) {
+            await runQuery(`DROP INDEX IF EXISTS ${name}`);
+        }
+    }
+};
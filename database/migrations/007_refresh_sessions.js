@@ -0,0 +1,43 @@
+// Sessions become refresh-token families: access JWTs carry the session id, and only hashes
+// of refresh tokens are stored. Existing sessions held plaintext tokens, so they are dropped
+// and everyone signs in again.
+module.exports = {
+    async up({ runQuery, addColumn, dropColumn }) {
+        await runQuery('DELETE FROM user_sessions');
+        await runQuery('DROP INDEX IF EXISTS idx_user_sessions_token');
+        await dropColumn('user_sessions', 'token');
+
+        await addColumn('user_sessions', 'user_agent', 'TEXT');
+        await addColumn('user_sessions', 'ip_address', 'TEXT');
+        await addColumn('user_sessions', 'last_seen_at', 'DATETIME');
+        await addColumn('user_sessions', 'revoked_at', 'DATETIME');
+        await addColumn('user_sessions', 'revoked_reason', 'TEXT');
+
+        await runQuery(`
+      CREATE TABLE IF NOT EXISTS refresh_tokens (
+        id TEXT PRIMARY KEY,
+        session_id TEXT NOT NULL,
+        token_hash TEXT NOT NULL UNIQUE, -- sha256 of the token handed to the client
+        expires_at DATETIME NOT NULL,
+        used_at DATETIME, -- set when rotated; presenting it again means it leaked
+        replaced_by TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (session_id) REFERENCES user_sessions (id)
+      )`);
+        await runQuery('CREATE INDEX IF NOT EXISTS idx_refresh_tokens_session_id ON refresh_tokens (session_id)');
+    },
+
+    async down({ runQuery, addColumn, dropColumn }) {
+        await runQuery('DROP TABLE IF EXISTS refresh_tokens');
+        await runQuery('DELETE FROM user_sessions');
+
+        await dropColumn('user_sessions', 'revoked_reason');
+        await dropColumn('user_sessions', 'revoked_at');
+        await dropColumn('user_sessions', 'last_seen_at');
+        await dropColumn('user_sessions', 'ip_address');
+        await dropColumn('user_sessions', 'user_agent');
+
+        await addColumn('user_sessions', 'token', "TEXT NOT NULL DEFAULT ''");
+        await runQuery('CREATE INDEX IF NOT EXISTS idx_user_sessions_token ON user_sessions (token)');
+    }
+};
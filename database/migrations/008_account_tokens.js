@@ -0,0 +1,24 @@
+// Single-use tokens for password resets and email verification, plus the verified flag
+module.exports = {
+    async up({ runQuery, addColumn }) {
+        await addColumn('users', 'email_verified_at', 'DATETIME');
+
+        await runQuery(`
+      CREATE TABLE IF NOT EXISTS account_tokens (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        purpose TEXT NOT NULL, -- 'password_reset', 'email_verification'
+        token_hash TEXT NOT NULL UNIQUE, -- sha256 of the token sent by email
+        expires_at DATETIME NOT NULL,
+        used_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id)
+      )`);
+        await runQuery('CREATE INDEX IF NOT EXISTS idx_account_tokens_user_purpose ON account_tokens (user_id, purpose)');
+    },
+
+    async down({ runQuery, dropColumn }) {
+        await runQuery('DROP TABLE IF EXISTS account_tokens');
+        await dropColumn('users', 'email_verified_at');
+    }
+};
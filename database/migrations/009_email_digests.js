@@ -0,0 +1,30 @@
+// Digest deliveries (one per user per period) and which articles each user has already been sent
+module.exports = {
+    async up({ runQuery }) {
+        await runQuery(`
+      CREATE TABLE IF NOT EXISTS digest_deliveries (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        frequency TEXT NOT NULL, -- 'daily', 'weekly'
+        period_key TEXT NOT NULL, -- e.g. '2024-05-01' or '2024-W18'
+        article_count INTEGER DEFAULT 0,
+        sent_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id),
+        UNIQUE(user_id, frequency, period_key)
+      )`);
+
+        await runQuery(`
+      CREATE TABLE IF NOT EXISTS digest_articles (
+        user_id TEXT NOT NULL,
+        article_id TEXT NOT NULL,
+        sent_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (user_id, article_id),
+        FOREIGN KEY (user_id) REFERENCES users (id)
+      )`);
+    },
+
+    async down({ runQuery }) {
+        await runQuery('DROP TABLE IF EXISTS digest_articles');
+        await runQuery('DROP TABLE IF EXISTS digest_deliveries');
+    }
+};
@@ -0,0 +1,21 @@
+// Append-only log of new article placements; its ids are the event ids of /api/news/stream
+module.exports = {
+    async up({ runQuery }) {
+        // AUTOINCREMENT so ids are never reused after old events are pruned
+        await runQuery(`
+      CREATE TABLE IF NOT EXISTS feed_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        article_id TEXT NOT NULL,
+        bucket TEXT NOT NULL,
+        bucket_value TEXT NOT NULL DEFAULT '',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (article_id) REFERENCES news_articles (id)
+      )`);
+
+        await runQuery('CREATE INDEX IF NOT EXISTS idx_feed_events_bucket ON feed_events(bucket, bucket_value, id)');
+    },
+
+    async down({ runQuery }) {
+        await runQuery('DROP TABLE IF EXISTS feed_events');
+    }
+};
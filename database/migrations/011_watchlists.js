@@ -0,0 +1,41 @@
+// Keyword watchlists and the articles the ingestion job matched against them
+module.exports = {
+    async up({ runQuery }) {
+        await runQuery(`
+      CREATE TABLE IF NOT EXISTS watchlists (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        name TEXT NOT NULL,
+        keywords TEXT NOT NULL, -- JSON array of companies, tickers and phrases
+        match_mode TEXT NOT NULL DEFAULT 'any', -- 'any' or 'all' keywords
+        exclude_terms TEXT NOT NULL DEFAULT '[]', -- JSON array
+        email_alerts INTEGER DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id),
+        UNIQUE(user_id, name)
+      )`);
+
+        // A match doubles as an alert: read_at clears it in the app, emailed_at once it has been mailed
+        await runQuery(`
+      CREATE TABLE IF NOT EXISTS watchlist_matches (
+        watchlist_id TEXT NOT NULL,
+        article_id TEXT NOT NULL,
+        matched_terms TEXT NOT NULL, -- JSON array
+        matched_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        read_at DATETIME,
+        emailed_at DATETIME,
+        PRIMARY KEY (watchlist_id, article_id),
+        FOREIGN KEY (watchlist_id) REFERENCES watchlists (id),
+        FOREIGN KEY (article_id) REFERENCES news_articles (id)
+      )`);
+
+        await runQuery('CREATE INDEX IF NOT EXISTS idx_watchlists_user ON watchlists(user_id)');
+        await runQuery('CREATE INDEX IF NOT EXISTS idx_watchlist_matches_unread ON watchlist_matches(watchlist_id, read_at)');
+    },
+
+    async down({ runQuery }) {
+        await runQuery('DROP TABLE IF EXISTS watchlist_matches');
+        await runQuery('DROP TABLE IF EXISTS watchlists');
+    }
+};
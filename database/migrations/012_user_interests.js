@@ -0,0 +1,19 @@
+// Learned interest profile: term and source affinities built from reads, reading time and bookmarks
+module.exports = {
+    async up({ runQuery }) {
+        await runQuery(`
+      CREATE TABLE IF NOT EXISTS user_interests (
+        user_id TEXT NOT NULL,
+        kind TEXT NOT NULL, -- 'term' or 'source'
+        value TEXT NOT NULL,
+        weight REAL NOT NULL DEFAULT 0, -- as of updated_at; decays with a half-life after that
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (user_id, kind, value),
+        FOREIGN KEY (user_id) REFERENCES users (id)
+      )`);
+    },
+
+    async down({ runQuery }) {
+        await runQuery('DROP TABLE IF EXISTS user_interests');
+    }
+};
@@ -0,0 +1,38 @@
+const { v4: uuidv4 } = require('uuid');
+
+// Source credibility registry, seeded with the sources relevance scoring used to hard-code as trusted
+const SEED_SOURCES = [
+    ['reuters.com', 'Reuters', 1, 0, 'GB', 'Thomson Reuters'],
+    ['bloomberg.com', 'Bloomberg', 1, 1, 'US', 'Bloomberg L.P.'],
+    ['wsj.com', 'Wall Street Journal', 1, 1, 'US', 'Dow Jones & Company (News Corp)'],
+    ['ft.com', 'Financial Times', 1, 1, 'GB', 'Nikkei Inc.']
+];
+
+module.exports = {
+    async up({ runQuery }) {
+        await runQuery(`
+      CREATE TABLE IF NOT EXISTS sources (
+        id TEXT PRIMARY KEY,
+        domain TEXT NOT NULL UNIQUE, -- registrable domain without www, e.g. 'reuters.com'
+        name TEXT NOT NULL,
+        tier INTEGER NOT NULL DEFAULT 3, -- 1 (most credible) to 4 (low credibility)
+        paywall INTEGER DEFAULT 0,
+        country TEXT, -- ISO 3166-1 alpha-2
+        bias_notes TEXT,
+        ownership_notes TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`);
+
+        for (const [domain, name, tier, paywall, country, ownership] of SEED_SOURCES) {
+            await runQuery(`
+        INSERT OR IGNORE INTO sources (id, domain, name, tier, paywall, country, ownership_notes)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `, [uuidv4(), domain, name, tier, paywall, country, ownership]);
+        }
+    },
+
+    async down({ runQuery }) {
+        await runQuery('DROP TABLE IF EXISTS sources');
+    }
+};
@@ -0,0 +1,10 @@
+// Roles: 'user' or 'admin'. Admins manage shared configuration such as the source registry.
+module.exports = {
+    async up({ addColumn }) {
+        await addColumn('users', 'role', "TEXT NOT NULL DEFAULT 'user'");
+    },
+
+    async down({ dropColumn }) {
+        await dropColumn('users', 'role');
+    }
+};
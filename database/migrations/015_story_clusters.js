@@ -0,0 +1,21 @@
+// Story clusters: related articles from different outlets grouped by the ingestion job
+module.exports = {
+    async up({ runQuery, addColumn }) {
+        await runQuery(`
+      CREATE TABLE IF NOT EXISTS stories (
+        id TEXT PRIMARY KEY,
+        title TEXT NOT NULL, -- headline of the article that started the story
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`);
+
+        await addColumn('news_articles', 'story_id', 'TEXT');
+        await runQuery('CREATE INDEX IF NOT EXISTS idx_news_articles_story ON news_articles (story_id)');
+    },
+
+    async down({ runQuery, dropColumn }) {
+        await runQuery('DROP INDEX IF EXISTS idx_news_articles_story');
+        await dropColumn('news_articles', 'story_id');
+        await runQuery('DROP TABLE IF EXISTS stories');
+    }
+};
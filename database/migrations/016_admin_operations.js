@@ -0,0 +1,44 @@
+// Admin operations: suspended accounts, pinned articles and the trending topic list (formerly hard-coded)
+const DEFAULT_TRENDING_TOPICS = [
+    'artificial intelligence business',
+    'cryptocurrency market',
+    'remote work trends',
+    'sustainable business',
+    'fintech innovation',
+    'supply chain',
+    'digital transformation',
+    'startup funding',
+    'stock market analysis',
+    'economic outlook'
+];
+
+module.exports = {
+    async up({ runQuery, addColumn }) {
+        await addColumn('users', 'suspended_at', 'DATETIME');
+        await addColumn('users', 'suspended_reason', 'TEXT');
+
+        // A pinned article is kept past the retention window and shown first in its sections;
+        // pinned_until NULL means it stays pinned until unpinned
+        await addColumn('news_articles', 'pinned_at', 'DATETIME');
+        await addColumn('news_articles', 'pinned_until', 'DATETIME');
+
+        await runQuery(`
+      CREATE TABLE IF NOT EXISTS trending_topics (
+        topic TEXT PRIMARY KEY,
+        position INTEGER NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`);
+
+        for (const [position, topic] of DEFAULT_TRENDING_TOPICS.entries()) {
+            await runQuery('INSERT OR IGNORE INTO trending_topics (topic, position) VALUES (?, ?)', [topic, position]);
+        }
+    },
+
+    async down({ runQuery, dropColumn }) {
+        await runQuery('DROP TABLE IF EXISTS trending_topics');
+        await dropColumn('news_articles', 'pinned_until');
+        await dropColumn('news_articles', 'pinned_at');
+        await dropColumn('users', 'suspended_reason');
+        await dropColumn('users', 'suspended_at');
+    }
+};
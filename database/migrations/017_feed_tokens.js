@@ -0,0 +1,25 @@
+// Secret feed URLs for reading a user's news in feed readers (RSS, Atom, JSON Feed)
+module.exports = {
+    async up({ runQuery }) {
+        await runQuery(`
+      CREATE TABLE IF NOT EXISTS feed_tokens (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        token_hash TEXT UNIQUE NOT NULL, -- sha256; the token itself is only shown once
+        name TEXT NOT NULL,
+        scope TEXT NOT NULL DEFAULT 'feed', -- 'feed', 'category', 'watchlist' or 'folder'
+        scope_value TEXT, -- category name, watchlist id or folder id
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_used_at DATETIME,
+        revoked_at DATETIME,
+        FOREIGN KEY (user_id) REFERENCES users (id)
+      )`);
+
+        await runQuery('CREATE INDEX IF NOT EXISTS idx_feed_tokens_user ON feed_tokens(user_id)');
+    },
+
+    async down({ runQuery }) {
+        await runQuery('DROP INDEX IF EXISTS idx_feed_tokens_user');
+        await runQuery('DROP TABLE IF EXISTS feed_tokens');
+    }
+};
@@ -0,0 +1,16 @@
+// Account deletion is scheduled with a grace period during which the owner can restore it;
+// the purge job erases accounts whose date has passed
+module.exports = {
+    async up({ runQuery, addColumn }) {
+        await addColumn('users', 'deletion_requested_at', 'DATETIME');
+        await addColumn('users', 'deletion_scheduled_for', 'DATETIME');
+
+        await runQuery('CREATE INDEX IF NOT EXISTS idx_users_deletion_scheduled_for ON users(deletion_scheduled_for)');
+    },
+
+    async down({ runQuery, dropColumn }) {
+        await runQuery('DROP INDEX IF EXISTS idx_users_deletion_scheduled_for');
+        await dropColumn('users', 'deletion_scheduled_for');
+        await dropColumn('users', 'deletion_requested_at');
+    }
+};
@@ -0,0 +1,24 @@
+// Full text pulled from the article page for the reader view, extracted the first time it is opened
+const CONTENT_COLUMNS = [
+    ['content_html', 'TEXT'], // sanitized main body
+    ['content_byline', 'TEXT'],
+    ['content_image_url', 'TEXT'],
+    ['content_canonical_url', 'TEXT'], // as declared by the page, which may differ from canonical_url
+    ['content_word_count', 'INTEGER'],
+    ['content_extracted_at', 'DATETIME'],
+    ['content_error', 'TEXT'] // why the last attempt failed; retried after a while
+];
+
+module.exports = {
+    async up({ addColumn }) {
+        for (const [column, definition] of CONTENT_COLUMNS) {
+            await addColumn('news_articles', column, definition);
+        }
+    },
+
+    async down({ dropColumn }) {
+        for (const [column] of [...CONTENT_COLUMNS].reverse()) {
+            await dropColumn('news_articles', column);
+        }
+    }
+};
@@ -0,0 +1,27 @@
+// Personal API keys: named, scoped credentials for scripts and dashboards
+module.exports = {
+    async up({ runQuery }) {
+        await runQuery(`
+      CREATE TABLE IF NOT EXISTS api_keys (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        name TEXT NOT NULL,
+        key_prefix TEXT NOT NULL, -- first characters of the key, to tell keys apart in lists
+        key_hash TEXT UNIQUE NOT NULL, -- sha256; the key itself is only shown once
+        scopes TEXT NOT NULL DEFAULT '[]', -- JSON array, e.g. ["news:read", "bookmarks:write"]
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        expires_at DATETIME,
+        last_used_at DATETIME,
+        last_used_ip TEXT,
+        revoked_at DATETIME,
+        FOREIGN KEY (user_id) REFERENCES users (id)
+      )`);
+
+        await runQuery('CREATE INDEX IF NOT EXISTS idx_api_keys_user ON api_keys(user_id)');
+    },
+
+    async down({ runQuery }) {
+        await runQuery('DROP INDEX IF EXISTS idx_api_keys_user');
+        await runQuery('DROP TABLE IF EXISTS api_keys');
+    }
+};
@@ -0,0 +1,21 @@
+// Articles ingested before links were checked could carry javascript: or other non-http(s) URLs.
+// Drop them (as newsService.purgeArticle does) and clear such image URLs; bookmark snapshots too.
+const NOT_HTTP = column => `(${column} NOT LIKE 'http://%' AND ${column} NOT LIKE 'https://%')`;
+
+module.exports = {
+    async up({ runQuery }) {
+        await runQuery(`DELETE FROM news_articles WHERE ${NOT_HTTP('url')}`);
+        await runQuery('DELETE FROM article_placements WHERE article_id NOT IN (SELECT id FROM news_articles)');
+        await runQuery('DELETE FROM feed_events WHERE article_id NOT IN (SELECT id FROM news_articles)');
+        await runQuery('DELETE FROM watchlist_matches WHERE article_id NOT IN (SELECT id FROM news_articles)');
+        await runQuery('DELETE FROM stories WHERE id NOT IN (SELECT story_id FROM news_articles WHERE story_id IS NOT NULL)');
+        await runQuery(`UPDATE news_articles SET image_url = NULL WHERE ${NOT_HTTP('image_url')}`);
+        await runQuery(`UPDATE news_articles SET source_url = '' WHERE ${NOT_HTTP('source_url')}`);
+
+        await runQuery(`DELETE FROM user_bookmarks WHERE ${NOT_HTTP('url')}`);
+        await runQuery(`UPDATE user_bookmarks SET image_url = NULL WHERE ${NOT_HTTP('image_url')}`);
+    },
+
+    // What was removed was unsafe to show; there is nothing to put back
+    async down() {}
+};
@@ -0,0 +1,14 @@
+// When ingestion last got an article from upstream. Retention expires on this rather than created_at,
+// so stories that keep being fetched stay in the store along with their placements and matches.
+module.exports = {
+    async up({ runQuery, addColumn }) {
+        await addColumn('news_articles', 'last_seen_at', 'DATETIME');
+        await runQuery('UPDATE news_articles SET last_seen_at = created_at WHERE last_seen_at IS NULL');
+        await runQuery('CREATE INDEX IF NOT EXISTS idx_news_articles_last_seen_at ON news_articles (last_seen_at)');
+    },
+
+    async down({ runQuery, dropColumn }) {
+        await runQuery('DROP INDEX IF EXISTS idx_news_articles_last_seen_at');
+        await dropColumn('news_articles', 'last_seen_at');
+    }
+};
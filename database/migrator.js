@@ -0,0 +1,122 @@
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Migrations are files named NNN_description.js exporting async up(helpers) and down(helpers)
+const loadMigrations = () => {
+    return fs.readdirSync(MIGRATIONS_DIR)
+        .filter(file => /^\d+_[\w-]+\.js$/.test(file))
+        .sort()
+        .map(file => {
+            const [, version, name] = file.match(/^(\d+)_([\w-]+)\.js$/);
+            return { version, name, ...require(path.join(MIGRATIONS_DIR, file)) };
+        });
+};
+
+// helpers are the runQuery/getQuery/allQuery functions from db.js
+const withSchemaHelpers = (helpers) => {
+    const hasColumn = async (table, column) => {
+        const columns = await helpers.allQuery(`PRAGMA table_info(${table})`);
+        return columns.some(existing => existing.name === column);
+    };
+
+    return {
+        ...helpers,
+        // Databases upgraded before migrations existed may already have the column
+        addColumn: async (table, column, definition) => {
+            if (!(await hasColumn(table, column))) {
+                await helpers.runQuery(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+            }
+        },
+        dropColumn: async (table, column) => {
+            if (await hasColumn(table, column)) {
+                await helpers.runQuery(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+            }
+        }
+    };
+};
+
+const ensureMigrationsTable = (helpers) => helpers.runQuery(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+const getAppliedVersions = async (helpers) => {
+    await ensureMigrationsTable(helpers);
+    const rows = await helpers.allQuery('SELECT version FROM schema_migrations');
+    return new Set(rows.map(row => row.version));
+};
+
+// Each migration runs in its own transaction so a failure leaves the schema at the previous version
+const runInTransaction = async (helpers, work) => {
+    await helpers.runQuery('BEGIN');
+    try {
+        await work();
+        await helpers.runQuery('COMMIT');
+    } catch (error) {
+        await helpers.runQuery('ROLLBACK');
+        throw error;
+    }
+};
+
+const migrate = async (helpers) => {
+    const applied = await getAppliedVersions(helpers);
+    const pending = loadMigrations().filter(migration => !applied.has(migration.version));
+    const schema = withSchemaHelpers(helpers);
+
+    for (const migration of pending) {
+        await runInTransaction(helpers, async () => {
+            await migration.up(schema);
+            await helpers.runQuery('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+        });
+        console.log(`Applied migration ${migration.version}_${migration.name}`);
+    }
+
+    return pending.map(migration => `${migration.version}_${migration.name}`);
+};
+
+const rollback = async (helpers, steps = 1) => {
+    await ensureMigrationsTable(helpers);
+    const migrations = loadMigrations();
+    const rows = await helpers.allQuery('SELECT version FROM schema_migrations ORDER BY version DESC LIMIT ?', [steps]);
+    const schema = withSchemaHelpers(helpers);
+    const rolledBack = [];
+
+    for (const { version } of rows) {
+        const migration = migrations.find(candidate => candidate.version === version);
+        if (!migration) {
+            throw new Error(`Migration ${version} is recorded in schema_migrations but its file is missing`);
+        }
+
+        await runInTransaction(helpers, async () => {
+            await migration.down(schema);
+            await helpers.runQuery('DELETE FROM schema_migrations WHERE version = ?', [version]);
+        });
+        console.log(`Rolled back migration ${migration.version}_${migration.name}`);
+        rolledBack.push(`${migration.version}_${migration.name}`);
+    }
+
+    return rolledBack;
+};
+
+const status = async (helpers) => {
+    await ensureMigrationsTable(helpers);
+    const rows = await helpers.allQuery('SELECT version, applied_at FROM schema_migrations');
+    const appliedAt = new Map(rows.map(row => [row.version, row.applied_at]));
+
+    return loadMigrations().map(migration => ({
+        version: migration.version,
+        name: migration.name,
+        appliedAt: appliedAt.get(migration.version) || null
+    }));
+};
+
+module.exports = {
+    migrate,
+    rollback,
+    status
+};
@@ -1,6 +1,44 @@
 // Global variables
 let currentUser = null;
 let authToken = null;
+let refreshToken = null;
+let refreshInFlight = null;
+
+// Articles currently on screen (by id) and the user's bookmarks (article id -> bookmark id)
+const renderedArticles = new Map();
+const bookmarkedArticles = new Map();
+let bookmarkFolders = [];
+let savedBookmarks = new Map();
+
+// Live news stream: the open connection, where to resume from, and stories waiting behind the banner
+let newsStream = null;
+let lastStreamEventId = null;
+let streamRetryDelay = 5000;
+let pendingStories = [];
+
+// The user's watchlists (by id), shown in the watchlists dialog
+let watchlists = new Map();
+
+// The article last opened from the feed, to report reading time when the user comes back to the tab
+let openedArticle = null;
+
+// The article open in the reader view; its reading time is reported when the reader is closed
+let readerArticle = null;
+
+// Dashboard container for each feed section the stream can push to
+const STREAM_SECTIONS = {
+    local: 'localNews',
+    industry: 'industryNews',
+    global: 'globalNews',
+    feed: 'followedNews'
+};
+
+// Dashboard container for each saved location's section, by location name
+let locationSections = new Map();
+
+// Gazetteer suggestions for the place being typed, by label
+let placeSuggestions = new Map();
+let placeSearchTimer = null;
 
 // API Base URL
 const API_BASE = '/api';
@@ -10,307 +48,2099 @@ document.addEventListener('DOMContentLoaded', function () {
     checkAuthStatus();
     loadTrendingNews();
     detectLocation();
+    handleEmailLinks();
+
+    // Add enter key listener for search
+    document.getElementById('searchInput').addEventListener('keypress', function (e) {
+        if (e.key === 'Enter') {
+            searchNews();
+        }
+    });
+});
+
+// Authentication functions
+function storeSession(data) {
+    authToken = data.token;
+    refreshToken = data.refreshToken;
+    localStorage.setItem('authToken', data.token);
+    localStorage.setItem('refreshToken', data.refreshToken);
+}
+
+function clearSession() {
+    localStorage.removeItem('authToken');
+    localStorage.removeItem('refreshToken');
+    currentUser = null;
+    authToken = null;
+    refreshToken = null;
+    disconnectNewsStream();
+    openedArticle = null;
+    readerArticle = null;
+    bookmarkedArticles.clear();
+    bookmarkFolders = [];
+    updateBookmarkButtons();
+}
+
+// Exchange the refresh token for a new token pair; concurrent callers share one request
+// because a refresh token can only be used once
+function refreshSession() {
+    if (!refreshToken) return Promise.resolve(false);
+
+    if (!refreshInFlight) {
+        refreshInFlight = fetch(`${API_BASE}/auth/refresh`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ refreshToken })
+        })
+            .then(async response => {
+                if (!response.ok) return false;
+                storeSession(await response.json());
+                return true;
+            })
+            .catch(() => false)
+            .finally(() => {
+                refreshInFlight = null;
+            });
+    }
+
+    return refreshInFlight;
+}
+
+// fetch() with the access token; an expired access token is refreshed once and the request retried
+async function authFetch(url, options = {}) {
+    const send = () => fetch(url, {
+        ...options,
+        headers: {
+            ...options.headers,
+            'Authorization': `Bearer ${authToken}`
+        }
+    });
+
+    let response = await send();
+    if (response.status === 401 && authToken) {
+        if (await refreshSession()) {
+            response = await send();
+        } else {
+            handleSessionExpired();
+        }
+    }
+    return response;
+}
+
+function handleSessionExpired() {
+    const wasSignedIn = Boolean(currentUser);
+    clearSession();
+    showUnauthenticatedUI();
+    if (wasSignedIn) {
+        showToast('Your session has expired. Please log in again.', 'warning');
+    }
+}
+
+async function checkAuthStatus() {
+    authToken = localStorage.getItem('authToken');
+    refreshToken = localStorage.getItem('refreshToken');
+
+    if (authToken) {
+        try {
+            const response = await authFetch(`${API_BASE}/auth/verify`);
+
+            if (response.ok) {
+                const data = await response.json();
+                currentUser = data.user;
+                showAuthenticatedUI();
+                loadPersonalizedNews();
+            } else {
+                clearSession();
+                showUnauthenticatedUI();
+            }
+        } catch (error) {
+            console.error('Auth check failed:', error);
+            clearSession();
+            showUnauthenticatedUI();
+        }
+    } else {
+        showUnauthenticatedUI();
+    }
+}
+
+function showAuthenticatedUI() {
+    document.getElementById('authButtons').style.display = 'none';
+    document.getElementById('userMenu').classList.remove('hidden');
+    document.getElementById('userName').textContent = `${currentUser.firstName} ${currentUser.lastName}`;
+    document.getElementById('welcomeSection').style.display = 'none';
+    document.getElementById('newsDashboard').classList.remove('hidden');
+
+    const userWelcome = document.getElementById('userWelcome');
+    const userLocation = document.getElementById('userLocation');
+
+    userWelcome.textContent = `Welcome back, ${currentUser.firstName}!`;
+    userLocation.textContent = `${currentUser.city || 'Unknown'}, ${currentUser.state || 'Unknown'} • ${currentUser.careerField || 'Professional'}`;
+}
+
+function showUnauthenticatedUI() {
+    document.getElementById('authButtons').style.display = 'flex';
+    document.getElementById('userMenu').classList.add('hidden');
+    document.getElementById('welcomeSection').style.display = 'block';
+    document.getElementById('newsDashboard').classList.add('hidden');
+}
+
+async function register(event) {
+    event.preventDefault();
+
+    const formData = {
+        firstName: document.getElementById('firstName').value,
+        lastName: document.getElementById('lastName').value,
+        email: document.getElementById('email').value,
+        password: document.getElementById('password').value,
+        careerField: document.getElementById('careerField').value,
+        city: document.getElementById('city').value,
+        state: document.getElementById('state').value,
+        country: document.getElementById('country').value
+    };
+
+    try {
+        const response = await fetch(`${API_BASE}/auth/register`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(formData)
+        });
+
+        const data = await response.json();
+
+        if (response.ok) {
+            storeSession(data);
+            currentUser = data.user;
+            hideModal('registerModal');
+            showAuthenticatedUI();
+            loadPersonalizedNews();
+            showToast('Registration successful!', 'success');
+        } else {
+            showToast(data.error || 'Registration failed', 'error');
+        }
+    } catch (error) {
+        console.error('Registration error:', error);
+        showToast('Registration failed. Please try again.', 'error');
+    }
+}
+
+async function login(event) {
+    event.preventDefault();
+
+    const email = document.getElementById('loginEmail').value;
+    const password = document.getElementById('loginPassword').value;
+
+    try {
+        const response = await fetch(`${API_BASE}/auth/login`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ email, password })
+        });
+
+        let data = await response.json();
+
+        // A deleted account can be restored by signing in before it is erased
+        if (data.code === 'account_pending_deletion' &&
+            confirm(`This account is scheduled for deletion on ${new Date(`${data.deletionScheduledFor}Z`).toLocaleDateString()}. Restore it?`)) {
+            const restoreResponse = await fetch(`${API_BASE}/auth/login`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ email, password, restore: true })
+            });
+            data = await restoreResponse.json();
+        }
+
+        if (data.token) {
+            storeSession(data);
+            currentUser = data.user;
+            hideModal('loginModal');
+            showAuthenticatedUI();
+            loadPersonalizedNews();
+            showToast('Login successful!', 'success');
+        } else {
+            showToast(data.error || 'Login failed', 'error');
+        }
+    } catch (error) {
+        console.error('Login error:', error);
+        showToast('Login failed. Please try again.', 'error');
+    }
+}
+
+async function logout() {
+    try {
+        if (authToken) {
+            await authFetch(`${API_BASE}/auth/logout`, {
+                method: 'POST'
+            });
+        }
+    } catch (error) {
+        console.error('Logout error:', error);
+    }
+
+    clearSession();
+    showUnauthenticatedUI();
+    showToast('Logged out successfully', 'success');
+}
+
+// Links from verification and password reset emails land on /?verify=<token> or /?reset=<token>
+async function handleEmailLinks() {
+    const params = new URLSearchParams(window.location.search);
+    const verifyToken = params.get('verify');
+    const resetToken = params.get('reset');
+
+    if (!verifyToken && !resetToken) return;
+    window.history.replaceState({}, '', window.location.pathname);
+
+    if (resetToken) {
+        showModal('resetPasswordModal');
+        document.getElementById('resetToken').value = resetToken;
+        return;
+    }
+
+    try {
+        const response = await fetch(`${API_BASE}/auth/verify-email`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ token: verifyToken })
+        });
+
+        const data = await response.json();
+        if (response.ok) {
+            if (currentUser) currentUser.emailVerified = true;
+            showToast(data.message, 'success');
+        } else {
+            showToast(data.error || 'Email verification failed', 'error');
+        }
+    } catch (error) {
+        console.error('Email verification error:', error);
+        showToast('Email verification failed', 'error');
+    }
+}
+
+async function requestPasswordReset(event) {
+    event.preventDefault();
+
+    try {
+        const response = await fetch(`${API_BASE}/auth/forgot-password`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ email: document.getElementById('forgotEmail').value })
+        });
+
+        const data = await response.json();
+        if (response.ok) {
+            hideModal('forgotPasswordModal');
+            showToast(data.message, 'success');
+        } else {
+            showToast(data.error || 'Failed to send reset link', 'error');
+        }
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        showToast('Failed to send reset link', 'error');
+    }
+}
+
+async function resetPassword(event) {
+    event.preventDefault();
+
+    try {
+        const response = await fetch(`${API_BASE}/auth/reset-password`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                token: document.getElementById('resetToken').value,
+                password: document.getElementById('resetPasswordInput').value
+            })
+        });
+
+        const data = await response.json();
+        if (response.ok) {
+            hideModal('resetPasswordModal');
+            clearSession();
+            showUnauthenticatedUI();
+            showModal('loginModal');
+            showToast(data.message, 'success');
+        } else {
+            showToast(data.error || 'Failed to reset password', 'error');
+        }
+    } catch (error) {
+        console.error('Reset password error:', error);
+        showToast('Failed to reset password', 'error');
+    }
+}
+
+// Account: email verification, digest settings and active sessions
+async function showAccount() {
+    showModal('accountModal');
+    renderEmailVerificationStatus();
+    await Promise.all([loadDigestSettings(), loadInterests(), loadFeeds(), loadLocations(), loadApiKeys(), loadSessions()]);
+}
+
+async function loadDigestSettings() {
+    try {
+        const response = await authFetch(`${API_BASE}/user/profile`);
+        if (response.ok) {
+            const data = await response.json();
+            currentUser = data.user;
+            document.getElementById('digestFrequency').value = currentUser.preferences.digestFrequency;
+            renderFollowedFeeds();
+        }
+    } catch (error) {
+        console.error('Error loading digest settings:', error);
+    }
+}
+
+async function updateDigestFrequency(digestFrequency) {
+    try {
+        const response = await authFetch(`${API_BASE}/user/profile`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                firstName: currentUser.firstName,
+                lastName: currentUser.lastName,
+                careerField: currentUser.careerField,
+                industries: currentUser.industries,
+                city: currentUser.city,
+                state: currentUser.state,
+                country: currentUser.country,
+                preferences: { ...currentUser.preferences, digestFrequency }
+            })
+        });
+
+        const data = await response.json();
+        if (response.ok) {
+            currentUser.preferences = { ...currentUser.preferences, digestFrequency };
+            showToast(digestFrequency === 'off' ? 'Email digests turned off' : `You'll get a ${digestFrequency} digest`, 'success');
+        } else {
+            showToast(data.error || 'Failed to update digest settings', 'error');
+        }
+    } catch (error) {
+        console.error('Error updating digest settings:', error);
+        showToast('Failed to update digest settings', 'error');
+    }
+}
+
+function renderEmailVerificationStatus() {
+    const container = document.getElementById('emailVerificationStatus');
+
+    if (currentUser.emailVerified) {
+        container.innerHTML = `
+            <p class="text-sm text-green-700"><i class="fas fa-check-circle mr-1"></i> ${escapeHtml(currentUser.email)} is verified</p>
+        `;
+        return;
+    }
+
+    container.innerHTML = `
+        <div class="bg-yellow-50 border border-yellow-200 rounded-md p-3 text-sm text-yellow-800 flex items-center justify-between">
+            <span><i class="fas fa-exclamation-triangle mr-1"></i> ${escapeHtml(currentUser.email)} is not verified yet</span>
+            <button type="button" onclick="resendVerificationEmail()" class="text-blue-600 hover:text-blue-800 ml-4">Resend email</button>
+        </div>
+    `;
+}
+
+async function resendVerificationEmail() {
+    try {
+        const response = await authFetch(`${API_BASE}/auth/resend-verification`, {
+            method: 'POST'
+        });
+
+        const data = await response.json();
+        showToast(data.message || data.error, response.ok ? 'success' : 'error');
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        showToast('Failed to send verification email', 'error');
+    }
+}
+
+async function loadInterests() {
+    const container = document.getElementById('learnedInterests');
+
+    try {
+        const response = await authFetch(`${API_BASE}/user/interests`);
+        const data = await response.json();
+        if (!response.ok) {
+            container.innerHTML = `<p class="text-sm text-red-600">${escapeHtml(data.error || 'Failed to load interests')}</p>`;
+            return;
+        }
+
+        const chips = [
+            ...data.terms.slice(0, 12).map(interest => interest.value),
+            ...data.sources.slice(0, 3).map(interest => interest.value)
+        ];
+        container.innerHTML = chips.length === 0
+            ? '<p class="text-sm text-gray-500">Nothing learned yet. Read and bookmark stories to tune your feed.</p>'
+            : `<div class="flex flex-wrap gap-1">${chips.map(chip => `
+                <span class="px-2 py-0.5 bg-blue-50 text-blue-700 rounded text-xs">${escapeHtml(chip)}</span>
+            `).join('')}</div>`;
+    } catch (error) {
+        console.error('Error loading interests:', error);
+    }
+}
+
+async function resetInterests() {
+    if (!confirm('Forget what your feed has learned from your reading? Ranking goes back to your location and industry.')) return;
+
+    try {
+        const response = await authFetch(`${API_BASE}/user/interests`, { method: 'DELETE' });
+        const data = await response.json();
+        if (response.ok) {
+            showToast('Learned interests reset', 'success');
+            await Promise.all([loadInterests(), loadPersonalizedNews()]);
+        } else {
+            showToast(data.error || 'Failed to reset interests', 'error');
+        }
+    } catch (error) {
+        console.error('Error resetting interests:', error);
+        showToast('Failed to reset interests', 'error');
+    }
+}
+
+function renderFollowedFeeds() {
+    const feeds = currentUser.preferences.followedFeeds;
+    document.getElementById('followedFeedList').innerHTML = feeds.length === 0
+        ? '<p class="text-sm text-gray-500">You don\'t follow any feeds yet.</p>'
+        : feeds.map(feed => `
+            <div class="flex items-center justify-between py-1">
+                <span class="text-sm text-gray-900 truncate" title="${escapeHtml(feed.url)}">
+                    <i class="fas fa-rss text-orange-500 mr-1"></i> ${escapeHtml(feed.title)}
+                </span>
+                <button type="button" data-feed-url="${escapeHtml(feed.url)}" onclick="unfollowFeed(this.dataset.feedUrl)"
+                    class="text-sm text-red-600 hover:text-red-800 ml-2">Unfollow</button>
+            </div>
+        `).join('');
+}
+
+async function importOpml(input) {
+    const file = input.files[0];
+    input.value = '';
+    if (!file) return;
+
+    try {
+        const response = await authFetch(`${API_BASE}/user/import/opml`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'text/xml' },
+            body: await file.text()
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+            showToast(data.error || 'Failed to import OPML', 'error');
+            return;
+        }
+
+        const skipped = data.skipped.feedsOverLimit + data.skipped.topicsOverLimit;
+        showToast(skipped > 0 ? `${data.message}; ${skipped} skipped over the limits` : data.message, 'success');
+        await loadDigestSettings();
+        loadPersonalizedNews();
+    } catch (error) {
+        console.error('Error importing OPML:', error);
+        showToast('Failed to import OPML', 'error');
+    }
+}
+
+async function exportOpml() {
+    try {
+        const response = await authFetch(`${API_BASE}/user/export/opml`);
+        if (!response.ok) {
+            showToast('Failed to export OPML', 'error');
+            return;
+        }
+
+        const url = URL.createObjectURL(await response.blob());
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'newsmini-subscriptions.opml';
+        link.click();
+        URL.revokeObjectURL(url);
+    } catch (error) {
+        console.error('Error exporting OPML:', error);
+        showToast('Failed to export OPML', 'error');
+    }
+}
+
+async function unfollowFeed(feedUrl) {
+    const followedFeeds = currentUser.preferences.followedFeeds.filter(feed => feed.url !== feedUrl);
+
+    try {
+        const response = await authFetch(`${API_BASE}/user/profile`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                firstName: currentUser.firstName,
+                lastName: currentUser.lastName,
+                careerField: currentUser.careerField,
+                industries: currentUser.industries,
+                city: currentUser.city,
+                state: currentUser.state,
+                country: currentUser.country,
+                preferences: { ...currentUser.preferences, followedFeeds }
+            })
+        });
+
+        const data = await response.json();
+        if (response.ok) {
+            currentUser.preferences = { ...currentUser.preferences, followedFeeds };
+            renderFollowedFeeds();
+            loadPersonalizedNews();
+        } else {
+            showToast(data.error || 'Failed to unfollow feed', 'error');
+        }
+    } catch (error) {
+        console.error('Error unfollowing feed:', error);
+        showToast('Failed to unfollow feed', 'error');
+    }
+}
+
+async function loadLocations() {
+    try {
+        const response = await authFetch(`${API_BASE}/user/locations`);
+        if (response.ok) {
+            const data = await response.json();
+            renderSavedLocations(data.locations);
+        }
+    } catch (error) {
+        console.error('Error loading locations:', error);
+    }
+}
+
+function renderSavedLocations(locations) {
+    document.getElementById('savedLocationList').innerHTML = locations.map(location => `
+        <div class="flex items-center justify-between py-1">
+            <span class="text-sm text-gray-900 truncate">
+                <i class="fas fa-map-marker-alt text-blue-600 mr-1"></i>
+                <span class="font-medium">${escapeHtml(location.name)}</span> · ${escapeHtml(location.label)}
+                ${location.metro ? `<span class="text-xs text-gray-500">(${escapeHtml(location.metro)})</span>` : ''}
+            </span>
+            ${location.primary
+                ? '<span class="text-xs text-gray-500 ml-2">From your profile</span>'
+                : `<button type="button" data-location-name="${escapeHtml(location.name)}" onclick="removeSavedLocation(this.dataset.locationName)"
+                    class="text-sm text-red-600 hover:text-red-800 ml-2">Remove</button>`}
+        </div>
+    `).join('');
+}
+
+// Autocomplete from the server's gazetteer, once typing pauses
+function suggestPlaces(text) {
+    clearTimeout(placeSearchTimer);
+    if (placeSuggestions.has(text) || text.trim().length < 2) return;
+
+    placeSearchTimer = setTimeout(async () => {
+        try {
+            const response = await authFetch(`${API_BASE}/user/locations/search?q=${encodeURIComponent(text.trim())}`);
+            if (!response.ok) return;
+
+            const data = await response.json();
+            placeSuggestions = new Map(data.places.map(place => [place.label, place]));
+            document.getElementById('placeSuggestions').innerHTML = data.places
+                .map(place => `<option value="${escapeHtml(place.label)}">${escapeHtml(place.metro || '')}</option>`)
+                .join('');
+        } catch (error) {
+            console.error('Error searching places:', error);
+        }
+    }, 250);
+}
+
+async function addSavedLocation(event) {
+    event.preventDefault();
+    const nameInput = document.getElementById('savedLocationName');
+    const placeInput = document.getElementById('savedLocationPlace');
+
+    // A picked suggestion is used as is; anything else is read as "city, state, country"
+    const text = placeInput.value.trim();
+    const suggestion = placeSuggestions.get(text);
+    const [city = '', state = '', country = ''] = suggestion ? [] : text.split(',').map(part => part.trim());
+    const place = suggestion
+        ? { city: suggestion.city || '', state: suggestion.state || '', country: suggestion.country || '' }
+        : { city, state, country };
+
+    const savedLocations = [
+        ...currentUser.preferences.savedLocations,
+        { name: nameInput.value.trim(), ...place }
+    ];
+    if (await saveLocations(savedLocations)) {
+        nameInput.value = '';
+        placeInput.value = '';
+    }
+}
+
+async function removeSavedLocation(name) {
+    await saveLocations(currentUser.preferences.savedLocations.filter(location => location.name !== name));
+}
+
+async function saveLocations(savedLocations) {
+    try {
+        const response = await authFetch(`${API_BASE}/user/locations`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ locations: savedLocations })
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+            showToast(data.error || 'Failed to save locations', 'error');
+            return false;
+        }
+
+        currentUser.preferences = { ...currentUser.preferences, savedLocations: data.savedLocations };
+        renderSavedLocations(data.locations);
+        loadPersonalizedNews();
+        return true;
+    } catch (error) {
+        console.error('Error saving locations:', error);
+        showToast('Failed to save locations', 'error');
+        return false;
+    }
+}
+
+const FEED_CATEGORIES = ['local', 'regional', 'national', 'industry', 'global', 'followed'];
+
+// Feed URLs: the scope picker lists the whole feed, each category, watchlists and bookmark folders
+async function loadFeeds() {
+    const container = document.getElementById('feedList');
+    document.getElementById('newFeedUrls').innerHTML = '';
+
+    try {
+        const [feedsResponse, watchlistsResponse, foldersResponse] = await Promise.all([
+            authFetch(`${API_BASE}/user/feeds`),
+            authFetch(`${API_BASE}/user/watchlists`),
+            authFetch(`${API_BASE}/news/bookmarks/folders`)
+        ]);
+        if (!feedsResponse.ok) {
+            container.innerHTML = '<p class="text-sm text-red-600">Failed to load feed URLs</p>';
+            return;
+        }
+
+        const { feeds } = await feedsResponse.json();
+        const watchlists = watchlistsResponse.ok ? (await watchlistsResponse.json()).watchlists : [];
+        const folders = foldersResponse.ok ? (await foldersResponse.json()).folders : [];
+
+        const option = (scope, value, label) => `<option value="${escapeHtml(`${scope}:${value}`)}">${escapeHtml(label)}</option>`;
+        document.getElementById('feedScope').innerHTML = [
+            option('feed', '', 'My whole feed'),
+            ...FEED_CATEGORIES.map(category => option('category', category, `${category.charAt(0).toUpperCase()}${category.slice(1)} news`)),
+            ...watchlists.map(watchlist => option('watchlist', watchlist.id, `Watchlist: ${watchlist.name}`)),
+            ...folders.map(folder => option('folder', folder.id, `Bookmarks: ${folder.name}`))
+        ].join('');
+
+        container.innerHTML = feeds.length === 0
+            ? '<p class="text-sm text-gray-500">No feed URLs yet.</p>'
+            : feeds.map(feed => `
+                <div class="flex items-center justify-between py-2 border-b border-gray-200 last:border-b-0">
+                    <div>
+                        <p class="text-sm font-medium text-gray-900">${escapeHtml(feed.name)}</p>
+                        <p class="text-xs text-gray-500">
+                            Created ${formatDate(feed.createdAt)} • ${feed.lastUsedAt ? `Last read ${formatDate(feed.lastUsedAt)}` : 'Never read'}
+                        </p>
+                    </div>
+                    <button type="button" onclick="revokeFeed('${escapeHtml(feed.id)}')" class="text-sm text-red-600 hover:text-red-800">
+                        Revoke
+                    </button>
+                </div>
+            `).join('');
+    } catch (error) {
+        console.error('Error loading feeds:', error);
+        container.innerHTML = '<p class="text-sm text-red-600">Failed to load feed URLs</p>';
+    }
+}
+
+async function createFeed() {
+    const [scope, scopeValue] = document.getElementById('feedScope').value.split(':');
+
+    try {
+        const response = await authFetch(`${API_BASE}/user/feeds`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ scope, scopeValue: scopeValue || undefined })
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+            showToast(data.error || 'Failed to create feed URL', 'error');
+            return;
+        }
+
+        await loadFeeds();
+        // The secret URLs can't be shown again after this
+        document.getElementById('newFeedUrls').innerHTML = `
+            <div class="bg-blue-50 border border-blue-200 rounded-md p-3 mb-2 text-xs">
+                <p class="text-blue-800 mb-2">Copy your URL now; it won't be shown again.</p>
+                ${Object.entries(data.urls).map(([format, url]) => `
+                    <label class="block text-gray-600 mt-1">${format === 'json' ? 'JSON Feed' : format.toUpperCase()}</label>
+                    <input type="text" readonly value="${escapeHtml(url)}" onclick="this.select()"
+                        class="w-full px-2 py-1 border border-gray-300 rounded bg-white font-mono">
+                `).join('')}
+            </div>
+        `;
+    } catch (error) {
+        console.error('Error creating feed:', error);
+        showToast('Failed to create feed URL', 'error');
+    }
+}
+
+async function revokeFeed(feedId) {
+    if (!confirm('Revoke this feed URL? Feed readers using it will stop updating.')) return;
+
+    try {
+        const response = await authFetch(`${API_BASE}/user/feeds/${encodeURIComponent(feedId)}`, { method: 'DELETE' });
+        const data = await response.json();
+        if (response.ok) {
+            showToast('Feed URL revoked', 'success');
+            loadFeeds();
+        } else {
+            showToast(data.error || 'Failed to revoke feed URL', 'error');
+        }
+    } catch (error) {
+        console.error('Error revoking feed:', error);
+        showToast('Failed to revoke feed URL', 'error');
+    }
+}
+
+// API keys: the scope checkboxes come from the server's list of scopes
+async function loadApiKeys() {
+    const container = document.getElementById('apiKeyList');
+    document.getElementById('newApiKey').innerHTML = '';
+
+    try {
+        const response = await authFetch(`${API_BASE}/auth/api-keys`);
+        if (!response.ok) {
+            container.innerHTML = '<p class="text-sm text-red-600">Failed to load API keys</p>';
+            return;
+        }
+
+        const { apiKeys, scopes } = await response.json();
+        document.getElementById('apiKeyScopes').innerHTML = scopes.map(({ scope, description }) => `
+            <label class="flex items-center text-xs text-gray-700" title="${escapeHtml(description)}">
+                <input type="checkbox" name="apiKeyScope" value="${escapeHtml(scope)}" class="mr-2"> ${escapeHtml(scope)}
+            </label>
+        `).join('');
+
+        container.innerHTML = apiKeys.length === 0
+            ? '<p class="text-sm text-gray-500">No API keys yet.</p>'
+            : apiKeys.map(apiKey => `
+                <div class="flex items-center justify-between py-2 border-b border-gray-200 last:border-b-0">
+                    <div>
+                        <p class="text-sm font-medium text-gray-900">
+                            ${escapeHtml(apiKey.name)} <span class="font-mono text-xs text-gray-500">${escapeHtml(apiKey.prefix)}…</span>
+                        </p>
+                        <p class="text-xs text-gray-500">${apiKey.scopes.map(escapeHtml).join(', ')}</p>
+                        <p class="text-xs text-gray-500">
+                            ${apiKey.expired ? '<span class="text-red-600">Expired</span>' : apiKey.expiresAt ? `Expires ${formatDate(apiKey.expiresAt)}` : 'No expiry'}
+                            • ${apiKey.lastUsedAt ? `Last used ${formatDate(apiKey.lastUsedAt)}` : 'Never used'}
+                        </p>
+                    </div>
+                    <button type="button" onclick="revokeApiKey('${escapeHtml(apiKey.id)}')" class="text-sm text-red-600 hover:text-red-800">
+                        Revoke
+                    </button>
+                </div>
+            `).join('');
+    } catch (error) {
+        console.error('Error loading API keys:', error);
+        container.innerHTML = '<p class="text-sm text-red-600">Failed to load API keys</p>';
+    }
+}
+
+async function createApiKey(event) {
+    event.preventDefault();
+    const scopes = [...document.querySelectorAll('input[name="apiKeyScope"]:checked')].map(input => input.value);
+    const days = parseInt(document.getElementById('apiKeyExpiry').value, 10);
+
+    if (scopes.length === 0) {
+        showToast('Pick at least one scope', 'error');
+        return;
+    }
+
+    try {
+        const response = await authFetch(`${API_BASE}/auth/api-keys`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                name: document.getElementById('apiKeyName').value,
+                scopes,
+                expiresAt: days ? new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString() : undefined
+            })
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+            showToast(data.error || 'Failed to create API key', 'error');
+            return;
+        }
+
+        event.target.reset();
+        await loadApiKeys();
+        // The key can't be shown again after this
+        document.getElementById('newApiKey').innerHTML = `
+            <div class="bg-blue-50 border border-blue-200 rounded-md p-3 mb-2 text-xs">
+                <p class="text-blue-800 mb-2">Copy your key now; it won't be shown again.</p>
+                <input type="text" readonly value="${escapeHtml(data.key)}" onclick="this.select()"
+                    class="w-full px-2 py-1 border border-gray-300 rounded bg-white font-mono">
+            </div>
+        `;
+    } catch (error) {
+        console.error('Error creating API key:', error);
+        showToast('Failed to create API key', 'error');
+    }
+}
+
+async function revokeApiKey(keyId) {
+    if (!confirm('Revoke this API key? Scripts using it will stop working.')) return;
+
+    try {
+        const response = await authFetch(`${API_BASE}/auth/api-keys/${encodeURIComponent(keyId)}`, { method: 'DELETE' });
+        const data = await response.json();
+        if (response.ok) {
+            showToast('API key revoked', 'success');
+            loadApiKeys();
+        } else {
+            showToast(data.error || 'Failed to revoke API key', 'error');
+        }
+    } catch (error) {
+        console.error('Error revoking API key:', error);
+        showToast('Failed to revoke API key', 'error');
+    }
+}
+
+async function loadSessions() {
+    const container = document.getElementById('sessionList');
+    container.innerHTML = '<div class="loading-spinner mx-auto"></div>';
+
+    try {
+        const response = await authFetch(`${API_BASE}/auth/sessions`);
+        if (!response.ok) {
+            container.innerHTML = '<p class="text-gray-500 text-center py-4">Failed to load sessions</p>';
+            return;
+        }
+
+        const data = await response.json();
+        container.innerHTML = data.sessions.map(session => `
+            <div class="flex items-center justify-between py-3 border-b border-gray-200 last:border-b-0">
+                <div>
+                    <p class="text-sm font-medium text-gray-900">
+                        ${escapeHtml(session.device)}
+                        ${session.current ? '<span class="ml-2 text-xs bg-green-100 text-green-700 px-2 py-0.5 rounded">This device</span>' : ''}
+                    </p>
+                    <p class="text-xs text-gray-500">
+                        ${escapeHtml(session.ipAddress || 'Unknown IP')} • Last active ${formatDate(session.lastSeenAt || session.createdAt)}
+                    </p>
+                </div>
+                <button type="button" onclick="revokeSession('${escapeHtml(session.id)}', ${session.current})"
+                    class="text-sm text-red-600 hover:text-red-800">
+                    ${session.current ? 'Log out' : 'Revoke'}
+                </button>
+            </div>
+        `).join('');
+    } catch (error) {
+        console.error('Error loading sessions:', error);
+        container.innerHTML = '<p class="text-gray-500 text-center py-4">Failed to load sessions</p>';
+    }
+}
+
+async function revokeSession(sessionId, isCurrent) {
+    if (isCurrent) {
+        hideModal('accountModal');
+        await logout();
+        return;
+    }
+
+    try {
+        const response = await authFetch(`${API_BASE}/auth/sessions/${encodeURIComponent(sessionId)}`, {
+            method: 'DELETE'
+        });
+
+        if (response.ok) {
+            showToast('Session revoked', 'success');
+            loadSessions();
+        } else {
+            showToast('Failed to revoke session', 'error');
+        }
+    } catch (error) {
+        console.error('Revoke session error:', error);
+        showToast('Failed to revoke session', 'error');
+    }
+}
+
+async function revokeOtherSessions() {
+    try {
+        const response = await authFetch(`${API_BASE}/auth/sessions`, {
+            method: 'DELETE'
+        });
+
+        const data = await response.json();
+        if (response.ok) {
+            showToast(data.message, 'success');
+            loadSessions();
+        } else {
+            showToast(data.error || 'Failed to sign out other devices', 'error');
+        }
+    } catch (error) {
+        console.error('Revoke sessions error:', error);
+        showToast('Failed to sign out other devices', 'error');
+    }
+}
+
+async function exportAccountData() {
+    try {
+        const response = await authFetch(`${API_BASE}/user/export`);
+        if (!response.ok) {
+            showToast('Failed to export your data', 'error');
+            return;
+        }
+
+        const url = URL.createObjectURL(await response.blob());
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'newsmini-export.zip';
+        link.click();
+        URL.revokeObjectURL(url);
+    } catch (error) {
+        console.error('Error exporting account data:', error);
+        showToast('Failed to export your data', 'error');
+    }
+}
+
+async function deleteAccount(event) {
+    event.preventDefault();
+    if (!confirm('Delete your account? You will be signed out on every device.')) return;
+
+    try {
+        const response = await authFetch(`${API_BASE}/user/account`, {
+            method: 'DELETE',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ password: document.getElementById('deleteAccountPassword').value })
+        });
+
+        const data = await response.json();
+        if (response.ok) {
+            hideModal('accountModal');
+            clearSession();
+            showUnauthenticatedUI();
+            showToast(data.message, 'success');
+        } else {
+            showToast(data.error || 'Failed to delete account', 'error');
+        }
+    } catch (error) {
+        console.error('Error deleting account:', error);
+        showToast('Failed to delete account', 'error');
+    }
+}
+
+// News functions
+async function loadPersonalizedNews() {
+    if (!authToken) return;
+
+    loadBookmarks();
+
+    try {
+        const response = await authFetch(`${API_BASE}/news/personalized`);
+
+        if (response.ok) {
+            const data = await response.json();
+            showUpstreamStatus(data);
+            displayNews('localNews', data.news.local);
+            displayLocationSections(data.news.locations);
+            displayNews('industryNews', data.news.industry);
+            displayNews('globalNews', data.news.global);
+            // Only users who follow feeds get the section
+            const followsFeeds = ((currentUser && currentUser.preferences && currentUser.preferences.followedFeeds) || []).length > 0;
+            document.getElementById('followedNewsSection').classList.toggle('hidden', !followsFeeds);
+            displayNews('followedNews', data.news.followed);
+
+            // A full reload already shows anything that was waiting behind the banner
+            pendingStories = [];
+            renderNewStoriesBanner();
+            connectNewsStream();
+            loadAlerts();
+        } else {
+            console.error('Failed to load personalized news');
+            showToast('Failed to load personalized news', 'error');
+        }
+    } catch (error) {
+        console.error('Error loading personalized news:', error);
+        showToast('Error loading news', 'error');
+    }
+}
+
+// The trending topic being shown; null follows whatever ranks first
+let selectedTrendingTopic = null;
+
+async function loadTrendingNews() {
+    try {
+        // Signed in, the trending list honors the user's source lists and blocked keywords
+        const request = (url) => authToken ? authFetch(url) : fetch(url);
+        const topicQuery = selectedTrendingTopic ? `?topic=${encodeURIComponent(selectedTrendingTopic)}` : '';
+        const [topicsResponse, response] = await Promise.all([
+            request(`${API_BASE}/news/trending/topics`),
+            request(`${API_BASE}/news/trending${topicQuery}`)
+        ]);
+
+        if (topicsResponse.ok) {
+            const data = await topicsResponse.json();
+            displayTrendingTopics(data.topics);
+        }
+
+        if (response.ok) {
+            const data = await response.json();
+            showUpstreamStatus(data);
+            selectedTrendingTopic = data.topic ? data.topic.topic : null;
+            highlightTrendingTopic();
+            displayNews('trendingNews', data.articles);
+        } else if (response.status === 404 && selectedTrendingTopic) {
+            // The topic stopped trending since the list was loaded
+            selectedTrendingTopic = null;
+            await loadTrendingNews();
+        } else {
+            console.error('Failed to load trending news');
+        }
+    } catch (error) {
+        console.error('Error loading trending news:', error);
+    }
+}
+
+function displayTrendingTopics(topics) {
+    const container = document.getElementById('trendingTopics');
+    container.innerHTML = topics.map(topic => `
+        <button type="button" data-topic="${escapeHtml(topic.topic)}" onclick="selectTrendingTopic(this.dataset.topic)"
+            class="trending-topic flex items-center space-x-2 px-3 py-1 rounded-full border border-gray-300 text-sm text-gray-700 hover:border-blue-600"
+            title="${topic.count} articles, ${topic.spike}× the usual rate">
+            <span>${escapeHtml(topic.label)}</span>
+            ${formatSparkline(topic.sparkline)}
+        </button>
+    `).join('');
+    highlightTrendingTopic();
+}
+
+function highlightTrendingTopic() {
+    document.querySelectorAll('#trendingTopics .trending-topic').forEach(button => {
+        const selected = button.dataset.topic === selectedTrendingTopic;
+        button.classList.toggle('bg-blue-600', selected);
+        button.classList.toggle('text-white', selected);
+        button.classList.toggle('border-blue-600', selected);
+    });
+}
+
+async function selectTrendingTopic(topic) {
+    selectedTrendingTopic = topic;
+    highlightTrendingTopic();
+    await loadTrendingNews();
+}
+
+// Article counts over time as a small inline line chart
+function formatSparkline(points) {
+    if (!points || points.length < 2) return '';
+
+    const width = 48;
+    const height = 14;
+    const max = Math.max(...points, 1);
+    const coordinates = points.map((value, index) => {
+        const x = (index / (points.length - 1)) * width;
+        const y = height - (value / max) * (height - 2) - 1;
+        return `${x.toFixed(1)},${y.toFixed(1)}`;
+    }).join(' ');
+
+    return `
+        <svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" aria-hidden="true">
+            <polyline points="${coordinates}" fill="none" stroke="currentColor" stroke-width="1.5" />
+        </svg>
+    `;
+}
+
+async function searchNews() {
+    const query = document.getElementById('searchInput').value.trim();
+
+    if (!query) {
+        showToast('Please enter a search term', 'warning');
+        return;
+    }
+
+    if (!authToken) {
+        showToast('Please login to search news', 'warning');
+        return;
+    }
+
+    try {
+        const response = await authFetch(`${API_BASE}/news/search?q=${encodeURIComponent(query)}`);
+
+        const data = await response.json();
+        showUpstreamStatus(data);
+        if (response.ok) {
+            displaySearchResults(data.articles);
+        } else {
+            showToast(data.error || 'Search failed', 'error');
+        }
+    } catch (error) {
+        console.error('Search error:', error);
+        showToast('Search failed', 'error');
+    }
+}
+
+// News responses say when no provider can be reached; the stories shown are then the stored ones
+function showUpstreamStatus(data) {
+    if (typeof data.degraded !== 'boolean') return;
+
+    document.getElementById('degradedBanner').classList.toggle('hidden', !data.degraded);
+    document.getElementById('degradedMessage').textContent = data.stale_since
+        ? `Live news sources are unavailable right now. You're seeing stories saved up to ${new Date(data.stale_since).toLocaleString()}.`
+        : 'Live news sources are unavailable right now. You\'re seeing saved stories.';
+}
+
+// A local section per saved location, after the primary one
+function displayLocationSections(locations) {
+    locationSections = new Map(locations.map((location, index) => [location.name, `locationNews${index}`]));
+
+    document.getElementById('savedLocationSections').innerHTML = locations.map((location, index) => `
+        <div class="bg-white rounded-lg shadow">
+            <div class="p-4 border-b">
+                <h3 class="text-lg font-semibold text-gray-900 flex items-center">
+                    <i class="fas fa-map-marker-alt text-blue-600 mr-2"></i>
+                    ${escapeHtml(location.name)}
+                </h3>
+                <p class="text-xs text-gray-500">${escapeHtml(location.metro || location.label)}</p>
+            </div>
+            <div id="locationNews${index}" class="p-4"></div>
+        </div>
+    `).join('');
+
+    locations.forEach((location, index) => displayNews(`locationNews${index}`, location.articles));
+}
+
+function displayNews(containerId, articles) {
+    const container = document.getElementById(containerId);
+
+    if (!articles || articles.length === 0) {
+        container.innerHTML = '<p class="text-gray-500 text-center py-4">No news available</p>';
+        return;
+    }
+
+    const isGrid = containerId === 'trendingNews';
+    const maxArticles = isGrid ? 6 : 5;
+
+    articles.forEach(article => renderedArticles.set(article.id, article));
+
+    // Articles from the same story cluster share one card
+    const seenStories = new Set();
+    const cards = articles.filter(article =>
+        !article.story_id || (!seenStories.has(article.story_id) && seenStories.add(article.story_id))
+    );
+
+    container.innerHTML = cards.slice(0, maxArticles).map(article => renderArticleCard(article, isGrid)).join('');
+}
+
+function renderArticleCard(article, isGrid = false) {
+    return `
+        <div class="news-card card-hover p-4 ${isGrid ? '' : 'border-b border-gray-200 last:border-b-0'}">
+            ${article.image_url && isGrid ? `
+                <img src="${escapeHtml(article.image_url)}" alt="News image" class="w-full h-48 object-cover rounded-md mb-3">
+            ` : ''}
+            <h4 class="font-semibold text-gray-900 mb-2 ${isGrid ? 'text-lg' : 'text-sm'} line-clamp-2">
+                <a href="${escapeHtml(article.url)}" target="_blank" rel="noopener noreferrer" class="hover:text-blue-600"
+                    onclick="trackArticleOpen('${escapeHtml(article.id)}')">
+                    ${escapeHtml(article.title)}
+                </a>
+            </h4>
+            ${article.description ? `
+                <p class="text-gray-600 text-sm mb-2 line-clamp-2">${escapeHtml(article.description)}</p>
+            ` : ''}
+            ${formatAlternateSources(article.alternate_sources)}
+            ${formatStoryToggle(article.story)}
+            ${formatExplanation(article.explanation)}
+            <div class="flex items-center justify-between text-xs text-gray-500">
+                <span>
+                    ${escapeHtml(article.source_name)}
+                    ${article.paywall ? '<i class="fas fa-lock ml-1" title="May require a subscription"></i>' : ''}
+                </span>
+                <span class="flex items-center space-x-3">
+                    ${article.pinned ? '<i class="fas fa-thumbtack text-blue-600" title="Pinned"></i>' : ''}
+                    <span>${formatDate(article.published_at)}</span>
+                    ${readerButton(article.id)}
+                    ${bookmarkButton(article.id)}
+                </span>
+            </div>
+        </div>
+    `;
+}
+
+// Expandable coverage timeline for an article that is part of a larger story
+function formatStoryToggle(story) {
+    if (!story || !authToken) return '';
+
+    return `
+        <div class="mb-2">
+            <button type="button" onclick="toggleStoryTimeline(this, '${escapeHtml(story.id)}')"
+                class="text-xs text-blue-600 hover:text-blue-800">
+                <i class="fas fa-layer-group mr-1"></i>${story.article_count} articles from ${story.source_count} ${story.source_count === 1 ? 'source' : 'sources'}
+            </button>
+            <div class="hidden mt-2"></div>
+        </div>
+    `;
+}
+
+async function toggleStoryTimeline(button, storyId) {
+    const timeline = button.nextElementSibling;
+    if (!timeline.classList.toggle('hidden') && !timeline.dataset.loaded) {
+        timeline.innerHTML = '<p class="text-xs text-gray-500">Loading coverage...</p>';
+
+        try {
+            const response = await authFetch(`${API_BASE}/news/stories/${encodeURIComponent(storyId)}`);
+            const data = await response.json();
+            if (!response.ok) {
+                timeline.innerHTML = `<p class="text-xs text-red-600">${escapeHtml(data.error || 'Failed to load story')}</p>`;
+                return;
+            }
+
+            timeline.dataset.loaded = 'true';
+            timeline.innerHTML = `
+                <ol class="border-l-2 border-blue-100 ml-1 space-y-2">
+                    ${data.story.timeline.map(article => `
+                        <li class="ml-3">
+                            <p class="text-xs text-gray-500">${formatDate(article.published_at)} &middot; ${escapeHtml(article.source_name)}</p>
+                            <a href="${escapeHtml(article.url)}" target="_blank" rel="noopener noreferrer"
+                                onclick="trackArticleOpen('${escapeHtml(article.id)}')" class="text-sm text-gray-800 hover:text-blue-600">
+                                ${escapeHtml(article.title)}
+                            </a>
+                        </li>
+                    `).join('')}
+                </ol>
+            `;
+        } catch (error) {
+            console.error('Error loading story:', error);
+            timeline.innerHTML = '<p class="text-xs text-red-600">Failed to load story</p>';
+        }
+    }
+}
+
+// "Why am I seeing this?": the reasons the server gives for placing the article in the feed
+function formatExplanation(explanation) {
+    if (!explanation || explanation.length === 0) return '';
+
+    return `
+        <details class="text-xs text-gray-500 mb-2">
+            <summary class="cursor-pointer hover:text-blue-600">Why am I seeing this?</summary>
+            <ul class="mt-1 ml-4 list-disc">
+                ${explanation.map(reason => `<li>${escapeHtml(reason.text)}</li>`).join('')}
+            </ul>
+        </details>
+    `;
+}
+
+// Reading time is measured from opening an article in a new tab until the user comes back to this one
+function trackArticleOpen(articleId) {
+    if (!authToken) return;
+
+    // Opening another article before coming back counts the previous one as a read without reading time
+    if (openedArticle) recordRead(openedArticle.id, 0);
+    openedArticle = { id: articleId, openedAt: Date.now(), left: false };
+}
+
+function recordRead(articleId, readingTime) {
+    authFetch(`${API_BASE}/news/read`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ articleId, readingTime })
+    }).catch(error => console.error('Error tracking reading:', error));
+}
+
+document.addEventListener('visibilitychange', function () {
+    if (!openedArticle) return;
+
+    if (document.hidden) {
+        openedArticle.left = true;
+    } else if (openedArticle.left) {
+        // Capped so a tab left open overnight doesn't count as hours of reading
+        const readingTime = Math.min(Math.round((Date.now() - openedArticle.openedAt) / 1000), 30 * 60);
+        recordRead(openedArticle.id, readingTime);
+        openedArticle = null;
+    }
+});
+
+// Live updates: /api/news/stream pushes newly ingested articles for the user's feed as Server-Sent Events.
+// It is read with fetch rather than EventSource so the request can carry the Authorization header.
+async function connectNewsStream() {
+    if (newsStream || !authToken) return;
+
+    const controller = new AbortController();
+    newsStream = controller;
+
+    try {
+        const response = await authFetch(`${API_BASE}/news/stream`, {
+            headers: lastStreamEventId ? { 'Last-Event-ID': lastStreamEventId } : {},
+            signal: controller.signal
+        });
+        if (response.ok) {
+            await readEventStream(response.body, handleStreamEvent);
+        }
+    } catch (error) {
+        if (error.name !== 'AbortError') {
+            console.error('News stream error:', error);
+        }
+    }
+
+    // Disconnected on purpose (logout, session expired)
+    if (newsStream !== controller) return;
+
+    // The server also closes the stream when the access token expires; reconnect and resume
+    newsStream = null;
+    setTimeout(connectNewsStream, streamRetryDelay);
+}
+
+function disconnectNewsStream() {
+    if (newsStream) {
+        newsStream.abort();
+        newsStream = null;
+    }
+    lastStreamEventId = null;
+    pendingStories = [];
+    renderNewStoriesBanner();
+}
+
+async function readEventStream(body, onEvent) {
+    const reader = body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+    let event = { type: 'message', data: [] };
+
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) return;
+
+        buffer += value;
+        const lines = buffer.split(/\r?\n/);
+        buffer = lines.pop();
+
+        for (const line of lines) {
+            if (line === '') {
+                if (event.data.length > 0) onEvent(event.type, event.data.join('\n'));
+                event = { type: 'message', data: [] };
+                continue;
+            }
+            if (line.startsWith(':')) continue; // heartbeat
+
+            const separator = line.indexOf(':');
+            const field = separator === -1 ? line : line.slice(0, separator);
+            const fieldValue = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '');
+
+            if (field === 'event') event.type = fieldValue;
+            else if (field === 'data') event.data.push(fieldValue);
+            else if (field === 'id') lastStreamEventId = fieldValue;
+            else if (field === 'retry' && /^\d+$/.test(fieldValue)) streamRetryDelay = Number(fieldValue);
+        }
+    }
+}
+
+function handleStreamEvent(type, data) {
+    if (type === 'alert') {
+        handleWatchlistAlert(JSON.parse(data));
+        return;
+    }
+    if (type !== 'articles') return;
+
+    const { articles } = JSON.parse(data);
+    const fresh = articles.filter(article =>
+        streamContainerId(article) &&
+        !renderedArticles.has(article.id) &&
+        !pendingStories.some(pending => pending.id === article.id)
+    );
+    if (fresh.length === 0) return;
+
+    pendingStories.push(...fresh);
+    renderNewStoriesBanner();
+}
+
+function streamContainerId(article) {
+    return article.section === 'location' ? locationSections.get(article.location) : STREAM_SECTIONS[article.section];
+}
+
+function renderNewStoriesBanner() {
+    const banner = document.getElementById('newStoriesBanner');
+    if (pendingStories.length === 0) {
+        banner.classList.add('hidden');
+        return;
+    }
+
+    document.getElementById('newStoriesCount').textContent =
+        `${pendingStories.length} new ${pendingStories.length === 1 ? 'story' : 'stories'}`;
+    banner.classList.remove('hidden');
+}
+
+// Prepend the waiting stories to their sections instead of reloading the whole dashboard
+function showNewStories() {
+    // Oldest first, so the newest ends up on top
+    for (const article of pendingStories) {
+        const container = document.getElementById(streamContainerId(article));
+        if (!container.querySelector('.news-card')) {
+            container.innerHTML = '';
+        }
+        renderedArticles.set(article.id, article);
+        container.insertAdjacentHTML('afterbegin', renderArticleCard(article));
+        container.firstElementChild.classList.add('bg-blue-50');
+    }
+
+    pendingStories = [];
+    renderNewStoriesBanner();
+    document.getElementById('newsDashboard').scrollIntoView({ behavior: 'smooth' });
+}
+
+function formatAlternateSources(sources) {
+    if (!sources || sources.length === 0) return '';
+
+    const links = sources.slice(0, 3).map(source => `
+        <a href="${escapeHtml(source.url)}" target="_blank" rel="noopener noreferrer" class="hover:text-blue-600">${escapeHtml(source.name)}</a>
+    `.trim()).join(', ');
+    const more = sources.length > 3 ? ` and ${sources.length - 3} more` : '';
+
+    return `<p class="text-xs text-gray-500 mb-2">Also reported by ${links}${more}</p>`;
+}
+
+function displaySearchResults(articles) {
+    const container = document.getElementById('searchResults');
+
+    if (!articles || articles.length === 0) {
+        container.innerHTML = '<p class="text-gray-500 text-center py-4">No search results found</p>';
+        return;
+    }
+
+    const resultsHtml = `
+        <h4 class="font-semibold text-gray-900 mb-4">Search Results (${articles.length})</h4>
+        <div class="space-y-4">
+            ${articles.slice(0, 10).map(article => {
+        renderedArticles.set(article.id, article);
+        return `
+                <div class="news-card card-hover p-4 border border-gray-200 rounded-lg">
+                    <h5 class="font-semibold text-gray-900 mb-2">
+                        <a href="${escapeHtml(article.url)}" target="_blank" rel="noopener noreferrer" class="hover:text-blue-600"
+                            onclick="trackArticleOpen('${escapeHtml(article.id)}')">
+                            ${renderHighlight(article.highlights?.title || article.title)}
+                        </a>
+                    </h5>
+                    ${article.description ? `
+                        <p class="text-gray-600 text-sm mb-2">${renderHighlight(article.highlights?.description || article.description)}</p>
+                    ` : ''}
+                    <div class="flex items-center justify-between text-xs text-gray-500">
+                        <span>${escapeHtml(article.source_name)}</span>
+                        <span>Relevance: ${article.relevance_score}/10</span>
+                        <span class="flex items-center space-x-3">
+                            <span>${formatDate(article.published_at)}</span>
+                            ${readerButton(article.id)}
+                            ${bookmarkButton(article.id)}
+                        </span>
+                    </div>
+                </div>
+            `;
+    }).join('')}
+        </div>
+    `;
+
+    container.innerHTML = resultsHtml;
+}
+
+// Bookmarks
+function bookmarkButton(articleId) {
+    const saved = bookmarkedArticles.has(articleId);
+    return `
+        <button type="button" data-bookmark-article="${escapeHtml(articleId)}" onclick="toggleBookmark('${escapeHtml(articleId)}')"
+            class="text-base ${saved ? 'text-blue-600' : 'text-gray-400'} hover:text-blue-600" title="${saved ? 'Remove bookmark' : 'Save article'}">
+            <i class="${saved ? 'fas' : 'far'} fa-bookmark"></i>
+        </button>
+    `;
+}
+
+function readerButton(articleId) {
+    if (!authToken) return '';
+
+    return `
+        <button type="button" onclick="openReader('${escapeHtml(articleId)}')"
+            class="text-base text-gray-400 hover:text-blue-600" title="Read in reader view">
+            <i class="fas fa-book-open"></i>
+        </button>
+    `;
+}
+
+// Distraction-free view of the article's extracted text; falls back to a link when extraction fails
+async function openReader(articleId) {
+    const body = document.getElementById('readerBody');
+
+    if (openedArticle) {
+        recordRead(openedArticle.id, 0);
+        openedArticle = null;
+    }
+    readerArticle = { id: articleId, openedAt: Date.now() };
+    body.innerHTML = '<div class="loading-spinner mx-auto my-12"></div>';
+    showModal('readerModal');
+
+    try {
+        const response = await authFetch(`${API_BASE}/news/articles/${encodeURIComponent(articleId)}/content`);
+        const data = await response.json();
+
+        // Closed, or another article opened, while this one loaded
+        if (readerArticle?.id !== articleId) return;
+
+        if (!response.ok) {
+            // Nothing was read here; opening the original is tracked as usual
+            readerArticle = null;
+            const url = data.url || renderedArticles.get(articleId)?.url;
+            body.innerHTML = `
+                <p class="text-gray-600 mb-4">${escapeHtml(data.error || 'This article could not be loaded in the reader.')}</p>
+                ${url ? `<a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer" class="text-blue-600 hover:text-blue-800"
+                    onclick="closeReader(); trackArticleOpen('${escapeHtml(articleId)}')">Read it on the publisher's site</a>` : ''}
+            `;
+            return;
+        }
+
+        const content = data.content;
+        body.innerHTML = `
+            <p class="text-sm text-gray-500 mb-2">
+                ${escapeHtml(content.sourceName)} &middot; ${formatDate(content.publishedAt)} &middot; ${content.readingTimeMinutes} min read
+            </p>
+            <h2 class="text-3xl font-bold text-gray-900 mb-2">${escapeHtml(content.title)}</h2>
+            ${content.byline ? `<p class="text-gray-600 mb-6">By ${escapeHtml(content.byline)}</p>` : ''}
+            ${content.imageUrl ? `<img src="${escapeHtml(content.imageUrl)}" alt="" class="w-full rounded-md mb-6">` : ''}
+            <div class="reader-content">${content.html}</div>
+            <div class="mt-8 pt-4 border-t border-gray-200 flex items-center justify-between text-sm">
+                <a href="${escapeHtml(content.canonicalUrl)}" target="_blank" rel="noopener noreferrer" class="text-blue-600 hover:text-blue-800">
+                    Open original <i class="fas fa-external-link-alt ml-1"></i>
+                </a>
+                ${bookmarkButton(articleId)}
+            </div>
+        `;
+    } catch (error) {
+        console.error('Error loading article content:', error);
+        body.innerHTML = '<p class="text-red-600">Failed to load the article</p>';
+    }
+}
+
+function closeReader() {
+    if (readerArticle) {
+        // Capped so a reader left open overnight doesn't count as hours of reading
+        const readingTime = Math.min(Math.round((Date.now() - readerArticle.openedAt) / 1000), 30 * 60);
+        recordRead(readerArticle.id, readingTime);
+        readerArticle = null;
+    }
+    hideModal('readerModal');
+}
+
+function updateBookmarkButtons() {
+    document.querySelectorAll('[data-bookmark-article]').forEach(button => {
+        button.outerHTML = bookmarkButton(button.dataset.bookmarkArticle).trim();
+    });
+}
+
+async function toggleBookmark(articleId) {
+    if (!authToken) {
+        showToast('Please login to save articles', 'warning');
+        return;
+    }
+
+    try {
+        const bookmarkId = bookmarkedArticles.get(articleId);
+        if (bookmarkId) {
+            await removeBookmark(bookmarkId);
+            return;
+        }
+
+        const article = renderedArticles.get(articleId) || {};
+        const response = await authFetch(`${API_BASE}/news/bookmark`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                articleId,
+                title: article.title,
+                url: article.url,
+                description: article.description,
+                imageUrl: article.image_url,
+                source: article.source_name,
+                publishedAt: article.published_at
+            })
+        });
+
+        const data = await response.json();
+        if (response.ok) {
+            bookmarkedArticles.set(articleId, data.bookmarkId);
+            updateBookmarkButtons();
+            loadSavedArticles();
+            showToast('Article saved', 'success');
+        } else {
+            showToast(data.error || 'Failed to save article', 'error');
+        }
+    } catch (error) {
+        console.error('Bookmark error:', error);
+        showToast('Failed to save article', 'error');
+    }
+}
+
+async function removeBookmark(bookmarkId) {
+    try {
+        const response = await authFetch(`${API_BASE}/news/bookmark/${encodeURIComponent(bookmarkId)}`, {
+            method: 'DELETE'
+        });
+
+        if (response.ok) {
+            for (const [articleId, id] of bookmarkedArticles) {
+                if (id === bookmarkId) bookmarkedArticles.delete(articleId);
+            }
+            updateBookmarkButtons();
+            loadSavedArticles();
+            showToast('Bookmark removed', 'success');
+        } else {
+            showToast('Failed to remove bookmark', 'error');
+        }
+    } catch (error) {
+        console.error('Remove bookmark error:', error);
+        showToast('Failed to remove bookmark', 'error');
+    }
+}
+
+// Loads which articles are saved (for the card buttons), the folder list and the saved view
+async function loadBookmarks() {
+    if (!authToken) return;
+
+    try {
+        const [bookmarksResponse, foldersResponse] = await Promise.all([
+            authFetch(`${API_BASE}/news/bookmarks?limit=200`),
+            authFetch(`${API_BASE}/news/bookmarks/folders`)
+        ]);
+
+        if (bookmarksResponse.ok) {
+            const data = await bookmarksResponse.json();
+            bookmarkedArticles.clear();
+            data.bookmarks.forEach(bookmark => bookmarkedArticles.set(bookmark.article_id, bookmark.id));
+            updateBookmarkButtons();
+        }
+        if (foldersResponse.ok) {
+            const data = await foldersResponse.json();
+            bookmarkFolders = data.folders;
+            renderFolderOptions();
+        }
+    } catch (error) {
+        console.error('Error loading bookmarks:', error);
+    }
+
+    loadSavedArticles();
+}
+
+function renderFolderOptions() {
+    const filter = document.getElementById('savedFolderFilter');
+    const selected = filter.value;
+    filter.innerHTML = `
+        <option value="">All folders</option>
+        <option value="none">Unfiled</option>
+        ${bookmarkFolders.map(folder => `
+            <option value="${escapeHtml(folder.id)}">${escapeHtml(folder.name)} (${folder.bookmark_count})</option>
+        `).join('')}
+    `;
+    filter.value = [...filter.options].some(option => option.value === selected) ? selected : '';
+
+    document.getElementById('bookmarkFolder').innerHTML = `
+        <option value="">No folder</option>
+        ${bookmarkFolders.map(folder => `
+            <option value="${escapeHtml(folder.id)}">${escapeHtml(folder.name)}</option>
+        `).join('')}
+    `;
+}
+
+async function loadSavedArticles() {
+    if (!authToken) return;
 
-    // Add enter key listener for search
-    document.getElementById('searchInput').addEventListener('keypress', function (e) {
-        if (e.key === 'Enter') {
-            searchNews();
-        }
-    });
-});
+    const params = new URLSearchParams({ sort: document.getElementById('savedSort').value });
+    const folder = document.getElementById('savedFolderFilter').value;
+    const tag = document.getElementById('savedTagFilter').value.trim();
+    const read = document.getElementById('savedReadFilter').value;
+    if (folder) params.set('folder', folder);
+    if (tag) params.set('tag', tag);
+    if (read) params.set('read', read);
 
-// Authentication functions
-async function checkAuthStatus() {
-    const token = localStorage.getItem('authToken');
-    if (token) {
-        try {
-            const response = await fetch(`${API_BASE}/auth/verify`, {
-                headers: {
-                    'Authorization': `Bearer ${token}`
-                }
-            });
+    try {
+        const response = await authFetch(`${API_BASE}/news/bookmarks?${params}`);
 
-            if (response.ok) {
-                const data = await response.json();
-                currentUser = data.user;
-                authToken = token;
-                showAuthenticatedUI();
-                loadPersonalizedNews();
-            } else {
-                localStorage.removeItem('authToken');
-                showUnauthenticatedUI();
-            }
-        } catch (error) {
-            console.error('Auth check failed:', error);
-            localStorage.removeItem('authToken');
-            showUnauthenticatedUI();
+        if (response.ok) {
+            const data = await response.json();
+            displaySavedArticles(data.bookmarks);
+        } else {
+            showToast('Failed to load saved articles', 'error');
         }
-    } else {
-        showUnauthenticatedUI();
+    } catch (error) {
+        console.error('Error loading saved articles:', error);
     }
 }
 
-function showAuthenticatedUI() {
-    document.getElementById('authButtons').style.display = 'none';
-    document.getElementById('userMenu').classList.remove('hidden');
-    document.getElementById('userName').textContent = `${currentUser.firstName} ${currentUser.lastName}`;
-    document.getElementById('welcomeSection').style.display = 'none';
-    document.getElementById('newsDashboard').classList.remove('hidden');
+function displaySavedArticles(bookmarks) {
+    const container = document.getElementById('savedArticles');
 
-    const userWelcome = document.getElementById('userWelcome');
-    const userLocation = document.getElementById('userLocation');
+    if (!bookmarks || bookmarks.length === 0) {
+        container.innerHTML = '<p class="text-gray-500 text-center py-4">No saved articles</p>';
+        return;
+    }
 
-    userWelcome.textContent = `Welcome back, ${currentUser.firstName}!`;
-    userLocation.textContent = `${currentUser.city || 'Unknown'}, ${currentUser.state || 'Unknown'} • ${currentUser.careerField || 'Professional'}`;
+    container.innerHTML = bookmarks.map(bookmark => `
+        <div class="p-4 border border-gray-200 rounded-lg ${bookmark.is_read ? 'bg-gray-50' : ''}">
+            <div class="flex items-start justify-between">
+                <h5 class="font-semibold ${bookmark.is_read ? 'text-gray-500' : 'text-gray-900'} mb-1">
+                    <a href="${escapeHtml(bookmark.url)}" target="_blank" rel="noopener noreferrer" class="hover:text-blue-600">
+                        ${escapeHtml(bookmark.title || 'Untitled article')}
+                    </a>
+                </h5>
+                <div class="flex space-x-3 text-gray-400 ml-4">
+                    <button type="button" onclick="setBookmarkRead('${escapeHtml(bookmark.id)}', ${!bookmark.is_read})" class="hover:text-blue-600"
+                        title="${bookmark.is_read ? 'Mark as unread' : 'Mark as read'}">
+                        <i class="fas ${bookmark.is_read ? 'fa-envelope' : 'fa-envelope-open'}"></i>
+                    </button>
+                    <button type="button" onclick="editBookmark('${escapeHtml(bookmark.id)}')" class="hover:text-blue-600" title="Edit">
+                        <i class="fas fa-pen"></i>
+                    </button>
+                    <button type="button" onclick="removeBookmark('${escapeHtml(bookmark.id)}')" class="hover:text-red-600" title="Remove">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+            </div>
+            ${bookmark.note ? `<p class="text-gray-600 text-sm italic mb-2">${escapeHtml(bookmark.note)}</p>` : ''}
+            <div class="flex flex-wrap items-center gap-2 text-xs text-gray-500">
+                <span>${escapeHtml(bookmark.source_name)}</span>
+                ${bookmark.folder_name ? `<span><i class="fas fa-folder mr-1"></i>${escapeHtml(bookmark.folder_name)}</span>` : ''}
+                ${bookmark.tags.map(tag => `
+                    <button type="button" onclick="filterSavedByTag(this.dataset.tag)" data-tag="${escapeHtml(tag)}"
+                        class="bg-blue-50 text-blue-700 px-2 py-0.5 rounded">#${escapeHtml(tag)}</button>
+                `).join('')}
+                <span class="ml-auto">Saved ${formatDate(bookmark.bookmarked_at)}</span>
+            </div>
+        </div>
+    `).join('');
+
+    savedBookmarks = new Map(bookmarks.map(bookmark => [bookmark.id, bookmark]));
 }
 
-function showUnauthenticatedUI() {
-    document.getElementById('authButtons').style.display = 'flex';
-    document.getElementById('userMenu').classList.add('hidden');
-    document.getElementById('welcomeSection').style.display = 'block';
-    document.getElementById('newsDashboard').classList.add('hidden');
+function filterSavedByTag(tag) {
+    document.getElementById('savedTagFilter').value = tag;
+    loadSavedArticles();
 }
 
-async function register(event) {
+async function updateBookmark(bookmarkId, changes) {
+    const response = await authFetch(`${API_BASE}/news/bookmark/${encodeURIComponent(bookmarkId)}`, {
+        method: 'PATCH',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(changes)
+    });
+
+    const data = await response.json();
+    if (!response.ok) {
+        throw new Error(data.error || 'Failed to update bookmark');
+    }
+    return data.bookmark;
+}
+
+async function setBookmarkRead(bookmarkId, isRead) {
+    try {
+        await updateBookmark(bookmarkId, { isRead });
+        loadSavedArticles();
+    } catch (error) {
+        console.error('Update bookmark error:', error);
+        showToast(error.message, 'error');
+    }
+}
+
+function editBookmark(bookmarkId) {
+    const bookmark = savedBookmarks.get(bookmarkId);
+    if (!bookmark) return;
+
+    showModal('bookmarkModal');
+    document.getElementById('bookmarkId').value = bookmark.id;
+    document.getElementById('bookmarkFolder').value = bookmark.folder_id || '';
+    document.getElementById('bookmarkTags').value = bookmark.tags.join(', ');
+    document.getElementById('bookmarkNote').value = bookmark.note || '';
+}
+
+async function saveBookmarkDetails(event) {
     event.preventDefault();
 
-    const formData = {
-        firstName: document.getElementById('firstName').value,
-        lastName: document.getElementById('lastName').value,
-        email: document.getElementById('email').value,
-        password: document.getElementById('password').value,
-        careerField: document.getElementById('careerField').value,
-        city: document.getElementById('city').value,
-        state: document.getElementById('state').value,
-        country: document.getElementById('country').value
-    };
+    try {
+        await updateBookmark(document.getElementById('bookmarkId').value, {
+            folderId: document.getElementById('bookmarkFolder').value || null,
+            tags: document.getElementById('bookmarkTags').value.split(','),
+            note: document.getElementById('bookmarkNote').value
+        });
+        hideModal('bookmarkModal');
+        loadBookmarks();
+        showToast('Bookmark updated', 'success');
+    } catch (error) {
+        console.error('Update bookmark error:', error);
+        showToast(error.message, 'error');
+    }
+}
+
+async function createBookmarkFolder() {
+    const name = prompt('Folder name');
+    if (!name || !name.trim()) return;
 
     try {
-        const response = await fetch(`${API_BASE}/auth/register`, {
+        const response = await authFetch(`${API_BASE}/news/bookmarks/folders`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
             },
-            body: JSON.stringify(formData)
+            body: JSON.stringify({ name })
         });
 
         const data = await response.json();
-
         if (response.ok) {
-            localStorage.setItem('authToken', data.token);
-            currentUser = data.user;
-            authToken = data.token;
-            hideModal('registerModal');
-            showAuthenticatedUI();
-            loadPersonalizedNews();
-            showToast('Registration successful!', 'success');
+            loadBookmarks();
+            showToast('Folder created', 'success');
         } else {
-            showToast(data.error || 'Registration failed', 'error');
+            showToast(data.error || 'Failed to create folder', 'error');
         }
     } catch (error) {
-        console.error('Registration error:', error);
-        showToast('Registration failed. Please try again.', 'error');
+        console.error('Create folder error:', error);
+        showToast('Failed to create folder', 'error');
     }
 }
 
-async function login(event) {
-    event.preventDefault();
+function showSavedArticles() {
+    document.getElementById('savedSection').scrollIntoView({ behavior: 'smooth' });
+}
 
-    const email = document.getElementById('loginEmail').value;
-    const password = document.getElementById('loginPassword').value;
+// Watchlists and keyword alerts
+async function showWatchlists() {
+    resetWatchlistForm();
+    document.getElementById('watchlistArticles').classList.add('hidden');
+    showModal('watchlistModal');
+    await Promise.all([loadWatchlists(), loadAlerts()]);
+}
+
+async function loadWatchlists() {
+    const container = document.getElementById('watchlistList');
 
     try {
-        const response = await fetch(`${API_BASE}/auth/login`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({ email, password })
-        });
+        const response = await authFetch(`${API_BASE}/user/watchlists`);
+        if (!response.ok) {
+            container.innerHTML = '<p class="text-gray-500 text-center py-4">Failed to load watchlists</p>';
+            return;
+        }
 
         const data = await response.json();
+        watchlists = new Map(data.watchlists.map(watchlist => [watchlist.id, watchlist]));
 
-        if (response.ok) {
-            localStorage.setItem('authToken', data.token);
-            currentUser = data.user;
-            authToken = data.token;
-            hideModal('loginModal');
-            showAuthenticatedUI();
-            loadPersonalizedNews();
-            showToast('Login successful!', 'success');
-        } else {
-            showToast(data.error || 'Login failed', 'error');
+        if (data.watchlists.length === 0) {
+            container.innerHTML = '<p class="text-gray-500 text-center py-4">No watchlists yet. Create one below.</p>';
+            return;
         }
+
+        container.innerHTML = data.watchlists.map(watchlist => `
+            <div class="py-3 border-b border-gray-200 last:border-b-0">
+                <div class="flex items-center justify-between">
+                    <button type="button" onclick="showWatchlistArticles('${escapeHtml(watchlist.id)}')"
+                        class="font-medium text-gray-900 hover:text-blue-600 text-left">
+                        ${escapeHtml(watchlist.name)}
+                        ${watchlist.unreadCount > 0 ? `<span class="ml-2 text-xs bg-red-100 text-red-700 px-2 py-0.5 rounded">${watchlist.unreadCount} new</span>` : ''}
+                    </button>
+                    <div class="flex space-x-3 text-gray-400">
+                        <button type="button" onclick="editWatchlist('${escapeHtml(watchlist.id)}')" class="hover:text-blue-600" title="Edit">
+                            <i class="fas fa-pen"></i>
+                        </button>
+                        <button type="button" onclick="deleteWatchlist('${escapeHtml(watchlist.id)}')" class="hover:text-red-600" title="Delete">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    </div>
+                </div>
+                <div class="flex flex-wrap items-center gap-2 text-xs text-gray-500 mt-1">
+                    <span>${watchlist.matchMode === 'all' ? 'All of' : 'Any of'}</span>
+                    ${watchlist.keywords.map(keyword => `<span class="bg-blue-50 text-blue-700 px-2 py-0.5 rounded">${escapeHtml(keyword)}</span>`).join('')}
+                    ${watchlist.excludeTerms.map(term => `<span class="bg-gray-100 text-gray-600 px-2 py-0.5 rounded line-through">${escapeHtml(term)}</span>`).join('')}
+                    <span class="ml-auto">${watchlist.matchCount} ${watchlist.matchCount === 1 ? 'match' : 'matches'}</span>
+                </div>
+            </div>
+        `).join('');
     } catch (error) {
-        console.error('Login error:', error);
-        showToast('Login failed. Please try again.', 'error');
+        console.error('Error loading watchlists:', error);
+        container.innerHTML = '<p class="text-gray-500 text-center py-4">Failed to load watchlists</p>';
     }
 }
 
-async function logout() {
+async function showWatchlistArticles(watchlistId) {
+    const container = document.getElementById('watchlistArticles');
+    container.classList.remove('hidden');
+    container.innerHTML = '<div class="loading-spinner mx-auto"></div>';
+
     try {
-        if (authToken) {
-            await fetch(`${API_BASE}/auth/logout`, {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${authToken}`
-                }
-            });
+        const response = await authFetch(`${API_BASE}/user/watchlists/${encodeURIComponent(watchlistId)}/articles`);
+        const data = await response.json();
+        if (!response.ok) {
+            container.innerHTML = `<p class="text-gray-500 text-center py-4">${escapeHtml(data.error || 'Failed to load articles')}</p>`;
+            return;
         }
+
+        container.innerHTML = `
+            <h4 class="font-semibold text-gray-900 mb-2">Matches for ${escapeHtml(data.watchlist.name)}</h4>
+            ${data.articles.length === 0
+                ? '<p class="text-gray-500 text-center py-4">No matching articles yet</p>'
+                : data.articles.map(article => `
+                    <div class="py-2 border-b border-gray-200 last:border-b-0">
+                        <a href="${escapeHtml(article.url)}" target="_blank" rel="noopener noreferrer"
+                            class="text-sm font-medium ${article.unread ? 'text-gray-900' : 'text-gray-500'} hover:text-blue-600">
+                            ${escapeHtml(article.title)}
+                        </a>
+                        <p class="text-xs text-gray-500">
+                            ${escapeHtml(article.source_name)} • ${formatDate(article.published_at)} • ${article.matched_terms.map(escapeHtml).join(', ')}
+                        </p>
+                    </div>
+                `).join('')}
+        `;
     } catch (error) {
-        console.error('Logout error:', error);
+        console.error('Error loading watchlist articles:', error);
+        container.innerHTML = '<p class="text-gray-500 text-center py-4">Failed to load articles</p>';
     }
+}
 
-    localStorage.removeItem('authToken');
-    currentUser = null;
-    authToken = null;
-    showUnauthenticatedUI();
-    showToast('Logged out successfully', 'success');
+function splitTerms(value) {
+    return value.split(',').map(term => term.trim()).filter(Boolean);
 }
 
-// News functions
-async function loadPersonalizedNews() {
-    if (!authToken) return;
+function resetWatchlistForm() {
+    document.getElementById('watchlistForm').reset();
+    document.getElementById('watchlistId').value = '';
+    document.getElementById('watchlistFormTitle').textContent = 'New watchlist';
+}
+
+function editWatchlist(watchlistId) {
+    const watchlist = watchlists.get(watchlistId);
+    if (!watchlist) return;
+
+    document.getElementById('watchlistId').value = watchlist.id;
+    document.getElementById('watchlistName').value = watchlist.name;
+    document.getElementById('watchlistKeywords').value = watchlist.keywords.join(', ');
+    document.getElementById('watchlistMatchMode').value = watchlist.matchMode;
+    document.getElementById('watchlistExclude').value = watchlist.excludeTerms.join(', ');
+    document.getElementById('watchlistEmailAlerts').checked = watchlist.emailAlerts;
+    document.getElementById('watchlistFormTitle').textContent = `Edit ${watchlist.name}`;
+    document.getElementById('watchlistName').focus();
+}
+
+async function saveWatchlist(event) {
+    event.preventDefault();
+
+    const watchlistId = document.getElementById('watchlistId').value;
+    const url = watchlistId
+        ? `${API_BASE}/user/watchlists/${encodeURIComponent(watchlistId)}`
+        : `${API_BASE}/user/watchlists`;
 
     try {
-        const response = await fetch(`${API_BASE}/news/personalized`, {
-            headers: {
-                'Authorization': `Bearer ${authToken}`
-            }
+        const response = await authFetch(url, {
+            method: watchlistId ? 'PUT' : 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                name: document.getElementById('watchlistName').value,
+                keywords: splitTerms(document.getElementById('watchlistKeywords').value),
+                matchMode: document.getElementById('watchlistMatchMode').value,
+                excludeTerms: splitTerms(document.getElementById('watchlistExclude').value),
+                emailAlerts: document.getElementById('watchlistEmailAlerts').checked
+            })
         });
 
+        const data = await response.json();
         if (response.ok) {
-            const data = await response.json();
-            displayNews('localNews', data.news.local);
-            displayNews('industryNews', data.news.industry);
-            displayNews('globalNews', data.news.global);
+            resetWatchlistForm();
+            await loadWatchlists();
+            showToast(watchlistId ? 'Watchlist updated' : 'Watchlist created', 'success');
         } else {
-            console.error('Failed to load personalized news');
-            showToast('Failed to load personalized news', 'error');
+            showToast(data.error || 'Failed to save watchlist', 'error');
         }
     } catch (error) {
-        console.error('Error loading personalized news:', error);
-        showToast('Error loading news', 'error');
+        console.error('Error saving watchlist:', error);
+        showToast('Failed to save watchlist', 'error');
     }
 }
 
-async function loadTrendingNews() {
+async function deleteWatchlist(watchlistId) {
+    const watchlist = watchlists.get(watchlistId);
+    if (!watchlist || !confirm(`Delete the "${watchlist.name}" watchlist?`)) return;
+
     try {
-        const response = await fetch(`${API_BASE}/news/trending`);
+        const response = await authFetch(`${API_BASE}/user/watchlists/${encodeURIComponent(watchlistId)}`, {
+            method: 'DELETE'
+        });
 
         if (response.ok) {
-            const data = await response.json();
-            displayNews('trendingNews', data.articles);
+            document.getElementById('watchlistArticles').classList.add('hidden');
+            await Promise.all([loadWatchlists(), loadAlerts()]);
+            showToast('Watchlist deleted', 'success');
         } else {
-            console.error('Failed to load trending news');
+            showToast('Failed to delete watchlist', 'error');
         }
     } catch (error) {
-        console.error('Error loading trending news:', error);
+        console.error('Error deleting watchlist:', error);
+        showToast('Failed to delete watchlist', 'error');
     }
 }
 
-async function searchNews() {
-    const query = document.getElementById('searchInput').value.trim();
+async function loadAlerts() {
+    try {
+        const response = await authFetch(`${API_BASE}/user/alerts`);
+        if (!response.ok) return;
 
-    if (!query) {
-        showToast('Please enter a search term', 'warning');
-        return;
+        const data = await response.json();
+        renderAlertBadge(data.unreadCount);
+
+        document.getElementById('alertList').innerHTML = data.alerts.length === 0
+            ? '<p class="text-gray-500 text-center py-4">No new matches</p>'
+            : data.alerts.map(alert => `
+                <div class="py-2 border-b border-gray-200 last:border-b-0">
+                    <a href="${escapeHtml(alert.article.url)}" target="_blank" rel="noopener noreferrer"
+                        onclick="markAlertsRead({ watchlistId: '${escapeHtml(alert.watchlistId)}', articleId: '${escapeHtml(alert.article.id)}' })"
+                        class="text-sm font-medium text-gray-900 hover:text-blue-600">
+                        ${escapeHtml(alert.article.title)}
+                    </a>
+                    <p class="text-xs text-gray-500">
+                        ${escapeHtml(alert.watchlistName)} • ${alert.matchedTerms.map(escapeHtml).join(', ')} • ${formatDate(alert.matchedAt)}
+                    </p>
+                </div>
+            `).join('');
+    } catch (error) {
+        console.error('Error loading alerts:', error);
     }
+}
 
-    if (!authToken) {
-        showToast('Please login to search news', 'warning');
-        return;
-    }
+function renderAlertBadge(count) {
+    const badge = document.getElementById('alertBadge');
+    badge.textContent = count > 99 ? '99+' : count;
+    badge.classList.toggle('hidden', count === 0);
+}
 
+async function markAlertsRead(filter = {}) {
     try {
-        const response = await fetch(`${API_BASE}/news/search?q=${encodeURIComponent(query)}`, {
-            headers: {
-                'Authorization': `Bearer ${authToken}`
-            }
+        const response = await authFetch(`${API_BASE}/user/alerts/read`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(filter)
         });
 
         if (response.ok) {
-            const data = await response.json();
-            displaySearchResults(data.articles);
-        } else {
-            showToast('Search failed', 'error');
+            await loadAlerts();
+            if (document.getElementById('watchlistModal').classList.contains('active')) {
+                await loadWatchlists();
+            }
         }
     } catch (error) {
-        console.error('Search error:', error);
-        showToast('Search failed', 'error');
-    }
-}
-
-function displayNews(containerId, articles) {
-    const container = document.getElementById(containerId);
-
-    if (!articles || articles.length === 0) {
-        container.innerHTML = '<p class="text-gray-500 text-center py-4">No news available</p>';
-        return;
-    }
-
-    const isGrid = containerId === 'trendingNews';
-    const maxArticles = isGrid ? 6 : 5;
-
-    const newsHtml = articles.slice(0, maxArticles).map(article => `
-        <div class="news-card card-hover p-4 ${isGrid ? '' : 'border-b border-gray-200 last:border-b-0'}">
-            ${article.image_url && isGrid ? `
-                <img src="${escapeHtml(article.image_url)}" alt="News image" class="w-full h-48 object-cover rounded-md mb-3">
-            ` : ''}
-            <h4 class="font-semibold text-gray-900 mb-2 ${isGrid ? 'text-lg' : 'text-sm'} line-clamp-2">
-                <a href="${escapeHtml(article.url)}" target="_blank" rel="noopener noreferrer" class="hover:text-blue-600">
-                    ${escapeHtml(article.title)}
-                </a>
-            </h4>
-            ${article.description ? `
-                <p class="text-gray-600 text-sm mb-2 line-clamp-2">${escapeHtml(article.description)}</p>
-            ` : ''}
-            <div class="flex items-center justify-between text-xs text-gray-500">
-                <span>${escapeHtml(article.source_name)}</span>
-                <span>${formatDate(article.published_at)}</span>
-            </div>
-        </div>
-    `).join('');
-
-    if (isGrid) {
-        container.innerHTML = newsHtml;
-    } else {
-        container.innerHTML = newsHtml;
+        console.error('Error marking alerts read:', error);
     }
 }
 
-function displaySearchResults(articles) {
-    const container = document.getElementById('searchResults');
-
-    if (!articles || articles.length === 0) {
-        container.innerHTML = '<p class="text-gray-500 text-center py-4">No search results found</p>';
-        return;
-    }
-
-    const resultsHtml = `
-        <h4 class="font-semibold text-gray-900 mb-4">Search Results (${articles.length})</h4>
-        <div class="space-y-4">
-            ${articles.slice(0, 10).map(article => `
-                <div class="news-card card-hover p-4 border border-gray-200 rounded-lg">
-                    <h5 class="font-semibold text-gray-900 mb-2">
-                        <a href="${escapeHtml(article.url)}" target="_blank" rel="noopener noreferrer" class="hover:text-blue-600">
-                            ${escapeHtml(article.title)}
-                        </a>
-                    </h5>
-                    ${article.description ? `
-                        <p class="text-gray-600 text-sm mb-2">${escapeHtml(article.description)}</p>
-                    ` : ''}
-                    <div class="flex items-center justify-between text-xs text-gray-500">
-                        <span>${escapeHtml(article.source_name)}</span>
-                        <span>Relevance: ${article.relevance_score}/10</span>
-                        <span>${formatDate(article.published_at)}</span>
-                    </div>
-                </div>
-            `).join('')}
-        </div>
-    `;
+// Pushed over the news stream when ingestion finds a new match; one run can raise many at once
+let alertRefreshTimer = null;
 
-    container.innerHTML = resultsHtml;
+function handleWatchlistAlert(alert) {
+    showToast(`${alert.watchlistName}: ${alert.article.title}`, 'info');
+    clearTimeout(alertRefreshTimer);
+    alertRefreshTimer = setTimeout(loadAlerts, 1000);
 }
 
 async function refreshNews() {
@@ -407,11 +2237,22 @@ function showToast(message, type = 'info') {
 }
 
 // Utility functions
+// Safe in element content and in quoted attributes such as href and src
 function escapeHtml(text) {
     if (!text) return '';
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Search snippets mark matches with <mark>; everything else is escaped
+function renderHighlight(text) {
+    return escapeHtml(text)
+        .replace(/&lt;mark&gt;/g, '<mark class="bg-yellow-200">')
+        .replace(/&lt;\/mark&gt;/g, '</mark>');
 }
 
 function formatDate(dateString) {
@@ -524,14 +2365,6 @@ window.addEventListener('unhandledrejection', function (event) {
     event.preventDefault();
 });
 
-// Auto-refresh news every 30 minutes for authenticated users
-setInterval(() => {
-    if (authToken && currentUser) {
-        console.log('Auto-refreshing news...');
-        loadPersonalizedNews();
-    }
-}, 30 * 60 * 1000); // 30 minutes
-
 // Network status monitoring
 window.addEventListener('online', function () {
     showToast('Back online! Refreshing news...', 'success');
@@ -0,0 +1,356 @@
+const express = require('express');
+const moment = require('moment');
+const sourceService = require('../services/sourceService');
+const adminService = require('../services/adminService');
+const sessionService = require('../services/sessionService');
+const ingestionService = require('../services/ingestionService');
+const newsService = require('../services/newsService');
+const newsStreamService = require('../services/newsStreamService');
+const trendService = require('../services/trendService');
+const providers = require('../services/providers');
+const { authenticateToken, requireAdmin } = require('../authenticate');
+
+const router = express.Router();
+
+// Every admin route needs a signed-in user with the admin role
+router.use(authenticateToken, requireAdmin);
+
+// List the source credibility registry
+router.get('/sources', async (req, res) => {
+    try {
+        const sources = sourceService.listSources();
+
+        res.json({
+            success: true,
+            sources,
+            count: sources.length
+        });
+
+    } catch (error) {
+        console.error('Error fetching sources:', error);
+        res.status(500).json({ error: 'Failed to fetch sources' });
+    }
+});
+
+// Add a source to the registry
+router.post('/sources', async (req, res) => {
+    try {
+        const { domain, name, tier, paywall, country, biasNotes, ownershipNotes } = req.body;
+        const source = await sourceService.createSource({ domain, name, tier, paywall, country, biasNotes, ownershipNotes });
+
+        res.status(201).json({
+            success: true,
+            source
+        });
+
+    } catch (error) {
+        if (error.name === 'SourceError') {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error creating source:', error);
+        res.status(500).json({ error: 'Failed to create source' });
+    }
+});
+
+// Update a source's details or credibility tier
+router.put('/sources/:sourceId', async (req, res) => {
+    try {
+        const { domain, name, tier, paywall, country, biasNotes, ownershipNotes } = req.body;
+        const source = await sourceService.updateSource(req.params.sourceId, {
+            domain, name, tier, paywall, country, biasNotes, ownershipNotes
+        });
+
+        if (!source) {
+            return res.status(404).json({ error: 'Source not found' });
+        }
+
+        res.json({
+            success: true,
+            source
+        });
+
+    } catch (error) {
+        if (error.name === 'SourceError') {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error updating source:', error);
+        res.status(500).json({ error: 'Failed to update source' });
+    }
+});
+
+// Remove a source; its articles are scored as unrated from then on
+router.delete('/sources/:sourceId', async (req, res) => {
+    try {
+        const deleted = await sourceService.deleteSource(req.params.sourceId);
+
+        if (!deleted) {
+            return res.status(404).json({ error: 'Source not found' });
+        }
+
+        res.json({
+            success: true,
+            message: 'Source deleted'
+        });
+
+    } catch (error) {
+        console.error('Error deleting source:', error);
+        res.status(500).json({ error: 'Failed to delete source' });
+    }
+});
+
+// List accounts; ?q= searches email and name, ?status=active|suspended
+router.get('/users', async (req, res) => {
+    try {
+        const { q, status, limit, offset } = req.query;
+        const result = await adminService.listUsers({ q, status, limit, offset });
+
+        res.json({
+            success: true,
+            ...result,
+            count: result.users.length
+        });
+
+    } catch (error) {
+        if (error.name === 'AdminError') {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error listing users:', error);
+        res.status(500).json({ error: 'Failed to list users' });
+    }
+});
+
+// Suspend an account: sign-in is refused and its sessions are revoked
+router.post('/users/:userId/suspend', async (req, res) => {
+    try {
+        const user = await adminService.suspendUser(req.userId, req.params.userId, req.body.reason);
+
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        res.json({
+            success: true,
+            user
+        });
+
+    } catch (error) {
+        if (error.name === 'AdminError') {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error suspending user:', error);
+        res.status(500).json({ error: 'Failed to suspend user' });
+    }
+});
+
+router.post('/users/:userId/unsuspend', async (req, res) => {
+    try {
+        const user = await adminService.unsuspendUser(req.params.userId);
+
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        res.json({
+            success: true,
+            user
+        });
+
+    } catch (error) {
+        console.error('Error unsuspending user:', error);
+        res.status(500).json({ error: 'Failed to unsuspend user' });
+    }
+});
+
+// Sign a user out everywhere
+router.delete('/users/:userId/sessions', async (req, res) => {
+    try {
+        const user = await adminService.getUser(req.params.userId);
+
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const revoked = await sessionService.revokeAllSessions(user.id, { reason: 'admin_revoked' });
+
+        res.json({
+            success: true,
+            message: `Revoked ${revoked} session(s)`,
+            revoked
+        });
+
+    } catch (error) {
+        console.error('Error revoking user sessions:', error);
+        res.status(500).json({ error: 'Failed to revoke sessions' });
+    }
+});
+
+// Ingestion schedule, current and recent runs, and what the article store holds
+router.get('/ingestion', async (req, res) => {
+    try {
+        const status = await ingestionService.getStatus();
+
+        res.json({
+            success: true,
+            ingestion: status
+        });
+
+    } catch (error) {
+        console.error('Error fetching ingestion status:', error);
+        res.status(500).json({ error: 'Failed to fetch ingestion status' });
+    }
+});
+
+// Request counts, error rates and latency per news provider
+router.get('/providers', async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            providers: providers.getStats()
+        });
+
+    } catch (error) {
+        console.error('Error fetching provider stats:', error);
+        res.status(500).json({ error: 'Failed to fetch provider stats' });
+    }
+});
+
+// Size and hit/miss counters of the provider query cache and the trending topics cache
+router.get('/cache', async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            caches: [newsService.queryCache.getStats(), trendService.cache.getStats()]
+        });
+
+    } catch (error) {
+        console.error('Error fetching cache stats:', error);
+        res.status(500).json({ error: 'Failed to fetch cache stats' });
+    }
+});
+
+// Drop every cached entry so the next lookups go upstream; counters are kept
+router.delete('/cache', async (req, res) => {
+    try {
+        const cleared = newsService.queryCache.clear() + trendService.cache.clear();
+
+        res.json({
+            success: true,
+            message: `Cleared ${cleared} cache entr${cleared === 1 ? 'y' : 'ies'}`,
+            cleared
+        });
+
+    } catch (error) {
+        console.error('Error clearing caches:', error);
+        res.status(500).json({ error: 'Failed to clear caches' });
+    }
+});
+
+// Remove an article from the store and every feed
+router.delete('/articles/:articleId', async (req, res) => {
+    try {
+        const purged = await newsService.purgeArticle(req.params.articleId);
+
+        if (!purged) {
+            return res.status(404).json({ error: 'Article not found' });
+        }
+
+        res.json({
+            success: true,
+            message: 'Article purged'
+        });
+
+    } catch (error) {
+        console.error('Error purging article:', error);
+        res.status(500).json({ error: 'Failed to purge article' });
+    }
+});
+
+// Pin an article to the top of every feed, optionally until a given time
+router.post('/articles/:articleId/pin', async (req, res) => {
+    try {
+        const { until } = req.body;
+        let pinnedUntil = null;
+
+        if (until) {
+            pinnedUntil = moment(until, moment.ISO_8601, true);
+            if (!pinnedUntil.isValid() || !pinnedUntil.isAfter(moment())) {
+                return res.status(400).json({ error: 'until must be a future ISO 8601 date' });
+            }
+        }
+
+        const article = await newsService.pinArticle(req.params.articleId, pinnedUntil);
+
+        if (!article) {
+            return res.status(404).json({ error: 'Article not found' });
+        }
+
+        // Open dashboards pick the pinned article up right away
+        newsStreamService.publish();
+
+        res.json({
+            success: true,
+            article
+        });
+
+    } catch (error) {
+        console.error('Error pinning article:', error);
+        res.status(500).json({ error: 'Failed to pin article' });
+    }
+});
+
+router.delete('/articles/:articleId/pin', async (req, res) => {
+    try {
+        const unpinned = await newsService.unpinArticle(req.params.articleId);
+
+        if (!unpinned) {
+            return res.status(404).json({ error: 'Pinned article not found' });
+        }
+
+        res.json({
+            success: true,
+            message: 'Article unpinned'
+        });
+
+    } catch (error) {
+        console.error('Error unpinning article:', error);
+        res.status(500).json({ error: 'Failed to unpin article' });
+    }
+});
+
+// The topics the trending feed and scheduled ingestion draw from
+router.get('/trending-topics', async (req, res) => {
+    try {
+        const topics = await newsService.getTrendingTopics();
+
+        res.json({
+            success: true,
+            topics
+        });
+
+    } catch (error) {
+        console.error('Error fetching trending topics:', error);
+        res.status(500).json({ error: 'Failed to fetch trending topics' });
+    }
+});
+
+// Replace the trending topic list
+router.put('/trending-topics', async (req, res) => {
+    try {
+        const topics = newsService.normalizeTrendingTopics(req.body.topics);
+
+        if (topics.length === 0) {
+            return res.status(400).json({ error: 'topics must be a non-empty list of strings' });
+        }
+
+        res.json({
+            success: true,
+            topics: await newsService.setTrendingTopics(topics)
+        });
+
+    } catch (error) {
+        console.error('Error updating trending topics:', error);
+        res.status(500).json({ error: 'Failed to update trending topics' });
+    }
+});
+
+module.exports = router;
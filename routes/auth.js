@@ -1,12 +1,16 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const rateLimit = require('express-rate-limit');
 const { v4: uuidv4 } = require('uuid');
 const { runQuery, getQuery } = require('../database/db');
+const { normalizePreferences, normalizeIndustries } = require('../services/preferences');
+const sessionService = require('../services/sessionService');
+const accountService = require('../services/accountService');
+const privacyService = require('../services/privacyService');
+const apiKeyService = require('../services/apiKeyService');
+const { authenticateToken, clientInfo } = require('../authenticate');
 
 const router = express.Router();
-const JWT_SECRET = process.env.JWT_SECRET || 'your_jwt_secret_change_this_in_production';
-const JWT_EXPIRES_IN = '7d';
 
 // Input validation middleware
 const validateEmail = (email) => {
@@ -18,6 +22,15 @@ const validatePassword = (password) => {
     return password && password.length >= 6;
 };
 
+// Emails are sent from these endpoints, so keep them well below the global limit
+const accountEmailLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 5,
+    message: { error: 'Too many requests, please try again later.' },
+    standardHeaders: true,
+    legacyHeaders: false
+});
+
 // Register new user
 router.post('/register', async (req, res) => {
     try {
@@ -58,12 +71,9 @@ router.post('/register', async (req, res) => {
 
         // Create user
         const userId = uuidv4();
-        const industriesJson = JSON.stringify(industries || []);
-        const preferencesJson = JSON.stringify({
-            emailNotifications: true,
-            newsRefreshInterval: 2, // hours
-            articlesPerCategory: 5
-        });
+        const userIndustries = normalizeIndustries(industries);
+        const industriesJson = JSON.stringify(userIndustries);
+        const preferencesJson = JSON.stringify(normalizePreferences({}));
 
         await runQuery(`
       INSERT INTO users 
@@ -84,21 +94,12 @@ router.post('/register', async (req, res) => {
             preferencesJson
         ]);
 
-        // Generate JWT token
-        const token = jwt.sign(
-            { userId, email: email.toLowerCase() },
-            JWT_SECRET,
-            { expiresIn: JWT_EXPIRES_IN }
-        );
-
-        // Save session
-        const sessionId = uuidv4();
-        const expiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000); // 7 days
+        // Start a session with an access/refresh token pair
+        const session = await sessionService.createSession({ id: userId, email: email.toLowerCase().trim() }, clientInfo(req));
 
-        await runQuery(`
-      INSERT INTO user_sessions (id, user_id, token, expires_at)
-      VALUES (?, ?, ?, ?)
-    `, [sessionId, userId, token, expiresAt.toISOString()]);
+        // A failed verification email shouldn't fail the registration; it can be resent later
+        accountService.sendVerificationEmail({ id: userId, email: email.toLowerCase().trim(), first_name: firstName.trim() })
+            .catch(error => console.error('Error sending verification email:', error));
 
         // Return user data (excluding password hash)
         res.status(201).json({
@@ -109,12 +110,15 @@ router.post('/register', async (req, res) => {
                 firstName,
                 lastName,
                 careerField,
-                industries: industries || [],
+                industries: userIndustries,
                 city: city || '',
                 state: state || '',
-                country: country || ''
+                country: country || '',
+                emailVerified: false
             },
-            token
+            token: session.accessToken,
+            refreshToken: session.refreshToken,
+            expiresIn: session.expiresIn
         });
 
     } catch (error) {
@@ -126,7 +130,7 @@ router.post('/register', async (req, res) => {
 // Login user
 router.post('/login', async (req, res) => {
     try {
-        const { email, password } = req.body;
+        const { email, password, restore } = req.body;
 
         // Validate input
         if (!email || !password) {
@@ -140,7 +144,8 @@ router.post('/login', async (req, res) => {
         // Find user
         const user = await getQuery(`
       SELECT id, email, password_hash, first_name, last_name, career_field, 
-             industries, city, state, country, preferences
+             industries, city, state, country, preferences, email_verified_at, suspended_at,
+             deletion_scheduled_for
       FROM users WHERE email = ?
     `, [email.toLowerCase().trim()]);
 
@@ -154,24 +159,24 @@ router.post('/login', async (req, res) => {
             return res.status(401).json({ error: 'Invalid email or password' });
         }
 
-        // Generate JWT token
-        const token = jwt.sign(
-            { userId: user.id, email: user.email },
-            JWT_SECRET,
-            { expiresIn: JWT_EXPIRES_IN }
-        );
-
-        // Clean up old sessions for this user
-        await runQuery('DELETE FROM user_sessions WHERE user_id = ? AND expires_at < datetime("now")', [user.id]);
+        if (user.suspended_at) {
+            return res.status(403).json({ error: 'Account suspended', code: 'account_suspended' });
+        }
 
-        // Save new session
-        const sessionId = uuidv4();
-        const expiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000); // 7 days
+        // Signing in during the grace period restores a deleted account, but only when asked to
+        if (user.deletion_scheduled_for) {
+            if (restore !== true) {
+                return res.status(403).json({
+                    error: 'Account scheduled for deletion',
+                    code: 'account_pending_deletion',
+                    deletionScheduledFor: user.deletion_scheduled_for
+                });
+            }
+            await privacyService.restoreAccount(user.id);
+        }
 
-        await runQuery(`
-      INSERT INTO user_sessions (id, user_id, token, expires_at)
-      VALUES (?, ?, ?, ?)
-    `, [sessionId, user.id, token, expiresAt.toISOString()]);
+        // Start a new session; expired ones for this user are cleaned up on the way
+        const session = await sessionService.createSession(user, clientInfo(req));
 
         // Return user data (excluding password hash)
         res.json({
@@ -186,9 +191,12 @@ router.post('/login', async (req, res) => {
                 city: user.city,
                 state: user.state,
                 country: user.country,
-                preferences: JSON.parse(user.preferences || '{}')
+                preferences: JSON.parse(user.preferences || '{}'),
+                emailVerified: Boolean(user.email_verified_at)
             },
-            token
+            token: session.accessToken,
+            refreshToken: session.refreshToken,
+            expiresIn: session.expiresIn
         });
 
     } catch (error) {
@@ -197,13 +205,134 @@ router.post('/login', async (req, res) => {
     }
 });
 
+// Exchange a refresh token for a new access/refresh pair (the old refresh token stops working)
+router.post('/refresh', async (req, res) => {
+    try {
+        const session = await sessionService.rotateRefreshToken(req.body.refreshToken, clientInfo(req));
+
+        res.json({
+            token: session.accessToken,
+            refreshToken: session.refreshToken,
+            expiresIn: session.expiresIn
+        });
+    } catch (error) {
+        if (error.name === 'SessionError') {
+            return res.status(401).json({ error: error.message, code: error.code });
+        }
+        console.error('Token refresh error:', error);
+        res.status(500).json({ error: 'Failed to refresh token' });
+    }
+});
+
+// Request a password reset email. The response is the same whether or not the account exists.
+router.post('/forgot-password', accountEmailLimiter, async (req, res) => {
+    try {
+        const { email } = req.body;
+
+        if (!validateEmail(email)) {
+            return res.status(400).json({ error: 'Invalid email format' });
+        }
+
+        // The answer must not tell whether the address has an account, so it doesn't wait for the email
+        // (which takes time only when there is one) and a delivery failure is only logged
+        const user = await getQuery('SELECT id, email, first_name FROM users WHERE email = ?', [email.toLowerCase().trim()]);
+        if (user) {
+            accountService.sendPasswordResetEmail(user).catch(error => {
+                console.error('Error sending password reset email:', error);
+            });
+        }
+
+        res.json({ message: 'If an account exists for that email, a password reset link has been sent.' });
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({ error: 'Failed to send password reset email' });
+    }
+});
+
+// Set a new password with a token from the reset email
+router.post('/reset-password', async (req, res) => {
+    try {
+        const { token, password } = req.body;
+
+        if (!token) {
+            return res.status(400).json({ error: 'Reset token is required' });
+        }
+
+        if (!validatePassword(password)) {
+            return res.status(400).json({ error: 'Password must be at least 6 characters long' });
+        }
+
+        const userId = await accountService.consumeToken(token, 'password_reset');
+        if (!userId) {
+            return res.status(400).json({ error: 'Reset link is invalid or has expired' });
+        }
+
+        const saltRounds = 12;
+        const passwordHash = await bcrypt.hash(password, saltRounds);
+
+        // Receiving the email proves ownership of the address too
+        await runQuery(`
+      UPDATE users
+      SET password_hash = ?, email_verified_at = COALESCE(email_verified_at, datetime('now')),
+          updated_at = datetime('now')
+      WHERE id = ?
+    `, [passwordHash, userId]);
+
+        await sessionService.revokeAllSessions(userId, { reason: 'password_reset' });
+
+        res.json({ message: 'Password has been reset. Please login with your new password.' });
+    } catch (error) {
+        console.error('Reset password error:', error);
+        res.status(500).json({ error: 'Failed to reset password' });
+    }
+});
+
+// Confirm an email address with the token from the verification email
+router.post('/verify-email', async (req, res) => {
+    try {
+        const userId = await accountService.consumeToken(req.body.token, 'email_verification');
+        if (!userId) {
+            return res.status(400).json({ error: 'Verification link is invalid or has expired' });
+        }
+
+        await runQuery(`
+      UPDATE users SET email_verified_at = COALESCE(email_verified_at, datetime('now')), updated_at = datetime('now')
+      WHERE id = ?
+    `, [userId]);
+
+        res.json({ message: 'Email address verified' });
+    } catch (error) {
+        console.error('Email verification error:', error);
+        res.status(500).json({ error: 'Failed to verify email' });
+    }
+});
+
+// Send the verification email again
+router.post('/resend-verification', authenticateToken, accountEmailLimiter, async (req, res) => {
+    try {
+        const user = await getQuery('SELECT id, email, first_name, email_verified_at FROM users WHERE id = ?', [req.userId]);
+
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        if (user.email_verified_at) {
+            return res.status(400).json({ error: 'Email address is already verified' });
+        }
+
+        await accountService.sendVerificationEmail(user);
+
+        res.json({ message: 'Verification email sent' });
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        res.status(500).json({ error: 'Failed to send verification email' });
+    }
+});
+
 // Logout user
 router.post('/logout', authenticateToken, async (req, res) => {
     try {
-        const token = req.token;
-
-        // Remove session from database
-        await runQuery('DELETE FROM user_sessions WHERE token = ?', [token]);
+        await sessionService.revokeSession(req.userId, req.sessionId, 'logout');
 
         res.json({ message: 'Logged out successfully' });
     } catch (error) {
@@ -217,7 +346,7 @@ router.get('/verify', authenticateToken, async (req, res) => {
     try {
         const user = await getQuery(`
       SELECT id, email, first_name, last_name, career_field, industries, 
-             city, state, country, preferences
+             city, state, country, preferences, email_verified_at
       FROM users WHERE id = ?
     `, [req.userId]);
 
@@ -236,7 +365,8 @@ router.get('/verify', authenticateToken, async (req, res) => {
                 city: user.city,
                 state: user.state,
                 country: user.country,
-                preferences: JSON.parse(user.preferences || '{}')
+                preferences: JSON.parse(user.preferences || '{}'),
+                emailVerified: Boolean(user.email_verified_at)
             }
         });
     } catch (error) {
@@ -245,42 +375,113 @@ router.get('/verify', authenticateToken, async (req, res) => {
     }
 });
 
-// Middleware to authenticate JWT token
-async function authenticateToken(req, res, next) {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+// List the user's active sessions (devices)
+router.get('/sessions', authenticateToken, async (req, res) => {
+    try {
+        const sessions = await sessionService.listSessions(req.userId, req.sessionId);
 
-    if (!token) {
-        return res.status(401).json({ error: 'Access token required' });
+        res.json({
+            success: true,
+            sessions
+        });
+    } catch (error) {
+        console.error('Error listing sessions:', error);
+        res.status(500).json({ error: 'Failed to list sessions' });
     }
+});
 
+// Revoke every session except the current one (or all of them with ?includeCurrent=true)
+router.delete('/sessions', authenticateToken, async (req, res) => {
     try {
-        // Verify JWT token
-        const decoded = jwt.verify(token, JWT_SECRET);
+        const includeCurrent = req.query.includeCurrent === 'true';
+        const revoked = await sessionService.revokeAllSessions(req.userId, {
+            exceptSessionId: includeCurrent ? null : req.sessionId
+        });
+
+        res.json({
+            success: true,
+            message: `Signed out of ${revoked} session(s)`,
+            revoked
+        });
+    } catch (error) {
+        console.error('Error revoking sessions:', error);
+        res.status(500).json({ error: 'Failed to revoke sessions' });
+    }
+});
 
-        // Check if session exists and is valid
-        const session = await getQuery(`
-      SELECT user_id FROM user_sessions 
-      WHERE token = ? AND expires_at > datetime('now')
-    `, [token]);
+// Revoke a single session
+router.delete('/sessions/:sessionId', authenticateToken, async (req, res) => {
+    try {
+        const revoked = await sessionService.revokeSession(req.userId, req.params.sessionId);
 
-        if (!session) {
-            return res.status(401).json({ error: 'Invalid or expired token' });
+        if (!revoked) {
+            return res.status(404).json({ error: 'Session not found' });
         }
 
-        req.userId = decoded.userId;
-        req.userEmail = decoded.email;
-        req.token = token;
-        next();
+        res.json({
+            success: true,
+            message: 'Session revoked',
+            current: req.params.sessionId === req.sessionId
+        });
+    } catch (error) {
+        console.error('Error revoking session:', error);
+        res.status(500).json({ error: 'Failed to revoke session' });
+    }
+});
+
+// The user's API keys (the keys themselves are only shown when created) and the scopes a key can have
+router.get('/api-keys', authenticateToken, async (req, res) => {
+    try {
+        const apiKeys = await apiKeyService.listKeys(req.userId);
+
+        res.json({
+            success: true,
+            apiKeys,
+            scopes: apiKeyService.listScopes()
+        });
+    } catch (error) {
+        console.error('Error listing API keys:', error);
+        res.status(500).json({ error: 'Failed to list API keys' });
+    }
+});
+
+// Create a named API key with scopes and an optional expiry, for scripts and dashboards
+router.post('/api-keys', authenticateToken, async (req, res) => {
+    try {
+        const { name, scopes, expiresAt } = req.body;
+        const { apiKey, key } = await apiKeyService.createKey(req.userId, { name, scopes, expiresAt });
+
+        res.status(201).json({
+            success: true,
+            apiKey,
+            key
+        });
     } catch (error) {
-        console.error('Token authentication error:', error);
-        if (error.name === 'JsonWebTokenError') {
-            return res.status(401).json({ error: 'Invalid token' });
-        } else if (error.name === 'TokenExpiredError') {
-            return res.status(401).json({ error: 'Token expired' });
+        if (error.name === 'ApiKeyError') {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error creating API key:', error);
+        res.status(500).json({ error: 'Failed to create API key' });
+    }
+});
+
+// Revoke an API key; requests made with it get 401 from then on
+router.delete('/api-keys/:keyId', authenticateToken, async (req, res) => {
+    try {
+        const revoked = await apiKeyService.revokeKey(req.userId, req.params.keyId);
+
+        if (!revoked) {
+            return res.status(404).json({ error: 'API key not found' });
         }
-        return res.status(500).json({ error: 'Token verification failed' });
+
+        res.json({
+            success: true,
+            message: 'API key revoked'
+        });
+    } catch (error) {
+        console.error('Error revoking API key:', error);
+        res.status(500).json({ error: 'Failed to revoke API key' });
     }
-}
+});
 
 module.exports = router;
\ No newline at end of file
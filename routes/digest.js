@@ -0,0 +1,57 @@
+const express = require('express');
+const digestService = require('../services/digestService');
+const { escapeHtml } = require('../services/util');
+
+const router = express.Router();
+
+const page = (title, message, form = '') => `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>${title} - NewsMini</title></head>
+<body style="font-family:Arial,Helvetica,sans-serif;max-width:480px;margin:64px auto;color:#374151;">
+  <h1 style="font-size:20px;">${title}</h1>
+  <p>${message}</p>${form}
+  <p><a href="/">Back to NewsMini</a></p>
+</body>
+</html>`;
+
+const invalidLink = res => res.status(400).send(page('Invalid link', 'This unsubscribe link is invalid. You can turn off digests from your account settings.'));
+
+// The link from the digest footer only asks for confirmation: mail scanners and link prefetchers
+// follow GET links, and they must not unsubscribe anyone
+router.get('/unsubscribe', (req, res) => {
+    const { user: userId, sig: signature } = req.query;
+
+    if (!digestService.verifyUnsubscribe(userId, signature)) {
+        return invalidLink(res);
+    }
+
+    const action = `/api/digest/unsubscribe?user=${encodeURIComponent(userId)}&sig=${encodeURIComponent(signature)}`;
+    res.send(page('Unsubscribe from digests?', 'You will stop receiving NewsMini digest emails. You can turn them back on from your account settings.', `
+  <form method="post" action="${escapeHtml(action)}">
+    <button type="submit" style="padding:8px 16px;">Unsubscribe</button>
+  </form>`));
+});
+
+// The confirmation form, and RFC 8058 one-click unsubscribe: mail clients POST
+// "List-Unsubscribe=One-Click" to the List-Unsubscribe URL, so the user and signature are in the query string
+router.post('/unsubscribe', async (req, res) => {
+    try {
+        const userId = req.query.user || req.body.user;
+        const signature = req.query.sig || req.body.sig;
+
+        if (!digestService.verifyUnsubscribe(userId, signature)) {
+            return invalidLink(res);
+        }
+
+        if (!(await digestService.unsubscribe(userId))) {
+            return res.status(404).send(page('Account not found', 'We couldn\'t find the account for this link.'));
+        }
+
+        res.send(page('Unsubscribed', 'You won\'t receive NewsMini digest emails any more. You can turn them back on from your account settings.'));
+    } catch (error) {
+        console.error('Digest unsubscribe error:', error);
+        res.status(500).send(page('Something went wrong', 'Please try again later.'));
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,45 @@
+const express = require('express');
+const feedService = require('../services/feedService');
+
+const router = express.Router();
+
+// Feed readers poll; within this many seconds they may reuse their copy
+const FEED_MAX_AGE_SECONDS = 900;
+
+// A user's secret feed URL: /api/feeds/<token>.rss, .atom or .json
+router.get('/:token.:format', async (req, res) => {
+    try {
+        const { token, format } = req.params;
+
+        if (!feedService.isFormat(format)) {
+            return res.status(404).json({ error: 'Feed not found' });
+        }
+
+        const resolved = await feedService.resolveToken(token);
+        if (!resolved) {
+            return res.status(404).json({ error: 'Feed not found' });
+        }
+        // Tells feed readers to stop polling
+        if (resolved.revoked) {
+            return res.status(410).json({ error: 'This feed URL has been revoked' });
+        }
+
+        const articles = await feedService.getFeedArticles(resolved.feed, resolved.user);
+        const { contentType, body, lastModified } = feedService.render(resolved.feed, articles, format, token);
+
+        // Express adds an ETag and answers If-None-Match / If-Modified-Since with 304
+        res.set({
+            'Content-Type': contentType,
+            'Cache-Control': `private, max-age=${FEED_MAX_AGE_SECONDS}`,
+            'Last-Modified': lastModified.toDate().toUTCString(),
+            'X-Robots-Tag': 'noindex'
+        });
+        res.send(body);
+
+    } catch (error) {
+        console.error('Error rendering feed:', error);
+        res.status(500).json({ error: 'Failed to render feed' });
+    }
+});
+
+module.exports = router;
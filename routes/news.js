@@ -1,41 +1,56 @@
 const express = require('express');
 const { getQuery, allQuery, runQuery } = require('../database/db');
 const newsService = require('../services/newsService');
+const ingestionService = require('../services/ingestionService');
+const bookmarkService = require('../services/bookmarkService');
+const newsStreamService = require('../services/newsStreamService');
+const interestService = require('../services/interestService');
+const sourceService = require('../services/sourceService');
+const storyService = require('../services/storyService');
+const trendService = require('../services/trendService');
+const extractionService = require('../services/extractionService');
+const { parseSearchQuery, SearchQueryError } = require('../services/searchQuery');
+const { normalizePreferences } = require('../services/preferences');
+const { authenticateToken, optionalAuthenticateToken, allowApiKey, isStillAuthenticated } = require('../authenticate');
 
 const router = express.Router();
 
-// Middleware to authenticate requests (reusing from auth.js)
-const jwt = require('jsonwebtoken');
-const JWT_SECRET = process.env.JWT_SECRET || 'your_jwt_secret_change_this_in_production';
-
-async function authenticateToken(req, res, next) {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
-
-    if (!token) {
-        return res.status(401).json({ error: 'Access token required' });
+// Every JSON response says whether upstream news is degraded (served from the store only) and since when
+router.use(async (req, res, next) => {
+    try {
+        res.locals.upstream = await newsService.getUpstreamStatus();
+    } catch (error) {
+        console.error('Error checking upstream status:', error);
+        res.locals.upstream = { degraded: false, staleSince: null };
     }
 
-    try {
-        const decoded = jwt.verify(token, JWT_SECRET);
-        const session = await getQuery(`
-      SELECT user_id FROM user_sessions 
-      WHERE token = ? AND expires_at > datetime('now')
-    `, [token]);
+    const json = res.json.bind(res);
+    res.json = body => json(body && typeof body === 'object' && !Array.isArray(body)
+        ? { ...body, degraded: res.locals.upstream.degraded, stale_since: res.locals.upstream.staleSince }
+        : body);
+    next();
+});
 
-        if (!session) {
-            return res.status(401).json({ error: 'Invalid or expired token' });
-        }
+// A signed-in user's feed preferences; anonymous visitors get none
+async function getPreferences(userId) {
+    if (!userId) return {};
+    const user = await getQuery('SELECT preferences FROM users WHERE id = ?', [userId]);
+    return user ? normalizePreferences(JSON.parse(user.preferences || '{}')) : {};
+}
 
-        req.userId = decoded.userId;
-        next();
-    } catch (error) {
-        return res.status(401).json({ error: 'Invalid token' });
+// Fetch the profile's sections that have nothing stored yet, unless upstream is known to be failing
+async function ingestMissingBuckets(userProfile, res) {
+    if (res.locals.upstream.degraded) return;
+
+    const missing = await newsService.getMissingProfileBuckets(userProfile);
+    if (missing.length > 0) {
+        await ingestionService.ingestProfile(userProfile, missing);
+        res.locals.upstream = await newsService.getUpstreamStatus();
     }
 }
 
 // Get personalized news for authenticated user
-router.get('/personalized', authenticateToken, async (req, res) => {
+router.get('/personalized', allowApiKey('news:read'), authenticateToken, async (req, res) => {
     try {
         // Get user profile
         const user = await getQuery(`
@@ -47,38 +62,20 @@ router.get('/personalized', authenticateToken, async (req, res) => {
             return res.status(404).json({ error: 'User not found' });
         }
 
-        const userProfile = {
-            firstName: user.first_name,
-            lastName: user.last_name,
-            career_field: user.career_field,
-            industries: JSON.parse(user.industries || '[]'),
-            city: user.city || 'San Francisco', // Default fallback
-            state: user.state || 'CA',
-            country: user.country || 'US',
-            preferences: JSON.parse(user.preferences || '{}')
-        };
+        const userProfile = newsService.buildUserProfile(user);
+        userProfile.interests = await interestService.getInterestProfile(req.userId);
 
-        // Fetch personalized news
+        // Read from the local store; only sections nobody has ingested yet trigger upstream calls,
+        // and not while they are known to fail
+        await ingestMissingBuckets(userProfile, res);
         const personalizedNews = await newsService.getPersonalizedNews(userProfile);
-
-        // Save articles to cache for future reference
-        const allArticles = [
-            ...personalizedNews.local,
-            ...personalizedNews.regional,
-            ...personalizedNews.national,
-            ...personalizedNews.industry,
-            ...personalizedNews.global
-        ];
-
-        for (const article of allArticles) {
-            await newsService.saveArticleToCache(article);
-        }
+        await storyService.attachStories(newsService.flattenPersonalizedNews(personalizedNews));
 
         res.json({
             success: true,
             user: {
                 name: `${userProfile.firstName} ${userProfile.lastName}`,
-                location: `${userProfile.city}, ${userProfile.state}, ${userProfile.country}`,
+                location: newsService.locationLabel(userProfile),
                 career: userProfile.career_field
             },
             news: personalizedNews,
@@ -91,8 +88,121 @@ router.get('/personalized', authenticateToken, async (req, res) => {
     }
 });
 
+const STREAM_HEARTBEAT_SECONDS = parseInt(process.env.STREAM_HEARTBEAT_SECONDS, 10) || 25;
+const STREAM_RETRY_MS = 5000;
+// The longest delay setTimeout accepts
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+// Server-Sent Events: push articles newly ingested into the user's feed buckets.
+// Event ids are feed_events ids, so a client reconnecting with Last-Event-ID gets what it missed.
+router.get('/stream', allowApiKey('news:read'), authenticateToken, async (req, res) => {
+    let userProfile;
+    let cursor;
+    try {
+        const user = await getQuery(`
+      SELECT career_field, industries, city, state, country, preferences
+      FROM users WHERE id = ?
+    `, [req.userId]);
+
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        userProfile = newsService.buildUserProfile(user);
+        const lastEventId = parseInt(req.headers['last-event-id'], 10);
+        cursor = Number.isInteger(lastEventId) && lastEventId >= 0
+            ? lastEventId
+            : await newsStreamService.latestEventId();
+    } catch (error) {
+        console.error('Error opening news stream:', error);
+        return res.status(500).json({ error: 'Failed to open news stream' });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const isOpen = () => !res.writableEnded && !res.destroyed;
+    const send = chunk => {
+        if (isOpen()) res.write(chunk);
+    };
+    send(`retry: ${STREAM_RETRY_MS}\nid: ${cursor}\nevent: ready\ndata: {}\n\n`);
+
+    // The stream outlives the authentication it was opened with, so every push and heartbeat checks the
+    // key or session again and closes once it is revoked or the account is suspended or pending deletion
+    const stillAllowed = async () => {
+        try {
+            if (await isStillAuthenticated(req)) return true;
+        } catch (error) {
+            console.error('Error re-checking news stream access:', error);
+        }
+        res.end();
+        return false;
+    };
+
+    // Pushes are serialized; a publish that arrives mid-push triggers one more pass afterwards
+    let pushing = false;
+    let pending = false;
+    const push = async () => {
+        if (pushing) {
+            pending = true;
+            return;
+        }
+        pushing = true;
+        try {
+            if (!(await stillAllowed())) return;
+            do {
+                pending = false;
+                const batch = await newsStreamService.getArticlesSince(userProfile, cursor);
+                if (batch.lastEventId === cursor) continue;
+
+                cursor = batch.lastEventId;
+                send(batch.articles.length > 0
+                    ? `id: ${cursor}\nevent: articles\ndata: ${JSON.stringify({ articles: batch.articles })}\n\n`
+                    : `id: ${cursor}\n\n`);
+                pending = pending || batch.hasMore;
+            } while (pending && isOpen());
+        } catch (error) {
+            console.error('Error pushing to news stream:', error);
+        } finally {
+            pushing = false;
+        }
+    };
+
+    const heartbeat = setInterval(async () => {
+        if (await stillAllowed()) send(': heartbeat\n\n');
+    }, STREAM_HEARTBEAT_SECONDS * 1000);
+    // Close when the access token (or an expiring API key) runs out; the client reconnects with a
+    // refreshed one. setTimeout can't wait longer than MAX_TIMER_MS, so far-off expiries close early.
+    const expiry = req.tokenExpiresAt
+        ? setTimeout(() => res.end(), Math.min(Math.max(req.tokenExpiresAt - Date.now(), 0), MAX_TIMER_MS))
+        : null;
+
+    const alert = (userId, payload) => {
+        if (userId === req.userId) {
+            send(`event: alert\ndata: ${JSON.stringify(payload)}\n\n`);
+        }
+    };
+
+    newsStreamService.on('articles', push);
+    newsStreamService.on('alert', alert);
+    res.on('close', () => {
+        clearInterval(heartbeat);
+        clearTimeout(expiry);
+        newsStreamService.off('articles', push);
+        newsStreamService.off('alert', alert);
+    });
+
+    // Catch up on anything after the client's Last-Event-ID
+    push();
+});
+
 // Get news by category for authenticated user
-router.get('/category/:category', authenticateToken, async (req, res) => {
+router.get('/category/:category', allowApiKey('news:read'), authenticateToken, async (req, res) => {
     try {
         const { category } = req.params;
         const { limit = 10 } = req.query;
@@ -104,36 +214,33 @@ router.get('/category/:category', authenticateToken, async (req, res) => {
 
         // Get user profile for context
         const user = await getQuery(`
-      SELECT career_field, city, state, country FROM users WHERE id = ?
+      SELECT career_field, industries, city, state, country, preferences FROM users WHERE id = ?
     `, [req.userId]);
 
         if (!user) {
             return res.status(404).json({ error: 'User not found' });
         }
 
+        const userProfile = newsService.buildUserProfile(user);
+        await ingestMissingBuckets(userProfile, res);
+
         let articles = [];
 
         if (category === 'industry') {
-            articles = await newsService.getIndustryNews(user.career_field, parseInt(limit));
+            articles = await newsService.getIndustryNews(userProfile, parseInt(limit));
         } else if (category === 'local' || category === 'regional' || category === 'national') {
-            const locationNews = await newsService.getLocationBasedNews(
-                user.city, user.state, user.country, parseInt(limit)
-            );
-            articles = locationNews.filter(article => article.location_type === category);
+            const locationNews = await newsService.getLocationBasedNews(userProfile, parseInt(limit));
+            // The local section takes in the metro area around the city
+            const types = category === 'local' ? ['local', 'metro'] : [category];
+            articles = locationNews.filter(article => types.includes(article.location_type));
         } else if (category === 'global') {
-            const globalArticles = await newsService.fetchNewsFromAPI('global business economy', parseInt(limit));
-            articles = globalArticles.map(article => ({
-                id: require('uuid').v4(),
-                title: newsService.sanitizeText(article.title),
-                description: newsService.sanitizeText(article.description),
-                url: article.url,
-                image_url: article.urlToImage,
-                published_at: article.publishedAt,
-                source_name: article.source?.name || 'Unknown',
-                category: 'global'
-            }));
+            articles = await newsService.getGlobalNews(parseInt(limit), userProfile.preferences);
         }
 
+        userProfile.interests = await interestService.getInterestProfile(req.userId);
+        articles = newsService.rankArticles(articles, userProfile);
+        await storyService.attachStories(articles);
+
         res.json({
             success: true,
             category,
@@ -147,41 +254,146 @@ router.get('/category/:category', authenticateToken, async (req, res) => {
     }
 });
 
-// Search news articles
-router.get('/search', authenticateToken, async (req, res) => {
+// Story clusters in the user's feed: related coverage of one event from different outlets
+router.get('/stories', allowApiKey('news:read'), authenticateToken, async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        const minArticles = Math.max(parseInt(req.query.minArticles) || 2, 1);
+
+        const user = await getQuery(`
+      SELECT first_name, last_name, career_field, industries, city, state, country, preferences
+      FROM users WHERE id = ?
+    `, [req.userId]);
+
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const stories = await storyService.listStories(newsService.buildUserProfile(user), { limit, minArticles });
+
+        res.json({
+            success: true,
+            stories,
+            count: stories.length
+        });
+
+    } catch (error) {
+        console.error('Error fetching stories:', error);
+        res.status(500).json({ error: 'Failed to fetch stories' });
+    }
+});
+
+// One story with a chronological timeline of its coverage
+router.get('/stories/:storyId', allowApiKey('news:read'), authenticateToken, async (req, res) => {
+    try {
+        const user = await getQuery('SELECT preferences FROM users WHERE id = ?', [req.userId]);
+        const preferences = normalizePreferences(JSON.parse(user?.preferences || '{}'));
+
+        const story = await storyService.getStory(req.params.storyId, preferences);
+
+        if (!story) {
+            return res.status(404).json({ error: 'Story not found' });
+        }
+
+        res.json({
+            success: true,
+            story
+        });
+
+    } catch (error) {
+        console.error('Error fetching story:', error);
+        res.status(500).json({ error: 'Failed to fetch story' });
+    }
+});
+
+// Full text of a stored article for the reader view; extracted from the page on first request
+router.get('/articles/:articleId/content', allowApiKey('news:read'), authenticateToken, async (req, res) => {
+    try {
+        const content = await extractionService.getContent(req.params.articleId);
+
+        if (!content) {
+            return res.status(404).json({ error: 'Article not found' });
+        }
+
+        res.json({
+            success: true,
+            content
+        });
+
+    } catch (error) {
+        if (error.name === 'ExtractionError') {
+            // The client falls back to linking out
+            return res.status(502).json({ error: error.message, code: 'extraction_failed', url: error.url });
+        }
+        console.error('Error fetching article content:', error);
+        res.status(500).json({ error: 'Failed to fetch article content' });
+    }
+});
+
+// Search the local article archive (syntax documented in services/searchQuery.js)
+router.get('/search', allowApiKey('news:read'), authenticateToken, async (req, res) => {
     try {
         const { q: query, limit = 20 } = req.query;
 
-        if (!query) {
+        if (!query || !query.trim()) {
             return res.status(400).json({ error: 'Search query is required' });
         }
 
-        // Sanitize search query
-        const sanitizedQuery = query.replace(/[^\w\s-]/g, '').trim();
-        if (!sanitizedQuery) {
-            return res.status(400).json({ error: 'Invalid search query' });
+        if (query.length > 500) {
+            return res.status(400).json({ error: 'Search query is too long' });
         }
 
-        // Search using news service
-        const articles = await newsService.fetchNewsFromAPI(`${sanitizedQuery} business`, parseInt(limit));
+        let parsedQuery;
+        try {
+            parsedQuery = parseSearchQuery(query);
+        } catch (error) {
+            if (error instanceof SearchQueryError) {
+                return res.status(400).json({ error: error.message });
+            }
+            throw error;
+        }
 
-        const searchResults = articles.map(article => ({
-            id: require('uuid').v4(),
-            title: newsService.sanitizeText(article.title),
-            description: newsService.sanitizeText(article.description),
-            url: article.url,
-            image_url: article.urlToImage,
-            published_at: article.publishedAt,
-            source_name: article.source?.name || 'Unknown',
-            relevance_score: newsService.calculateRelevanceScore(article, sanitizedQuery)
-        }));
+        if (!parsedQuery.match && parsedQuery.sources.length === 0 && parsedQuery.industries.length === 0 &&
+            !parsedQuery.from && !parsedQuery.to) {
+            return res.status(400).json({ error: 'Invalid search query' });
+        }
 
-        // Sort by relevance score
-        searchResults.sort((a, b) => b.relevance_score - a.relevance_score);
+        const user = await getQuery('SELECT preferences FROM users WHERE id = ?', [req.userId]);
+        const preferences = normalizePreferences(JSON.parse(user?.preferences || '{}'));
+        const pageSize = Math.min(parseInt(limit) || 20, 100);
+
+        let searchResults = await newsService.searchArticles(parsedQuery, pageSize, preferences);
+
+        // Nothing archived yet: pull matching articles from the providers once so they become searchable
+        if (searchResults.length === 0 && parsedQuery.text && !res.locals.upstream.degraded) {
+            try {
+                const articles = await newsService.fetchNewsFromAPI(parsedQuery.text, pageSize, {
+                    language: preferences.preferredLanguages[0]
+                });
+                for (const article of articles) {
+                    await newsService.saveArticleToCache(newsService.processArticle(article, {
+                        category: 'search',
+                        relevance_score: newsService.calculateRelevanceScore(article, parsedQuery.text)
+                    }));
+                }
+                searchResults = await newsService.searchArticles(parsedQuery, pageSize, preferences);
+            } catch (error) {
+                if (error.name !== 'UpstreamUnavailableError') throw error;
+                // The archive's answer stands; the response says upstream is degraded
+                res.locals.upstream = await newsService.getUpstreamStatus();
+            }
+        }
 
         res.json({
             success: true,
-            query: sanitizedQuery,
+            query,
+            filters: {
+                sources: parsedQuery.sources,
+                excludedSources: parsedQuery.excludedSources,
+                industries: parsedQuery.industries,
+                from: parsedQuery.from,
+                to: parsedQuery.to
+            },
             articles: searchResults,
             count: searchResults.length
         });
@@ -192,46 +404,80 @@ router.get('/search', authenticateToken, async (req, res) => {
     }
 });
 
-// Get trending business topics (public endpoint)
-router.get('/trending', async (req, res) => {
+// Topics spiking in the local article store, optionally for a region (city, state or country) or industry
+router.get('/trending/topics', allowApiKey('news:read'), optionalAuthenticateToken, async (req, res) => {
     try {
-        const { limit = 10 } = req.query;
+        const { region, industry, limit = 10 } = req.query;
+        const preferences = await getPreferences(req.userId);
+
+        const topics = await trendService.getTopics({
+            region,
+            industry,
+            languages: preferences.preferredLanguages,
+            preferences
+        }, Math.min(parseInt(limit) || 10, 20));
+
+        res.json({
+            success: true,
+            region: region || null,
+            industry: industry || null,
+            topics: topics.map(topic => trendService.toResponse(topic)),
+            count: topics.length
+        });
+
+    } catch (error) {
+        console.error('Error fetching trending topics:', error);
+        res.status(500).json({ error: 'Failed to fetch trending topics' });
+    }
+});
+
+// Articles for a trending topic (?topic=, the top topic by default). While nothing stands out in the
+// store, falls back to the first of the admin-curated trending topics.
+router.get('/trending', allowApiKey('news:read'), optionalAuthenticateToken, async (req, res) => {
+    try {
+        const { topic, region, industry, limit = 10 } = req.query;
+        const preferences = await getPreferences(req.userId);
+        const scope = { region, industry, languages: preferences.preferredLanguages, preferences };
+
+        const topics = await trendService.getTopics(scope);
+        if (topics.length > 0 || topic) {
+            const result = await trendService.getTopicArticles(topic || topics[0].topic, scope, parseInt(limit), preferences);
+            if (!result) {
+                return res.status(404).json({ error: 'Topic is not trending' });
+            }
+            await storyService.attachStories(result.articles);
+
+            return res.json({
+                success: true,
+                trending_topic: result.topic.label,
+                topic: trendService.toResponse(result.topic),
+                articles: result.articles,
+                count: result.articles.length,
+                available_topics: topics.map(entry => entry.topic)
+            });
+        }
+
+        const curatedTopics = await newsService.getTrendingTopics();
+        if (curatedTopics.length === 0) {
+            return res.json({ success: true, trending_topic: null, topic: null, articles: [], count: 0, available_topics: [] });
+        }
 
-        // Fetch trending business topics
-        const trendingTopics = [
-            'artificial intelligence business',
-            'cryptocurrency market',
-            'remote work trends',
-            'sustainable business',
-            'fintech innovation',
-            'supply chain',
-            'digital transformation',
-            'startup funding',
-            'stock market analysis',
-            'economic outlook'
-        ];
-
-        // Get articles for random trending topics
-        const randomTopic = trendingTopics[Math.floor(Math.random() * trendingTopics.length)];
-        const articles = await newsService.fetchNewsFromAPI(randomTopic, parseInt(limit));
-
-        const trendingArticles = articles.map(article => ({
-            id: require('uuid').v4(),
-            title: newsService.sanitizeText(article.title),
-            description: newsService.sanitizeText(article.description),
-            url: article.url,
-            image_url: article.urlToImage,
-            published_at: article.publishedAt,
-            source_name: article.source?.name || 'Unknown',
-            topic: randomTopic
-        }));
+        const curatedTopic = curatedTopics[0];
+        let trendingArticles = await newsService.getStoredArticles('trending', curatedTopic, parseInt(limit), preferences);
+        // Only a topic with nothing stored triggers an upstream call, not one the user's filters emptied
+        if (trendingArticles.length === 0 && (await newsService.getStoredArticles('trending', curatedTopic, 1)).length === 0) {
+            await ingestionService.ingestTopic(curatedTopic);
+            trendingArticles = await newsService.getStoredArticles('trending', curatedTopic, parseInt(limit), preferences);
+        }
+        await storyService.attachStories(trendingArticles);
 
         res.json({
             success: true,
-            trending_topic: randomTopic,
+            trending_topic: curatedTopic,
+            topic: null,
             articles: trendingArticles,
             count: trendingArticles.length,
-            available_topics: trendingTopics
+            available_topics: []
         });
 
     } catch (error) {
@@ -240,36 +486,64 @@ router.get('/trending', async (req, res) => {
     }
 });
 
+// The source credibility registry, for picking sources to allow or block
+router.get('/sources', allowApiKey('news:read'), authenticateToken, async (req, res) => {
+    try {
+        const sources = sourceService.listSources();
+
+        res.json({
+            success: true,
+            sources,
+            count: sources.length
+        });
+
+    } catch (error) {
+        console.error('Error fetching sources:', error);
+        res.status(500).json({ error: 'Failed to fetch sources' });
+    }
+});
+
 // Bookmark article
-router.post('/bookmark', authenticateToken, async (req, res) => {
+router.post('/bookmark', allowApiKey('bookmarks:write'), authenticateToken, async (req, res) => {
     try {
-        const { articleId, title, url, source } = req.body;
+        const { articleId, title, url, description, imageUrl, source, publishedAt, folderId, tags, note } = req.body;
 
-        if (!articleId || !title || !url) {
-            return res.status(400).json({ error: 'Article ID, title, and URL are required' });
+        if (!articleId) {
+            return res.status(400).json({ error: 'Article ID is required' });
         }
 
-        const bookmarkId = require('uuid').v4();
-
         // Check if already bookmarked
         const existing = await getQuery(`
       SELECT id FROM user_bookmarks WHERE user_id = ? AND article_id = ?
     `, [req.userId, articleId]);
 
         if (existing) {
-            return res.status(400).json({ error: 'Article already bookmarked' });
+            return res.status(400).json({ error: 'Article already bookmarked', bookmarkId: existing.id });
         }
 
-        // Add bookmark
-        await runQuery(`
-      INSERT INTO user_bookmarks (id, user_id, article_id)
-      VALUES (?, ?, ?)
-    `, [bookmarkId, req.userId, articleId]);
+        if (!bookmarkService.isAcceptableUrl(url)) {
+            return res.status(400).json({ error: 'Article URL must be an http(s) link' });
+        }
+
+        if (folderId && !(await bookmarkService.getFolder(req.userId, folderId))) {
+            return res.status(400).json({ error: 'Folder not found' });
+        }
+
+        const bookmark = await bookmarkService.createBookmark(req.userId, articleId, {
+            title, url, description, imageUrl, source, publishedAt, folderId, tags, note
+        });
+
+        if (!bookmark) {
+            return res.status(400).json({ error: 'Article title and URL are required for articles no longer in the store' });
+        }
+
+        await interestService.recordBookmark(req.userId, articleId);
 
         res.json({
             success: true,
             message: 'Article bookmarked successfully',
-            bookmarkId
+            bookmarkId: bookmark.id,
+            bookmark
         });
 
     } catch (error) {
@@ -278,22 +552,30 @@ router.post('/bookmark', authenticateToken, async (req, res) => {
     }
 });
 
-// Get user bookmarks
-router.get('/bookmarks', authenticateToken, async (req, res) => {
+// Get user bookmarks, optionally filtered by folder, tag, read state or text and sorted
+router.get('/bookmarks', allowApiKey('bookmarks:read'), authenticateToken, async (req, res) => {
     try {
-        const bookmarks = await allQuery(`
-      SELECT b.id, b.article_id, b.bookmarked_at,
-             n.title, n.description, n.url, n.image_url, n.source_name
-      FROM user_bookmarks b
-      LEFT JOIN news_articles n ON b.article_id = n.id
-      WHERE b.user_id = ?
-      ORDER BY b.bookmarked_at DESC
-    `, [req.userId]);
+        const { folder, tag, read, q, sort = 'newest', limit = 50, offset = 0 } = req.query;
+
+        if (read !== undefined && !['true', 'false'].includes(read)) {
+            return res.status(400).json({ error: 'read must be true or false' });
+        }
+
+        const { bookmarks, total } = await bookmarkService.listBookmarks(req.userId, {
+            folderId: folder,
+            tag: tag?.trim(),
+            read: read === undefined ? undefined : read === 'true',
+            q: q?.trim(),
+            sort,
+            limit: Math.min(Math.max(parseInt(limit) || 50, 1), 200),
+            offset: Math.max(parseInt(offset) || 0, 0)
+        });
 
         res.json({
             success: true,
             bookmarks,
-            count: bookmarks.length
+            count: bookmarks.length,
+            total
         });
 
     } catch (error) {
@@ -302,8 +584,133 @@ router.get('/bookmarks', authenticateToken, async (req, res) => {
     }
 });
 
+// List bookmark folders
+router.get('/bookmarks/folders', allowApiKey('bookmarks:read'), authenticateToken, async (req, res) => {
+    try {
+        const folders = await bookmarkService.listFolders(req.userId);
+
+        res.json({
+            success: true,
+            folders
+        });
+
+    } catch (error) {
+        console.error('Error fetching bookmark folders:', error);
+        res.status(500).json({ error: 'Failed to fetch bookmark folders' });
+    }
+});
+
+// Create bookmark folder
+router.post('/bookmarks/folders', allowApiKey('bookmarks:write'), authenticateToken, async (req, res) => {
+    try {
+        const name = bookmarkService.normalizeFolderName(req.body.name);
+
+        if (!name) {
+            return res.status(400).json({ error: 'Folder name is required' });
+        }
+
+        if (await bookmarkService.findFolderByName(req.userId, name)) {
+            return res.status(400).json({ error: 'A folder with that name already exists' });
+        }
+
+        const folder = await bookmarkService.createFolder(req.userId, name);
+
+        res.status(201).json({
+            success: true,
+            folder
+        });
+
+    } catch (error) {
+        console.error('Error creating bookmark folder:', error);
+        res.status(500).json({ error: 'Failed to create bookmark folder' });
+    }
+});
+
+// Rename bookmark folder
+router.put('/bookmarks/folders/:folderId', allowApiKey('bookmarks:write'), authenticateToken, async (req, res) => {
+    try {
+        const { folderId } = req.params;
+        const name = bookmarkService.normalizeFolderName(req.body.name);
+
+        if (!name) {
+            return res.status(400).json({ error: 'Folder name is required' });
+        }
+
+        if (!(await bookmarkService.getFolder(req.userId, folderId))) {
+            return res.status(404).json({ error: 'Folder not found' });
+        }
+
+        const duplicate = await bookmarkService.findFolderByName(req.userId, name);
+        if (duplicate && duplicate.id !== folderId) {
+            return res.status(400).json({ error: 'A folder with that name already exists' });
+        }
+
+        const folder = await bookmarkService.renameFolder(req.userId, folderId, name);
+
+        res.json({
+            success: true,
+            folder
+        });
+
+    } catch (error) {
+        console.error('Error renaming bookmark folder:', error);
+        res.status(500).json({ error: 'Failed to rename bookmark folder' });
+    }
+});
+
+// Delete bookmark folder (its bookmarks become unfiled)
+router.delete('/bookmarks/folders/:folderId', allowApiKey('bookmarks:write'), authenticateToken, async (req, res) => {
+    try {
+        const deleted = await bookmarkService.deleteFolder(req.userId, req.params.folderId);
+
+        if (!deleted) {
+            return res.status(404).json({ error: 'Folder not found' });
+        }
+
+        res.json({
+            success: true,
+            message: 'Folder deleted successfully'
+        });
+
+    } catch (error) {
+        console.error('Error deleting bookmark folder:', error);
+        res.status(500).json({ error: 'Failed to delete bookmark folder' });
+    }
+});
+
+// Update bookmark folder, tags, note or read flag
+router.patch('/bookmark/:bookmarkId', allowApiKey('bookmarks:write'), authenticateToken, async (req, res) => {
+    try {
+        const { bookmarkId } = req.params;
+        const { folderId, tags, note, isRead } = req.body;
+
+        if (isRead !== undefined && typeof isRead !== 'boolean') {
+            return res.status(400).json({ error: 'isRead must be a boolean' });
+        }
+
+        if (folderId && !(await bookmarkService.getFolder(req.userId, folderId))) {
+            return res.status(400).json({ error: 'Folder not found' });
+        }
+
+        const bookmark = await bookmarkService.updateBookmark(req.userId, bookmarkId, { folderId, tags, note, isRead });
+
+        if (!bookmark) {
+            return res.status(404).json({ error: 'Bookmark not found' });
+        }
+
+        res.json({
+            success: true,
+            bookmark
+        });
+
+    } catch (error) {
+        console.error('Error updating bookmark:', error);
+        res.status(500).json({ error: 'Failed to update bookmark' });
+    }
+});
+
 // Remove bookmark
-router.delete('/bookmark/:bookmarkId', authenticateToken, async (req, res) => {
+router.delete('/bookmark/:bookmarkId', allowApiKey('bookmarks:write'), authenticateToken, async (req, res) => {
     try {
         const { bookmarkId } = req.params;
 
@@ -326,10 +733,11 @@ router.delete('/bookmark/:bookmarkId', authenticateToken, async (req, res) => {
     }
 });
 
-// Track article reading (for analytics)
+// Track article reading; reads and reading time (seconds) feed the learned interest profile
 router.post('/read', authenticateToken, async (req, res) => {
     try {
-        const { articleId, readingTime = 0 } = req.body;
+        const { articleId } = req.body;
+        const readingTime = Math.max(parseInt(req.body.readingTime) || 0, 0);
 
         if (!articleId) {
             return res.status(400).json({ error: 'Article ID is required' });
@@ -339,7 +747,9 @@ router.post('/read', authenticateToken, async (req, res) => {
         await runQuery(`
       INSERT INTO user_reading_history (id, user_id, article_id, reading_time)
       VALUES (?, ?, ?, ?)
-    `, [readingId, req.userId, articleId, parseInt(readingTime)]);
+    `, [readingId, req.userId, articleId, readingTime]);
+
+        await interestService.recordRead(req.userId, articleId, readingTime);
 
         res.json({
             success: true,
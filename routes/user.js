@@ -1,45 +1,28 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
+const moment = require('moment');
 const { getQuery, runQuery, allQuery } = require('../database/db');
+const { MAX_SAVED_LOCATIONS, normalizePreferences, normalizeIndustries, normalizeSavedLocations } = require('../services/preferences');
+const sessionService = require('../services/sessionService');
+const watchlistService = require('../services/watchlistService');
+const interestService = require('../services/interestService');
+const feedService = require('../services/feedService');
+const opmlService = require('../services/opmlService');
+const ingestionService = require('../services/ingestionService');
+const privacyService = require('../services/privacyService');
+const newsService = require('../services/newsService');
+const gazetteer = require('../services/gazetteer');
+const { isPublicUrl } = require('../services/publicUrl');
+const { authenticateToken, allowApiKey } = require('../authenticate');
 
 const router = express.Router();
 
-// Middleware to authenticate requests
-const jwt = require('jsonwebtoken');
-const JWT_SECRET = process.env.JWT_SECRET || 'your_jwt_secret_change_this_in_production';
-
-async function authenticateToken(req, res, next) {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
-
-    if (!token) {
-        return res.status(401).json({ error: 'Access token required' });
-    }
-
-    try {
-        const decoded = jwt.verify(token, JWT_SECRET);
-        const session = await getQuery(`
-      SELECT user_id FROM user_sessions 
-      WHERE token = ? AND expires_at > datetime('now')
-    `, [token]);
-
-        if (!session) {
-            return res.status(401).json({ error: 'Invalid or expired token' });
-        }
-
-        req.userId = decoded.userId;
-        next();
-    } catch (error) {
-        return res.status(401).json({ error: 'Invalid token' });
-    }
-}
-
 // Get user profile
-router.get('/profile', authenticateToken, async (req, res) => {
+router.get('/profile', allowApiKey('profile:read'), authenticateToken, async (req, res) => {
     try {
         const user = await getQuery(`
       SELECT id, email, first_name, last_name, career_field, industries,
-             city, state, country, preferences, created_at, updated_at
+             city, state, country, preferences, role, email_verified_at, created_at, updated_at
       FROM users WHERE id = ?
     `, [req.userId]);
 
@@ -59,7 +42,9 @@ router.get('/profile', authenticateToken, async (req, res) => {
                 city: user.city,
                 state: user.state,
                 country: user.country,
-                preferences: JSON.parse(user.preferences || '{}'),
+                preferences: normalizePreferences(JSON.parse(user.preferences || '{}')),
+                emailVerified: Boolean(user.email_verified_at),
+                role: user.role,
                 createdAt: user.created_at,
                 updatedAt: user.updated_at
             }
@@ -72,7 +57,7 @@ router.get('/profile', authenticateToken, async (req, res) => {
 });
 
 // Update user profile
-router.put('/profile', authenticateToken, async (req, res) => {
+router.put('/profile', allowApiKey('profile:write'), authenticateToken, async (req, res) => {
     try {
         const {
             firstName,
@@ -95,13 +80,23 @@ router.put('/profile', authenticateToken, async (req, res) => {
             firstName: firstName.trim(),
             lastName: lastName.trim(),
             careerField: careerField.trim(),
-            industries: Array.isArray(industries) ? industries : [],
+            industries: normalizeIndustries(industries),
             city: city?.trim() || '',
             state: state?.trim() || '',
             country: country?.trim() || '',
-            preferences: typeof preferences === 'object' ? preferences : {}
+            preferences: normalizePreferences(preferences)
         };
 
+        // The server fetches followed feeds, so newly followed ones have to be on public hosts
+        const current = await getQuery('SELECT preferences FROM users WHERE id = ?', [req.userId]);
+        const followed = new Set(normalizePreferences(JSON.parse(current?.preferences || '{}')).followedFeeds
+            .map(feed => feed.url.toLowerCase()));
+        for (const feed of sanitizedData.preferences.followedFeeds) {
+            if (!followed.has(feed.url.toLowerCase()) && !(await isPublicUrl(feed.url))) {
+                return res.status(400).json({ error: `Feed URL ${feed.url} is not on a public host` });
+            }
+        }
+
         // Update user profile
         await runQuery(`
       UPDATE users 
@@ -171,7 +166,7 @@ router.put('/password', authenticateToken, async (req, res) => {
     `, [newPasswordHash, req.userId]);
 
         // Invalidate all existing sessions for security
-        await runQuery('DELETE FROM user_sessions WHERE user_id = ?', [req.userId]);
+        await sessionService.revokeAllSessions(req.userId, { reason: 'password_changed' });
 
         res.json({
             success: true,
@@ -186,7 +181,7 @@ router.put('/password', authenticateToken, async (req, res) => {
 });
 
 // Get user reading statistics
-router.get('/stats', authenticateToken, async (req, res) => {
+router.get('/stats', allowApiKey('profile:read'), authenticateToken, async (req, res) => {
     try {
         // Get reading statistics
         const readingStats = await allQuery(`
@@ -244,7 +239,413 @@ router.get('/stats', authenticateToken, async (req, res) => {
     }
 });
 
-// Delete user account
+// List watchlists with their match and unread alert counts
+router.get('/watchlists', allowApiKey('watchlists:read'), authenticateToken, async (req, res) => {
+    try {
+        const watchlists = await watchlistService.listWatchlists(req.userId);
+
+        res.json({
+            success: true,
+            watchlists
+        });
+
+    } catch (error) {
+        console.error('Error fetching watchlists:', error);
+        res.status(500).json({ error: 'Failed to fetch watchlists' });
+    }
+});
+
+// Create watchlist
+router.post('/watchlists', allowApiKey('watchlists:write'), authenticateToken, async (req, res) => {
+    try {
+        const { name, keywords, matchMode, excludeTerms, emailAlerts } = req.body;
+        const watchlist = await watchlistService.createWatchlist(req.userId, { name, keywords, matchMode, excludeTerms, emailAlerts });
+
+        res.status(201).json({
+            success: true,
+            watchlist
+        });
+
+    } catch (error) {
+        if (error.name === 'WatchlistError') {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error creating watchlist:', error);
+        res.status(500).json({ error: 'Failed to create watchlist' });
+    }
+});
+
+// Update watchlist name, rules or email alerts
+router.put('/watchlists/:watchlistId', allowApiKey('watchlists:write'), authenticateToken, async (req, res) => {
+    try {
+        const { watchlistId } = req.params;
+        const { name, keywords, matchMode, excludeTerms, emailAlerts } = req.body;
+
+        const watchlist = await watchlistService.updateWatchlist(req.userId, watchlistId, {
+            name, keywords, matchMode, excludeTerms, emailAlerts
+        });
+
+        if (!watchlist) {
+            return res.status(404).json({ error: 'Watchlist not found' });
+        }
+
+        res.json({
+            success: true,
+            watchlist
+        });
+
+    } catch (error) {
+        if (error.name === 'WatchlistError') {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error updating watchlist:', error);
+        res.status(500).json({ error: 'Failed to update watchlist' });
+    }
+});
+
+// Delete watchlist and its matches
+router.delete('/watchlists/:watchlistId', allowApiKey('watchlists:write'), authenticateToken, async (req, res) => {
+    try {
+        const deleted = await watchlistService.deleteWatchlist(req.userId, req.params.watchlistId);
+
+        if (!deleted) {
+            return res.status(404).json({ error: 'Watchlist not found' });
+        }
+
+        res.json({
+            success: true,
+            message: 'Watchlist deleted'
+        });
+
+    } catch (error) {
+        console.error('Error deleting watchlist:', error);
+        res.status(500).json({ error: 'Failed to delete watchlist' });
+    }
+});
+
+// Articles matched by a watchlist
+router.get('/watchlists/:watchlistId/articles', allowApiKey('watchlists:read'), authenticateToken, async (req, res) => {
+    try {
+        const { watchlistId } = req.params;
+        const { unread, limit = 20, offset = 0 } = req.query;
+
+        if (unread !== undefined && !['true', 'false'].includes(unread)) {
+            return res.status(400).json({ error: 'unread must be true or false' });
+        }
+
+        const watchlist = await watchlistService.getWatchlist(req.userId, watchlistId);
+        if (!watchlist) {
+            return res.status(404).json({ error: 'Watchlist not found' });
+        }
+
+        const { articles, total } = await watchlistService.listMatchedArticles(req.userId, watchlistId, {
+            unread: unread === undefined ? undefined : unread === 'true',
+            limit: Math.min(Math.max(parseInt(limit) || 20, 1), 100),
+            offset: Math.max(parseInt(offset) || 0, 0)
+        });
+
+        res.json({
+            success: true,
+            watchlist,
+            articles,
+            count: articles.length,
+            total
+        });
+
+    } catch (error) {
+        console.error('Error fetching watchlist articles:', error);
+        res.status(500).json({ error: 'Failed to fetch watchlist articles' });
+    }
+});
+
+// Unread watchlist alerts
+router.get('/alerts', allowApiKey('watchlists:read'), authenticateToken, async (req, res) => {
+    try {
+        const { alerts, unreadCount } = await watchlistService.listAlerts(req.userId);
+
+        res.json({
+            success: true,
+            alerts,
+            unreadCount
+        });
+
+    } catch (error) {
+        console.error('Error fetching alerts:', error);
+        res.status(500).json({ error: 'Failed to fetch alerts' });
+    }
+});
+
+// Mark alerts read: all of them, one watchlist's, or one article's
+router.post('/alerts/read', allowApiKey('watchlists:write'), authenticateToken, async (req, res) => {
+    try {
+        const { watchlistId, articleId } = req.body;
+        const updated = await watchlistService.markAlertsRead(req.userId, { watchlistId, articleId });
+
+        res.json({
+            success: true,
+            updated
+        });
+
+    } catch (error) {
+        console.error('Error marking alerts read:', error);
+        res.status(500).json({ error: 'Failed to mark alerts read' });
+    }
+});
+
+// Interests learned from reading history and bookmarks, strongest first
+router.get('/interests', allowApiKey('profile:read'), authenticateToken, async (req, res) => {
+    try {
+        const { terms, sources } = await interestService.listInterests(req.userId);
+
+        res.json({
+            success: true,
+            terms,
+            sources
+        });
+
+    } catch (error) {
+        console.error('Error fetching interests:', error);
+        res.status(500).json({ error: 'Failed to fetch interests' });
+    }
+});
+
+// Forget the learned interests; ranking falls back to location, industry and recency
+router.delete('/interests', allowApiKey('profile:write'), authenticateToken, async (req, res) => {
+    try {
+        const removed = await interestService.resetInterests(req.userId);
+
+        res.json({
+            success: true,
+            message: 'Learned interests reset',
+            removed
+        });
+
+    } catch (error) {
+        console.error('Error resetting interests:', error);
+        res.status(500).json({ error: 'Failed to reset interests' });
+    }
+});
+
+function locationResponse(location) {
+    return {
+        name: location.name,
+        primary: location.primary,
+        label: newsService.locationLabel(location),
+        city: location.city,
+        metro: location.metro,
+        state: location.state,
+        country: location.country
+    };
+}
+
+// The profile's own location and the saved ones, expanded city → metro → state → country
+router.get('/locations', allowApiKey('profile:read'), authenticateToken, async (req, res) => {
+    try {
+        const user = await getQuery('SELECT city, state, country, preferences FROM users WHERE id = ?', [req.userId]);
+
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        res.json({
+            success: true,
+            locations: newsService.buildUserProfile(user).locations.map(locationResponse)
+        });
+
+    } catch (error) {
+        console.error('Error fetching locations:', error);
+        res.status(500).json({ error: 'Failed to fetch locations' });
+    }
+});
+
+// Replace the saved locations: [{ name, city, state, country }]
+router.put('/locations', allowApiKey('profile:write'), authenticateToken, async (req, res) => {
+    try {
+        const { locations } = req.body;
+
+        if (!Array.isArray(locations)) {
+            return res.status(400).json({ error: 'locations must be an array' });
+        }
+        if (locations.length > MAX_SAVED_LOCATIONS) {
+            return res.status(400).json({ error: `At most ${MAX_SAVED_LOCATIONS} saved locations are allowed` });
+        }
+
+        const user = await getQuery('SELECT city, state, country, preferences FROM users WHERE id = ?', [req.userId]);
+
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const preferences = {
+            ...normalizePreferences(JSON.parse(user.preferences || '{}')),
+            savedLocations: normalizeSavedLocations(locations)
+        };
+        await runQuery(`
+      UPDATE users SET preferences = ?, updated_at = datetime('now') WHERE id = ?
+    `, [JSON.stringify(preferences), req.userId]);
+
+        // New locations fill in once their news is fetched; no need to hold the response for it
+        const userProfile = newsService.buildUserProfile({ ...user, preferences: JSON.stringify(preferences) });
+        newsService.getMissingProfileBuckets(userProfile)
+            .then(missing => ingestionService.ingestProfile(userProfile, missing))
+            .catch(error => {
+                console.error('Error ingesting saved locations:', error);
+            });
+
+        res.json({
+            success: true,
+            message: 'Locations saved',
+            savedLocations: preferences.savedLocations,
+            locations: userProfile.locations.map(locationResponse)
+        });
+
+    } catch (error) {
+        console.error('Error saving locations:', error);
+        res.status(500).json({ error: 'Failed to save locations' });
+    }
+});
+
+// Place suggestions from the bundled gazetteer, for location autocomplete
+router.get('/locations/search', allowApiKey('profile:read'), authenticateToken, async (req, res) => {
+    const query = String(req.query.q || '').trim();
+    const limit = Math.min(parseInt(req.query.limit) || 10, 25);
+
+    res.json({
+        success: true,
+        places: query.length >= 2 ? gazetteer.search(query, limit) : []
+    });
+});
+
+// The user's active feed URLs (the URLs themselves are only shown when created)
+router.get('/feeds', authenticateToken, async (req, res) => {
+    try {
+        const feeds = await feedService.listFeeds(req.userId);
+
+        res.json({
+            success: true,
+            feeds
+        });
+
+    } catch (error) {
+        console.error('Error fetching feeds:', error);
+        res.status(500).json({ error: 'Failed to fetch feeds' });
+    }
+});
+
+// Create a secret RSS/Atom/JSON Feed URL for the whole feed, a category, a watchlist or a bookmark folder
+router.post('/feeds', authenticateToken, async (req, res) => {
+    try {
+        const { name, scope, scopeValue } = req.body;
+        const { feed, urls } = await feedService.createFeed(req.userId, { name, scope, scopeValue });
+
+        res.status(201).json({
+            success: true,
+            feed,
+            urls
+        });
+
+    } catch (error) {
+        if (error.name === 'FeedError') {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error creating feed:', error);
+        res.status(500).json({ error: 'Failed to create feed' });
+    }
+});
+
+// Revoke a feed URL; readers polling it get 410 Gone
+router.delete('/feeds/:feedId', authenticateToken, async (req, res) => {
+    try {
+        const revoked = await feedService.revokeFeed(req.userId, req.params.feedId);
+
+        if (!revoked) {
+            return res.status(404).json({ error: 'Feed not found' });
+        }
+
+        res.json({
+            success: true,
+            message: 'Feed URL revoked'
+        });
+
+    } catch (error) {
+        console.error('Error revoking feed:', error);
+        res.status(500).json({ error: 'Failed to revoke feed' });
+    }
+});
+
+// OPML uploads arrive as the raw file, or as { "opml": "<xml>" } JSON
+const opmlBody = express.text({ type: ['text/xml', 'application/xml', 'text/x-opml', 'application/octet-stream'], limit: '1mb' });
+
+// Import followed feeds and topics from another reader's OPML export
+router.post('/import/opml', authenticateToken, opmlBody, async (req, res) => {
+    try {
+        const xml = typeof req.body === 'string' ? req.body : req.body?.opml;
+        const result = await opmlService.importOpml(req.userId, xml);
+
+        // New feeds show up on the dashboard once fetched; no need to hold the response for it
+        if (result.feeds.length > 0) {
+            ingestionService.ingestFeeds(result.feeds).catch(error => {
+                console.error('Error ingesting imported feeds:', error);
+            });
+        }
+
+        res.json({
+            success: true,
+            message: `Imported ${result.feeds.length} feed(s) and ${result.topics.length} topic(s)`,
+            ...result
+        });
+
+    } catch (error) {
+        if (error.name === 'OpmlError') {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error importing OPML:', error);
+        res.status(500).json({ error: 'Failed to import OPML' });
+    }
+});
+
+// Export followed feeds and topics as OPML
+router.get('/export/opml', authenticateToken, async (req, res) => {
+    try {
+        const opml = await opmlService.exportOpml(req.userId);
+
+        res.set({
+            'Content-Type': 'text/x-opml; charset=utf-8',
+            'Content-Disposition': 'attachment; filename="newsmini-subscriptions.opml"'
+        });
+        res.send(opml);
+
+    } catch (error) {
+        console.error('Error exporting OPML:', error);
+        res.status(500).json({ error: 'Failed to export OPML' });
+    }
+});
+
+// Download everything stored about the account as a zip of JSON and CSV files
+router.get('/export', authenticateToken, async (req, res) => {
+    try {
+        const data = await privacyService.collectUserData(req.userId);
+        if (!data) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        res.set({
+            'Content-Type': 'application/zip',
+            'Content-Disposition': `attachment; filename="newsmini-export-${moment.utc().format('YYYY-MM-DD')}.zip"`,
+            'Cache-Control': 'no-store'
+        });
+        await privacyService.writeExport(data, res);
+
+    } catch (error) {
+        console.error('Error exporting user data:', error);
+        if (res.headersSent) {
+            return res.destroy(error);
+        }
+        res.status(500).json({ error: 'Failed to export user data' });
+    }
+});
+
+// Delete user account: signs out everywhere now and erases the data once the grace period is over
 router.delete('/account', authenticateToken, async (req, res) => {
     try {
         const { password } = req.body;
@@ -264,15 +665,12 @@ router.delete('/account', authenticateToken, async (req, res) => {
             return res.status(400).json({ error: 'Password is incorrect' });
         }
 
-        // Delete user data (in order due to foreign key constraints)
-        await runQuery('DELETE FROM user_reading_history WHERE user_id = ?', [req.userId]);
-        await runQuery('DELETE FROM user_bookmarks WHERE user_id = ?', [req.userId]);
-        await runQuery('DELETE FROM user_sessions WHERE user_id = ?', [req.userId]);
-        await runQuery('DELETE FROM users WHERE id = ?', [req.userId]);
+        const deletionScheduledFor = await privacyService.scheduleDeletion(req.userId);
 
         res.json({
             success: true,
-            message: 'Account deleted successfully'
+            message: `Account scheduled for deletion. Sign in before ${deletionScheduledFor} UTC to restore it.`,
+            deletionScheduledFor
         });
 
     } catch (error) {
@@ -10,8 +10,16 @@ require('dotenv').config();
 const authRoutes = require('./routes/auth');
 const newsRoutes = require('./routes/news');
 const userRoutes = require('./routes/user');
+const digestRoutes = require('./routes/digest');
+const adminRoutes = require('./routes/admin');
+const feedRoutes = require('./routes/feeds');
 const { initializeDatabase } = require('./database/db');
 const newsService = require('./services/newsService');
+const ingestionService = require('./services/ingestionService');
+const digestService = require('./services/digestService');
+const sourceService = require('./services/sourceService');
+const privacyService = require('./services/privacyService');
+const mailer = require('./services/mailer');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -48,6 +56,9 @@ app.use(express.static(path.join(__dirname, 'public')));
 app.use('/api/auth', authRoutes);
 app.use('/api/news', newsRoutes);
 app.use('/api/user', userRoutes);
+app.use('/api/digest', digestRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/feeds', feedRoutes);
 
 // Location detection endpoint
 app.get('/api/location', (req, res) => {
@@ -105,11 +116,26 @@ app.use((req, res) => {
     res.status(404).json({ error: 'Route not found' });
 });
 
-// Scheduled news refresh every 2 hours
-cron.schedule('0 */2 * * *', () => {
-    console.log('Running scheduled news refresh...');
-    newsService.refreshNewsCache();
-});
+// Background jobs are scheduled when the server starts, so requiring the app (as the tests do) runs none
+function scheduleJobs() {
+    // Scheduled ingestion every 2 hours: pull articles for all user profiles, then expire old ones
+    cron.schedule(ingestionService.schedule, async () => {
+        console.log('Running scheduled news refresh...');
+        try {
+            await ingestionService.runIngestion();
+            await newsService.refreshNewsCache();
+        } catch (error) {
+            console.error('Error during scheduled news refresh:', error);
+        }
+    });
+
+    // Email digests for users who opted in; times are in the server's timezone
+    cron.schedule(process.env.DIGEST_DAILY_CRON || '0 7 * * *', () => digestService.runDigests('daily'));
+    cron.schedule(process.env.DIGEST_WEEKLY_CRON || '0 7 * * 1', () => digestService.runDigests('weekly'));
+
+    // Erase accounts whose deletion grace period has ended
+    cron.schedule(process.env.ACCOUNT_PURGE_CRON || '30 3 * * *', () => privacyService.purgeDeletedAccounts());
+}
 
 // Initialize database and start server
 async function startServer() {
@@ -117,12 +143,20 @@ async function startServer() {
         await initializeDatabase();
         console.log('Database initialized successfully');
 
+        const sources = await sourceService.load();
+        console.log(`Loaded ${sources.length} sources from the credibility registry`);
+
+        console.log(`Sending mail with the ${mailer.getTransport().name} transport`);
+
+        scheduleJobs();
         app.listen(PORT, () => {
             console.log(`Business News Aggregator running on port ${PORT}`);
             console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
 
-            // Initial news cache population
-            newsService.refreshNewsCache();
+            // Initial news store population
+            ingestionService.runIngestion()
+                .then(() => newsService.refreshNewsCache())
+                .catch(error => console.error('Error populating the news store at startup:', error));
         });
     } catch (error) {
         console.error('Failed to start server:', error);
@@ -130,6 +164,8 @@ async function startServer() {
     }
 }
 
-startServer();
+if (require.main === module) {
+    startServer();
+}
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+const moment = require('moment');
+const { v4: uuidv4 } = require('uuid');
+const { getQuery, runQuery } = require('../database/db');
+const mailer = require('./mailer');
+const { SQL_DATETIME, hashToken, escapeHtml } = require('./util');
+
+const APP_URL = (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+// Minutes each kind of emailed token stays valid
+const TOKEN_TTL_MINUTES = {
+    password_reset: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60,
+    email_verification: parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) * 60 || 48 * 60
+};
+
+class AccountService {
+    // Issue a fresh token for the purpose; earlier unused ones stop working
+    async createToken(userId, purpose) {
+        const token = crypto.randomBytes(32).toString('base64url');
+        const expiresAt = moment.utc().add(TOKEN_TTL_MINUTES[purpose], 'minutes').format(SQL_DATETIME);
+
+        await runQuery(`
+      UPDATE account_tokens SET used_at = datetime('now')
+      WHERE user_id = ? AND purpose = ? AND used_at IS NULL
+    `, [userId, purpose]);
+
+        await runQuery(`
+      INSERT INTO account_tokens (id, user_id, purpose, token_hash, expires_at)
+      VALUES (?, ?, ?, ?, ?)
+    `, [uuidv4(), userId, purpose, hashToken(token), expiresAt]);
+
+        return token;
+    }
+
+    // Mark the token used and return its user id, or null if it is unknown, expired or already used
+    async consumeToken(token, purpose) {
+        if (!token || typeof token !== 'string') return null;
+
+        const stored = await getQuery(`
+      SELECT id, user_id FROM account_tokens
+      WHERE token_hash = ? AND purpose = ? AND used_at IS NULL AND expires_at > datetime('now')
+    `, [hashToken(token), purpose]);
+
+        if (!stored) return null;
+
+        // Only one request can win the update, so a token can't be redeemed twice concurrently
+        const result = await runQuery(`
+      UPDATE account_tokens SET used_at = datetime('now') WHERE id = ? AND used_at IS NULL
+    `, [stored.id]);
+
+        return result.changes > 0 ? stored.user_id : null;
+    }
+
+    async sendVerificationEmail(user) {
+        const token = await this.createToken(user.id, 'email_verification');
+        const link = `${APP_URL}/?verify=${encodeURIComponent(token)}`;
+        const hours = Math.round(TOKEN_TTL_MINUTES.email_verification / 60);
+
+        await mailer.send({
+            to: user.email,
+            subject: 'Confirm your NewsMini email address',
+            text: `Hi ${user.first_name || 'there'},\n\nConfirm your email address by opening this link:\n${link}\n\nThe link expires in ${hours} hours. If you didn't create a NewsMini account, you can ignore this email.`,
+            html: `<p>Hi ${escapeHtml(user.first_name || 'there')},</p>
+<p>Confirm your email address by opening this link:</p>
+<p><a href="${link}">Confirm email address</a></p>
+<p>The link expires in ${hours} hours. If you didn't create a NewsMini account, you can ignore this email.</p>`
+        });
+    }
+
+    async sendPasswordResetEmail(user) {
+        const token = await this.createToken(user.id, 'password_reset');
+        const link = `${APP_URL}/?reset=${encodeURIComponent(token)}`;
+        const minutes = TOKEN_TTL_MINUTES.password_reset;
+
+        await mailer.send({
+            to: user.email,
+            subject: 'Reset your NewsMini password',
+            text: `Hi ${user.first_name || 'there'},\n\nSomeone asked to reset the password for this account. Choose a new password here:\n${link}\n\nThe link works once and expires in ${minutes} minutes. If you didn't ask for this, you can ignore this email; your password won't change.`,
+            html: `<p>Hi ${escapeHtml(user.first_name || 'there')},</p>
+<p>Someone asked to reset the password for this account. Choose a new password here:</p>
+<p><a href="${link}">Reset password</a></p>
+<p>The link works once and expires in ${minutes} minutes. If you didn't ask for this, you can ignore this email; your password won't change.</p>`
+        });
+    }
+}
+
+module.exports = new AccountService();
@@ -0,0 +1,109 @@
+const { getQuery, allQuery, runQuery } = require('../database/db');
+const sessionService = require('./sessionService');
+
+const MAX_USERS_PAGE = 100;
+const MAX_REASON_LENGTH = 500;
+
+class AdminError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'AdminError';
+    }
+}
+
+class AdminService {
+    // Accounts matching an email/name search, newest first, with how many sessions each has open
+    async listUsers({ q, status, limit = 50, offset = 0 } = {}) {
+        const conditions = [];
+        const params = [];
+
+        if (q) {
+            const pattern = `%${String(q).trim().toLowerCase()}%`;
+            conditions.push(`(LOWER(u.email) LIKE ? OR LOWER(COALESCE(u.first_name, '') || ' ' || COALESCE(u.last_name, '')) LIKE ?)`);
+            params.push(pattern, pattern);
+        }
+        if (status === 'suspended') {
+            conditions.push('u.suspended_at IS NOT NULL');
+        } else if (status === 'active') {
+            conditions.push('u.suspended_at IS NULL');
+        } else if (status !== undefined) {
+            throw new AdminError('status must be one of: active, suspended');
+        }
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        const pageSize = Math.min(Math.max(parseInt(limit, 10) || 50, 1), MAX_USERS_PAGE);
+        const skip = Math.max(parseInt(offset, 10) || 0, 0);
+
+        const rows = await allQuery(`
+      SELECT u.id, u.email, u.first_name, u.last_name, u.role, u.email_verified_at, u.suspended_at,
+             u.suspended_reason, u.deletion_scheduled_for, u.created_at,
+             (SELECT COUNT(*) FROM user_sessions s
+              WHERE s.user_id = u.id AND s.revoked_at IS NULL AND s.expires_at > datetime('now')) AS active_sessions
+      FROM users u
+      ${where}
+      ORDER BY u.created_at DESC
+      LIMIT ? OFFSET ?
+    `, [...params, pageSize, skip]);
+        const total = await getQuery(`SELECT COUNT(*) AS count FROM users u ${where}`, params);
+
+        return { users: rows.map(row => this.rowToUser(row)), total: total.count, limit: pageSize, offset: skip };
+    }
+
+    async getUser(userId) {
+        const row = await getQuery(`
+      SELECT u.id, u.email, u.first_name, u.last_name, u.role, u.email_verified_at, u.suspended_at,
+             u.suspended_reason, u.deletion_scheduled_for, u.created_at,
+             (SELECT COUNT(*) FROM user_sessions s
+              WHERE s.user_id = u.id AND s.revoked_at IS NULL AND s.expires_at > datetime('now')) AS active_sessions
+      FROM users u WHERE u.id = ?
+    `, [userId]);
+        return row ? this.rowToUser(row) : null;
+    }
+
+    // Block sign-in and background emails for an account and end its open sessions
+    async suspendUser(adminId, userId, reason) {
+        if (adminId === userId) {
+            throw new AdminError('You cannot suspend your own account');
+        }
+
+        const user = await getQuery('SELECT id FROM users WHERE id = ?', [userId]);
+        if (!user) return null;
+
+        const note = reason ? String(reason).trim().slice(0, MAX_REASON_LENGTH) || null : null;
+        await runQuery(`
+      UPDATE users SET suspended_at = COALESCE(suspended_at, datetime('now')), suspended_reason = ?,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [note, userId]);
+        await sessionService.revokeAllSessions(userId, { reason: 'suspended' });
+
+        return this.getUser(userId);
+    }
+
+    async unsuspendUser(userId) {
+        const result = await runQuery(`
+      UPDATE users SET suspended_at = NULL, suspended_reason = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [userId]);
+        return result.changes > 0 ? this.getUser(userId) : null;
+    }
+
+    rowToUser(row) {
+        return {
+            id: row.id,
+            email: row.email,
+            firstName: row.first_name,
+            lastName: row.last_name,
+            role: row.role,
+            emailVerified: Boolean(row.email_verified_at),
+            suspended: Boolean(row.suspended_at),
+            suspendedAt: row.suspended_at,
+            suspendedReason: row.suspended_reason,
+            deletionScheduledFor: row.deletion_scheduled_for,
+            activeSessions: row.active_sessions,
+            createdAt: row.created_at
+        };
+    }
+}
+
+module.exports = new AdminService();
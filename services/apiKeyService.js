@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const moment = require('moment');
+const { v4: uuidv4 } = require('uuid');
+const { getQuery, allQuery, runQuery } = require('../database/db');
+const { SQL_DATETIME, LAST_USED_RESOLUTION_SECONDS, hashToken } = require('./util');
+
+// Keys look like nmk_<40 random characters>, so authentication can tell them from access tokens
+const KEY_PREFIX = 'nmk_';
+const DISPLAY_PREFIX_LENGTH = 12;
+
+// What each scope lets a key do. A :write scope includes the matching :read scope.
+const SCOPES = {
+    'news:read': 'Personalized feed, categories, stories, search and trending',
+    'bookmarks:read': 'List bookmarks and bookmark folders',
+    'bookmarks:write': 'Add, edit and remove bookmarks and folders',
+    'profile:read': 'Profile, reading stats, learned interests and saved locations',
+    'profile:write': 'Update the profile, saved locations and learned interests',
+    'watchlists:read': 'Watchlists, their matched articles and alerts',
+    'watchlists:write': 'Create, edit and delete watchlists and mark alerts read'
+};
+
+const MAX_KEYS_PER_USER = 10;
+const MAX_NAME_LENGTH = 100;
+
+class ApiKeyError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ApiKeyError';
+    }
+}
+
+class ApiKeyService {
+    isApiKey(token) {
+        return typeof token === 'string' && token.startsWith(KEY_PREFIX);
+    }
+
+    listScopes() {
+        return Object.entries(SCOPES).map(([scope, description]) => ({ scope, description }));
+    }
+
+    hasScope(scopes, scope) {
+        const [resource, access] = scope.split(':');
+        return scopes.includes(scope) || (access === 'read' && scopes.includes(`${resource}:write`));
+    }
+
+    // { name, scopes, expiresAt } from the request body; throws ApiKeyError
+    normalizeKey(input = {}) {
+        const name = typeof input.name === 'string' ? input.name.trim().slice(0, MAX_NAME_LENGTH) : '';
+        if (!name) {
+            throw new ApiKeyError('name is required');
+        }
+
+        if (!Array.isArray(input.scopes) || input.scopes.length === 0) {
+            throw new ApiKeyError('scopes must be a non-empty list');
+        }
+        const unknown = input.scopes.filter(scope => !SCOPES[scope]);
+        if (unknown.length > 0) {
+            throw new ApiKeyError(`Unknown scope(s): ${unknown.join(', ')}. Valid scopes: ${Object.keys(SCOPES).join(', ')}`);
+        }
+
+        let expiresAt = null;
+        if (input.expiresAt) {
+            const parsed = moment(input.expiresAt, moment.ISO_8601, true);
+            if (!parsed.isValid() || !parsed.isAfter(moment())) {
+                throw new ApiKeyError('expiresAt must be a future ISO 8601 date');
+            }
+            expiresAt = parsed.utc().format(SQL_DATETIME);
+        }
+
+        return { name, scopes: [...new Set(input.scopes)], expiresAt };
+    }
+
+    // Returns the key's details and the key itself, which can't be recovered afterwards
+    async createKey(userId, input) {
+        const { name, scopes, expiresAt } = this.normalizeKey(input);
+
+        const { count } = await getQuery(`
+      SELECT COUNT(*) AS count FROM api_keys WHERE user_id = ? AND revoked_at IS NULL
+    `, [userId]);
+        if (count >= MAX_KEYS_PER_USER) {
+            throw new ApiKeyError(`You can have at most ${MAX_KEYS_PER_USER} API keys; revoke one first`);
+        }
+
+        const key = `${KEY_PREFIX}${crypto.randomBytes(30).toString('base64url')}`;
+        const keyId = uuidv4();
+
+        await runQuery(`
+      INSERT INTO api_keys (id, user_id, name, key_prefix, key_hash, scopes, expires_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [keyId, userId, name, key.slice(0, DISPLAY_PREFIX_LENGTH), hashToken(key), JSON.stringify(scopes), expiresAt]);
+
+        const row = await getQuery('SELECT * FROM api_keys WHERE id = ?', [keyId]);
+        return { apiKey: this.rowToKey(row), key };
+    }
+
+    // Keys that haven't been revoked, expired ones included so their owner can see why a script stopped
+    async listKeys(userId) {
+        const rows = await allQuery(`
+      SELECT * FROM api_keys WHERE user_id = ? AND revoked_at IS NULL ORDER BY created_at DESC
+    `, [userId]);
+        return rows.map(row => this.rowToKey(row));
+    }
+
+    async revokeKey(userId, keyId) {
+        const result = await runQuery(`
+      UPDATE api_keys SET revoked_at = datetime('now') WHERE id = ? AND user_id = ? AND revoked_at IS NULL
+    `, [keyId, userId]);
+        return result.changes > 0;
+    }
+
+    // The live key and its owner's email, or null. Keys of suspended accounts and accounts pending
+    // deletion stop working like revoked ones.
+    async verifyKey(key, client = {}) {
+        const row = await getQuery(`
+      SELECT k.*, u.email FROM api_keys k
+      JOIN users u ON u.id = k.user_id
+      WHERE k.key_hash = ? AND k.revoked_at IS NULL
+        AND (k.expires_at IS NULL OR k.expires_at > datetime('now'))
+        AND u.suspended_at IS NULL AND u.deletion_requested_at IS NULL
+    `, [hashToken(key)]);
+
+        if (!row) return null;
+
+        const stale = moment.utc().subtract(LAST_USED_RESOLUTION_SECONDS, 'seconds').format(SQL_DATETIME);
+        if (!row.last_used_at || row.last_used_at < stale) {
+            await runQuery(`
+        UPDATE api_keys SET last_used_at = datetime('now'), last_used_ip = COALESCE(?, last_used_ip)
+        WHERE id = ?
+      `, [client.ipAddress || null, row.id]);
+        }
+
+        return { ...this.rowToKey(row), userId: row.user_id, email: row.email };
+    }
+
+    rowToKey(row) {
+        return {
+            id: row.id,
+            name: row.name,
+            prefix: row.key_prefix,
+            scopes: JSON.parse(row.scopes),
+            createdAt: row.created_at,
+            expiresAt: row.expires_at,
+            expired: Boolean(row.expires_at) && row.expires_at <= moment.utc().format(SQL_DATETIME),
+            lastUsedAt: row.last_used_at,
+            lastUsedIp: row.last_used_ip
+        };
+    }
+}
+
+module.exports = new ApiKeyService();
@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+
+// Query parameters that identify the click, not the article
+const TRACKING_PARAMS = [
+    'fbclid', 'gclid', 'dclid', 'msclkid', 'yclid', 'igshid', 'mc_cid', 'mc_eid',
+    'ref', 'ref_src', 'referrer', 'cmpid', 'ocid', 'ncid', 'smid', 'sr_share',
+    'spm', '_ga', '_gl', 'amp', 'outputtype'
+];
+const TRACKING_PREFIXES = ['utm_', 'at_', 'pk_', 'mtm_', 'itm_'];
+
+const HOST_PREFIXES = ['www.', 'amp.', 'm.', 'mobile.'];
+
+const TITLE_STOP_WORDS = new Set([
+    'a', 'an', 'the', 'and', 'or', 'of', 'to', 'in', 'on', 'for', 'at', 'by', 'with',
+    'as', 'is', 'are', 'was', 'be', 'its', 'it', 'from', 'after', 'over', 'says', 'said'
+]);
+
+// Titles sharing at least this share of their significant words are the same story
+const NEAR_DUPLICATE_THRESHOLD = 0.6;
+
+function isTrackingParam(name) {
+    const lower = name.toLowerCase();
+    return TRACKING_PARAMS.includes(lower) || TRACKING_PREFIXES.some(prefix => lower.startsWith(prefix));
+}
+
+// Reduce the many URLs a story is shared under to one stable form
+function canonicalizeUrl(rawUrl) {
+    if (!rawUrl) return '';
+
+    let url;
+    try {
+        url = new URL(rawUrl.trim());
+    } catch (error) {
+        return rawUrl.trim();
+    }
+
+    let host = url.hostname.toLowerCase();
+    for (const prefix of HOST_PREFIXES) {
+        if (host.startsWith(prefix)) {
+            host = host.slice(prefix.length);
+            break;
+        }
+    }
+    // Google's AMP cache serves publisher pages under <publisher>.cdn.ampproject.org/c/s/<publisher>/...
+    if (host.endsWith('cdn.ampproject.org')) {
+        const match = url.pathname.match(/^\/[a-z]\/(?:s\/)?([^/]+)(\/.*)?$/);
+        if (match) {
+            return canonicalizeUrl(`https://${match[1]}${match[2] || '/'}${url.search}`);
+        }
+    }
+
+    let pathname = url.pathname
+        .replace(/\/amp(\/|\.html?)?$/i, '/')
+        .replace(/\.amp(\.html?)?$/i, '$1')
+        .replace(/\/index\.html?$/i, '/')
+        .replace(/\/{2,}/g, '/');
+    if (pathname.length > 1 && pathname.endsWith('/')) {
+        pathname = pathname.slice(0, -1);
+    }
+
+    const params = [...url.searchParams.entries()]
+        .filter(([name]) => !isTrackingParam(name))
+        .sort(([a], [b]) => a.localeCompare(b));
+    const search = params.length > 0
+        ? `?${params.map(([name, value]) => `${encodeURIComponent(name)}=${encodeURIComponent(value)}`).join('&')}`
+        : '';
+
+    return `https://${host}${pathname === '/' ? '' : pathname}${search}`;
+}
+
+function generateArticleId(rawUrl) {
+    return crypto.createHash('sha256').update(canonicalizeUrl(rawUrl)).digest('hex').slice(0, 32);
+}
+
+function titleTokens(title) {
+    const normalized = (title || '')
+        .toLowerCase()
+        // Syndicated copies usually append the outlet: "Headline - Reuters", "Headline | Bloomberg"
+        .replace(/\s+[-|–—]\s+[^-|–—]{2,40}$/, '')
+        .replace(/[^\w\s]/g, ' ');
+
+    return new Set(normalized.split(/\s+/).filter(word => word && !TITLE_STOP_WORDS.has(word)));
+}
+
+// Jaccard similarity of the significant words in two titles (0..1)
+function titleSimilarity(a, b) {
+    const tokensA = a instanceof Set ? a : titleTokens(a);
+    const tokensB = b instanceof Set ? b : titleTokens(b);
+    if (tokensA.size === 0 || tokensB.size === 0) return 0;
+
+    let shared = 0;
+    for (const token of tokensA) {
+        if (tokensB.has(token)) shared++;
+    }
+    return shared / (tokensA.size + tokensB.size - shared);
+}
+
+// Keeps the first copy of each story and folds later copies into its alternate_sources. Copies are
+// articles with the same id, the same story cluster (story_id) or a near-identical title.
+class ArticleDeduplicator {
+    constructor(threshold = NEAR_DUPLICATE_THRESHOLD) {
+        this.threshold = threshold;
+        this.kept = [];
+        this.byId = new Map();
+        this.byStory = new Map();
+    }
+
+    // Returns true when the article is new, false when it was merged into an earlier one
+    add(article) {
+        const existing = this.byId.get(article.id) ||
+            (article.story_id && this.byStory.get(article.story_id)) ||
+            this.findNearDuplicate(article);
+        if (existing) {
+            this.addAlternate(existing.article, article);
+            return false;
+        }
+
+        const entry = { article, tokens: titleTokens(article.title) };
+        article.alternate_sources = article.alternate_sources || [];
+        this.kept.push(entry);
+        this.byId.set(article.id, entry);
+        if (article.story_id) this.byStory.set(article.story_id, entry);
+        return true;
+    }
+
+    findNearDuplicate(article) {
+        const tokens = titleTokens(article.title);
+        return this.kept.find(entry => titleSimilarity(entry.tokens, tokens) >= this.threshold);
+    }
+
+    addAlternate(primary, duplicate) {
+        const candidates = [
+            { name: duplicate.source_name, url: duplicate.url },
+            ...(duplicate.alternate_sources || [])
+        ];
+        for (const candidate of candidates) {
+            const isKnown = candidate.url === primary.url ||
+                primary.alternate_sources.some(source => source.url === candidate.url);
+            if (candidate.url && !isKnown) {
+                primary.alternate_sources.push(candidate);
+            }
+        }
+    }
+}
+
+function dedupeArticles(articles) {
+    const deduplicator = new ArticleDeduplicator();
+    return articles.filter(article => deduplicator.add(article));
+}
+
+module.exports = {
+    canonicalizeUrl,
+    generateArticleId,
+    titleTokens,
+    titleSimilarity,
+    ArticleDeduplicator,
+    dedupeArticles
+};
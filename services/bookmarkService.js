@@ -0,0 +1,235 @@
+const { v4: uuidv4 } = require('uuid');
+const { getQuery, allQuery, runQuery } = require('../database/db');
+const { normalizeStringList } = require('./preferences');
+const { httpUrl } = require('./util');
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 40;
+const MAX_NOTE_LENGTH = 2000;
+const MAX_FOLDER_NAME_LENGTH = 60;
+
+const SORT_ORDERS = {
+    newest: 'b.bookmarked_at DESC',
+    oldest: 'b.bookmarked_at ASC',
+    published: 'b.published_at DESC',
+    title: 'b.title COLLATE NOCASE ASC',
+    updated: 'b.updated_at DESC'
+};
+
+class BookmarkService {
+    normalizeTags(tags) {
+        const list = typeof tags === 'string' ? tags.split(',') : tags;
+        return normalizeStringList(list, MAX_TAGS)
+            .map(tag => tag.toLowerCase().slice(0, MAX_TAG_LENGTH));
+    }
+
+    normalizeNote(note) {
+        if (typeof note !== 'string') return null;
+        const trimmed = note.trim();
+        return trimmed ? trimmed.slice(0, MAX_NOTE_LENGTH) : null;
+    }
+
+    normalizeFolderName(name) {
+        return typeof name === 'string' ? name.trim().slice(0, MAX_FOLDER_NAME_LENGTH) : '';
+    }
+
+    // A client-supplied link is only kept when it is http(s); it ends up in an href in the app and in feeds
+    isAcceptableUrl(value) {
+        return value === undefined || value === null || value === '' || Boolean(httpUrl(value));
+    }
+
+    // Prefer the stored article; fall back to what the client sent for articles that have left the store
+    async buildSnapshot(articleId, fields = {}) {
+        const stored = await getQuery(`
+      SELECT title, description, url, image_url, source_name, published_at
+      FROM news_articles WHERE id = ?
+    `, [articleId]);
+
+        return {
+            title: stored?.title || fields.title || null,
+            description: stored?.description || fields.description || null,
+            url: stored?.url || httpUrl(fields.url),
+            image_url: stored?.image_url || httpUrl(fields.imageUrl),
+            source_name: stored?.source_name || fields.source || null,
+            published_at: stored?.published_at || fields.publishedAt || null
+        };
+    }
+
+    async createBookmark(userId, articleId, fields = {}) {
+        const snapshot = await this.buildSnapshot(articleId, fields);
+        if (!snapshot.title || !snapshot.url) {
+            return null;
+        }
+
+        const bookmarkId = uuidv4();
+        await runQuery(`
+      INSERT INTO user_bookmarks (
+        id, user_id, article_id, title, description, url, image_url, source_name, published_at,
+        folder_id, tags, note, is_read, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 0, datetime('now'))
+    `, [
+            bookmarkId,
+            userId,
+            articleId,
+            snapshot.title,
+            snapshot.description,
+            snapshot.url,
+            snapshot.image_url,
+            snapshot.source_name,
+            snapshot.published_at,
+            fields.folderId || null,
+            JSON.stringify(this.normalizeTags(fields.tags)),
+            this.normalizeNote(fields.note)
+        ]);
+
+        return this.getBookmark(userId, bookmarkId);
+    }
+
+    async getBookmark(userId, bookmarkId) {
+        const row = await getQuery(`
+      SELECT b.*, f.name AS folder_name
+      FROM user_bookmarks b
+      LEFT JOIN bookmark_folders f ON b.folder_id = f.id
+      WHERE b.id = ? AND b.user_id = ?
+    `, [bookmarkId, userId]);
+
+        return row ? this.rowToBookmark(row) : null;
+    }
+
+    // filters: { folderId ('none' for unfiled), tag, read (true/false), q, sort, limit, offset }
+    async listBookmarks(userId, filters = {}) {
+        const conditions = ['b.user_id = ?'];
+        const params = [userId];
+
+        if (filters.folderId === 'none') {
+            conditions.push('b.folder_id IS NULL');
+        } else if (filters.folderId) {
+            conditions.push('b.folder_id = ?');
+            params.push(filters.folderId);
+        }
+        if (filters.tag) {
+            conditions.push('EXISTS (SELECT 1 FROM json_each(b.tags) WHERE json_each.value = ?)');
+            params.push(filters.tag.toLowerCase());
+        }
+        if (typeof filters.read === 'boolean') {
+            conditions.push('b.is_read = ?');
+            params.push(filters.read ? 1 : 0);
+        }
+        if (filters.q) {
+            conditions.push('(b.title LIKE ? OR b.description LIKE ? OR b.note LIKE ?)');
+            params.push(`%${filters.q}%`, `%${filters.q}%`, `%${filters.q}%`);
+        }
+
+        const where = conditions.join(' AND ');
+        const orderBy = SORT_ORDERS[filters.sort] || SORT_ORDERS.newest;
+
+        const total = await getQuery(`SELECT COUNT(*) AS count FROM user_bookmarks b WHERE ${where}`, params);
+        const rows = await allQuery(`
+      SELECT b.*, f.name AS folder_name
+      FROM user_bookmarks b
+      LEFT JOIN bookmark_folders f ON b.folder_id = f.id
+      WHERE ${where}
+      ORDER BY ${orderBy}
+      LIMIT ? OFFSET ?
+    `, [...params, filters.limit || 50, filters.offset || 0]);
+
+        return { bookmarks: rows.map(row => this.rowToBookmark(row)), total: total.count };
+    }
+
+    // changes: any of { folderId, tags, note, isRead }; returns null when the bookmark isn't the user's
+    async updateBookmark(userId, bookmarkId, changes) {
+        const assignments = [];
+        const params = [];
+
+        if (changes.folderId !== undefined) {
+            assignments.push('folder_id = ?');
+            params.push(changes.folderId || null);
+        }
+        if (changes.tags !== undefined) {
+            assignments.push('tags = ?');
+            params.push(JSON.stringify(this.normalizeTags(changes.tags)));
+        }
+        if (changes.note !== undefined) {
+            assignments.push('note = ?');
+            params.push(this.normalizeNote(changes.note));
+        }
+        if (changes.isRead !== undefined) {
+            assignments.push('is_read = ?', `read_at = ${changes.isRead ? "datetime('now')" : 'NULL'}`);
+            params.push(changes.isRead ? 1 : 0);
+        }
+
+        if (assignments.length > 0) {
+            const result = await runQuery(`
+        UPDATE user_bookmarks SET ${assignments.join(', ')}, updated_at = datetime('now')
+        WHERE id = ? AND user_id = ?
+      `, [...params, bookmarkId, userId]);
+
+            if (result.changes === 0) return null;
+        }
+
+        return this.getBookmark(userId, bookmarkId);
+    }
+
+    async listFolders(userId) {
+        return allQuery(`
+      SELECT f.id, f.name, f.created_at, COUNT(b.id) AS bookmark_count
+      FROM bookmark_folders f
+      LEFT JOIN user_bookmarks b ON b.folder_id = f.id
+      WHERE f.user_id = ?
+      GROUP BY f.id
+      ORDER BY f.name COLLATE NOCASE
+    `, [userId]);
+    }
+
+    async getFolder(userId, folderId) {
+        return getQuery('SELECT id, name, created_at FROM bookmark_folders WHERE id = ? AND user_id = ?', [folderId, userId]);
+    }
+
+    async findFolderByName(userId, name) {
+        return getQuery('SELECT id, name FROM bookmark_folders WHERE user_id = ? AND name = ? COLLATE NOCASE', [userId, name]);
+    }
+
+    async createFolder(userId, name) {
+        const folderId = uuidv4();
+        await runQuery('INSERT INTO bookmark_folders (id, user_id, name) VALUES (?, ?, ?)', [folderId, userId, name]);
+        return this.getFolder(userId, folderId);
+    }
+
+    async renameFolder(userId, folderId, name) {
+        await runQuery('UPDATE bookmark_folders SET name = ? WHERE id = ? AND user_id = ?', [name, folderId, userId]);
+        return this.getFolder(userId, folderId);
+    }
+
+    // Bookmarks in a deleted folder become unfiled rather than disappearing
+    async deleteFolder(userId, folderId) {
+        await runQuery(`
+      UPDATE user_bookmarks SET folder_id = NULL, updated_at = datetime('now')
+      WHERE folder_id = ? AND user_id = ?
+    `, [folderId, userId]);
+        const result = await runQuery('DELETE FROM bookmark_folders WHERE id = ? AND user_id = ?', [folderId, userId]);
+        return result.changes > 0;
+    }
+
+    rowToBookmark(row) {
+        return {
+            id: row.id,
+            article_id: row.article_id,
+            title: row.title,
+            description: row.description,
+            url: row.url,
+            image_url: row.image_url,
+            source_name: row.source_name,
+            published_at: row.published_at,
+            folder_id: row.folder_id,
+            folder_name: row.folder_name || null,
+            tags: JSON.parse(row.tags || '[]'),
+            note: row.note,
+            is_read: Boolean(row.is_read),
+            read_at: row.read_at,
+            bookmarked_at: row.bookmarked_at,
+            updated_at: row.updated_at
+        };
+    }
+}
+
+module.exports = new BookmarkService();
@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+const moment = require('moment');
+const { v4: uuidv4 } = require('uuid');
+const { getQuery, allQuery, runQuery } = require('../database/db');
+const newsService = require('./newsService');
+const mailer = require('./mailer');
+const { renderDigest } = require('./mailer/templates/digest');
+const { normalizePreferences } = require('./preferences');
+
+const APP_URL = (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+const UNSUBSCRIBE_SECRET = process.env.DIGEST_SECRET || process.env.JWT_SECRET || 'your_jwt_secret_change_this_in_production';
+const ARTICLES_PER_SECTION = parseInt(process.env.DIGEST_ARTICLES_PER_SECTION, 10) || 5;
+
+// How long we remember which articles a user was sent, so they don't show up in the next digest
+const SENT_ARTICLE_RETENTION_DAYS = 30;
+
+const DIGEST_SECTIONS = ['local', 'industry', 'global'];
+
+class DigestService {
+    constructor() {
+        this.running = false;
+    }
+
+    periodKey(frequency, date = new Date()) {
+        return frequency === 'weekly'
+            ? moment.utc(date).format('GGGG-[W]WW')
+            : moment.utc(date).format('YYYY-MM-DD');
+    }
+
+    signUnsubscribe(userId) {
+        return crypto.createHmac('sha256', UNSUBSCRIBE_SECRET).update(`unsubscribe:${userId}`).digest('base64url');
+    }
+
+    verifyUnsubscribe(userId, signature) {
+        if (!userId || !signature) return false;
+        const expected = Buffer.from(this.signUnsubscribe(userId));
+        const given = Buffer.from(String(signature));
+        return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+    }
+
+    unsubscribeUrl(userId) {
+        return `${APP_URL}/api/digest/unsubscribe?user=${encodeURIComponent(userId)}&sig=${this.signUnsubscribe(userId)}`;
+    }
+
+    // Turn digests off for the user; returns false if the user doesn't exist
+    async unsubscribe(userId) {
+        const user = await getQuery('SELECT preferences FROM users WHERE id = ?', [userId]);
+        if (!user) return false;
+
+        const preferences = normalizePreferences(JSON.parse(user.preferences || '{}'));
+        preferences.digestFrequency = 'off';
+
+        await runQuery(`UPDATE users SET preferences = ?, updated_at = datetime('now') WHERE id = ?`, [JSON.stringify(preferences), userId]);
+        return true;
+    }
+
+    // Send the daily or weekly digest to every subscribed, verified user who hasn't had it this period
+    async runDigests(frequency, date = new Date()) {
+        if (this.running) {
+            console.log('Digest run already in progress, skipping');
+            return null;
+        }
+
+        this.running = true;
+        const periodKey = this.periodKey(frequency, date);
+        const run = { frequency, periodKey, sent: 0, skipped: 0, failed: 0 };
+
+        try {
+            const users = await allQuery(`
+        SELECT u.* FROM users u
+        WHERE u.email_verified_at IS NOT NULL AND u.suspended_at IS NULL AND u.deletion_requested_at IS NULL
+          AND NOT EXISTS (
+            SELECT 1 FROM digest_deliveries d
+            WHERE d.user_id = u.id AND d.frequency = ? AND d.period_key = ?
+          )
+      `, [frequency, periodKey]);
+
+            for (const user of users) {
+                const preferences = normalizePreferences(JSON.parse(user.preferences || '{}'));
+                if (!preferences.emailNotifications || preferences.digestFrequency !== frequency) {
+                    continue;
+                }
+
+                try {
+                    if (await this.sendDigest(user, frequency, periodKey, date)) {
+                        run.sent++;
+                    } else {
+                        run.skipped++;
+                    }
+                } catch (error) {
+                    run.failed++;
+                    console.error(`Error sending ${frequency} digest to user ${user.id}:`, error.message);
+                }
+            }
+
+            await runQuery(`DELETE FROM digest_articles WHERE sent_at < datetime('now', '-${SENT_ARTICLE_RETENTION_DAYS} days')`);
+            console.log(`${frequency} digest ${periodKey}: ${run.sent} sent, ${run.skipped} with nothing new, ${run.failed} failed`);
+        } catch (error) {
+            console.error(`Error during ${frequency} digest run:`, error);
+        } finally {
+            this.running = false;
+        }
+
+        return run;
+    }
+
+    // Compose the user's top local, industry and global stories they haven't been sent before
+    async buildSections(user) {
+        const profile = newsService.buildUserProfile(user);
+        // Ask for extra articles so there is enough left after removing ones already sent
+        profile.preferences = { ...profile.preferences, articlesPerCategory: ARTICLES_PER_SECTION * 3 };
+
+        const news = await newsService.getPersonalizedNews(profile);
+        const alreadySent = new Set((await allQuery(
+            'SELECT article_id FROM digest_articles WHERE user_id = ?', [user.id]
+        )).map(row => row.article_id));
+
+        return DIGEST_SECTIONS
+            .map(key => ({
+                key,
+                articles: news[key]
+                    .filter(article => !alreadySent.has(article.id))
+                    .sort((a, b) => (b.relevance_score || 0) - (a.relevance_score || 0))
+                    .slice(0, ARTICLES_PER_SECTION)
+            }))
+            .filter(section => section.articles.length > 0);
+    }
+
+    // Returns false when there was nothing new to send
+    async sendDigest(user, frequency, periodKey, date = new Date()) {
+        const sections = await this.buildSections(user);
+        if (sections.length === 0) return false;
+
+        const unsubscribeUrl = this.unsubscribeUrl(user.id);
+        const message = renderDigest({
+            firstName: user.first_name,
+            frequency,
+            date,
+            sections,
+            appUrl: APP_URL,
+            unsubscribeUrl
+        });
+
+        await mailer.send({
+            to: user.email,
+            ...message,
+            headers: {
+                'List-Unsubscribe': `<${unsubscribeUrl}>`,
+                'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+            }
+        });
+
+        const articleIds = sections.flatMap(section => section.articles.map(article => article.id));
+        await runQuery(`
+      INSERT INTO digest_deliveries (id, user_id, frequency, period_key, article_count)
+      VALUES (?, ?, ?, ?, ?)
+    `, [uuidv4(), user.id, frequency, periodKey, articleIds.length]);
+        for (const articleId of articleIds) {
+            await runQuery(`
+        INSERT OR IGNORE INTO digest_articles (user_id, article_id) VALUES (?, ?)
+      `, [user.id, articleId]);
+        }
+
+        return true;
+    }
+}
+
+module.exports = new DigestService();
@@ -0,0 +1,261 @@
+const cheerio = require('cheerio');
+const moment = require('moment');
+const { getQuery, runQuery } = require('../database/db');
+const { absoluteUrl, fetchPublicUrl } = require('./publicUrl');
+const { SQL_DATETIME, escapeHtml } = require('./util');
+
+const USER_AGENT = 'Mozilla/5.0 (compatible; NewsMini/1.0)';
+const MAX_PAGE_BYTES = 5 * 1024 * 1024;
+
+// A failed page isn't fetched again for every open; it is retried after this long
+const FAILURE_RETRY_HOURS = 6;
+
+const MIN_WORDS = 50;
+const WORDS_PER_MINUTE = 230;
+const MAX_BYLINE_LENGTH = 200;
+
+// Readability-style hints from class names and ids
+const UNLIKELY_CANDIDATES = /banner|breadcrumb|combx|comment|community|cookie|disqus|extra|foot|header|legends|menu|modal|newsletter|outbrain|pager|pagination|popup|promo|related|remark|rss|share|shoutbox|sidebar|skyscraper|social|sponsor|subscribe|taboola|tool/i;
+const MAYBE_CANDIDATES = /and|article|body|column|content|main|shadow/i;
+const POSITIVE_HINTS = /article|body|content|entry|hentry|main|page|post|story|text/i;
+const NEGATIVE_HINTS = /byline|caption|comment|contact|foot|masthead|media|meta|outbrain|promo|related|scroll|share|shopping|sidebar|social|sponsor|tags|widget/i;
+
+// Never part of the article body
+const REMOVED_TAGS = 'script, style, noscript, template, iframe, form, button, input, select, textarea, nav, aside, footer, header, svg, canvas, object, embed, dialog';
+
+// Tags kept in the reader view; anything else is replaced by its children
+const KEPT_TAGS = new Set(['p', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'li', 'blockquote', 'pre', 'code', 'figure', 'figcaption', 'em', 'strong', 'b', 'i', 'sub', 'sup']);
+const CONTAINER_TAGS = new Set(['div', 'section', 'article', 'main']);
+const BLOCK_OUTPUT = /<(p|h[2-6]|ul|ol|blockquote|pre|figure)[\s>]/;
+
+class ExtractionError extends Error {
+    constructor(message, url = null) {
+        super(message);
+        this.name = 'ExtractionError';
+        this.url = url;
+    }
+}
+
+function normalizeText(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+class ExtractionService {
+    constructor() {
+        // One extraction per article at a time; concurrent readers share it
+        this.pending = new Map();
+    }
+
+    // The reader view of a stored article, extracting it on first request. Returns null for unknown
+    // articles and throws ExtractionError when the page can't be turned into readable text.
+    async getContent(articleId) {
+        const row = await getQuery('SELECT * FROM news_articles WHERE id = ?', [articleId]);
+        if (!row) return null;
+
+        if (row.content_html) return this.rowToContent(row);
+
+        const retryAfter = moment.utc().subtract(FAILURE_RETRY_HOURS, 'hours').format(SQL_DATETIME);
+        if (row.content_error && row.content_extracted_at > retryAfter) {
+            throw new ExtractionError(row.content_error, row.url);
+        }
+
+        if (!this.pending.has(articleId)) {
+            const extraction = this.extractAndStore(row).finally(() => this.pending.delete(articleId));
+            this.pending.set(articleId, extraction);
+        }
+        return this.pending.get(articleId);
+    }
+
+    async extractAndStore(row) {
+        let extracted;
+        try {
+            const page = await this.fetchPage(row.url);
+            extracted = this.extract(page.html, page.url);
+        } catch (error) {
+            const message = ['ExtractionError', 'UnsafeUrlError'].includes(error.name) ? error.message : this.describeFetchError(error);
+            await runQuery(`
+        UPDATE news_articles SET content_error = ?, content_extracted_at = datetime('now') WHERE id = ?
+      `, [message, row.id]);
+            throw new ExtractionError(message, row.url);
+        }
+
+        await runQuery(`
+      UPDATE news_articles SET
+        content_html = ?, content_byline = ?, content_image_url = ?, content_canonical_url = ?,
+        content_word_count = ?, content_extracted_at = datetime('now'), content_error = NULL
+      WHERE id = ?
+    `, [extracted.html, extracted.byline, extracted.imageUrl, extracted.canonicalUrl, extracted.wordCount, row.id]);
+
+        return this.rowToContent(await getQuery('SELECT * FROM news_articles WHERE id = ?', [row.id]));
+    }
+
+    describeFetchError(error) {
+        if (error.response) return `The article page returned HTTP ${error.response.status}`;
+        if (error.code === 'ECONNABORTED') return 'The article page took too long to respond';
+        return 'The article page could not be fetched';
+    }
+
+    // Article URLs come from feeds anyone can add, so the page must be on a public host (see publicUrl.js)
+    async fetchPage(url) {
+        const page = await fetchPublicUrl(url, {
+            headers: { 'User-Agent': USER_AGENT, 'Accept': 'text/html, application/xhtml+xml' },
+            maxBytes: MAX_PAGE_BYTES
+        });
+
+        if (!/html/i.test(page.headers['content-type'] || '')) {
+            throw new ExtractionError('The article URL is not a web page');
+        }
+        return { html: page.data, url: page.url };
+    }
+
+    // { html, text, wordCount, byline, imageUrl, canonicalUrl } from a page; throws ExtractionError
+    // when no block of text stands out
+    extract(html, pageUrl) {
+        const $ = cheerio.load(html);
+
+        // Metadata first: the clean-up below removes <header> and friends
+        const meta = name => $(`meta[property="${name}"], meta[name="${name}"]`).first().attr('content');
+        const canonicalUrl = absoluteUrl($('link[rel="canonical"]').attr('href') || meta('og:url'), pageUrl) || pageUrl;
+        const byline = this.findByline($, meta);
+
+        $(REMOVED_TAGS).remove();
+        $('[hidden], [aria-hidden="true"]').remove();
+        $('*').each((index, element) => {
+            const hints = `${element.attribs.class || ''} ${element.attribs.id || ''}`;
+            if (element.name !== 'body' && element.name !== 'article' &&
+                UNLIKELY_CANDIDATES.test(hints) && !MAYBE_CANDIDATES.test(hints)) {
+                $(element).remove();
+            }
+        });
+
+        const candidate = this.findMainContent($);
+        if (!candidate) {
+            throw new ExtractionError('No article text was found on the page');
+        }
+
+        const text = normalizeText(candidate.text());
+        const wordCount = text ? text.split(' ').length : 0;
+        if (wordCount < MIN_WORDS) {
+            throw new ExtractionError('No article text was found on the page');
+        }
+
+        const firstImage = candidate.find('img').first();
+        const imageUrl = absoluteUrl(meta('og:image') || meta('twitter:image'), pageUrl) ||
+            absoluteUrl(firstImage.attr('src') || firstImage.attr('data-src'), pageUrl);
+
+        return {
+            html: this.serialize($, candidate.get(0), pageUrl).trim(),
+            text,
+            wordCount,
+            byline,
+            imageUrl,
+            canonicalUrl
+        };
+    }
+
+    findByline($, meta) {
+        const candidates = [
+            meta('author'),
+            meta('article:author'),
+            $('[itemprop="author"] [itemprop="name"]').first().text(),
+            $('[itemprop="author"]').first().text(),
+            $('[rel="author"]').first().text(),
+            $('.byline, .author, [class*="byline"]').first().text()
+        ];
+
+        const byline = candidates.map(normalizeText).find(value => value && !/^https?:\/\//.test(value));
+        return byline ? byline.replace(/^by\s+/i, '').slice(0, MAX_BYLINE_LENGTH) : null;
+    }
+
+    // Schema.org articleBody when the page marks it up; otherwise paragraphs vote for their parent and
+    // grandparent by length and commas, weighted by class hints and link density
+    findMainContent($) {
+        const marked = $('[itemprop="articleBody"]').first();
+        if (marked.length > 0 && normalizeText(marked.text()).length > 250) return marked;
+
+        const scores = new Map();
+        const initialScore = element => {
+            const hints = `${element.attribs.class || ''} ${element.attribs.id || ''}`;
+            let score = { div: 5, article: 10, blockquote: 3, pre: 3, td: 3, form: -3, ol: -3, ul: -3 }[element.name] || 0;
+            if (POSITIVE_HINTS.test(hints)) score += 25;
+            if (NEGATIVE_HINTS.test(hints)) score -= 25;
+            return score;
+        };
+
+        $('p, pre, td').each((index, element) => {
+            const text = normalizeText($(element).text());
+            if (text.length < 25) return;
+
+            const points = 1 + text.split(',').length + Math.min(Math.floor(text.length / 100), 3);
+            const parent = element.parent;
+            const grandparent = parent && parent.parent;
+            for (const [ancestor, share] of [[parent, 1], [grandparent, 0.5]]) {
+                if (!ancestor || ancestor.type !== 'tag') continue;
+                if (!scores.has(ancestor)) scores.set(ancestor, initialScore(ancestor));
+                scores.set(ancestor, scores.get(ancestor) + points * share);
+            }
+        });
+
+        let best = null;
+        let bestScore = 0;
+        for (const [element, score] of scores) {
+            const node = $(element);
+            const textLength = normalizeText(node.text()).length || 1;
+            const linkLength = normalizeText(node.find('a').text()).length;
+            const adjusted = score * (1 - linkLength / textLength);
+            if (adjusted > bestScore) {
+                best = node;
+                bestScore = adjusted;
+            }
+        }
+        return best;
+    }
+
+    // Rebuild the content with an allowlist of tags and attributes, so nothing from the page can run
+    serialize($, element, pageUrl) {
+        return (element.children || []).map(child => this.serializeNode($, child, pageUrl)).join('');
+    }
+
+    serializeNode($, node, pageUrl) {
+        if (node.type === 'text') return escapeHtml(node.data);
+        if (node.type !== 'tag') return '';
+
+        const tag = node.name.toLowerCase();
+        if (tag === 'br') return '<br>';
+        if (tag === 'img') {
+            const src = absoluteUrl(node.attribs.src || node.attribs['data-src'], pageUrl);
+            return src ? `<img src="${escapeHtml(src)}" alt="${escapeHtml(node.attribs.alt || '')}" loading="lazy">` : '';
+        }
+
+        const inner = this.serialize($, node, pageUrl);
+        if (tag === 'a') {
+            const href = absoluteUrl(node.attribs.href, pageUrl);
+            return href ? `<a href="${escapeHtml(href)}" target="_blank" rel="noopener noreferrer">${inner}</a>` : inner;
+        }
+        if (tag === 'h1') return inner.trim() ? `<h2>${inner}</h2>` : '';
+        if (KEPT_TAGS.has(tag)) return inner.trim() ? `<${tag}>${inner}</${tag}>` : '';
+
+        // Bare text directly inside a container becomes its own paragraph
+        if (CONTAINER_TAGS.has(tag) && inner.trim() && !BLOCK_OUTPUT.test(inner)) return `<p>${inner.trim()}</p>`;
+        return inner;
+    }
+
+    rowToContent(row) {
+        return {
+            articleId: row.id,
+            title: row.title,
+            url: row.url,
+            canonicalUrl: row.content_canonical_url || row.canonical_url || row.url,
+            sourceName: row.source_name,
+            publishedAt: row.published_at,
+            byline: row.content_byline,
+            imageUrl: row.content_image_url || row.image_url,
+            html: row.content_html,
+            wordCount: row.content_word_count,
+            readingTimeMinutes: Math.max(1, Math.round(row.content_word_count / WORDS_PER_MINUTE)),
+            extractedAt: row.content_extracted_at
+        };
+    }
+}
+
+module.exports = new ExtractionService();
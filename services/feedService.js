@@ -0,0 +1,259 @@
+const crypto = require('crypto');
+const moment = require('moment');
+const { v4: uuidv4 } = require('uuid');
+const { getQuery, allQuery, runQuery } = require('../database/db');
+const newsService = require('./newsService');
+const interestService = require('./interestService');
+const watchlistService = require('./watchlistService');
+const bookmarkService = require('./bookmarkService');
+const { hashToken, escapeXml } = require('./util');
+
+const APP_URL = (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+const SCOPES = ['feed', 'category', 'watchlist', 'folder'];
+const CATEGORIES = ['local', 'regional', 'national', 'industry', 'global', 'followed'];
+const FORMATS = ['rss', 'atom', 'json'];
+
+const MAX_NAME_LENGTH = 100;
+const MAX_ITEMS = 50;
+
+// RSS 2.0 dates are RFC 822
+const RSS_DATE_FORMAT = 'ddd, DD MMM YYYY HH:mm:ss [GMT]';
+
+class FeedError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'FeedError';
+    }
+}
+
+class FeedService {
+    isFormat(format) {
+        return FORMATS.includes(format);
+    }
+
+    feedUrls(token) {
+        return Object.fromEntries(FORMATS.map(format => [format, `${APP_URL}/api/feeds/${token}.${format}`]));
+    }
+
+    // Check the scope belongs to the user and give the feed a default name from it; throws FeedError
+    async normalizeFeed(userId, input = {}) {
+        const scope = input.scope || 'feed';
+        let scopeValue = null;
+        let defaultName = 'My news';
+
+        if (!SCOPES.includes(scope)) {
+            throw new FeedError(`scope must be one of: ${SCOPES.join(', ')}`);
+        }
+
+        if (scope === 'category') {
+            scopeValue = String(input.scopeValue || '').toLowerCase();
+            if (!CATEGORIES.includes(scopeValue)) {
+                throw new FeedError(`category must be one of: ${CATEGORIES.join(', ')}`);
+            }
+            defaultName = `${scopeValue.charAt(0).toUpperCase()}${scopeValue.slice(1)} news`;
+        } else if (scope === 'watchlist') {
+            const watchlist = await watchlistService.getWatchlist(userId, input.scopeValue);
+            if (!watchlist) {
+                throw new FeedError('Watchlist not found');
+            }
+            scopeValue = watchlist.id;
+            defaultName = watchlist.name;
+        } else if (scope === 'folder') {
+            const folder = await bookmarkService.getFolder(userId, input.scopeValue);
+            if (!folder) {
+                throw new FeedError('Bookmark folder not found');
+            }
+            scopeValue = folder.id;
+            defaultName = folder.name;
+        }
+
+        const name = typeof input.name === 'string' && input.name.trim()
+            ? input.name.trim().slice(0, MAX_NAME_LENGTH)
+            : defaultName;
+
+        return { name, scope, scopeValue };
+    }
+
+    // Returns the feed and its URLs; the token can't be recovered afterwards
+    async createFeed(userId, input) {
+        const feed = await this.normalizeFeed(userId, input);
+        const token = crypto.randomBytes(24).toString('base64url');
+        const feedId = uuidv4();
+
+        await runQuery(`
+      INSERT INTO feed_tokens (id, user_id, token_hash, name, scope, scope_value)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [feedId, userId, hashToken(token), feed.name, feed.scope, feed.scopeValue]);
+
+        const row = await getQuery('SELECT * FROM feed_tokens WHERE id = ?', [feedId]);
+        return { feed: this.rowToFeed(row), urls: this.feedUrls(token) };
+    }
+
+    async listFeeds(userId) {
+        const rows = await allQuery(`
+      SELECT * FROM feed_tokens WHERE user_id = ? AND revoked_at IS NULL ORDER BY created_at DESC
+    `, [userId]);
+        return rows.map(row => this.rowToFeed(row));
+    }
+
+    async revokeFeed(userId, feedId) {
+        const result = await runQuery(`
+      UPDATE feed_tokens SET revoked_at = datetime('now') WHERE id = ? AND user_id = ? AND revoked_at IS NULL
+    `, [feedId, userId]);
+        return result.changes > 0;
+    }
+
+    // The feed a token opens, with its owner: { feed, user }, { revoked: true }, or null when unknown.
+    // Feeds of suspended accounts and accounts pending deletion stop working like revoked ones.
+    async resolveToken(token) {
+        if (!token || typeof token !== 'string') return null;
+
+        const row = await getQuery(`
+      SELECT f.*, u.suspended_at, u.deletion_requested_at FROM feed_tokens f
+      JOIN users u ON u.id = f.user_id
+      WHERE f.token_hash = ?
+    `, [hashToken(token)]);
+
+        if (!row) return null;
+        if (row.revoked_at || row.suspended_at || row.deletion_requested_at) return { revoked: true };
+
+        await runQuery(`UPDATE feed_tokens SET last_used_at = datetime('now') WHERE id = ?`, [row.id]);
+        const user = await getQuery('SELECT * FROM users WHERE id = ?', [row.user_id]);
+        return { feed: this.rowToFeed(row), user };
+    }
+
+    // The feed's articles in the shape getPersonalizedNews produces, newest first
+    async getFeedArticles(feed, user) {
+        if (feed.scope === 'watchlist') {
+            const { articles } = await watchlistService.listMatchedArticles(user.id, feed.scopeValue, { limit: MAX_ITEMS });
+            return articles;
+        }
+
+        if (feed.scope === 'folder') {
+            const { bookmarks } = await bookmarkService.listBookmarks(user.id, { folderId: feed.scopeValue, limit: MAX_ITEMS });
+            return bookmarks.map(bookmark => ({
+                id: bookmark.article_id,
+                title: bookmark.title,
+                description: bookmark.description,
+                url: bookmark.url,
+                image_url: bookmark.image_url,
+                source_name: bookmark.source_name,
+                published_at: bookmark.published_at || bookmark.bookmarked_at
+            }));
+        }
+
+        const userProfile = newsService.buildUserProfile(user);
+        userProfile.interests = await interestService.getInterestProfile(user.id);
+        const news = await newsService.getPersonalizedNews(userProfile);
+        const articles = feed.scope === 'category' ? news[feed.scopeValue] || [] : newsService.flattenPersonalizedNews(news);
+
+        return articles
+            .sort((a, b) => moment(b.published_at).diff(moment(a.published_at)))
+            .slice(0, MAX_ITEMS);
+    }
+
+    // { contentType, body, lastModified } for the format
+    render(feed, articles, format, token) {
+        const urls = this.feedUrls(token);
+        const newest = articles.map(article => moment(article.published_at)).filter(date => date.isValid())
+            .reduce((latest, date) => (!latest || date.isAfter(latest) ? date : latest), null);
+        const channel = {
+            title: `NewsMini: ${feed.name}`,
+            feedUrl: urls[format],
+            homeUrl: APP_URL,
+            updated: (newest || moment()).utc(),
+            feedId: feed.id
+        };
+
+        if (format === 'atom') {
+            return { contentType: 'application/atom+xml; charset=utf-8', body: this.renderAtom(channel, articles), lastModified: channel.updated };
+        }
+        if (format === 'json') {
+            return { contentType: 'application/feed+json; charset=utf-8', body: this.renderJsonFeed(channel, articles), lastModified: channel.updated };
+        }
+        return { contentType: 'application/rss+xml; charset=utf-8', body: this.renderRss(channel, articles), lastModified: channel.updated };
+    }
+
+    renderRss(channel, articles) {
+        const items = articles.map(article => [
+            '    <item>',
+            `      <title>${escapeXml(article.title)}</title>`,
+            `      <link>${escapeXml(article.url)}</link>`,
+            `      <guid isPermaLink="false">${escapeXml(article.id)}</guid>`,
+            article.description && `      <description>${escapeXml(article.description)}</description>`,
+            `      <pubDate>${moment.utc(article.published_at).locale('en').format(RSS_DATE_FORMAT)}</pubDate>`,
+            article.source_name && article.source_url &&
+                `      <source url="${escapeXml(article.source_url)}">${escapeXml(article.source_name)}</source>`,
+            article.image_url && `      <enclosure url="${escapeXml(article.image_url)}" length="0" type="image/jpeg"/>`,
+            '    </item>'
+        ].filter(Boolean).join('\n')).map(item => `\n${item}`).join('');
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escapeXml(channel.title)}</title>
+    <link>${escapeXml(channel.homeUrl)}</link>
+    <description>${escapeXml(channel.title)}</description>
+    <atom:link href="${escapeXml(channel.feedUrl)}" rel="self" type="application/rss+xml"/>
+    <lastBuildDate>${channel.updated.clone().locale('en').format(RSS_DATE_FORMAT)}</lastBuildDate>${items}
+  </channel>
+</rss>
+`;
+    }
+
+    renderAtom(channel, articles) {
+        const entries = articles.map(article => [
+            '  <entry>',
+            `    <id>urn:newsmini:article:${escapeXml(article.id)}</id>`,
+            `    <title>${escapeXml(article.title)}</title>`,
+            `    <link rel="alternate" href="${escapeXml(article.url)}"/>`,
+            `    <updated>${moment.utc(article.published_at).toISOString()}</updated>`,
+            article.source_name && `    <author><name>${escapeXml(article.source_name)}</name></author>`,
+            article.description && `    <summary>${escapeXml(article.description)}</summary>`,
+            '  </entry>'
+        ].filter(Boolean).join('\n')).map(entry => `\n${entry}`).join('');
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>urn:uuid:${channel.feedId}</id>
+  <title>${escapeXml(channel.title)}</title>
+  <link rel="self" href="${escapeXml(channel.feedUrl)}"/>
+  <link rel="alternate" href="${escapeXml(channel.homeUrl)}"/>
+  <updated>${channel.updated.toISOString()}</updated>
+  <author><name>NewsMini</name></author>${entries}
+</feed>
+`;
+    }
+
+    renderJsonFeed(channel, articles) {
+        return JSON.stringify({
+            version: 'https://jsonfeed.org/version/1.1',
+            title: channel.title,
+            home_page_url: channel.homeUrl,
+            feed_url: channel.feedUrl,
+            items: articles.map(article => ({
+                id: article.id,
+                url: article.url,
+                title: article.title,
+                summary: article.description || undefined,
+                image: article.image_url || undefined,
+                date_published: moment.utc(article.published_at).toISOString(),
+                authors: article.source_name ? [{ name: article.source_name }] : undefined
+            }))
+        }, null, 2);
+    }
+
+    rowToFeed(row) {
+        return {
+            id: row.id,
+            name: row.name,
+            scope: row.scope,
+            scopeValue: row.scope_value,
+            createdAt: row.created_at,
+            lastUsedAt: row.last_used_at
+        };
+    }
+}
+
+module.exports = new FeedService();
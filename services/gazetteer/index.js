@@ -0,0 +1,164 @@
+const places = require('./places.json');
+
+// Offline place lookups: countries, their states/provinces, and the metro area each known city
+// belongs to. Metro cities are listed as "Name" (in the metro's own region) or "Name|RegionCode".
+
+// Case, accents and punctuation don't matter when matching: "St. Louis" = "st louis", "Montréal" = "montreal"
+function placeKey(value) {
+    return String(value || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[.']/g, '')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+function addToIndex(index, key, entry) {
+    if (!key) return;
+    if (!index.has(key)) index.set(key, []);
+    index.get(key).push(entry);
+}
+
+class Gazetteer {
+    constructor(data) {
+        this.countries = new Map();
+        this.countriesByCode = new Map();
+        this.regions = new Map();
+        this.cities = new Map();
+
+        for (const country of data.countries) {
+            this.countriesByCode.set(country.code, country);
+            for (const name of [country.code, country.name, ...country.aliases]) {
+                this.countries.set(placeKey(name), country);
+            }
+        }
+
+        for (const region of data.regions) {
+            for (const name of [region.code, region.name, ...(region.aliases || [])]) {
+                addToIndex(this.regions, placeKey(name), region);
+            }
+        }
+
+        for (const metro of data.metros) {
+            metro.cities.forEach((entry, position) => {
+                const [name, region] = entry.split('|');
+                // The first city listed is the one the metro is named after
+                addToIndex(this.cities, placeKey(name), {
+                    name,
+                    region: region || metro.region,
+                    country: metro.country,
+                    metro,
+                    principal: position === 0
+                });
+            });
+        }
+    }
+
+    findCountry(value) {
+        return this.countries.get(placeKey(value)) || null;
+    }
+
+    // A state/province by name or code, within the country when it is known
+    findRegion(value, countryCode = null) {
+        const candidates = this.regions.get(placeKey(value)) || [];
+        return candidates.find(region => !countryCode || region.country === countryCode) || null;
+    }
+
+    // A city the gazetteer knows a metro for. A region or country that was given has to agree;
+    // otherwise the city a metro is named after beats a namesake elsewhere (Vancouver BC over WA).
+    findCity(value, { countryCode = null, regionCode = null } = {}) {
+        const candidates = (this.cities.get(placeKey(value)) || [])
+            .filter(city => !countryCode || city.country === countryCode)
+            .filter(city => !regionCode || city.region === regionCode);
+        return candidates.find(city => city.principal) || candidates[0] || null;
+    }
+
+    regionName(countryCode, regionCode) {
+        const region = (this.regions.get(placeKey(regionCode)) || [])
+            .find(candidate => candidate.country === countryCode && candidate.code === regionCode);
+        return region ? region.name : null;
+    }
+
+    // Expand free-text city/state/country into the hierarchy city → metro → state/province → country.
+    // Whatever the gazetteer doesn't know is kept as typed, so unknown places still work.
+    resolve({ city, state, country } = {}) {
+        const rawCity = String(city || '').trim();
+        let rawState = String(state || '').trim();
+        let rawCountry = String(country || '').trim();
+
+        // "Toronto, Canada" typed as city and state
+        if (rawState && !rawCountry && !this.findRegion(rawState) && this.findCountry(rawState)) {
+            [rawState, rawCountry] = ['', rawState];
+        }
+
+        let countryMatch = rawCountry ? this.findCountry(rawCountry) : null;
+        let region = rawState ? this.findRegion(rawState, countryMatch?.code) : null;
+        if (!countryMatch && !rawCountry && region) {
+            countryMatch = this.countriesByCode.get(region.country);
+        }
+
+        const cityMatch = rawCity
+            ? this.findCity(rawCity, { countryCode: countryMatch?.code, regionCode: region?.code })
+            : null;
+        if (cityMatch) {
+            countryMatch = countryMatch || this.countriesByCode.get(cityMatch.country);
+            if (!region && !rawState && cityMatch.region) {
+                region = this.findRegion(cityMatch.region, cityMatch.country);
+            }
+        }
+
+        return {
+            city: cityMatch ? cityMatch.name : rawCity || null,
+            metro: cityMatch ? cityMatch.metro.name : null,
+            metroId: cityMatch ? cityMatch.metro.id : null,
+            state: region ? region.name : rawState || null,
+            stateCode: region ? region.code : null,
+            country: countryMatch ? countryMatch.name : rawCountry || null,
+            countryCode: countryMatch ? countryMatch.code : null
+        };
+    }
+
+    // Autocomplete: known cities, then states/provinces, then countries whose name starts with the text
+    search(text, limit = 10) {
+        const prefix = placeKey(text);
+        if (!prefix) return [];
+
+        const results = [];
+        const seen = new Set();
+        const add = place => {
+            const label = [place.city, place.state, place.country].filter(Boolean).join(', ');
+            if (seen.has(label)) return;
+            seen.add(label);
+            results.push({ label, ...place });
+        };
+
+        // Exact names first, then the cities metros are named after
+        const cities = [...this.cities]
+            .filter(([key]) => key.startsWith(prefix))
+            .flatMap(([key, entries]) => entries.map(city => ({ city, rank: (key === prefix ? 2 : 0) + (city.principal ? 1 : 0) })))
+            .sort((a, b) => b.rank - a.rank);
+        for (const { city } of cities) {
+            add({
+                city: city.name,
+                metro: city.metro.name,
+                state: this.regionName(city.country, city.region),
+                country: this.countriesByCode.get(city.country).name
+            });
+        }
+        for (const [key, regions] of this.regions) {
+            if (!key.startsWith(prefix) || key.length <= 3) continue; // codes alone are too noisy
+            for (const region of regions) {
+                add({ city: null, metro: null, state: region.name, country: this.countriesByCode.get(region.country).name });
+            }
+        }
+        for (const [key, country] of this.countries) {
+            if (!key.startsWith(prefix) || key.length <= 3) continue;
+            add({ city: null, metro: null, state: null, country: country.name });
+        }
+
+        return results.slice(0, limit);
+    }
+}
+
+module.exports = new Gazetteer(places);
@@ -0,0 +1,260 @@
+const { getQuery, allQuery } = require('../database/db');
+const newsService = require('./newsService');
+const newsStreamService = require('./newsStreamService');
+const watchlistService = require('./watchlistService');
+const storyService = require('./storyService');
+
+// How many articles to request from the providers for each query
+const ARTICLES_PER_QUERY = parseInt(process.env.INGESTION_ARTICLES_PER_QUERY, 10) || 10;
+
+const GLOBAL_QUERY = 'global business economy';
+
+// Finished runs kept in memory for the admin status endpoint
+const RECENT_RUNS = 20;
+
+// Every two hours; server.js schedules the job with it
+const INGESTION_SCHEDULE = '0 */2 * * *';
+
+class IngestionService {
+    constructor() {
+        this.schedule = INGESTION_SCHEDULE;
+        this.running = false;
+        this.lastRun = null;
+        this.currentRun = null;
+        this.recentRuns = [];
+    }
+
+    startRun(trigger) {
+        return { trigger, startedAt: new Date(), finishedAt: null, tasks: 0, articles: 0, alerts: 0, failedTasks: 0 };
+    }
+
+    finishRun(run) {
+        run.finishedAt = new Date();
+        this.recentRuns = [run, ...this.recentRuns].slice(0, RECENT_RUNS);
+        return run;
+    }
+
+    // Fetch articles for every distinct profile among registered users and store them
+    async runIngestion() {
+        if (this.running) {
+            console.log('Ingestion already in progress, skipping this run');
+            return this.lastRun;
+        }
+
+        this.running = true;
+        const run = this.startRun('scheduled');
+        this.currentRun = run;
+        console.log('Starting news ingestion...');
+
+        try {
+            const users = await allQuery(`
+        SELECT DISTINCT city, state, country, career_field, industries, preferences FROM users
+        WHERE suspended_at IS NULL AND deletion_requested_at IS NULL
+      `);
+            const profiles = users.map(user => newsService.buildUserProfile(user));
+
+            const tasks = this.buildTasks(profiles);
+            const languages = this.getLanguages(profiles);
+            for (const topic of await newsService.getTrendingTopics()) {
+                tasks.push(...languages.map(language => this.trendingTask(topic, language)));
+            }
+
+            await this.runTasks(tasks, run);
+            console.log(`Ingestion finished: ${run.articles} articles from ${run.tasks} queries (${run.failedTasks} failed), ${run.alerts} watchlist alerts`);
+        } catch (error) {
+            console.error('Error during news ingestion:', error);
+        } finally {
+            this.lastRun = this.finishRun(run);
+            this.currentRun = null;
+            this.running = false;
+        }
+
+        return run;
+    }
+
+    // Populate the store for a single profile, e.g. a user whose location nobody else shares yet.
+    // Given buckets ({ bucket, value } as from getMissingProfileBuckets), only those are fetched.
+    async ingestProfile(userProfile, buckets = null) {
+        const run = this.startRun('profile');
+        const wanted = buckets && new Set(buckets.map(({ bucket, value }) => `${bucket}:${value}`));
+        const tasks = this.buildTasks([userProfile])
+            .filter(task => !wanted || wanted.has(`${task.bucket}:${newsService.normalizePlacementValue(task.value)}`));
+        await this.runTasks(tasks, run);
+        return this.finishRun(run);
+    }
+
+    // Fetch newly followed feeds right away instead of waiting for the next scheduled run
+    async ingestFeeds(feeds) {
+        const run = this.startRun('feeds');
+        await this.runTasks(feeds.map(feed => this.feedTask(feed)), run);
+        return this.finishRun(run);
+    }
+
+    async ingestTopic(topic, language = 'en') {
+        const run = this.startRun('topic');
+        await this.runTasks([this.trendingTask(topic, language)], run);
+        return this.finishRun(run);
+    }
+
+    // For the admin console: the scheduled job, recent runs (on-demand ones included) and the store's size
+    async getStatus() {
+        const store = await getQuery(`
+      SELECT COUNT(*) AS articles, MAX(created_at) AS newest_ingested_at,
+             COALESCE(SUM(created_at > datetime('now', '-24 hours')), 0) AS ingested_last_24h,
+             COALESCE(SUM(pinned_at IS NOT NULL), 0) AS pinned
+      FROM news_articles
+    `);
+        const buckets = await allQuery(`
+      SELECT bucket, COUNT(*) AS placements, COUNT(DISTINCT bucket_value) AS values_count
+      FROM article_placements
+      GROUP BY bucket
+      ORDER BY bucket
+    `);
+
+        return {
+            schedule: this.schedule,
+            running: this.running,
+            currentRun: this.currentRun,
+            lastScheduledRun: this.lastRun,
+            recentRuns: this.recentRuns,
+            store: {
+                articles: store.articles,
+                ingestedLast24h: store.ingested_last_24h,
+                newestIngestedAt: store.newest_ingested_at,
+                pinned: store.pinned,
+                buckets: buckets.map(row => ({ bucket: row.bucket, placements: row.placements, values: row.values_count }))
+            }
+        };
+    }
+
+    // Expand profiles into unique upstream queries so shared locations and industries are fetched once
+    buildTasks(profiles) {
+        const tasks = new Map();
+        const addTask = task => tasks.set(
+            `${task.bucket}:${newsService.normalizePlacementValue(task.value)}:${task.language}`,
+            task
+        );
+
+        for (const profile of profiles) {
+            for (const language of profile.preferences.preferredLanguages) {
+                for (const { query, bucket, value } of newsService.getProfileLocationQueries(profile)) {
+                    addTask({
+                        query,
+                        bucket,
+                        value,
+                        language,
+                        keyword: query,
+                        fields: { category: 'business', location_type: bucket, location_value: value }
+                    });
+                }
+
+                for (const industry of newsService.getIndustryKeywords(profile.career_field, profile.industries)) {
+                    addTask({
+                        query: `${industry} business news`,
+                        bucket: 'industry',
+                        value: industry,
+                        language,
+                        keyword: industry,
+                        fields: { category: 'industry', industry }
+                    });
+                }
+            }
+        }
+
+        // Followed feeds are fetched whole, whatever the language
+        for (const feed of profiles.flatMap(profile => newsService.getFollowedFeeds(profile))) {
+            addTask(this.feedTask(feed));
+        }
+
+        for (const language of this.getLanguages(profiles)) {
+            addTask({
+                query: GLOBAL_QUERY,
+                bucket: 'global',
+                value: '',
+                language,
+                keyword: 'business',
+                fields: { category: 'global', location_type: 'global' }
+            });
+        }
+
+        return [...tasks.values()];
+    }
+
+    getLanguages(profiles) {
+        return [...new Set(['en', ...profiles.flatMap(profile => profile.preferences.preferredLanguages)])];
+    }
+
+    trendingTask(topic, language = 'en') {
+        return {
+            query: topic,
+            bucket: 'trending',
+            value: topic,
+            language,
+            keyword: topic,
+            fields: { category: 'trending' }
+        };
+    }
+
+    feedTask(feed) {
+        return {
+            query: feed.url,
+            feedUrl: feed.url,
+            bucket: 'feed',
+            value: feed.url,
+            language: '',
+            keyword: feed.title,
+            fields: { category: 'feed' }
+        };
+    }
+
+    // Tasks run one at a time to stay within upstream rate limits
+    async runTasks(tasks, run) {
+        const watchlists = await watchlistService.loadMatchers();
+        const stories = await storyService.loadClusterer();
+        await storyService.assignPending(stories);
+
+        for (const task of tasks) {
+            run.tasks++;
+            try {
+                const articles = task.feedUrl
+                    ? await newsService.fetchFeedArticles(task.feedUrl, ARTICLES_PER_QUERY)
+                    : await newsService.fetchNewsFromAPI(task.query, ARTICLES_PER_QUERY, { language: task.language });
+
+                let placed = 0;
+                for (const rawArticle of articles) {
+                    const article = newsService.processArticle(rawArticle, {
+                        ...task.fields,
+                        relevance_score: newsService.calculateRelevanceScore(rawArticle, task.keyword)
+                    });
+
+                    await newsService.saveArticleToCache(article);
+                    await storyService.assignArticle(stories, article);
+                    if (await newsService.savePlacement(article, task.bucket, task.value)) {
+                        placed++;
+                    }
+                    run.alerts += await watchlistService.tagArticle(watchlists, article, { bucket: task.bucket, value: task.value });
+                    run.articles++;
+                }
+
+                // Let open news streams pick up the new placements without waiting for the whole run
+                if (placed > 0) {
+                    newsStreamService.publish();
+                }
+            } catch (error) {
+                run.failedTasks++;
+                console.error(`Ingestion query "${task.query}" failed:`, error.message);
+            }
+        }
+
+        // One email per user for the watchlist matches this run found
+        if (run.alerts > 0) {
+            try {
+                await watchlistService.sendAlertEmails();
+            } catch (error) {
+                console.error('Error sending watchlist alert emails:', error);
+            }
+        }
+    }
+}
+
+module.exports = new IngestionService();
@@ -0,0 +1,206 @@
+const moment = require('moment');
+const { getQuery, allQuery, runQuery } = require('../database/db');
+const { SQL_DATETIME } = require('./util');
+
+// Affinities lose half their weight every this many days without new signals
+const HALF_LIFE_DAYS = parseFloat(process.env.INTEREST_HALF_LIFE_DAYS) || 14;
+
+// Kept per kind and user; weaker entries are dropped
+const MAX_INTERESTS_PER_KIND = 200;
+const MIN_WEIGHT = 0.05;
+
+const MAX_TERMS_PER_ARTICLE = 12;
+
+// Signal strengths: a bookmark says more than a read, a read with real reading time more than a bounce
+const SIGNALS = {
+    bounce: 0.25, // opened and left within BOUNCE_SECONDS
+    read: 1,
+    bookmark: 3
+};
+const BOUNCE_SECONDS = 5;
+const MAX_DWELL_BONUS = 3; // one extra point per minute of reading, up to this many
+
+// Common words, and words every business headline uses, say nothing about a reader's interests
+const STOPWORDS = new Set([
+    'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'any', 'can', 'had', 'her', 'was', 'one', 'our',
+    'out', 'day', 'get', 'has', 'him', 'his', 'how', 'its', 'may', 'new', 'now', 'old', 'see', 'two', 'way',
+    'who', 'did', 'yet', 'why', 'with', 'that', 'this', 'from', 'have', 'they', 'will', 'what', 'when', 'your',
+    'more', 'than', 'into', 'over', 'after', 'about', 'their', 'there', 'which', 'while', 'would', 'could',
+    'should', 'been', 'were', 'also', 'some', 'just', 'most', 'year', 'years', 'week', 'says', 'said', 'amid',
+    'here', 'know', 'need', 'make', 'makes', 'where', 'these', 'those', 'other', 'under', 'first',
+    'last', 'next', 'best', 'top', 'big', 'key', 'via', 'per', 'off', 'set', 'sets',
+    'news', 'business', 'breaking', 'report', 'reports', 'update', 'latest', 'today', 'announced',
+    'announces', 'major', 'shows', 'quarter', 'leaders', 'development', 'analysis'
+]);
+
+function decay(weight, updatedAt, now = moment.utc()) {
+    const ageDays = Math.max(now.diff(moment.utc(updatedAt, SQL_DATETIME), 'hours', true) / 24, 0);
+    return weight * Math.pow(0.5, ageDays / HALF_LIFE_DAYS);
+}
+
+class InterestService {
+    tokenize(text) {
+        return (text || '').toLowerCase().match(/[\p{L}\p{N}][\p{L}\p{N}&'-]*[\p{L}\p{N}]/gu) || [];
+    }
+
+    isTerm(word) {
+        return word.length >= 3 && !STOPWORDS.has(word) && !/^\d+$/.test(word);
+    }
+
+    // Distinct terms of an article with their weight: words in the title count double
+    extractTerms(article) {
+        const terms = new Map();
+        for (const word of this.tokenize(article.title).filter(word => this.isTerm(word))) {
+            terms.set(word, 1);
+        }
+        for (const word of this.tokenize(article.description).filter(word => this.isTerm(word))) {
+            if (!terms.has(word)) terms.set(word, 0.5);
+        }
+        return [...terms].slice(0, MAX_TERMS_PER_ARTICLE);
+    }
+
+    normalizeSource(sourceName) {
+        return (sourceName || '').trim().toLowerCase();
+    }
+
+    readingStrength(readingTime) {
+        const seconds = Math.max(parseInt(readingTime) || 0, 0);
+        if (seconds > 0 && seconds < BOUNCE_SECONDS) return SIGNALS.bounce;
+        return SIGNALS.read + Math.min(seconds / 60, MAX_DWELL_BONUS);
+    }
+
+    async recordRead(userId, articleId, readingTime) {
+        const article = await this.findArticle(userId, articleId);
+        if (article) {
+            await this.recordSignal(userId, article, this.readingStrength(readingTime));
+        }
+    }
+
+    async recordBookmark(userId, articleId) {
+        const article = await this.findArticle(userId, articleId);
+        if (article) {
+            await this.recordSignal(userId, article, SIGNALS.bookmark);
+        }
+    }
+
+    // The stored article, or the user's bookmark snapshot once it has left the store
+    async findArticle(userId, articleId) {
+        return await getQuery('SELECT title, description, source_name FROM news_articles WHERE id = ?', [articleId]) ||
+            await getQuery(`
+        SELECT title, description, source_name FROM user_bookmarks WHERE user_id = ? AND article_id = ?
+      `, [userId, articleId]);
+    }
+
+    // Add a signal to the article's terms and source on top of their decayed weights
+    async recordSignal(userId, article, strength) {
+        const entries = this.extractTerms(article).map(([term, weight]) => ({ kind: 'term', value: term, add: weight * strength }));
+        const source = this.normalizeSource(article.source_name);
+        if (source && source !== 'unknown') {
+            entries.push({ kind: 'source', value: source, add: strength });
+        }
+        if (entries.length === 0) return;
+
+        const existing = await allQuery(`
+      SELECT kind, value, weight, updated_at FROM user_interests
+      WHERE user_id = ? AND (${entries.map(() => '(kind = ? AND value = ?)').join(' OR ')})
+    `, [userId, ...entries.flatMap(entry => [entry.kind, entry.value])]);
+        const current = new Map(existing.map(row => [`${row.kind}:${row.value}`, decay(row.weight, row.updated_at)]));
+
+        for (const entry of entries) {
+            const weight = (current.get(`${entry.kind}:${entry.value}`) || 0) + entry.add;
+            await runQuery(`
+        INSERT INTO user_interests (user_id, kind, value, weight, updated_at)
+        VALUES (?, ?, ?, ?, datetime('now'))
+        ON CONFLICT(user_id, kind, value) DO UPDATE SET
+          weight = excluded.weight, updated_at = excluded.updated_at
+      `, [userId, entry.kind, entry.value, weight]);
+        }
+
+        await this.prune(userId);
+    }
+
+    // Drop interests that have decayed to nothing and keep the strongest MAX_INTERESTS_PER_KIND per kind
+    async prune(userId) {
+        const rows = await allQuery('SELECT kind, value, weight, updated_at FROM user_interests WHERE user_id = ?', [userId]);
+        const now = moment.utc();
+
+        for (const kind of ['term', 'source']) {
+            const ranked = rows
+                .filter(row => row.kind === kind)
+                .map(row => ({ ...row, decayed: decay(row.weight, row.updated_at, now) }))
+                .sort((a, b) => b.decayed - a.decayed);
+
+            const stale = ranked.filter((row, index) => index >= MAX_INTERESTS_PER_KIND || row.decayed < MIN_WEIGHT);
+            for (const row of stale) {
+                await runQuery('DELETE FROM user_interests WHERE user_id = ? AND kind = ? AND value = ?', [userId, kind, row.value]);
+            }
+        }
+    }
+
+    // Decayed affinities for ranking: { terms: Map, sources: Map, maxTerm, maxSource, isEmpty }
+    async getInterestProfile(userId) {
+        const rows = await allQuery('SELECT kind, value, weight, updated_at FROM user_interests WHERE user_id = ?', [userId]);
+        const now = moment.utc();
+        const profile = { terms: new Map(), sources: new Map(), maxTerm: 0, maxSource: 0 };
+
+        for (const row of rows) {
+            const weight = decay(row.weight, row.updated_at, now);
+            if (weight < MIN_WEIGHT) continue;
+
+            if (row.kind === 'term') {
+                profile.terms.set(row.value, weight);
+                profile.maxTerm = Math.max(profile.maxTerm, weight);
+            } else {
+                profile.sources.set(row.value, weight);
+                profile.maxSource = Math.max(profile.maxSource, weight);
+            }
+        }
+
+        profile.isEmpty = profile.terms.size === 0 && profile.sources.size === 0;
+        return profile;
+    }
+
+    // 0-10 score of how well an article fits the learned profile, with the terms and source behind it
+    scoreArticle(interests, article) {
+        if (!interests || interests.isEmpty) {
+            return { score: 0, terms: [], source: null };
+        }
+
+        // Three terms as strong as the user's strongest interest saturate the term score
+        const matched = this.extractTerms(article)
+            .filter(([term]) => interests.terms.has(term))
+            .map(([term]) => ({ term, weight: interests.terms.get(term) }))
+            .sort((a, b) => b.weight - a.weight);
+        const termScore = interests.maxTerm > 0
+            ? Math.min(matched.reduce((sum, entry) => sum + entry.weight, 0) / (interests.maxTerm * 3), 1)
+            : 0;
+
+        const sourceName = this.normalizeSource(article.source_name);
+        const sourceWeight = interests.sources.get(sourceName) || 0;
+        const sourceScore = interests.maxSource > 0 ? sourceWeight / interests.maxSource : 0;
+
+        return {
+            score: Math.round((7 * termScore + 3 * sourceScore) * 10) / 10,
+            terms: matched.slice(0, 3).map(entry => entry.term),
+            source: sourceScore >= 0.5 ? article.source_name : null
+        };
+    }
+
+    // The strongest learned interests, for showing users what the feed has picked up
+    async listInterests(userId, limit = 20) {
+        const interests = await this.getInterestProfile(userId);
+        const top = (map) => [...map]
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, limit)
+            .map(([value, weight]) => ({ value, weight: Math.round(weight * 100) / 100 }));
+
+        return { terms: top(interests.terms), sources: top(interests.sources) };
+    }
+
+    async resetInterests(userId) {
+        const result = await runQuery('DELETE FROM user_interests WHERE user_id = ?', [userId]);
+        return result.changes;
+    }
+}
+
+module.exports = new InterestService();
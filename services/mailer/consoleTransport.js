@@ -0,0 +1,16 @@
+class ConsoleTransport {
+    constructor() {
+        this.name = 'console';
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    async send(message) {
+        console.log(`[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${message.text}`);
+        return { id: `console-${Date.now()}` };
+    }
+}
+
+module.exports = ConsoleTransport;
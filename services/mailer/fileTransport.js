@@ -0,0 +1,26 @@
+const fs = require('fs');
+const path = require('path');
+
+// Writes each message to MAIL_OUTBOX_DIR as JSON so local development and tests can read the links
+class FileTransport {
+    constructor(directory = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '../../data/outbox')) {
+        this.name = 'file';
+        this.directory = directory;
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    async send(message) {
+        await fs.promises.mkdir(this.directory, { recursive: true });
+
+        const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+        const file = path.join(this.directory, `${id}.json`);
+        await fs.promises.writeFile(file, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+
+        return { id, file };
+    }
+}
+
+module.exports = FileTransport;
@@ -0,0 +1,52 @@
+const SmtpTransport = require('./smtpTransport');
+const FileTransport = require('./fileTransport');
+const ConsoleTransport = require('./consoleTransport');
+
+// Every transport exposes `name`, `isConfigured()` and `send({ from, to, subject, text, html, headers })`,
+// which resolves to `{ id }` and throws when delivery fails.
+
+const MAIL_FROM = process.env.MAIL_FROM || 'NewsMini <no-reply@newsmini.local>';
+
+class Mailer {
+    constructor(transportName) {
+        this.transports = new Map();
+        this.transportName = transportName;
+        this.transport = null;
+    }
+
+    register(transport) {
+        this.transports.set(transport.name, transport);
+        this.transport = null;
+    }
+
+    // Outside production a missing or unconfigured transport falls back to console. In production that
+    // would quietly drop password resets, so it throws instead; the server calls this at startup.
+    getTransport() {
+        if (this.transport) return this.transport;
+
+        const transport = this.transports.get(this.transportName);
+        if (!transport || !transport.isConfigured()) {
+            const problem = transport
+                ? `Mail transport "${this.transportName}" is not configured`
+                : `Unknown mail transport "${this.transportName}" in MAIL_TRANSPORT`;
+            if (process.env.NODE_ENV === 'production') {
+                throw new Error(problem);
+            }
+            console.warn(`${problem}, using console`);
+        }
+
+        this.transport = transport && transport.isConfigured() ? transport : this.transports.get('console');
+        return this.transport;
+    }
+
+    async send({ to, subject, text, html, headers }) {
+        return this.getTransport().send({ from: MAIL_FROM, to, subject, text, html, headers });
+    }
+}
+
+const mailer = new Mailer((process.env.MAIL_TRANSPORT || 'console').trim().toLowerCase());
+mailer.register(new SmtpTransport());
+mailer.register(new FileTransport());
+mailer.register(new ConsoleTransport());
+
+module.exports = mailer;
@@ -0,0 +1,35 @@
+const nodemailer = require('nodemailer');
+
+class SmtpTransport {
+    constructor(options = {
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT, 10) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+    }) {
+        this.name = 'smtp';
+        this.options = options;
+        this.transporter = null;
+    }
+
+    isConfigured() {
+        return Boolean(this.options.host);
+    }
+
+    async send(message) {
+        if (!this.transporter) {
+            this.transporter = nodemailer.createTransport({
+                host: this.options.host,
+                port: this.options.port,
+                secure: this.options.secure,
+                auth: this.options.user ? { user: this.options.user, pass: this.options.pass } : undefined
+            });
+        }
+
+        const info = await this.transporter.sendMail(message);
+        return { id: info.messageId };
+    }
+}
+
+module.exports = SmtpTransport;
@@ -0,0 +1,77 @@
+const moment = require('moment');
+const { escapeHtml } = require('../../util');
+
+const SECTION_TITLES = {
+    local: 'Local Business',
+    industry: 'Your Industry',
+    global: 'Global Business'
+};
+
+function subjectFor(frequency, date) {
+    return frequency === 'weekly'
+        ? `Your weekly business briefing – week of ${moment(date).startOf('isoWeek').format('MMM D')}`
+        : `Your business briefing for ${moment(date).format('dddd, MMM D')}`;
+}
+
+function renderText({ firstName, frequency, date, sections, appUrl, unsubscribeUrl }) {
+    const lines = [
+        `Hi ${firstName || 'there'},`,
+        '',
+        `Here is your ${frequency} briefing.`,
+        ''
+    ];
+
+    for (const section of sections) {
+        lines.push(SECTION_TITLES[section.key].toUpperCase(), '');
+        section.articles.forEach(article => {
+            lines.push(`* ${article.title}`);
+            lines.push(`  ${article.source_name || 'Unknown source'} – ${moment(article.published_at).format('MMM D')}`);
+            lines.push(`  ${article.url}`, '');
+        });
+    }
+
+    lines.push('--', `Read more at ${appUrl}`, `Unsubscribe from these emails: ${unsubscribeUrl}`);
+    return lines.join('\n');
+}
+
+function renderHtml({ firstName, frequency, date, sections, appUrl, unsubscribeUrl }) {
+    const sectionHtml = sections.map(section => `
+      <h2 style="font-size:16px;color:#1f2937;border-bottom:1px solid #e5e7eb;padding-bottom:4px;margin:24px 0 8px;">
+        ${SECTION_TITLES[section.key]}
+      </h2>
+      ${section.articles.map(article => `
+      <div style="margin:0 0 16px;">
+        <a href="${escapeHtml(article.url)}" style="font-size:15px;font-weight:600;color:#2563eb;text-decoration:none;">${escapeHtml(article.title)}</a>
+        ${article.description ? `<p style="margin:4px 0;color:#4b5563;font-size:14px;">${escapeHtml(article.description)}</p>` : ''}
+        <p style="margin:4px 0;color:#9ca3af;font-size:12px;">${escapeHtml(article.source_name || 'Unknown source')} &middot; ${moment(article.published_at).format('MMM D')}</p>
+      </div>`).join('')}`).join('');
+
+    return `<!DOCTYPE html>
+<html>
+<body style="margin:0;padding:0;background:#f9fafb;font-family:Arial,Helvetica,sans-serif;">
+  <div style="max-width:600px;margin:0 auto;padding:24px;background:#ffffff;">
+    <h1 style="font-size:20px;color:#111827;margin:0 0 4px;">NewsMini</h1>
+    <p style="color:#6b7280;font-size:13px;margin:0 0 16px;">${escapeHtml(subjectFor(frequency, date))}</p>
+    <p style="color:#374151;font-size:14px;">Hi ${escapeHtml(firstName || 'there')}, here is your ${frequency} briefing.</p>
+    ${sectionHtml}
+    <p style="color:#9ca3af;font-size:12px;margin-top:32px;border-top:1px solid #e5e7eb;padding-top:12px;">
+      <a href="${escapeHtml(appUrl)}" style="color:#6b7280;">Open NewsMini</a> &middot;
+      <a href="${escapeHtml(unsubscribeUrl)}" style="color:#6b7280;">Unsubscribe</a>
+    </p>
+  </div>
+</body>
+</html>`;
+}
+
+// data: { firstName, frequency, date, sections: [{ key, articles }], appUrl, unsubscribeUrl }
+function renderDigest(data) {
+    return {
+        subject: subjectFor(data.frequency, data.date),
+        text: renderText(data),
+        html: renderHtml(data)
+    };
+}
+
+module.exports = {
+    renderDigest
+};
@@ -0,0 +1,72 @@
+const moment = require('moment');
+const { escapeHtml } = require('../../util');
+
+function subjectFor(watchlists, totalMatches) {
+    const stories = totalMatches === 1 ? 'story' : 'stories';
+    return watchlists.length === 1
+        ? `${totalMatches} new ${stories} for your "${watchlists[0].name}" watchlist`
+        : `${totalMatches} new ${stories} across your watchlists`;
+}
+
+function renderText({ firstName, watchlists, totalMatches, appUrl }) {
+    const shown = watchlists.reduce((sum, watchlist) => sum + watchlist.articles.length, 0);
+    const lines = [`Hi ${firstName || 'there'},`, '', 'New stories matched your watchlists.', ''];
+
+    for (const watchlist of watchlists) {
+        lines.push(watchlist.name.toUpperCase(), '');
+        watchlist.articles.forEach(article => {
+            lines.push(`* ${article.title}`);
+            lines.push(`  ${article.source_name || 'Unknown source'} – ${moment(article.published_at).format('MMM D, h:mm A')}`);
+            lines.push(`  ${article.url}`, '');
+        });
+    }
+
+    if (totalMatches > shown) {
+        lines.push(`...and ${totalMatches - shown} more in NewsMini.`, '');
+    }
+
+    lines.push('--', `See all matches at ${appUrl}`, 'Email alerts can be turned off for each watchlist in NewsMini.');
+    return lines.join('\n');
+}
+
+function renderHtml({ firstName, watchlists, totalMatches, appUrl }) {
+    const shown = watchlists.reduce((sum, watchlist) => sum + watchlist.articles.length, 0);
+    const watchlistHtml = watchlists.map(watchlist => `
+      <h2 style="font-size:16px;color:#1f2937;border-bottom:1px solid #e5e7eb;padding-bottom:4px;margin:24px 0 8px;">
+        ${escapeHtml(watchlist.name)}
+      </h2>
+      ${watchlist.articles.map(article => `
+      <div style="margin:0 0 16px;">
+        <a href="${escapeHtml(article.url)}" style="font-size:15px;font-weight:600;color:#2563eb;text-decoration:none;">${escapeHtml(article.title)}</a>
+        <p style="margin:4px 0;color:#9ca3af;font-size:12px;">${escapeHtml(article.source_name || 'Unknown source')} &middot; ${moment(article.published_at).format('MMM D, h:mm A')}</p>
+      </div>`).join('')}`).join('');
+
+    return `<!DOCTYPE html>
+<html>
+<body style="margin:0;padding:0;background:#f9fafb;font-family:Arial,Helvetica,sans-serif;">
+  <div style="max-width:600px;margin:0 auto;padding:24px;background:#ffffff;">
+    <h1 style="font-size:20px;color:#111827;margin:0 0 16px;">NewsMini</h1>
+    <p style="color:#374151;font-size:14px;">Hi ${escapeHtml(firstName || 'there')}, new stories matched your watchlists.</p>
+    ${watchlistHtml}
+    ${totalMatches > shown ? `<p style="color:#374151;font-size:14px;">&hellip;and ${totalMatches - shown} more in NewsMini.</p>` : ''}
+    <p style="color:#9ca3af;font-size:12px;margin-top:32px;border-top:1px solid #e5e7eb;padding-top:12px;">
+      <a href="${escapeHtml(appUrl)}" style="color:#6b7280;">See all matches</a> &middot;
+      Email alerts can be turned off for each watchlist in NewsMini.
+    </p>
+  </div>
+</body>
+</html>`;
+}
+
+// data: { firstName, watchlists: [{ name, articles }], totalMatches, appUrl }
+function renderWatchlistAlert(data) {
+    return {
+        subject: subjectFor(data.watchlists, data.totalMatches),
+        text: renderText(data),
+        html: renderHtml(data)
+    };
+}
+
+module.exports = {
+    renderWatchlistAlert
+};
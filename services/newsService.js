@@ -1,11 +1,13 @@
-const axios = require('axios');
-const { v4: uuidv4 } = require('uuid');
 const moment = require('moment');
-const { runQuery, allQuery } = require('../database/db');
-
-// News API configuration
-const NEWS_API_KEY = process.env.NEWS_API_KEY || 'your_newsapi_key_here';
-const NEWSAPI_BASE_URL = 'https://newsapi.org/v2';
+const { runQuery, getQuery, allQuery } = require('../database/db');
+const providers = require('./providers');
+const { canonicalizeUrl, generateArticleId, ArticleDeduplicator, dedupeArticles } = require('./articleIdentity');
+const { DEFAULT_PREFERENCES, normalizePreferences, normalizeIndustries, normalizeStringList } = require('./preferences');
+const interestService = require('./interestService');
+const sourceService = require('./sourceService');
+const gazetteer = require('./gazetteer');
+const QueryCache = require('./queryCache');
+const { SQL_DATETIME, httpUrl } = require('./util');
 
 // Career field to industry mapping
 const CAREER_INDUSTRIES = {
@@ -21,155 +23,493 @@ const CAREER_INDUSTRIES = {
     'marketing': ['marketing', 'advertising', 'digital marketing', 'social media']
 };
 
+// Sub-industry labels offered at sign-up that make poor search queries on their own
+const INDUSTRY_ALIASES = {
+    'ai/ml': 'artificial intelligence',
+    'oil & gas': 'oil and gas',
+    'food & beverage': 'food and beverage',
+    'hr': 'human resources',
+    'pr': 'public relations'
+};
+
+// Industry keywords fetched per profile
+const MAX_PROFILE_INDUSTRIES = 3;
+
+// Admins edit the trending topic list (trending_topics table)
+const MAX_TRENDING_TOPICS = 30;
+const MAX_TOPIC_LENGTH = 100;
+
+// Used when a user has not filled in their location
+const DEFAULT_LOCATION = { city: 'San Francisco', state: 'CA', country: 'US' };
+
+// A location's local section is its city plus the metro area around it
+const LOCAL_BUCKETS = ['local', 'metro'];
+
+const ARTICLE_RETENTION_DAYS = parseInt(process.env.ARTICLE_RETENTION_DAYS, 10) || 7;
+
+// Whether a news_articles row (aliased n) is currently pinned
+const PINNED_SQL = "(n.pinned_at IS NOT NULL AND (n.pinned_until IS NULL OR n.pinned_until > datetime('now')))";
+
+// Share of the ranking score that comes from the learned interest profile (0 turns it off)
+const PERSONALIZATION_WEIGHT = Math.min(Math.max(parseFloat(process.env.PERSONALIZATION_WEIGHT ?? 0.4) || 0, 0), 1);
+
+// LIKE pattern for values containing the text; % and _ in it match themselves
+const LIKE_ESCAPE = "ESCAPE '\\'";
+function containsPattern(value) {
+    return `%${String(value).replace(/[\\%_]/g, '\\$&')}%`;
+}
+
+// Provider results per query: fresh for the TTL, then served stale for a while as they are refetched
+const QUERY_CACHE_TTL_SECONDS = parseInt(process.env.QUERY_CACHE_TTL_SECONDS, 10) || 900;
+const QUERY_CACHE_STALE_SECONDS = parseInt(process.env.QUERY_CACHE_STALE_SECONDS ?? 3600, 10) || 0;
+const QUERY_CACHE_MAX_ENTRIES = parseInt(process.env.QUERY_CACHE_MAX_ENTRIES, 10) || 500;
+
+// Thrown by fetchNewsFromAPI when no provider could be called or none answered
+class UpstreamUnavailableError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UpstreamUnavailableError';
+    }
+}
+
 class NewsService {
     constructor() {
-        this.cache = new Map();
+        this.queryCache = new QueryCache({
+            name: 'provider_queries',
+            ttlMs: QUERY_CACHE_TTL_SECONDS * 1000,
+            staleMs: QUERY_CACHE_STALE_SECONDS * 1000,
+            maxEntries: QUERY_CACHE_MAX_ENTRIES
+        });
         this.lastRefresh = null;
     }
 
-    async fetchNewsFromAPI(query, pageSize = 20) {
-        try {
-            const response = await axios.get(`${NEWSAPI_BASE_URL}/everything`, {
-                params: {
-                    q: query,
-                    language: 'en',
-                    sortBy: 'publishedAt',
-                    pageSize: pageSize,
-                    apiKey: NEWS_API_KEY
-                },
-                timeout: 10000
-            });
-
-            return response.data.articles || [];
-        } catch (error) {
-            console.error('NewsAPI error:', error.message);
+    // "Apple  Earnings" and "apple earnings" are the same upstream query
+    queryCacheKey(query, pageSize, options = {}) {
+        const text = String(query || '').trim().toLowerCase().replace(/\s+/g, ' ');
+        return [text, options.language || 'en', pageSize].join('|');
+    }
 
-            // Return mock data if API fails (for development/demo)
-            return this.getMockNewsData(query);
-        }
+    // Articles for a query from every enabled provider, through the query cache.
+    // Callers get copies, so nothing they change leaks into the cache.
+    async fetchNewsFromAPI(query, pageSize = 20, options = {}) {
+        const key = this.queryCacheKey(query, pageSize, options);
+        const articles = await this.queryCache.get(key, () => this.fetchFromProviders(query, pageSize, options));
+        return articles.map(article => ({ ...article }));
     }
 
-    getMockNewsData(query) {
-        const mockArticles = [
-            {
-                title: `Breaking: Major ${query} Development Announced`,
-                description: `Important news in the ${query} sector affecting business operations and market trends.`,
-                url: 'https://example.com/news/1',
-                urlToImage: 'https://via.placeholder.com/400x200?text=News+Image',
-                publishedAt: new Date().toISOString(),
-                source: { name: 'Business Times' }
-            },
-            {
-                title: `${query} Market Shows Strong Growth This Quarter`,
-                description: `Analysis of recent ${query} market performance and future outlook for investors.`,
-                url: 'https://example.com/news/2',
-                urlToImage: 'https://via.placeholder.com/400x200?text=Market+News',
-                publishedAt: moment().subtract(1, 'hour').toISOString(),
-                source: { name: 'Economic Daily' }
-            },
-            {
-                title: `Innovation in ${query}: What Business Leaders Need to Know`,
-                description: `Expert insights on emerging trends in ${query} and their impact on business strategy.`,
-                url: 'https://example.com/news/3',
-                urlToImage: 'https://via.placeholder.com/400x200?text=Innovation+News',
-                publishedAt: moment().subtract(2, 'hours').toISOString(),
-                source: { name: 'Industry Weekly' }
+    async fetchFromProviders(query, pageSize, options) {
+        const enabledProviders = providers.getEnabledProviders();
+        const results = await Promise.allSettled(
+            enabledProviders.map(provider => providers.track(provider, () => provider.fetchArticles(query, pageSize, options)))
+        );
+
+        const articles = [];
+        const seenUrls = new Set();
+        results.forEach((result, index) => {
+            if (result.status === 'rejected') {
+                // Skipped for quota or an open circuit: the registry already knows, no need to log every query
+                if (result.reason.name !== 'ProviderUnavailableError') {
+                    console.error(`${enabledProviders[index].name} provider error:`, result.reason.message);
+                }
+                return;
             }
-        ];
-
-        return mockArticles;
-    }
-
-    async getLocationBasedNews(city, state, country, limit = 5) {
-        const queries = [
-            `${city} business`,
-            `${state} economy`,
-            `${country} business news`
-        ];
-
-        const allNews = [];
-
-        for (const query of queries) {
-            const articles = await this.fetchNewsFromAPI(query, limit);
-            const processedArticles = articles.map(article => ({
-                id: uuidv4(),
-                title: this.sanitizeText(article.title),
-                description: this.sanitizeText(article.description),
-                url: article.url,
-                image_url: article.urlToImage,
-                published_at: article.publishedAt,
-                source_name: article.source?.name || 'Unknown',
-                source_url: article.source?.url || '',
-                category: 'business',
-                location_type: this.getLocationType(query),
-                location_value: this.getLocationValue(query, city, state, country),
-                relevance_score: this.calculateRelevanceScore(article, query)
-            }));
+            for (const article of this.cleanArticles(result.value)) {
+                const canonicalUrl = canonicalizeUrl(article.url);
+                if (!seenUrls.has(canonicalUrl)) {
+                    seenUrls.add(canonicalUrl);
+                    articles.push(article);
+                }
+            }
+        });
+
+        // Nothing upstream answered. Callers keep serving what is stored rather than anything made up.
+        if (!results.some(result => result.status === 'fulfilled')) {
+            throw new UpstreamUnavailableError(enabledProviders.length === 0
+                ? 'No news providers are enabled'
+                : `No news provider answered: ${results.map(result => result.reason.message).join('; ')}`);
+        }
+
+        return articles
+            .sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt))
+            .slice(0, pageSize);
+    }
+
+    // A single RSS/Atom feed a user follows, through the RSS provider's parser and feed cache
+    async fetchFeedArticles(feedUrl, pageSize = 20) {
+        const rss = providers.get('rss');
+        const articles = await providers.track(rss, () => rss.fetchFeed(feedUrl), { guarded: false });
+
+        return this.cleanArticles(articles)
+            .sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt))
+            .slice(0, pageSize);
+    }
+
+    // Provider articles fit to store. Feed items can carry any link, and stored articles are shown to
+    // every user, so articles without an http(s) link are dropped and other URLs are cleared.
+    cleanArticles(articles) {
+        return articles
+            .map(article => ({
+                ...article,
+                url: httpUrl(article.url),
+                urlToImage: httpUrl(article.urlToImage),
+                source: { ...article.source, url: httpUrl(article.source?.url) }
+            }))
+            .filter(article => article.url);
+    }
+
+    // Whether fresh articles can be fetched right now. While no enabled provider can be called, everything
+    // is served from the store, and staleSince is when it last got anything from upstream.
+    async getUpstreamStatus() {
+        const health = providers.getHealth();
+        if (health.available) {
+            return { degraded: false, staleSince: null };
+        }
 
-            allNews.push(...processedArticles);
+        // Before any successful call since startup, the article ingestion saw last is the best evidence
+        let staleSince = health.lastSuccessAt;
+        if (!staleSince) {
+            const row = await getQuery('SELECT MAX(last_seen_at) AS newest FROM news_articles');
+            staleSince = row.newest ? moment.utc(row.newest, SQL_DATETIME).toDate() : null;
         }
 
-        return allNews.slice(0, limit * 3);
-    }
-
-    async getIndustryNews(careerField, limit = 5) {
-        const industries = CAREER_INDUSTRIES[careerField] || [careerField];
-        const allNews = [];
-
-        for (const industry of industries.slice(0, 2)) { // Limit to 2 industries to avoid API limits
-            const articles = await this.fetchNewsFromAPI(`${industry} business news`, limit);
-            const processedArticles = articles.map(article => ({
-                id: uuidv4(),
-                title: this.sanitizeText(article.title),
-                description: this.sanitizeText(article.description),
-                url: article.url,
-                image_url: article.urlToImage,
-                published_at: article.publishedAt,
-                source_name: article.source?.name || 'Unknown',
-                source_url: article.source?.url || '',
-                category: 'industry',
-                industry: industry,
-                relevance_score: this.calculateRelevanceScore(article, industry)
+        return { degraded: true, staleSince: staleSince ? staleSince.toISOString() : null };
+    }
+
+    // Upstream queries behind each bucket of one resolved location, city first
+    getLocationQueries({ city, metro, state, country }) {
+        // City-states like Singapore are their own metro
+        const metroValue = this.normalizePlacementValue(metro) !== this.normalizePlacementValue(city) ? metro : null;
+        return [
+            { query: `${city} business`, bucket: 'local', value: city },
+            { query: `${metroValue} business`, bucket: 'metro', value: metroValue },
+            { query: `${state} economy`, bucket: 'regional', value: state },
+            { query: `${country} business news`, bucket: 'national', value: country }
+        ].filter(entry => entry.value);
+    }
+
+    // Queries for every location on the profile, used by the ingestion job. Saved locations only add
+    // their local section; regional and national news follow the primary location. Shared buckets are listed once.
+    getProfileLocationQueries(userProfile) {
+        const seen = new Set();
+        return userProfile.locations.flatMap(location => this.getLocationQueries(location)
+            .filter(entry => location.primary || LOCAL_BUCKETS.includes(entry.bucket))
+            .filter(entry => {
+                const key = `${entry.bucket}:${this.normalizePlacementValue(entry.value)}`;
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
             }));
+    }
+
+    // The profile location an article's location bucket belongs to, primary first
+    findProfileLocation(userProfile, article) {
+        const field = { local: 'city', metro: 'metro', regional: 'state', national: 'country' }[article.location_type];
+        if (!field) return null;
+
+        const value = this.normalizePlacementValue(article.location_value);
+        return userProfile.locations.find(location => this.normalizePlacementValue(location[field]) === value) || null;
+    }
+
+    locationLabel(location) {
+        return [location.city, location.state, location.country].filter(Boolean).join(', ');
+    }
+
+    // The user's chosen sub-industries win over the defaults for their career field. Each keyword is
+    // an upstream query per preferred language, so only the first few distinct ones are used.
+    getIndustryKeywords(careerField, industries = []) {
+        const keywords = industries.length > 0
+            ? industries.map(industry => INDUSTRY_ALIASES[industry.toLowerCase()] || industry.toLowerCase())
+            : (CAREER_INDUSTRIES[careerField] || [careerField]).filter(Boolean).slice(0, 2);
+        return [...new Set(keywords)].slice(0, MAX_PROFILE_INDUSTRIES);
+    }
+
+    // The (bucket, value) placements a profile's dashboard is built from
+    getProfileBuckets(userProfile) {
+        return [
+            ...this.getProfileLocationQueries(userProfile).map(({ bucket, value }) => ({ bucket, value })),
+            ...this.getIndustryKeywords(userProfile.career_field, userProfile.industries)
+                .map(value => ({ bucket: 'industry', value })),
+            ...this.getFollowedFeeds(userProfile).map(feed => ({ bucket: 'feed', value: feed.url })),
+            { bucket: 'global', value: '' }
+        ].map(({ bucket, value }) => ({ bucket, value: this.normalizePlacementValue(value) }));
+    }
 
-            allNews.push(...processedArticles);
+    async getTrendingTopics() {
+        const rows = await allQuery('SELECT topic FROM trending_topics ORDER BY position');
+        return rows.map(row => row.topic);
+    }
+
+    normalizeTrendingTopics(topics) {
+        return normalizeStringList(topics, MAX_TRENDING_TOPICS)
+            .map(topic => topic.replace(/\s+/g, ' ').slice(0, MAX_TOPIC_LENGTH));
+    }
+
+    // Replace the list; topics keep the order given
+    async setTrendingTopics(topics) {
+        await runQuery('DELETE FROM trending_topics');
+        for (const [position, topic] of topics.entries()) {
+            await runQuery('INSERT INTO trending_topics (topic, position) VALUES (?, ?)', [topic, position]);
         }
+        return this.getTrendingTopics();
+    }
 
-        return allNews.slice(0, limit);
+    // Parse a users row into the profile shape the feed builders expect. `locations` holds the
+    // profile's own location (primary) and the saved ones, each expanded city → metro → state → country.
+    buildUserProfile(user) {
+        const preferences = normalizePreferences(JSON.parse(user.preferences || '{}'));
+        const home = gazetteer.resolve({
+            city: user.city || DEFAULT_LOCATION.city,
+            state: user.state || DEFAULT_LOCATION.state,
+            country: user.country || DEFAULT_LOCATION.country
+        });
+
+        return {
+            firstName: user.first_name,
+            lastName: user.last_name,
+            career_field: user.career_field,
+            industries: normalizeIndustries(JSON.parse(user.industries || '[]')),
+            city: home.city,
+            metro: home.metro,
+            state: home.state,
+            country: home.country,
+            locations: [
+                { name: 'Home', primary: true, ...home },
+                ...preferences.savedLocations.map(location => ({ name: location.name, primary: false, ...gazetteer.resolve(location) }))
+            ],
+            preferences
+        };
     }
 
-    async getPersonalizedNews(userProfile) {
+    // Read articles the ingestion job stored for one feed bucket, honoring the reader's preferences
+    async getStoredArticles(bucket, value = '', limit = 5, preferences = {}) {
+        const languages = preferences.preferredLanguages || DEFAULT_PREFERENCES.preferredLanguages;
+
+        // Source lists and blocked keywords are filtered afterwards, so read spare rows;
+        // an allow list can leave out most of a bucket
+        const spare = preferences.allowedSources?.length > 0 ? 10 : 3;
+        const rows = await allQuery(`
+      SELECT n.*, p.bucket, p.bucket_value, p.relevance_score AS placement_score
+      FROM article_placements p
+      JOIN news_articles n ON n.id = p.article_id
+      WHERE p.bucket = ? AND p.bucket_value = ?
+        AND COALESCE(n.language, 'en') IN (${languages.map(() => '?').join(', ')})
+      ORDER BY ${PINNED_SQL} DESC, n.published_at DESC, p.relevance_score DESC
+      LIMIT ?
+    `, [bucket, this.normalizePlacementValue(value), ...languages, limit * spare]);
+
+        return this.applyPreferenceFilters(rows.map(row => this.rowToArticle(row)), preferences).slice(0, limit);
+    }
+
+    // Full-text search over the local store; parsedQuery comes from services/searchQuery.js
+    async searchArticles(parsedQuery, limit = 20, preferences = {}) {
+        const languages = preferences.preferredLanguages || DEFAULT_PREFERENCES.preferredLanguages;
+        const conditions = [`COALESCE(n.language, 'en') IN (${languages.map(() => '?').join(', ')})`];
+        const params = [...languages];
+
+        if (parsedQuery.sources.length > 0) {
+            conditions.push(`(${parsedQuery.sources.map(() => `(n.source_name LIKE ? ${LIKE_ESCAPE} OR n.url LIKE ? ${LIKE_ESCAPE})`).join(' OR ')})`);
+            parsedQuery.sources.forEach(source => params.push(containsPattern(source), containsPattern(source)));
+        }
+        for (const source of parsedQuery.excludedSources) {
+            conditions.push(`NOT (n.source_name LIKE ? ${LIKE_ESCAPE} OR n.url LIKE ? ${LIKE_ESCAPE})`);
+            params.push(containsPattern(source), containsPattern(source));
+        }
+        if (parsedQuery.industries.length > 0) {
+            conditions.push(`(${parsedQuery.industries.map(() => `(n.industry LIKE ? ${LIKE_ESCAPE} OR EXISTS (
+          SELECT 1 FROM article_placements p
+          WHERE p.article_id = n.id AND p.bucket = 'industry' AND p.bucket_value LIKE ? ${LIKE_ESCAPE}
+        ))`).join(' OR ')})`);
+            parsedQuery.industries.forEach(industry => params.push(containsPattern(industry), containsPattern(industry.toLowerCase())));
+        }
+        if (parsedQuery.from) {
+            conditions.push('n.published_at >= ?');
+            params.push(parsedQuery.from);
+        }
+        if (parsedQuery.to) {
+            conditions.push('n.published_at <= ?');
+            params.push(parsedQuery.to);
+        }
+
+        let rows;
+        if (parsedQuery.match) {
+            // bm25 weights: a hit in the title counts more than one in the description
+            rows = await allQuery(`
+        SELECT n.*, bm25(news_articles_fts, 10.0, 4.0) AS text_rank,
+               snippet(news_articles_fts, 0, '<mark>', '</mark>', '…', 16) AS title_snippet,
+               snippet(news_articles_fts, 1, '<mark>', '</mark>', '…', 32) AS description_snippet
+        FROM news_articles_fts
+        JOIN news_articles n ON n.rowid = news_articles_fts.rowid
+        WHERE news_articles_fts MATCH ? AND ${conditions.join(' AND ')}
+        ORDER BY text_rank
+        LIMIT ?
+      `, [parsedQuery.match, ...params, limit * 3]);
+        } else {
+            rows = await allQuery(`
+        SELECT n.*, 0 AS text_rank, NULL AS title_snippet, NULL AS description_snippet
+        FROM news_articles n
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY n.published_at DESC
+        LIMIT ?
+      `, [...params, limit * 3]);
+        }
+
+        // bm25 ranks are negative with the best match lowest; scale them to 0-10 within this result set
+        const bestRank = Math.min(...rows.map(row => row.text_rank), 0);
+        const keyword = parsedQuery.text || '';
+
+        const results = rows.map(row => {
+            const article = this.rowToArticle(row);
+            const heuristicScore = this.calculateRelevanceScore({
+                title: row.title,
+                description: row.description,
+                publishedAt: row.published_at,
+                url: row.url,
+                source: { name: row.source_name }
+            }, keyword);
+            const textScore = bestRank < 0 ? 10 * (row.text_rank / bestRank) : 0;
+
+            article.relevance_score = parsedQuery.match
+                ? Math.round((0.6 * textScore + 0.4 * heuristicScore) * 10) / 10
+                : heuristicScore;
+            article.highlights = {
+                title: row.title_snippet || article.title,
+                description: row.description_snippet || article.description
+            };
+            return article;
+        });
+
+        return this.applyPreferenceFilters(results, preferences)
+            .sort((a, b) => b.relevance_score - a.relevance_score)
+            .slice(0, limit);
+    }
+
+    // Drop articles from muted (blocked) sources, from sources outside a non-empty allow list,
+    // or mentioning blocked keywords
+    applyPreferenceFilters(articles, preferences = {}) {
+        const mutedSources = (preferences.mutedSources || []).map(source => source.toLowerCase());
+        const allowedSources = (preferences.allowedSources || []).map(source => source.toLowerCase());
+        const blockedKeywords = (preferences.blockedKeywords || []).map(keyword => keyword.toLowerCase());
+        if (mutedSources.length === 0 && allowedSources.length === 0 && blockedKeywords.length === 0) return articles;
+
+        return articles.filter(article => {
+            if (mutedSources.some(entry => this.matchesSource(entry, article))) return false;
+            if (allowedSources.length > 0 && !allowedSources.some(entry => this.matchesSource(entry, article))) return false;
+
+            const text = `${article.title || ''} ${article.description || ''}`.toLowerCase();
+            return !blockedKeywords.some(keyword => text.includes(keyword));
+        });
+    }
+
+    // Whether a source list entry (a name or a domain, lowercased) refers to the article's source.
+    // Registered sources also match by their registry name and domain.
+    matchesSource(entry, article) {
+        const domain = entry.replace(/^www\./, '');
+        const hostname = this.getHostname(article.url);
+        if (entry === (article.source_name || '').toLowerCase() || hostname === domain || hostname.endsWith(`.${domain}`)) {
+            return true;
+        }
+
+        const registered = sourceService.lookup(article.source_name, article.url);
+        return Boolean(registered) && (entry === registered.name.toLowerCase() || domain === registered.domain);
+    }
+
+    getHostname(url) {
         try {
-            const { city, state, country, career_field } = userProfile;
+            return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+        } catch (error) {
+            return '';
+        }
+    }
+
+    // The primary location's city, metro, regional and national buckets
+    async getLocationBasedNews(userProfile, limit = 5) {
+        const primary = userProfile.locations.find(location => location.primary);
+        const buckets = await Promise.all(
+            this.getLocationQueries(primary)
+                .map(({ bucket, value }) => this.getStoredArticles(bucket, value, limit, userProfile.preferences))
+        );
+
+        return dedupeArticles(buckets.flat()).slice(0, limit * 4);
+    }
+
+    // The local section (city and metro) of each saved location
+    async getSavedLocationNews(userProfile, limit = 5) {
+        return Promise.all(userProfile.locations.filter(location => !location.primary).map(async location => {
+            const buckets = await Promise.all(
+                this.getLocationQueries(location)
+                    .filter(({ bucket }) => LOCAL_BUCKETS.includes(bucket))
+                    .map(({ bucket, value }) => this.getStoredArticles(bucket, value, limit, userProfile.preferences))
+            );
+            return { location, articles: dedupeArticles(buckets.flat()) };
+        }));
+    }
 
-            // Fetch different types of news
-            const [locationNews, industryNews, globalNews] = await Promise.all([
-                this.getLocationBasedNews(city, state, country, 5),
-                this.getIndustryNews(career_field, 5),
-                this.fetchNewsFromAPI('global business economy', 5)
+    async getIndustryNews(userProfile, limit = 5) {
+        const { career_field, industries, preferences } = userProfile;
+        const buckets = await Promise.all(
+            this.getIndustryKeywords(career_field, industries)
+                .map(industry => this.getStoredArticles('industry', industry, limit, preferences))
+        );
+
+        return dedupeArticles(buckets.flat())
+            .sort((a, b) => new Date(b.published_at) - new Date(a.published_at))
+            .slice(0, limit);
+    }
+
+    async getGlobalNews(limit = 5, preferences = {}) {
+        return this.getStoredArticles('global', '', limit, preferences);
+    }
+
+    getFollowedFeeds(userProfile) {
+        return userProfile.preferences?.followedFeeds || [];
+    }
+
+    async getFollowedFeedNews(userProfile, limit = 5) {
+        const feeds = await Promise.all(
+            this.getFollowedFeeds(userProfile)
+                .map(feed => this.getStoredArticles('feed', feed.url, limit, userProfile.preferences))
+        );
+
+        return dedupeArticles(feeds.flat())
+            .sort((a, b) => new Date(b.published_at) - new Date(a.published_at))
+            .slice(0, limit * 3);
+    }
+
+    async getPersonalizedNews(userProfile) {
+        try {
+            const perCategory = userProfile.preferences?.articlesPerCategory || DEFAULT_PREFERENCES.articlesPerCategory;
+
+            // Everything is served from the local store populated by the ingestion job
+            const [locationNews, savedLocationNews, industryNews, globalNews, followedNews] = await Promise.all([
+                this.getLocationBasedNews(userProfile, perCategory * 2),
+                this.getSavedLocationNews(userProfile, perCategory * 2),
+                this.getIndustryNews(userProfile, perCategory * 2),
+                this.getGlobalNews(perCategory * 2, userProfile.preferences),
+                this.getFollowedFeedNews(userProfile, perCategory * 2)
             ]);
 
-            // Process global news
-            const processedGlobalNews = globalNews.map(article => ({
-                id: uuidv4(),
-                title: this.sanitizeText(article.title),
-                description: this.sanitizeText(article.description),
-                url: article.url,
-                image_url: article.urlToImage,
-                published_at: article.publishedAt,
-                source_name: article.source?.name || 'Unknown',
-                source_url: article.source?.url || '',
-                category: 'global',
-                location_type: 'global',
-                relevance_score: this.calculateRelevanceScore(article, 'business')
-            }));
+            // A story syndicated across outlets should only show up once in the whole feed
+            const deduplicator = new ArticleDeduplicator();
+            const unique = articles => this.rankArticles(articles, userProfile)
+                .filter(article => deduplicator.add(article))
+                .slice(0, perCategory);
 
             return {
-                local: locationNews.filter(n => n.location_type === 'local').slice(0, 5),
-                regional: locationNews.filter(n => n.location_type === 'regional').slice(0, 5),
-                national: locationNews.filter(n => n.location_type === 'national').slice(0, 5),
-                industry: industryNews.slice(0, 5),
-                global: processedGlobalNews.slice(0, 5)
+                local: unique(locationNews.filter(n => LOCAL_BUCKETS.includes(n.location_type))),
+                regional: unique(locationNews.filter(n => n.location_type === 'regional')),
+                national: unique(locationNews.filter(n => n.location_type === 'national')),
+                locations: savedLocationNews.map(({ location, articles }) => ({
+                    name: location.name,
+                    label: this.locationLabel(location),
+                    city: location.city,
+                    metro: location.metro,
+                    state: location.state,
+                    country: location.country,
+                    articles: unique(articles)
+                })),
+                industry: unique(industryNews),
+                global: unique(globalNews),
+                followed: unique(followedNews)
             };
         } catch (error) {
             console.error('Error fetching personalized news:', error);
@@ -177,22 +517,162 @@ class NewsService {
         }
     }
 
-    sanitizeText(text) {
-        if (!text) return '';
-        // Remove HTML tags and decode HTML entities
-        return text.replace(/<[^>]*>/g, '').replace(/&[#\w]+;/g, '').trim();
+    // Every article in a getPersonalizedNews result, saved location sections included
+    flattenPersonalizedNews(news) {
+        const { locations = [], ...sections } = news;
+        return [...Object.values(sections).flat(), ...locations.flatMap(location => location.articles)];
     }
 
-    getLocationType(query) {
-        if (query.includes('business')) return 'local';
-        if (query.includes('economy')) return 'regional';
-        return 'national';
+    // Blend the learned interest score into the ranking and say why each article is in the feed.
+    // Without a learned profile (userProfile.interests) the order is left as it is.
+    rankArticles(articles, userProfile) {
+        const interests = userProfile.interests;
+        const now = moment();
+
+        const ranked = articles.map(article => {
+            const interest = interestService.scoreArticle(interests, article);
+            const freshness = 10 * Math.pow(0.5, Math.max(now.diff(moment(article.published_at), 'hours', true), 0) / 24);
+            const baseScore = 0.5 * (article.relevance_score || 0) + 0.5 * freshness;
+
+            return {
+                article: { ...article, explanation: this.explainArticle(article, userProfile, interest) },
+                score: (1 - PERSONALIZATION_WEIGHT) * baseScore + PERSONALIZATION_WEIGHT * interest.score
+            };
+        });
+
+        // Pinned articles stay on top either way
+        const personalized = interests && !interests.isEmpty && PERSONALIZATION_WEIGHT > 0;
+        return ranked
+            .sort((a, b) => (b.article.pinned - a.article.pinned) || (personalized ? b.score - a.score : 0))
+            .map(entry => entry.article);
     }
 
-    getLocationValue(query, city, state, country) {
-        if (query.includes(city)) return city;
-        if (query.includes(state)) return state;
-        return country;
+    // "Why am I seeing this": the feed bucket the article came from plus any learned interests it matched
+    explainArticle(article, userProfile, interest = {}) {
+        const reasons = [];
+
+        const location = this.findProfileLocation(userProfile, article);
+        const place = field => (location && location[field]) || article.location_value;
+        // Saved locations are named so the reader knows which of their places it is for
+        const suffix = location && !location.primary ? ` (${location.name})` : '';
+        if (article.location_type === 'local') {
+            reasons.push({ type: 'location', text: `Local business news for ${place('city')}${suffix}` });
+        } else if (article.location_type === 'metro') {
+            reasons.push({ type: 'location', text: `Business news around ${place('metro')}${suffix}` });
+        } else if (article.location_type === 'regional') {
+            reasons.push({ type: 'location', text: `Business news from ${place('state')}${suffix}` });
+        } else if (article.location_type === 'national') {
+            reasons.push({ type: 'location', text: `National business news for ${place('country')}${suffix}` });
+        } else if (article.category === 'industry') {
+            reasons.push({ type: 'industry', text: `Matches your industry: ${article.industry}` });
+        } else if (article.category === 'global') {
+            reasons.push({ type: 'global', text: 'Top global business story' });
+        }
+
+        if (interest.terms?.length > 0) {
+            reasons.push({ type: 'interest', text: `You often read about ${interest.terms.join(', ')}` });
+        }
+        if (interest.source) {
+            reasons.push({ type: 'source', text: `You often read ${interest.source}` });
+        }
+
+        return reasons;
+    }
+
+    // The profile's location, industry and global buckets the store has nothing for yet, e.g. a city
+    // just added under a country that is already ingested. Followed feeds are fetched when followed.
+    async getMissingProfileBuckets(userProfile) {
+        const buckets = this.getProfileBuckets(userProfile).filter(({ bucket }) => bucket !== 'feed');
+
+        const rows = await allQuery(`
+      SELECT DISTINCT bucket, bucket_value FROM article_placements
+      WHERE ${buckets.map(() => '(bucket = ? AND bucket_value = ?)').join(' OR ')}
+    `, buckets.flatMap(({ bucket, value }) => [bucket, value]));
+        const stored = new Set(rows.map(row => `${row.bucket}:${row.bucket_value}`));
+
+        return buckets.filter(({ bucket, value }) => !stored.has(`${bucket}:${value}`));
+    }
+
+    // Convert a provider article into the shape the API returns and the cache stores
+    processArticle(article, fields = {}) {
+        return {
+            id: generateArticleId(article.url),
+            title: this.sanitizeText(article.title),
+            description: this.sanitizeText(article.description),
+            url: article.url,
+            canonical_url: canonicalizeUrl(article.url),
+            image_url: article.urlToImage,
+            published_at: article.publishedAt,
+            source_name: article.source?.name || 'Unknown',
+            source_url: article.source?.url || '',
+            language: article.language || 'en',
+            provider: article.provider,
+            alternate_sources: [],
+            ...fields
+        };
+    }
+
+    // Convert a news_articles row (optionally joined with its placement) back into the API shape
+    rowToArticle(row) {
+        const article = {
+            id: row.id,
+            title: row.title,
+            description: row.description,
+            url: row.url,
+            canonical_url: row.canonical_url,
+            image_url: row.image_url,
+            published_at: row.published_at,
+            source_name: row.source_name,
+            source_url: row.source_url,
+            category: row.category,
+            location_type: row.location_type,
+            location_value: row.location_value,
+            industry: row.industry,
+            relevance_score: row.relevance_score,
+            language: row.language || 'en',
+            story_id: row.story_id || null,
+            pinned: Boolean(row.pinned_at) && (!row.pinned_until || moment.utc(row.pinned_until, SQL_DATETIME).isAfter(moment.utc())),
+            alternate_sources: JSON.parse(row.alternate_sources || '[]')
+        };
+
+        const registered = sourceService.lookup(row.source_name, row.url);
+        article.source_tier = registered ? registered.tier : null;
+        article.paywall = registered ? registered.paywall : false;
+
+        // The same article can be stored under several buckets; report the one it was read from
+        if (row.bucket) {
+            article.relevance_score = row.placement_score;
+            if (row.bucket === 'industry') {
+                article.category = 'industry';
+                article.industry = row.bucket_value;
+            } else if (row.bucket === 'global') {
+                article.category = 'global';
+                article.location_type = 'global';
+            } else if (row.bucket === 'trending') {
+                article.topic = row.bucket_value;
+            } else if (row.bucket === 'feed') {
+                article.category = 'feed';
+                article.feed_url = row.bucket_value;
+            } else {
+                article.category = 'business';
+                article.location_type = row.bucket;
+                if (this.normalizePlacementValue(row.location_value) !== row.bucket_value) {
+                    article.location_value = row.bucket_value;
+                }
+            }
+        }
+
+        return article;
+    }
+
+    normalizePlacementValue(value) {
+        return (value || '').trim().toLowerCase();
+    }
+
+    sanitizeText(text) {
+        if (!text) return '';
+        // Remove HTML tags and decode HTML entities
+        return text.replace(/<[^>]*>/g, '').replace(/&[#\w]+;/g, '').trim();
     }
 
     calculateRelevanceScore(article, keyword) {
@@ -211,21 +691,30 @@ class NewsService {
         if (hoursAgo < 6) score += 2;
         else if (hoursAgo < 24) score += 1;
 
-        // Score based on source credibility (mock scoring)
-        const trustedSources = ['Reuters', 'Bloomberg', 'Wall Street Journal', 'Financial Times'];
-        if (trustedSources.some(source => (article.source?.name || '').includes(source))) {
-            score += 2;
-        }
+        // Score based on the source's credibility tier in the registry
+        score += sourceService.credibilityScore(article.source?.name, article.url);
 
-        return Math.min(score, 10); // Cap at 10
+        return Math.min(Math.max(score, 0), 10); // Keep within 0-10
     }
 
     async refreshNewsCache() {
         console.log('Refreshing news cache...');
         try {
-            // Clear old cache entries (older than 6 hours)
-            const sixHoursAgo = moment().subtract(6, 'hours').format('YYYY-MM-DD HH:mm:ss');
-            await runQuery('DELETE FROM news_articles WHERE created_at < ?', [sixHoursAgo]);
+            // Stored articles are the last known good feed while upstream is down; don't age them out
+            if ((await this.getUpstreamStatus()).degraded) {
+                console.warn('News providers are unavailable; keeping stored articles past retention');
+                return;
+            }
+
+            // The store is the serving layer now, so keep articles for the retention window after ingestion last saw them
+            const cutoff = moment().subtract(ARTICLE_RETENTION_DAYS, 'days').format(SQL_DATETIME);
+            await runQuery(`
+        DELETE FROM news_articles AS n WHERE n.last_seen_at < ? AND NOT ${PINNED_SQL}
+      `, [cutoff]);
+            await runQuery('DELETE FROM article_placements WHERE article_id NOT IN (SELECT id FROM news_articles)');
+            await runQuery('DELETE FROM feed_events WHERE article_id NOT IN (SELECT id FROM news_articles)');
+            await runQuery('DELETE FROM watchlist_matches WHERE article_id NOT IN (SELECT id FROM news_articles)');
+            await runQuery('DELETE FROM stories WHERE id NOT IN (SELECT story_id FROM news_articles WHERE story_id IS NOT NULL)');
 
             this.lastRefresh = new Date();
             console.log('News cache refreshed successfully');
@@ -234,18 +723,90 @@ class NewsService {
         }
     }
 
+    // Remove an article from the store and everything that points at it; bookmarks keep their snapshot
+    async purgeArticle(articleId) {
+        const result = await runQuery('DELETE FROM news_articles WHERE id = ?', [articleId]);
+        if (result.changes === 0) return false;
+
+        await runQuery('DELETE FROM article_placements WHERE article_id = ?', [articleId]);
+        await runQuery('DELETE FROM feed_events WHERE article_id = ?', [articleId]);
+        await runQuery('DELETE FROM watchlist_matches WHERE article_id = ?', [articleId]);
+        await runQuery('DELETE FROM stories WHERE id NOT IN (SELECT story_id FROM news_articles WHERE story_id IS NOT NULL)');
+        return true;
+    }
+
+    // Pin an article to the top of its sections, and into everyone's global section, until
+    // pinnedUntil (a moment) or until unpinned. Returns the article, or null if it isn't stored.
+    async pinArticle(articleId, pinnedUntil = null) {
+        const result = await runQuery(`
+      UPDATE news_articles SET pinned_at = datetime('now'), pinned_until = ? WHERE id = ?
+    `, [pinnedUntil ? pinnedUntil.utc().format(SQL_DATETIME) : null, articleId]);
+        if (result.changes === 0) return null;
+
+        const row = await getQuery('SELECT * FROM news_articles WHERE id = ?', [articleId]);
+        await this.savePlacement(row, 'global', '');
+        return this.rowToArticle(row);
+    }
+
+    async unpinArticle(articleId) {
+        const result = await runQuery(`
+      UPDATE news_articles SET pinned_at = NULL, pinned_until = NULL WHERE id = ? AND pinned_at IS NOT NULL
+    `, [articleId]);
+        return result.changes > 0;
+    }
+
+    // Record that an article belongs to a feed bucket (local/metro/regional/national/industry/global/trending).
+    // Returns true when the placement is new, which is also logged to feed_events for the news stream.
+    async savePlacement(article, bucket, value = '') {
+        const bucketValue = this.normalizePlacementValue(value);
+        try {
+            const inserted = await runQuery(`
+        INSERT OR IGNORE INTO article_placements (article_id, bucket, bucket_value, relevance_score)
+        VALUES (?, ?, ?, ?)
+      `, [article.id, bucket, bucketValue, article.relevance_score || 0]);
+
+            if (inserted.changes === 0) {
+                await runQuery(`
+          UPDATE article_placements SET relevance_score = ?
+          WHERE article_id = ? AND bucket = ? AND bucket_value = ?
+        `, [article.relevance_score || 0, article.id, bucket, bucketValue]);
+                return false;
+            }
+
+            await runQuery(`
+        INSERT INTO feed_events (article_id, bucket, bucket_value) VALUES (?, ?, ?)
+      `, [article.id, bucket, bucketValue]);
+            return true;
+        } catch (error) {
+            console.error('Error saving article placement:', error);
+            return false;
+        }
+    }
+
     async saveArticleToCache(article) {
         try {
+            // Article IDs are derived from the canonical URL, so a refetched story updates its row
             await runQuery(`
-        INSERT OR REPLACE INTO news_articles 
-        (id, title, description, url, image_url, published_at, source_name, source_url, 
-         category, location_type, location_value, industry, relevance_score)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        INSERT INTO news_articles 
+        (id, title, description, url, canonical_url, image_url, published_at, source_name, source_url, 
+         category, location_type, location_value, industry, relevance_score, alternate_sources, language, last_seen_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
+        ON CONFLICT(id) DO UPDATE SET
+          title = excluded.title,
+          last_seen_at = excluded.last_seen_at,
+          description = excluded.description,
+          image_url = COALESCE(excluded.image_url, news_articles.image_url),
+          relevance_score = excluded.relevance_score,
+          alternate_sources = CASE
+            WHEN excluded.alternate_sources = '[]' THEN news_articles.alternate_sources
+            ELSE excluded.alternate_sources
+          END
       `, [
                 article.id,
                 article.title,
                 article.description,
                 article.url,
+                article.canonical_url || canonicalizeUrl(article.url),
                 article.image_url,
                 article.published_at,
                 article.source_name,
@@ -254,7 +815,9 @@ class NewsService {
                 article.location_type || null,
                 article.location_value || null,
                 article.industry || null,
-                article.relevance_score
+                article.relevance_score,
+                JSON.stringify(article.alternate_sources || []),
+                article.language || 'en'
             ]);
         } catch (error) {
             console.error('Error saving article to cache:', error);
@@ -0,0 +1,86 @@
+const { EventEmitter } = require('events');
+const { getQuery, allQuery } = require('../database/db');
+const newsService = require('./newsService');
+const storyService = require('./storyService');
+const { DEFAULT_PREFERENCES } = require('./preferences');
+
+// Upper bound on events read per query, so a client resuming from far back catches up in batches
+const EVENT_BATCH_SIZE = 200;
+
+class NewsStreamService extends EventEmitter {
+    constructor() {
+        super();
+        // Every open /api/news/stream connection listens for 'articles' and 'alert'
+        this.setMaxListeners(0);
+    }
+
+    // Called by the ingestion job after it stored new placements
+    publish() {
+        this.emit('articles');
+    }
+
+    // A new watchlist match for one user; alerts are stored, so they aren't replayed on reconnect
+    publishAlert(userId, alert) {
+        this.emit('alert', userId, alert);
+    }
+
+    async latestEventId() {
+        const row = await getQuery('SELECT MAX(id) AS id FROM feed_events');
+        return row.id || 0;
+    }
+
+    // The dashboard section an article goes to: metro news joins the local section, and a saved
+    // location's city or metro news goes to that location's own section (named in `location`)
+    sectionFor(bucket, article, userProfile) {
+        if (bucket !== 'local' && bucket !== 'metro') return { section: bucket };
+
+        const location = newsService.findProfileLocation(userProfile, article);
+        return location && !location.primary
+            ? { section: 'location', location: location.name }
+            : { section: 'local' };
+    }
+
+    // Articles placed in the profile's buckets after the given event id. lastEventId is where the
+    // next call should continue from, whether or not anything matched.
+    async getArticlesSince(userProfile, afterId) {
+        const preferences = userProfile.preferences || {};
+        const languages = preferences.preferredLanguages || DEFAULT_PREFERENCES.preferredLanguages;
+        const buckets = newsService.getProfileBuckets(userProfile);
+        const latestId = await this.latestEventId();
+
+        if (latestId <= afterId) {
+            return { lastEventId: afterId, articles: [], hasMore: false };
+        }
+
+        const upperId = Math.min(latestId, afterId + EVENT_BATCH_SIZE);
+        const rows = await allQuery(`
+      SELECT n.*, e.id AS event_id, p.bucket, p.bucket_value, p.relevance_score AS placement_score
+      FROM feed_events e
+      JOIN article_placements p
+        ON p.article_id = e.article_id AND p.bucket = e.bucket AND p.bucket_value = e.bucket_value
+      JOIN news_articles n ON n.id = e.article_id
+      WHERE e.id > ? AND e.id <= ?
+        AND (${buckets.map(() => '(e.bucket = ? AND e.bucket_value = ?)').join(' OR ')})
+        AND COALESCE(n.language, 'en') IN (${languages.map(() => '?').join(', ')})
+      ORDER BY e.id
+    `, [afterId, upperId, ...buckets.flatMap(({ bucket, value }) => [bucket, value]), ...languages]);
+
+        // An article placed in several of the user's buckets at once is only sent for the first
+        const seen = new Set();
+        const articles = newsService.applyPreferenceFilters(rows.map(row => {
+            const article = newsService.rowToArticle(row);
+            return { ...article, ...this.sectionFor(row.bucket, article, userProfile) };
+        }), preferences)
+            .filter(article => {
+                if (seen.has(article.id)) return false;
+                seen.add(article.id);
+                return true;
+            })
+            .map(article => ({ ...article, explanation: newsService.explainArticle(article, userProfile) }));
+
+        await storyService.attachStories(articles);
+        return { lastEventId: upperId, articles, hasMore: upperId < latestId };
+    }
+}
+
+module.exports = new NewsStreamService();
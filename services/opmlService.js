@@ -0,0 +1,125 @@
+const cheerio = require('cheerio');
+const moment = require('moment');
+const { getQuery, runQuery } = require('../database/db');
+const {
+    MAX_LIST_ENTRIES,
+    MAX_INDUSTRIES,
+    normalizePreferences,
+    normalizeFollowedFeeds,
+    normalizeIndustries
+} = require('./preferences');
+const { isPublicUrl } = require('./publicUrl');
+const { escapeXml } = require('./util');
+
+const MAX_TOPIC_LENGTH = 100;
+
+class OpmlError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'OpmlError';
+    }
+}
+
+class OpmlService {
+    // Outlines with an xmlUrl are feeds; childless outlines without one are topics. Category outlines
+    // that only group others are flattened.
+    parse(xml) {
+        if (typeof xml !== 'string' || !xml.trim()) {
+            throw new OpmlError('An OPML document is required');
+        }
+
+        const $ = cheerio.load(xml, { xmlMode: true });
+        if ($('opml').length === 0 || $('opml > body').length === 0) {
+            throw new OpmlError('Not an OPML document');
+        }
+
+        const feeds = [];
+        const topics = [];
+        $('opml > body outline').each((index, element) => {
+            const outline = $(element);
+            const label = (outline.attr('title') || outline.attr('text') || '').trim();
+            const xmlUrl = (outline.attr('xmlUrl') || outline.attr('xmlurl') || '').trim();
+
+            if (xmlUrl) {
+                feeds.push({ title: label, url: xmlUrl, siteUrl: outline.attr('htmlUrl') || outline.attr('htmlurl') || null });
+            } else if (label && outline.children('outline').length === 0) {
+                topics.push(label.slice(0, MAX_TOPIC_LENGTH));
+            }
+        });
+
+        return { feeds, topics };
+    }
+
+    // Merge the document's feeds into the followed feeds and its topics into the profile's industries.
+    // Returns what was added and what didn't fit or wasn't valid.
+    async importOpml(userId, xml) {
+        const { feeds, topics } = this.parse(xml);
+        if (feeds.length === 0 && topics.length === 0) {
+            throw new OpmlError('The OPML document has no feeds or topics');
+        }
+
+        const user = await getQuery('SELECT industries, preferences FROM users WHERE id = ?', [userId]);
+        const preferences = normalizePreferences(JSON.parse(user.preferences || '{}'));
+        const industries = normalizeIndustries(JSON.parse(user.industries || '[]'));
+
+        // The server fetches followed feeds, so they have to be on public hosts
+        const validFeeds = [];
+        for (const feed of normalizeFollowedFeeds(feeds)) {
+            if (await isPublicUrl(feed.url)) validFeeds.push(feed);
+        }
+        const knownFeeds = new Set(preferences.followedFeeds.map(feed => feed.url.toLowerCase()));
+        const newFeeds = validFeeds.filter(feed => !knownFeeds.has(feed.url.toLowerCase()));
+        const followedFeeds = normalizeFollowedFeeds([...preferences.followedFeeds, ...newFeeds]);
+        const addedFeeds = followedFeeds.slice(preferences.followedFeeds.length);
+
+        const knownTopics = new Set(industries.map(industry => industry.toLowerCase()));
+        const newTopics = normalizeIndustries(topics).filter(topic => !knownTopics.has(topic.toLowerCase()));
+        const updatedIndustries = normalizeIndustries([...industries, ...newTopics]);
+        const addedTopics = updatedIndustries.slice(industries.length);
+
+        await runQuery(`
+      UPDATE users SET industries = ?, preferences = ?, updated_at = datetime('now') WHERE id = ?
+    `, [JSON.stringify(updatedIndustries), JSON.stringify({ ...preferences, followedFeeds }), userId]);
+
+        return {
+            feeds: addedFeeds,
+            topics: addedTopics,
+            skipped: {
+                // Feeds without an http(s) URL on a public host, and feeds or topics past the per-user limits
+                invalidFeeds: feeds.length - validFeeds.length,
+                feedsOverLimit: newFeeds.length - addedFeeds.length,
+                topicsOverLimit: newTopics.length - addedTopics.length
+            },
+            limits: { feeds: MAX_LIST_ENTRIES, topics: MAX_INDUSTRIES }
+        };
+    }
+
+    // OPML 2.0 with the followed feeds and the profile's topics
+    async exportOpml(userId) {
+        const user = await getQuery('SELECT email, first_name, last_name, industries, preferences FROM users WHERE id = ?', [userId]);
+        const preferences = normalizePreferences(JSON.parse(user.preferences || '{}'));
+        const industries = normalizeIndustries(JSON.parse(user.industries || '[]'));
+
+        const feeds = preferences.followedFeeds.map(feed => `      <outline type="rss" text="${escapeXml(feed.title)}" title="${escapeXml(feed.title)}" xmlUrl="${escapeXml(feed.url)}"${feed.siteUrl ? ` htmlUrl="${escapeXml(feed.siteUrl)}"` : ''}/>`);
+        const topics = industries.map(topic => `      <outline text="${escapeXml(topic)}"/>`);
+        // An empty group would come back as a topic named after it
+        const groups = [['Feeds', feeds], ['Topics', topics]]
+            .filter(([, outlines]) => outlines.length > 0)
+            .map(([name, outlines]) => `    <outline text="${name}">\n${outlines.join('\n')}\n    </outline>`);
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<opml version="2.0">
+  <head>
+    <title>NewsMini subscriptions for ${escapeXml(`${user.first_name} ${user.last_name}`.trim())}</title>
+    <dateCreated>${moment.utc().locale('en').format('ddd, DD MMM YYYY HH:mm:ss [GMT]')}</dateCreated>
+    <ownerEmail>${escapeXml(user.email)}</ownerEmail>
+  </head>
+  <body>
+${groups.join('\n')}
+  </body>
+</opml>
+`;
+    }
+}
+
+module.exports = new OpmlService();
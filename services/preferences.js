@@ -0,0 +1,154 @@
+// Languages NewsAPI can filter on; RSS and Marketaux articles are tagged with the same codes
+const SUPPORTED_LANGUAGES = ['ar', 'de', 'en', 'es', 'fr', 'he', 'it', 'nl', 'no', 'pt', 'ru', 'sv', 'zh'];
+
+const DIGEST_FREQUENCIES = ['daily', 'weekly', 'off'];
+
+const MAX_LIST_ENTRIES = 50;
+const MAX_INDUSTRIES = 10;
+// Every profile query is fetched once per preferred language
+const MAX_PREFERRED_LANGUAGES = 3;
+const MAX_FEED_TITLE_LENGTH = 200;
+const MAX_SAVED_LOCATIONS = 5;
+const MAX_LOCATION_NAME_LENGTH = 50;
+const MAX_PLACE_LENGTH = 100;
+
+const DEFAULT_PREFERENCES = {
+    emailNotifications: true,
+    digestFrequency: 'daily',
+    articlesPerCategory: 5,
+    mutedSources: [],
+    allowedSources: [],
+    blockedKeywords: [],
+    followedFeeds: [], // { title, url, siteUrl } RSS/Atom feeds, ingested alongside the user's profile
+    savedLocations: [], // { name, city, state, country } places besides the profile's own, each with a local section
+    preferredLanguages: ['en']
+};
+
+function clampInteger(value, min, max, fallback) {
+    const number = parseInt(value, 10);
+    if (isNaN(number)) return fallback;
+    return Math.min(Math.max(number, min), max);
+}
+
+function normalizeStringList(value, maxEntries = MAX_LIST_ENTRIES) {
+    if (!Array.isArray(value)) return [];
+
+    const seen = new Set();
+    return value
+        .filter(entry => typeof entry === 'string')
+        .map(entry => entry.trim())
+        .filter(entry => {
+            const key = entry.toLowerCase();
+            if (!entry || seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        })
+        .slice(0, maxEntries);
+}
+
+function isHttpUrl(value) {
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch (error) {
+        return false;
+    }
+}
+
+// Feeds need an http(s) URL and are unique by it
+function normalizeFollowedFeeds(value) {
+    if (!Array.isArray(value)) return [];
+
+    const seen = new Set();
+    return value
+        .filter(feed => feed && typeof feed === 'object' && typeof feed.url === 'string' && isHttpUrl(feed.url.trim()))
+        .map(feed => ({
+            title: typeof feed.title === 'string' && feed.title.trim()
+                ? feed.title.trim().slice(0, MAX_FEED_TITLE_LENGTH)
+                : new URL(feed.url.trim()).hostname,
+            url: feed.url.trim(),
+            siteUrl: typeof feed.siteUrl === 'string' && isHttpUrl(feed.siteUrl.trim()) ? feed.siteUrl.trim() : null
+        }))
+        .filter(feed => {
+            const key = feed.url.toLowerCase();
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        })
+        .slice(0, MAX_LIST_ENTRIES);
+}
+
+function placeField(value) {
+    return typeof value === 'string' ? value.trim().replace(/\s+/g, ' ').slice(0, MAX_PLACE_LENGTH) : '';
+}
+
+// Locations need at least one place field and are unique by name; unnamed ones are called after the place
+function normalizeSavedLocations(value) {
+    if (!Array.isArray(value)) return [];
+
+    const seen = new Set();
+    return value
+        .filter(location => location && typeof location === 'object')
+        .map(location => ({
+            name: placeField(location.name).slice(0, MAX_LOCATION_NAME_LENGTH),
+            city: placeField(location.city),
+            state: placeField(location.state),
+            country: placeField(location.country)
+        }))
+        .filter(location => location.city || location.state || location.country)
+        .map(location => ({
+            ...location,
+            name: location.name || (location.city || location.state || location.country).slice(0, MAX_LOCATION_NAME_LENGTH)
+        }))
+        .filter(location => {
+            const key = location.name.toLowerCase();
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        })
+        .slice(0, MAX_SAVED_LOCATIONS);
+}
+
+// Fill in defaults and drop anything we don't understand so stored preferences are always well-formed
+function normalizePreferences(preferences = {}) {
+    const input = preferences && typeof preferences === 'object' ? preferences : {};
+
+    const languages = normalizeStringList(input.preferredLanguages)
+        .map(language => language.toLowerCase().slice(0, 2))
+        .filter(language => SUPPORTED_LANGUAGES.includes(language));
+
+    return {
+        emailNotifications: typeof input.emailNotifications === 'boolean'
+            ? input.emailNotifications
+            : DEFAULT_PREFERENCES.emailNotifications,
+        digestFrequency: DIGEST_FREQUENCIES.includes(input.digestFrequency)
+            ? input.digestFrequency
+            : DEFAULT_PREFERENCES.digestFrequency,
+        articlesPerCategory: clampInteger(input.articlesPerCategory, 1, 20, DEFAULT_PREFERENCES.articlesPerCategory),
+        mutedSources: normalizeStringList(input.mutedSources),
+        allowedSources: normalizeStringList(input.allowedSources),
+        blockedKeywords: normalizeStringList(input.blockedKeywords),
+        followedFeeds: normalizeFollowedFeeds(input.followedFeeds),
+        savedLocations: normalizeSavedLocations(input.savedLocations),
+        preferredLanguages: languages.length > 0
+            ? [...new Set(languages)].slice(0, MAX_PREFERRED_LANGUAGES)
+            : [...DEFAULT_PREFERENCES.preferredLanguages]
+    };
+}
+
+function normalizeIndustries(industries) {
+    return normalizeStringList(industries, MAX_INDUSTRIES);
+}
+
+module.exports = {
+    SUPPORTED_LANGUAGES,
+    DIGEST_FREQUENCIES,
+    DEFAULT_PREFERENCES,
+    MAX_LIST_ENTRIES,
+    MAX_INDUSTRIES,
+    MAX_SAVED_LOCATIONS,
+    normalizePreferences,
+    normalizeFollowedFeeds,
+    normalizeSavedLocations,
+    normalizeIndustries,
+    normalizeStringList
+};
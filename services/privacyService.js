@@ -0,0 +1,215 @@
+const archiver = require('archiver');
+const moment = require('moment');
+const { getQuery, allQuery, runQuery, runInTransaction } = require('../database/db');
+const { normalizePreferences } = require('./preferences');
+const sessionService = require('./sessionService');
+const { SQL_DATETIME } = require('./util');
+
+const DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 30;
+
+// Everything stored about a user, children before parents. Articles themselves are shared and stay.
+const USER_DATA_DELETES = [
+    'DELETE FROM watchlist_matches WHERE watchlist_id IN (SELECT id FROM watchlists WHERE user_id = ?)',
+    'DELETE FROM watchlists WHERE user_id = ?',
+    'DELETE FROM user_reading_history WHERE user_id = ?',
+    'DELETE FROM user_bookmarks WHERE user_id = ?',
+    'DELETE FROM bookmark_folders WHERE user_id = ?',
+    'DELETE FROM user_interests WHERE user_id = ?',
+    'DELETE FROM digest_articles WHERE user_id = ?',
+    'DELETE FROM digest_deliveries WHERE user_id = ?',
+    'DELETE FROM feed_tokens WHERE user_id = ?',
+    'DELETE FROM api_keys WHERE user_id = ?',
+    'DELETE FROM account_tokens WHERE user_id = ?',
+    'DELETE FROM refresh_tokens WHERE session_id IN (SELECT id FROM user_sessions WHERE user_id = ?)',
+    'DELETE FROM user_sessions WHERE user_id = ?',
+    'DELETE FROM users WHERE id = ?'
+];
+
+// Quoted when needed, per RFC 4180
+function csvValue(value) {
+    if (value === null || value === undefined) return '';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows) {
+    if (rows.length === 0) return '';
+    const columns = Object.keys(rows[0]);
+    return [columns, ...rows.map(row => columns.map(column => row[column]))]
+        .map(values => values.map(csvValue).join(','))
+        .join('\r\n') + '\r\n';
+}
+
+class PrivacyService {
+    constructor() {
+        this.graceDays = DELETION_GRACE_DAYS;
+    }
+
+    // Everything the account holds, grouped by what it is; null when the user doesn't exist
+    async collectUserData(userId) {
+        const user = await getQuery(`
+      SELECT id, email, first_name, last_name, career_field, industries, city, state, country,
+             preferences, role, email_verified_at, deletion_requested_at, deletion_scheduled_for,
+             created_at, updated_at
+      FROM users WHERE id = ?
+    `, [userId]);
+        if (!user) return null;
+
+        const [bookmarks, bookmarkFolders, readingHistory, sessions, watchlists, alerts, interests, feedUrls, apiKeys, digests] = await Promise.all([
+            allQuery(`
+        SELECT b.article_id, b.title, b.url, b.source_name, b.published_at, f.name AS folder, b.tags,
+               b.note, b.is_read, b.read_at, b.bookmarked_at, b.updated_at
+        FROM user_bookmarks b LEFT JOIN bookmark_folders f ON f.id = b.folder_id
+        WHERE b.user_id = ? ORDER BY b.bookmarked_at DESC
+      `, [userId]),
+            allQuery('SELECT id, name, created_at FROM bookmark_folders WHERE user_id = ? ORDER BY name', [userId]),
+            allQuery(`
+        SELECT h.article_id, n.title, n.url, n.source_name, h.read_at, h.reading_time
+        FROM user_reading_history h LEFT JOIN news_articles n ON n.id = h.article_id
+        WHERE h.user_id = ? ORDER BY h.read_at DESC
+      `, [userId]),
+            allQuery(`
+        SELECT id, user_agent, ip_address, created_at, last_seen_at, expires_at, revoked_at, revoked_reason
+        FROM user_sessions WHERE user_id = ? ORDER BY created_at DESC
+      `, [userId]),
+            allQuery(`
+        SELECT id, name, keywords, match_mode, exclude_terms, email_alerts, created_at, updated_at
+        FROM watchlists WHERE user_id = ? ORDER BY created_at
+      `, [userId]),
+            allQuery(`
+        SELECT w.name AS watchlist, m.article_id, n.title, n.url, m.matched_terms, m.matched_at, m.read_at, m.emailed_at
+        FROM watchlist_matches m
+        JOIN watchlists w ON w.id = m.watchlist_id
+        LEFT JOIN news_articles n ON n.id = m.article_id
+        WHERE w.user_id = ? ORDER BY m.matched_at DESC
+      `, [userId]),
+            allQuery('SELECT kind, value, weight, updated_at FROM user_interests WHERE user_id = ? ORDER BY kind, weight DESC', [userId]),
+            allQuery(`
+        SELECT id, name, scope, scope_value, created_at, last_used_at, revoked_at
+        FROM feed_tokens WHERE user_id = ? ORDER BY created_at
+      `, [userId]),
+            allQuery(`
+        SELECT id, name, key_prefix, scopes, created_at, expires_at, last_used_at, last_used_ip, revoked_at
+        FROM api_keys WHERE user_id = ? ORDER BY created_at
+      `, [userId]),
+            allQuery(`
+        SELECT frequency, period_key, article_count, sent_at FROM digest_deliveries WHERE user_id = ? ORDER BY sent_at DESC
+      `, [userId])
+        ]);
+
+        return {
+            profile: {
+                id: user.id,
+                email: user.email,
+                firstName: user.first_name,
+                lastName: user.last_name,
+                careerField: user.career_field,
+                industries: JSON.parse(user.industries || '[]'),
+                city: user.city,
+                state: user.state,
+                country: user.country,
+                role: user.role,
+                emailVerifiedAt: user.email_verified_at,
+                deletionScheduledFor: user.deletion_scheduled_for,
+                createdAt: user.created_at,
+                updatedAt: user.updated_at
+            },
+            preferences: normalizePreferences(JSON.parse(user.preferences || '{}')),
+            bookmarks: bookmarks.map(bookmark => ({ ...bookmark, tags: JSON.parse(bookmark.tags || '[]'), is_read: Boolean(bookmark.is_read) })),
+            bookmarkFolders,
+            readingHistory,
+            sessions,
+            watchlists: watchlists.map(watchlist => ({
+                ...watchlist,
+                keywords: JSON.parse(watchlist.keywords),
+                exclude_terms: JSON.parse(watchlist.exclude_terms),
+                email_alerts: Boolean(watchlist.email_alerts)
+            })),
+            alerts: alerts.map(alert => ({ ...alert, matched_terms: JSON.parse(alert.matched_terms) })),
+            interests,
+            feedUrls,
+            apiKeys: apiKeys.map(apiKey => ({ ...apiKey, scopes: JSON.parse(apiKey.scopes) })),
+            digests
+        };
+    }
+
+    // Stream a zip with data.json (everything) and a CSV per section to the writable stream
+    async writeExport(data, output) {
+        const archive = archiver('zip', { zlib: { level: 9 } });
+        archive.pipe(output);
+
+        const exportedAt = moment.utc().toISOString();
+        archive.append(JSON.stringify({ exportedAt, ...data }, null, 2), { name: 'data.json' });
+
+        const { profile, preferences, ...lists } = data;
+        archive.append(toCsv([{ ...profile, industries: profile.industries.join('; ') }]), { name: 'profile.csv' });
+        archive.append(toCsv(Object.entries(preferences).map(([key, value]) => ({ key, value }))), { name: 'preferences.csv' });
+        for (const [section, rows] of Object.entries(lists)) {
+            const name = section.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+            archive.append(toCsv(rows), { name: `${name}.csv` });
+        }
+
+        await archive.finalize();
+    }
+
+    // Sign the account out everywhere and hide it until it is restored or purged; returns the purge date
+    async scheduleDeletion(userId) {
+        const scheduledFor = moment.utc().add(this.graceDays, 'days').format(SQL_DATETIME);
+
+        await runQuery(`
+      UPDATE users SET deletion_requested_at = datetime('now'), deletion_scheduled_for = ?, updated_at = datetime('now')
+      WHERE id = ? AND deletion_requested_at IS NULL
+    `, [scheduledFor, userId]);
+        await sessionService.revokeAllSessions(userId, { reason: 'account_deleted' });
+
+        const user = await getQuery('SELECT deletion_scheduled_for FROM users WHERE id = ?', [userId]);
+        return user.deletion_scheduled_for;
+    }
+
+    async restoreAccount(userId) {
+        const result = await runQuery(`
+      UPDATE users SET deletion_requested_at = NULL, deletion_scheduled_for = NULL, updated_at = datetime('now')
+      WHERE id = ? AND deletion_requested_at IS NOT NULL
+    `, [userId]);
+        return result.changes > 0;
+    }
+
+    // Erase the account and everything derived from it in one transaction, so a failure leaves it whole
+    async deleteUserData(userId) {
+        await runInTransaction(async () => {
+            for (const sql of USER_DATA_DELETES) {
+                await runQuery(sql, [userId]);
+            }
+        });
+    }
+
+    // Scheduled job: erase accounts whose grace period is over. One failure doesn't stop the others.
+    async purgeDeletedAccounts() {
+        let purged = 0;
+
+        try {
+            const due = await allQuery(`
+        SELECT id FROM users WHERE deletion_scheduled_for IS NOT NULL AND deletion_scheduled_for <= datetime('now')
+      `);
+
+            for (const user of due) {
+                try {
+                    await this.deleteUserData(user.id);
+                    purged++;
+                } catch (error) {
+                    console.error(`Error purging account ${user.id}:`, error);
+                }
+            }
+
+            if (due.length > 0) {
+                console.log(`Purged ${purged} of ${due.length} deleted account(s)`);
+            }
+        } catch (error) {
+            console.error('Error purging deleted accounts:', error);
+        }
+
+        return purged;
+    }
+}
+
+module.exports = new PrivacyService();
@@ -0,0 +1,124 @@
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Calls made against a provider's plan limits, over a rolling day and minute. A limit of 0 is unlimited.
+class QuotaTracker {
+    constructor({ daily = 0, perMinute = 0 } = {}) {
+        this.limits = { daily, perMinute };
+        this.calls = [];
+        // Set when the upstream itself says the quota is used up (HTTP 429)
+        this.exhaustedUntil = 0;
+    }
+
+    prune(now) {
+        const cutoff = now - DAY_MS;
+        while (this.calls.length > 0 && this.calls[0] <= cutoff) {
+            this.calls.shift();
+        }
+    }
+
+    // { reason, until } when no call may be made right now, otherwise null
+    blocked(now = Date.now()) {
+        this.prune(now);
+        const { daily, perMinute } = this.limits;
+
+        if (this.exhaustedUntil > now) {
+            return { reason: 'upstream', until: this.exhaustedUntil };
+        }
+        if (daily > 0 && this.calls.length >= daily) {
+            return { reason: 'daily', until: this.calls[this.calls.length - daily] + DAY_MS };
+        }
+        const lastMinute = this.calls.filter(at => at > now - MINUTE_MS);
+        if (perMinute > 0 && lastMinute.length >= perMinute) {
+            return { reason: 'minute', until: lastMinute[lastMinute.length - perMinute] + MINUTE_MS };
+        }
+        return null;
+    }
+
+    record(now = Date.now()) {
+        this.calls.push(now);
+    }
+
+    exhaust(until) {
+        this.exhaustedUntil = Math.max(this.exhaustedUntil, until);
+    }
+
+    getUsage(now = Date.now()) {
+        this.prune(now);
+        const blocked = this.blocked(now);
+        return {
+            daily: { limit: this.limits.daily || null, used: this.calls.length },
+            perMinute: { limit: this.limits.perMinute || null, used: this.calls.filter(at => at > now - MINUTE_MS).length },
+            blockedUntil: blocked ? new Date(blocked.until).toISOString() : null
+        };
+    }
+}
+
+// Stops calling a provider after repeated failures. After a backoff that doubles with every trip
+// (up to maxDelayMs), one trial call is let through: success closes the circuit, failure reopens it.
+class CircuitBreaker {
+    constructor({ threshold = 3, baseDelayMs = MINUTE_MS, maxDelayMs = 30 * MINUTE_MS } = {}) {
+        this.threshold = threshold;
+        this.baseDelayMs = baseDelayMs;
+        this.maxDelayMs = maxDelayMs;
+        this.state = 'closed';
+        this.failures = 0;
+        this.trips = 0;
+        this.openedAt = null;
+        this.retryAt = null;
+        this.probing = false;
+    }
+
+    // Whether a call may go through now; takes the trial slot when the backoff is over
+    allow(now = Date.now()) {
+        if (this.state === 'closed') return true;
+        if (this.state === 'open' && now >= this.retryAt) {
+            this.state = 'half_open';
+            this.probing = false;
+        }
+        if (this.state === 'half_open' && !this.probing) {
+            this.probing = true;
+            return true;
+        }
+        return false;
+    }
+
+    // Like allow() but without taking the trial slot
+    isOpen(now = Date.now()) {
+        return (this.state === 'open' && now < this.retryAt) || (this.state === 'half_open' && this.probing);
+    }
+
+    success() {
+        this.state = 'closed';
+        this.failures = 0;
+        this.trips = 0;
+        this.openedAt = null;
+        this.retryAt = null;
+        this.probing = false;
+    }
+
+    failure(now = Date.now()) {
+        this.failures++;
+        if (this.state !== 'half_open' && this.failures < this.threshold) return;
+
+        this.trips++;
+        this.state = 'open';
+        this.openedAt = this.openedAt || now;
+        this.retryAt = now + Math.min(this.baseDelayMs * Math.pow(2, this.trips - 1), this.maxDelayMs);
+        this.probing = false;
+    }
+
+    getStatus() {
+        return {
+            state: this.state,
+            consecutiveFailures: this.failures,
+            openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+            retryAt: this.retryAt ? new Date(this.retryAt).toISOString() : null
+        };
+    }
+}
+
+module.exports = {
+    QuotaTracker,
+    CircuitBreaker
+};
@@ -0,0 +1,206 @@
+const NewsApiProvider = require('./newsApiProvider');
+const RssProvider = require('./rssProvider');
+const MarketauxProvider = require('./marketauxProvider');
+const { QuotaTracker, CircuitBreaker } = require('./guards');
+
+// Every provider exposes `name`, `isConfigured()` and `fetchArticles(query, pageSize, { language })`.
+// fetchArticles resolves to articles in the shared shape:
+//   { title, description, url, urlToImage, publishedAt, source: { name, url }, language, provider }
+// and throws when the upstream call fails so the caller can decide what to do.
+
+// Error rates are reported over this window
+const STATS_WINDOW_HOURS = 24;
+const MAX_CALLS_KEPT = 2000;
+
+// Plan limits per provider, overridable with <NAME>_DAILY_QUOTA and <NAME>_MINUTE_QUOTA (0 = unlimited).
+// The defaults are the free tiers; usage is counted in memory, so a restart starts the count over.
+const DEFAULT_QUOTAS = {
+    newsapi: { daily: 100, perMinute: 0 },
+    marketaux: { daily: 100, perMinute: 0 }
+};
+
+// Without a Retry-After header, a provider answering 429 is left alone this long
+const RATE_LIMITED_BACKOFF_MS = 60 * 60 * 1000;
+
+// Thrown instead of calling a provider whose quota is used up or whose circuit is open
+class ProviderUnavailableError extends Error {
+    constructor(message, provider, retryAt) {
+        super(message);
+        this.name = 'ProviderUnavailableError';
+        this.provider = provider;
+        this.retryAt = retryAt;
+    }
+}
+
+function quotaLimit(name, suffix, fallback) {
+    const value = parseInt(process.env[`${name.toUpperCase()}_${suffix}`], 10);
+    return Number.isInteger(value) && value >= 0 ? value : fallback;
+}
+
+class ProviderRegistry {
+    constructor(enabledNames) {
+        this.providers = new Map();
+        this.enabledNames = enabledNames;
+        this.enabledProviders = null;
+        // Recent upstream calls per provider: { at, ok, durationMs }
+        this.calls = new Map();
+        this.lastErrors = new Map();
+        this.lastSuccessAt = new Map();
+        this.quotas = new Map();
+        this.breakers = new Map();
+    }
+
+    // Run a provider call and record its outcome and latency for the error-rate stats.
+    // Guarded calls also count against the provider's quota and go through its circuit breaker;
+    // followed feeds are not guarded, since one broken feed says nothing about the others.
+    async track(provider, call, { guarded = true } = {}) {
+        const quota = this.quotas.get(provider.name);
+        const breaker = this.breakers.get(provider.name);
+
+        if (guarded) {
+            const now = Date.now();
+            const blocked = quota.blocked(now);
+            if (blocked) {
+                throw new ProviderUnavailableError(
+                    blocked.reason === 'upstream' ? `${provider.name} is rate limited` : `${provider.name} ${blocked.reason} quota is used up`,
+                    provider.name,
+                    blocked.until
+                );
+            }
+            if (!breaker.allow(now)) {
+                throw new ProviderUnavailableError(`${provider.name} is failing; retrying later`, provider.name, breaker.retryAt);
+            }
+            quota.record(now);
+        }
+
+        const startedAt = Date.now();
+        try {
+            const result = await call();
+            this.recordCall(provider.name, true, startedAt);
+            this.lastSuccessAt.set(provider.name, Date.now());
+            if (guarded) breaker.success();
+            return result;
+        } catch (error) {
+            this.recordCall(provider.name, false, startedAt);
+            this.lastErrors.set(provider.name, { message: error.message, at: new Date().toISOString() });
+            if (guarded && error.response?.status === 429) {
+                const retryAfter = parseInt(error.response.headers?.['retry-after'], 10);
+                quota.exhaust(Date.now() + (retryAfter > 0 ? retryAfter * 1000 : RATE_LIMITED_BACKOFF_MS));
+                breaker.success(); // it answered; being over quota isn't an outage
+            } else if (guarded) {
+                breaker.failure();
+            }
+            throw error;
+        }
+    }
+
+    // Whether a guarded call to the provider would be attempted right now, and if not, until when
+    getAvailability(provider, now = Date.now()) {
+        const blocked = this.quotas.get(provider.name).blocked(now);
+        if (blocked) return { available: false, reason: 'quota', retryAt: new Date(blocked.until).toISOString() };
+
+        const breaker = this.breakers.get(provider.name);
+        if (breaker.isOpen(now)) return { available: false, reason: 'circuit_open', retryAt: new Date(breaker.retryAt).toISOString() };
+
+        return { available: true, reason: null, retryAt: null };
+    }
+
+    // Upstream health for the enabled providers: available while at least one can be called.
+    // lastSuccessAt is the most recent successful call since the server started.
+    getHealth() {
+        const now = Date.now();
+        const enabled = this.getEnabledProviders();
+        const unavailable = enabled
+            .map(provider => ({ name: provider.name, ...this.getAvailability(provider, now) }))
+            .filter(entry => !entry.available);
+        const successes = enabled.map(provider => this.lastSuccessAt.get(provider.name)).filter(Boolean);
+
+        return {
+            available: enabled.length > unavailable.length,
+            unavailable,
+            lastSuccessAt: successes.length > 0 ? new Date(Math.max(...successes)) : null
+        };
+    }
+
+    recordCall(name, ok, startedAt) {
+        const cutoff = Date.now() - STATS_WINDOW_HOURS * 60 * 60 * 1000;
+        const calls = (this.calls.get(name) || []).filter(entry => entry.at >= cutoff);
+        calls.push({ at: startedAt, ok, durationMs: Date.now() - startedAt });
+        this.calls.set(name, calls.slice(-MAX_CALLS_KEPT));
+    }
+
+    // Per registered provider: whether it is used, and its requests, failures and latency in the window
+    getStats() {
+        const cutoff = Date.now() - STATS_WINDOW_HOURS * 60 * 60 * 1000;
+        const enabled = this.getEnabledProviders();
+
+        return [...this.providers.values()].map(provider => {
+            const calls = (this.calls.get(provider.name) || []).filter(entry => entry.at >= cutoff);
+            const failures = calls.filter(entry => !entry.ok).length;
+
+            return {
+                name: provider.name,
+                enabled: enabled.includes(provider),
+                configured: provider.isConfigured(),
+                windowHours: STATS_WINDOW_HOURS,
+                requests: calls.length,
+                failures,
+                errorRate: calls.length > 0 ? Math.round(failures / calls.length * 1000) / 1000 : null,
+                avgLatencyMs: calls.length > 0
+                    ? Math.round(calls.reduce((sum, entry) => sum + entry.durationMs, 0) / calls.length)
+                    : null,
+                lastError: this.lastErrors.get(provider.name) || null,
+                quota: this.quotas.get(provider.name).getUsage(),
+                circuit: this.breakers.get(provider.name).getStatus()
+            };
+        });
+    }
+
+    register(provider) {
+        const defaults = DEFAULT_QUOTAS[provider.name] || { daily: 0, perMinute: 0 };
+        this.providers.set(provider.name, provider);
+        this.quotas.set(provider.name, new QuotaTracker({
+            daily: quotaLimit(provider.name, 'DAILY_QUOTA', defaults.daily),
+            perMinute: quotaLimit(provider.name, 'MINUTE_QUOTA', defaults.perMinute)
+        }));
+        this.breakers.set(provider.name, new CircuitBreaker());
+        this.enabledProviders = null;
+    }
+
+    get(name) {
+        return this.providers.get(name);
+    }
+
+    getEnabledProviders() {
+        if (this.enabledProviders) return this.enabledProviders;
+
+        this.enabledProviders = this.enabledNames
+            .map(name => {
+                const provider = this.providers.get(name);
+                if (!provider) {
+                    console.warn(`Unknown news provider "${name}" in NEWS_PROVIDERS`);
+                    return null;
+                }
+                if (!provider.isConfigured()) {
+                    console.warn(`News provider "${name}" is enabled but not configured`);
+                    return null;
+                }
+                return provider;
+            })
+            .filter(Boolean);
+
+        return this.enabledProviders;
+    }
+}
+
+const enabledNames = (process.env.NEWS_PROVIDERS || 'newsapi')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+
+const registry = new ProviderRegistry(enabledNames);
+registry.register(new NewsApiProvider());
+registry.register(new RssProvider());
+registry.register(new MarketauxProvider());
+
+module.exports = registry;
@@ -0,0 +1,44 @@
+const axios = require('axios');
+
+const MARKETAUX_BASE_URL = 'https://api.marketaux.com/v1';
+
+class MarketauxProvider {
+    constructor(apiKey = process.env.MARKETAUX_API_KEY) {
+        this.name = 'marketaux';
+        this.apiKey = apiKey;
+    }
+
+    isConfigured() {
+        return Boolean(this.apiKey);
+    }
+
+    async fetchArticles(query, pageSize = 20, options = {}) {
+        const language = options.language || 'en';
+
+        const response = await axios.get(`${MARKETAUX_BASE_URL}/news/all`, {
+            params: {
+                search: query,
+                language,
+                limit: pageSize,
+                api_token: this.apiKey
+            },
+            timeout: 10000
+        });
+
+        return (response.data.data || []).map(article => ({
+            title: article.title,
+            description: article.description || article.snippet,
+            url: article.url,
+            urlToImage: article.image_url,
+            publishedAt: article.published_at,
+            source: {
+                name: article.source || 'Unknown',
+                url: article.source ? `https://${article.source}` : ''
+            },
+            language: article.language || language,
+            provider: this.name
+        }));
+    }
+}
+
+module.exports = MarketauxProvider;
@@ -0,0 +1,46 @@
+const axios = require('axios');
+
+const NEWSAPI_BASE_URL = 'https://newsapi.org/v2';
+
+class NewsApiProvider {
+    constructor(apiKey = process.env.NEWS_API_KEY) {
+        this.name = 'newsapi';
+        this.apiKey = apiKey;
+    }
+
+    isConfigured() {
+        return Boolean(this.apiKey);
+    }
+
+    async fetchArticles(query, pageSize = 20, options = {}) {
+        const language = options.language || 'en';
+
+        const response = await axios.get(`${NEWSAPI_BASE_URL}/everything`, {
+            params: {
+                q: query,
+                language,
+                sortBy: 'publishedAt',
+                pageSize: pageSize,
+                apiKey: this.apiKey
+            },
+            timeout: 10000
+        });
+
+        // NewsAPI already returns the shared article shape
+        return (response.data.articles || []).map(article => ({
+            title: article.title,
+            description: article.description,
+            url: article.url,
+            urlToImage: article.urlToImage,
+            publishedAt: article.publishedAt,
+            source: {
+                name: article.source?.name || 'Unknown',
+                url: article.source?.url || ''
+            },
+            language,
+            provider: this.name
+        }));
+    }
+}
+
+module.exports = NewsApiProvider;
@@ -0,0 +1,130 @@
+const cheerio = require('cheerio');
+const { fetchPublicUrl } = require('../publicUrl');
+
+// Feeds are polled as a whole, so keep each one briefly instead of refetching per query
+const FEED_TTL_MS = 5 * 60 * 1000;
+const MAX_FEED_BYTES = 5 * 1024 * 1024;
+
+// Words our own query builders append that say nothing about the topic
+const GENERIC_TERMS = ['business', 'news', 'economy'];
+
+class RssProvider {
+    constructor(feedUrls = (process.env.RSS_FEEDS || '').split(',')) {
+        this.name = 'rss';
+        this.feedUrls = feedUrls.map(url => url.trim()).filter(Boolean);
+        this.feedCache = new Map();
+    }
+
+    isConfigured() {
+        return this.feedUrls.length > 0;
+    }
+
+    async fetchArticles(query, pageSize = 20, options = {}) {
+        const language = options.language || 'en';
+        const results = await Promise.allSettled(this.feedUrls.map(url => this.fetchFeed(url)));
+
+        const articles = [];
+        results.forEach((result, index) => {
+            if (result.status === 'fulfilled') {
+                articles.push(...result.value);
+            } else {
+                console.error(`RSS feed error (${this.feedUrls[index]}):`, result.reason.message);
+            }
+        });
+
+        if (articles.length === 0 && results.every(result => result.status === 'rejected')) {
+            throw new Error('All RSS feeds failed');
+        }
+
+        const terms = query.toLowerCase().split(/\s+/)
+            .filter(term => term && !GENERIC_TERMS.includes(term));
+
+        return articles
+            // Feeds that don't declare a language are assumed to match whatever was asked for
+            .filter(article => !article.language || article.language === language)
+            .filter(article => this.matchesTerms(article, terms))
+            .sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt))
+            .slice(0, pageSize);
+    }
+
+    async fetchFeed(url) {
+        const cached = this.feedCache.get(url);
+        if (cached && Date.now() - cached.fetchedAt < FEED_TTL_MS) {
+            return cached.articles;
+        }
+
+        // Users add feeds, so each one (and every redirect it takes) has to be on a public host
+        const response = await fetchPublicUrl(url, {
+            headers: { 'Accept': 'application/rss+xml, application/atom+xml, application/xml, text/xml' },
+            maxBytes: MAX_FEED_BYTES
+        });
+
+        const articles = this.parseFeed(response.data, url);
+        this.feedCache.set(url, { articles, fetchedAt: Date.now() });
+        return articles;
+    }
+
+    // Handles both RSS 2.0 (<channel><item>) and Atom (<feed><entry>) documents
+    parseFeed(xml, feedUrl) {
+        const $ = cheerio.load(xml, { xmlMode: true });
+        const isAtom = $('feed > entry').length > 0;
+
+        const feedTitle = isAtom
+            ? $('feed > title').first().text().trim()
+            : $('channel > title').first().text().trim();
+        const feedLink = isAtom
+            ? $('feed > link[rel="alternate"], feed > link:not([rel])').first().attr('href')
+            : $('channel > link').first().text().trim();
+
+        const source = {
+            name: feedTitle || new URL(feedUrl).hostname,
+            url: feedLink || feedUrl
+        };
+        const feedLanguage = (isAtom ? $('feed').attr('xml:lang') : $('channel > language').first().text()) || '';
+
+        const items = isAtom ? $('feed > entry') : $('item');
+
+        return items.map((index, element) => {
+            const item = $(element);
+            const link = isAtom
+                ? item.find('link[rel="alternate"], link:not([rel])').first().attr('href')
+                : item.children('link').first().text().trim() || item.children('guid').first().text().trim();
+
+            const published = isAtom
+                ? item.children('published').first().text() || item.children('updated').first().text()
+                : item.children('pubDate').first().text() || item.children('dc\\:date').first().text();
+
+            const description = isAtom
+                ? item.children('summary').first().text() || item.children('content').first().text()
+                : item.children('description').first().text();
+
+            const image = item.find('enclosure[type^="image"]').attr('url')
+                || item.find('media\\:content[url], media\\:thumbnail[url]').first().attr('url')
+                || null;
+
+            return {
+                title: item.children('title').first().text().trim(),
+                description: description.trim(),
+                url: link,
+                urlToImage: image,
+                publishedAt: this.parseDate(published),
+                source,
+                language: feedLanguage.trim().toLowerCase().slice(0, 2) || null,
+                provider: this.name
+            };
+        }).get().filter(article => article.title && article.url);
+    }
+
+    parseDate(value) {
+        const date = new Date((value || '').trim());
+        return isNaN(date.getTime()) ? new Date().toISOString() : date.toISOString();
+    }
+
+    matchesTerms(article, terms) {
+        if (terms.length === 0) return true;
+        const text = `${article.title} ${article.description}`.toLowerCase();
+        return terms.some(term => text.includes(term));
+    }
+}
+
+module.exports = RssProvider;
@@ -0,0 +1,177 @@
+const axios = require('axios');
+const dns = require('dns').promises;
+const net = require('net');
+
+// Fetching URLs that users supply (article pages, followed feeds) without letting them reach the
+// server's own network: every hop of a redirect chain must resolve to a public address.
+
+const MAX_REDIRECTS = 5;
+
+class UnsafeUrlError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UnsafeUrlError';
+    }
+}
+
+// Loopback, private, link-local, carrier-grade NAT, documentation, benchmarking, multicast and reserved ranges
+const BLOCKED = new net.BlockList();
+for (const [network, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+    ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 3]
+]) {
+    BLOCKED.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+    ['::', 96], // unspecified, loopback and IPv4-compatible
+    ['64:ff9b:1::', 48], // local-use NAT64
+    ['100::', 64], // discard
+    ['2001::', 32], // Teredo, whose IPv4 address is obfuscated
+    ['2001:db8::', 32],
+    ['fc00::', 7],
+    ['fe80::', 10],
+    ['fec0::', 10],
+    ['ff00::', 8]
+]) {
+    BLOCKED.addSubnet(network, prefix, 'ipv6');
+}
+
+// The eight 16-bit groups of an IPv6 address, in any of its spellings ("::ffff:7f00:1", "::ffff:127.0.0.1")
+function ipv6Groups(address) {
+    let text = address.replace(/%.*$/, '');
+    const dotted = text.match(/(\d+\.\d+\.\d+\.\d+)$/);
+    if (dotted) {
+        const [a, b, c, d] = dotted[1].split('.').map(Number);
+        text = `${text.slice(0, -dotted[1].length)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+    }
+
+    const [head, tail] = text.split('::');
+    const parse = part => (part ? part.split(':').map(group => parseInt(group, 16)) : []);
+    const groups = parse(head);
+    const rest = parse(tail);
+    return tail === undefined ? groups : [...groups, ...new Array(8 - groups.length - rest.length).fill(0), ...rest];
+}
+
+// The IPv4 address carried inside an IPv4-mapped, IPv4-translated, NAT64 or 6to4 IPv6 address
+function embeddedIPv4(address) {
+    const groups = ipv6Groups(address);
+    const ipv4 = (high, low) => [high >> 8, high & 0xff, low >> 8, low & 0xff].join('.');
+    const zeros = count => groups.slice(0, count).every(group => group === 0);
+
+    if (zeros(5) && groups[5] === 0xffff) return ipv4(groups[6], groups[7]); // ::ffff:a.b.c.d
+    if (zeros(4) && groups[4] === 0xffff && groups[5] === 0) return ipv4(groups[6], groups[7]); // ::ffff:0:a.b.c.d
+    if (groups[0] === 0x64 && groups[1] === 0xff9b && groups.slice(2, 6).every(group => group === 0)) {
+        return ipv4(groups[6], groups[7]); // 64:ff9b::a.b.c.d
+    }
+    if (groups[0] === 0x2002) return ipv4(groups[1], groups[2]); // 2002:aabb:ccdd::
+    return null;
+}
+
+function isPrivateAddress(address) {
+    const host = String(address).replace(/^\[|\]$/g, '');
+    if (net.isIPv4(host)) return BLOCKED.check(host, 'ipv4');
+    if (!net.isIPv6(host)) return true;
+
+    const ipv4 = embeddedIPv4(host);
+    if (ipv4) return isPrivateAddress(ipv4);
+    return BLOCKED.check(host.replace(/%.*$/, ''), 'ipv6');
+}
+
+// Resolve against base; only http(s) URLs survive
+function absoluteUrl(value, base) {
+    if (!value) return null;
+    try {
+        const url = new URL(value.trim(), base);
+        return ['http:', 'https:'].includes(url.protocol) ? url.href : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Throws UnsafeUrlError unless the URL is http(s) and its host resolves only to public addresses.
+// Resolves to those addresses, so the request can connect to exactly what was checked.
+async function assertPublicUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        throw new UnsafeUrlError('The URL is not valid');
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+        throw new UnsafeUrlError('Only http and https URLs can be fetched');
+    }
+
+    const host = parsed.hostname.replace(/^\[|\]$/g, '');
+    let addresses;
+    try {
+        addresses = net.isIP(host)
+            ? [{ address: host, family: net.isIP(host) }]
+            : await dns.lookup(host, { all: true });
+    } catch (error) {
+        throw new UnsafeUrlError(`The host ${host} could not be resolved`);
+    }
+    if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+        throw new UnsafeUrlError('The URL points to a private address');
+    }
+    return addresses;
+}
+
+// A dns.lookup replacement that answers with the addresses already checked, so the name isn't
+// resolved a second time (where a rebinding DNS server could answer with a private address)
+function pinnedLookup(addresses) {
+    return (hostname, options, callback) => {
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    };
+}
+
+async function isPublicUrl(url) {
+    try {
+        await assertPublicUrl(url);
+        return true;
+    } catch (error) {
+        if (error.name === 'UnsafeUrlError') return false;
+        throw error;
+    }
+}
+
+// GET a public URL as text, following redirects by hand so every hop goes through the address check.
+// Resolves to { data, headers, url } with the final URL; HTTP errors throw like axios does.
+async function fetchPublicUrl(url, { headers = {}, timeout = 10000, maxBytes } = {}) {
+    let current = url;
+
+    for (let redirects = 0; redirects <= MAX_REDIRECTS; redirects++) {
+        const addresses = await assertPublicUrl(current);
+
+        const response = await axios.get(current, {
+            responseType: 'text',
+            headers,
+            timeout,
+            lookup: pinnedLookup(addresses),
+            proxy: false, // a proxy would resolve the name itself
+            maxRedirects: 0,
+            maxContentLength: maxBytes,
+            validateStatus: status => status < 400
+        });
+
+        if (response.status >= 300) {
+            const location = absoluteUrl(response.headers.location, current);
+            if (!location) throw new UnsafeUrlError('The URL redirects nowhere');
+            current = location;
+            continue;
+        }
+
+        return { data: response.data, headers: response.headers, url: current };
+    }
+
+    throw new UnsafeUrlError('The URL redirects too many times');
+}
+
+module.exports = {
+    isPrivateAddress,
+    absoluteUrl,
+    assertPublicUrl,
+    isPublicUrl,
+    fetchPublicUrl
+};
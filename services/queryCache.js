@@ -0,0 +1,105 @@
+// In-memory cache for expensive lookups (upstream queries, computed trends), keyed by a normalized string.
+// An entry is fresh for ttlMs. For staleMs after that it is still served, while one background call
+// refreshes it (stale-while-revalidate). Concurrent misses for the same key share one call, failures
+// are not cached, and past maxEntries the least recently used entry is evicted.
+class QueryCache {
+    constructor({ name, ttlMs, staleMs = 0, maxEntries = 500 }) {
+        this.name = name;
+        this.ttlMs = ttlMs;
+        this.staleMs = staleMs;
+        this.maxEntries = maxEntries;
+        // Map order is recency order: the first entry is the least recently used
+        this.entries = new Map();
+        this.pending = new Map();
+        this.counters = { hits: 0, staleHits: 0, misses: 0, coalesced: 0, revalidations: 0, evictions: 0, errors: 0 };
+    }
+
+    // The cached value for key, calling load() when there is none worth serving
+    async get(key, load) {
+        const entry = this.entries.get(key);
+        const age = entry ? Date.now() - entry.storedAt : Infinity;
+
+        if (age < this.ttlMs) {
+            this.counters.hits++;
+            this.touch(key, entry);
+            return entry.value;
+        }
+
+        if (age < this.ttlMs + this.staleMs) {
+            this.counters.staleHits++;
+            this.touch(key, entry);
+            if (!this.pending.has(key)) {
+                this.counters.revalidations++;
+                // The stale value keeps being served if the refresh fails
+                this.load(key, load).catch(() => {});
+            }
+            return entry.value;
+        }
+
+        if (this.pending.has(key)) {
+            this.counters.coalesced++;
+            return this.pending.get(key);
+        }
+
+        this.counters.misses++;
+        return this.load(key, load);
+    }
+
+    load(key, load) {
+        const promise = (async () => {
+            try {
+                const value = await load();
+                this.set(key, value);
+                return value;
+            } catch (error) {
+                this.counters.errors++;
+                throw error;
+            } finally {
+                this.pending.delete(key);
+            }
+        })();
+
+        this.pending.set(key, promise);
+        return promise;
+    }
+
+    set(key, value) {
+        this.entries.delete(key);
+        this.entries.set(key, { value, storedAt: Date.now() });
+
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+            this.counters.evictions++;
+        }
+    }
+
+    touch(key, entry) {
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+    }
+
+    clear() {
+        const cleared = this.entries.size;
+        this.entries.clear();
+        return cleared;
+    }
+
+    // For operators: sizes, settings and counters since startup
+    getStats() {
+        const { hits, staleHits, misses, coalesced } = this.counters;
+        const lookups = hits + staleHits + misses + coalesced;
+
+        return {
+            name: this.name,
+            size: this.entries.size,
+            maxEntries: this.maxEntries,
+            ttlSeconds: Math.round(this.ttlMs / 1000),
+            staleSeconds: Math.round(this.staleMs / 1000),
+            inFlight: this.pending.size,
+            ...this.counters,
+            hitRate: lookups > 0 ? Math.round((hits + staleHits + coalesced) / lookups * 1000) / 1000 : null
+        };
+    }
+}
+
+module.exports = QueryCache;
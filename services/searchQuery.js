@@ -0,0 +1,244 @@
+const moment = require('moment');
+
+// Parses the search box syntax into an FTS5 MATCH expression plus structured filters:
+//   "exact phrase"  AND / OR / NOT  -excluded  (grouping)  prefix*
+//   source:reuters  source:"Wall Street Journal"  industry:fintech
+//   after:2024-01-01  before:2024-02-01  date:2024-01-01..2024-01-31  after:7d
+
+const OPERATORS = ['AND', 'OR', 'NOT'];
+const FIELD_NAMES = ['source', 'industry', 'after', 'before', 'date'];
+
+class SearchQueryError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SearchQueryError';
+    }
+}
+
+function tokenize(input) {
+    const tokens = [];
+    const pattern = /\s*(?:(-)?(\w+):"([^"]*)"|(-)?"([^"]*)"|(\()|(\))|(-)?([^\s()"]+))/gy;
+    let consumed = 0;
+    let match;
+
+    while ((match = pattern.exec(input)) !== null) {
+        consumed = pattern.lastIndex;
+
+        if (match[2] !== undefined) {
+            tokens.push({ type: 'field', field: match[2].toLowerCase(), value: match[3], negated: Boolean(match[1]) });
+        } else if (match[5] !== undefined) {
+            tokens.push({ type: 'phrase', value: match[5], negated: Boolean(match[4]) });
+        } else if (match[6]) {
+            tokens.push({ type: 'lparen' });
+        } else if (match[7]) {
+            tokens.push({ type: 'rparen' });
+        } else {
+            const word = match[9];
+            const fieldMatch = word.match(/^(\w+):(.+)$/);
+            if (fieldMatch && FIELD_NAMES.includes(fieldMatch[1].toLowerCase())) {
+                tokens.push({ type: 'field', field: fieldMatch[1].toLowerCase(), value: fieldMatch[2], negated: Boolean(match[8]) });
+            } else if (!match[8] && OPERATORS.includes(word)) {
+                tokens.push({ type: 'op', value: word });
+            } else {
+                tokens.push({ type: 'term', value: word, negated: Boolean(match[8]) });
+            }
+        }
+    }
+
+    // Anything the pattern could not consume (e.g. an unbalanced quote) is treated as plain words
+    const rest = input.slice(consumed).replace(/"/g, ' ').trim();
+    if (rest) {
+        rest.split(/\s+/).forEach(word => tokens.push({ type: 'term', value: word, negated: false }));
+    }
+
+    return tokens;
+}
+
+// Quote user text so FTS5 never interprets it as syntax; a trailing * keeps prefix search working
+function quote(value) {
+    const isPrefix = value.endsWith('*') && value.length > 1;
+    const text = (isPrefix ? value.slice(0, -1) : value).replace(/"/g, '""');
+    return `"${text}"${isPrefix ? '*' : ''}`;
+}
+
+function parseDate(value, endOfDay = false) {
+    const relative = value.match(/^(\d+)([hdwm])$/i);
+    if (relative) {
+        const units = { h: 'hours', d: 'days', w: 'weeks', m: 'months' };
+        return moment().subtract(parseInt(relative[1], 10), units[relative[2].toLowerCase()]).toISOString();
+    }
+
+    const date = moment(value, ['YYYY-MM-DD', 'YYYY-MM', 'YYYY'], true);
+    if (!date.isValid()) {
+        throw new SearchQueryError(`Invalid date "${value}"`);
+    }
+    return (endOfDay ? date.endOf(value.length === 4 ? 'year' : value.length === 7 ? 'month' : 'day') : date).toISOString();
+}
+
+function applyField(filters, token) {
+    const value = token.value.trim();
+    if (!value) return;
+
+    switch (token.field) {
+        case 'source':
+            (token.negated ? filters.excludedSources : filters.sources).push(value);
+            break;
+        case 'industry':
+            filters.industries.push(value);
+            break;
+        case 'after':
+            filters.from = parseDate(value);
+            break;
+        case 'before':
+            filters.to = parseDate(value, true);
+            break;
+        case 'date': {
+            const [from, to] = value.split('..');
+            if (from) filters.from = parseDate(from);
+            filters.to = parseDate(to || from, true);
+            break;
+        }
+        default:
+            // Unknown prefixes such as "http:" are searched as ordinary words
+            filters.terms.push(quote(`${token.field}:${value}`));
+    }
+}
+
+function isOperand(part) {
+    return Boolean(part) && !OPERATORS.includes(part) && part !== '(' && part !== ')';
+}
+
+// Shape the parts into something FTS5 accepts: operators with nothing on one side and empty groups are
+// removed, and groups get an explicit AND since FTS5 only joins plain phrases implicitly. FTS5's NOT
+// is binary ("a NOT b"), so a NOT needs something before it to exclude from.
+function cleanExpression(parts) {
+    const cleaned = [];
+    for (let i = 0; i < parts.length; i++) {
+        const part = parts[i];
+        let previous = cleaned[cleaned.length - 1];
+
+        if (part === 'AND' || part === 'OR') {
+            if (previous && !OPERATORS.includes(previous) && previous !== '(') cleaned.push(part);
+            continue;
+        }
+
+        if (part === 'NOT') {
+            const next = parts[i + 1];
+            if (!next || OPERATORS.includes(next) || next === ')') continue;
+            if (previous === 'AND') {
+                cleaned.pop();
+                previous = cleaned[cleaned.length - 1];
+            }
+            if (!isOperand(previous) && previous !== ')') {
+                throw new SearchQueryError('NOT excludes what follows it from the terms before it, as in ' +
+                    '"tesla NOT recall", so it cannot come right after OR or an opening parenthesis');
+            }
+            cleaned.push(part);
+            continue;
+        }
+
+        if (part === ')') {
+            while (OPERATORS.includes(cleaned[cleaned.length - 1])) cleaned.pop();
+            if (cleaned[cleaned.length - 1] === '(') {
+                cleaned.pop();
+            } else {
+                cleaned.push(part);
+            }
+            continue;
+        }
+
+        if (previous === ')' || (part === '(' && isOperand(previous))) cleaned.push('AND');
+        cleaned.push(part);
+    }
+    while (OPERATORS.includes(cleaned[cleaned.length - 1])) cleaned.pop();
+    return cleaned;
+}
+
+function parseSearchQuery(input) {
+    const filters = {
+        terms: [],
+        sources: [],
+        excludedSources: [],
+        industries: [],
+        from: null,
+        to: null
+    };
+
+    const positive = [];
+    const negative = [];
+    const plainWords = [];
+    let depth = 0;
+
+    const tokens = tokenize(input || '');
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+
+        if (token.type === 'field') {
+            applyField(filters, token);
+            continue;
+        }
+
+        if (token.type === 'lparen') {
+            depth++;
+            positive.push('(');
+            continue;
+        }
+        if (token.type === 'rparen') {
+            if (depth > 0) {
+                depth--;
+                positive.push(')');
+            }
+            continue;
+        }
+
+        // A top-level "NOT x" or "-x" becomes an exclusion on the whole query, unless it follows OR
+        const excludable = depth === 0 && positive[positive.length - 1] !== 'OR';
+        if (token.type === 'op' && token.value === 'NOT' && excludable) {
+            const next = tokens[i + 1];
+            if (next && (next.type === 'term' || next.type === 'phrase')) {
+                negative.push(quote(next.value));
+                i++;
+                continue;
+            }
+        }
+        if (token.type === 'op') {
+            positive.push(token.value);
+            continue;
+        }
+
+        if (token.negated && excludable) {
+            negative.push(quote(token.value));
+        } else if (token.negated) {
+            positive.push('NOT', quote(token.value));
+        } else {
+            positive.push(quote(token.value));
+            plainWords.push(token.value.replace(/\*$/, ''));
+        }
+    }
+    while (depth-- > 0) positive.push(')');
+    positive.push(...filters.terms);
+
+    const expression = cleanExpression(positive).join(' ').replace(/\( /g, '(').replace(/ \)/g, ')');
+    if (!expression && negative.length > 0) {
+        throw new SearchQueryError('Add at least one search term to combine with NOT');
+    }
+
+    const match = expression
+        ? [negative.length > 0 ? `(${expression})` : expression, ...negative].join(' NOT ')
+        : null;
+
+    return {
+        match,
+        text: plainWords.join(' '),
+        sources: filters.sources,
+        excludedSources: filters.excludedSources,
+        industries: filters.industries,
+        from: filters.from,
+        to: filters.to
+    };
+}
+
+module.exports = {
+    parseSearchQuery,
+    SearchQueryError
+};
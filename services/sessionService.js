@@ -0,0 +1,221 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const moment = require('moment');
+const { v4: uuidv4 } = require('uuid');
+const { getQuery, allQuery, runQuery } = require('../database/db');
+const { SQL_DATETIME, LAST_USED_RESOLUTION_SECONDS, hashToken } = require('./util');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your_jwt_secret_change_this_in_production';
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+class SessionError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'SessionError';
+        this.code = code;
+    }
+}
+
+function describeUserAgent(userAgent) {
+    if (!userAgent) return 'Unknown device';
+
+    const browsers = [
+        [/Edg\//, 'Edge'],
+        [/OPR\//, 'Opera'],
+        [/Firefox\//, 'Firefox'],
+        [/Chrome\//, 'Chrome'],
+        [/Safari\//, 'Safari'],
+        [/curl\//, 'curl']
+    ];
+    const systems = [
+        [/iPhone|iPad/, 'iOS'],
+        [/Android/, 'Android'],
+        [/Windows/, 'Windows'],
+        [/Mac OS X/, 'macOS'],
+        [/CrOS/, 'ChromeOS'],
+        [/Linux/, 'Linux']
+    ];
+
+    const browser = browsers.find(([pattern]) => pattern.test(userAgent));
+    const system = systems.find(([pattern]) => pattern.test(userAgent));
+
+    if (!browser && !system) return 'Unknown device';
+    if (!system) return browser[1];
+    return `${browser ? browser[1] : 'Browser'} on ${system[1]}`;
+}
+
+class SessionService {
+    refreshExpiry() {
+        return moment.utc().add(REFRESH_TOKEN_TTL_DAYS, 'days').format(SQL_DATETIME);
+    }
+
+    issueAccessToken(user, sessionId) {
+        const accessToken = jwt.sign(
+            { userId: user.id, email: user.email, sid: sessionId },
+            JWT_SECRET,
+            { expiresIn: ACCESS_TOKEN_TTL }
+        );
+        const { iat, exp } = jwt.decode(accessToken);
+        return { accessToken, expiresIn: exp - iat };
+    }
+
+    async issueRefreshToken(sessionId, expiresAt) {
+        const refreshToken = crypto.randomBytes(48).toString('base64url');
+        const id = uuidv4();
+
+        await runQuery(`
+      INSERT INTO refresh_tokens (id, session_id, token_hash, expires_at)
+      VALUES (?, ?, ?, ?)
+    `, [id, sessionId, hashToken(refreshToken), expiresAt]);
+
+        return { id, refreshToken };
+    }
+
+    // Start a new session (one per sign-in) and hand out its first token pair
+    async createSession(user, client = {}) {
+        await this.purgeExpiredSessions(user.id);
+
+        const sessionId = uuidv4();
+        const expiresAt = this.refreshExpiry();
+
+        await runQuery(`
+      INSERT INTO user_sessions (id, user_id, expires_at, user_agent, ip_address, last_seen_at)
+      VALUES (?, ?, ?, ?, ?, datetime('now'))
+    `, [sessionId, user.id, expiresAt, client.userAgent || null, client.ipAddress || null]);
+
+        const { refreshToken } = await this.issueRefreshToken(sessionId, expiresAt);
+        const { accessToken, expiresIn } = this.issueAccessToken(user, sessionId);
+
+        return { sessionId, accessToken, refreshToken, expiresIn };
+    }
+
+    // Exchange a refresh token for a new pair. A token that was already rotated is being replayed,
+    // so the whole session is revoked.
+    async rotateRefreshToken(refreshToken, client = {}) {
+        if (!refreshToken || typeof refreshToken !== 'string') {
+            throw new SessionError('Refresh token required', 'invalid');
+        }
+
+        const stored = await getQuery(`
+      SELECT t.id, t.session_id, t.expires_at, t.used_at,
+             s.user_id, s.revoked_at, u.email
+      FROM refresh_tokens t
+      JOIN user_sessions s ON t.session_id = s.id
+      JOIN users u ON s.user_id = u.id
+      WHERE t.token_hash = ?
+    `, [hashToken(refreshToken)]);
+
+        if (!stored) {
+            throw new SessionError('Invalid refresh token', 'invalid');
+        }
+        if (stored.revoked_at) {
+            throw new SessionError('Session has been revoked', 'revoked');
+        }
+        if (stored.used_at) {
+            await this.revokeSession(stored.user_id, stored.session_id, 'refresh_token_reuse');
+            console.warn(`Refresh token reuse detected for session ${stored.session_id}; session revoked`);
+            throw new SessionError('Refresh token has already been used', 'reused');
+        }
+        if (stored.expires_at <= moment.utc().format(SQL_DATETIME)) {
+            throw new SessionError('Refresh token expired', 'expired');
+        }
+
+        const expiresAt = this.refreshExpiry();
+        const next = await this.issueRefreshToken(stored.session_id, expiresAt);
+
+        // Guard against two requests racing with the same token: only one may mark it used
+        const marked = await runQuery(`
+      UPDATE refresh_tokens SET used_at = datetime('now'), replaced_by = ?
+      WHERE id = ? AND used_at IS NULL
+    `, [next.id, stored.id]);
+
+        if (marked.changes === 0) {
+            await this.revokeSession(stored.user_id, stored.session_id, 'refresh_token_reuse');
+            throw new SessionError('Refresh token has already been used', 'reused');
+        }
+
+        await runQuery(`
+      UPDATE user_sessions
+      SET expires_at = ?, last_seen_at = datetime('now'),
+          user_agent = COALESCE(?, user_agent), ip_address = COALESCE(?, ip_address)
+      WHERE id = ?
+    `, [expiresAt, client.userAgent || null, client.ipAddress || null, stored.session_id]);
+
+        const { accessToken, expiresIn } = this.issueAccessToken({ id: stored.user_id, email: stored.email }, stored.session_id);
+
+        return { sessionId: stored.session_id, userId: stored.user_id, accessToken, refreshToken: next.refreshToken, expiresIn };
+    }
+
+    // Verify an access token and that its session is still live; throws jsonwebtoken errors or SessionError
+    async verifyAccessToken(accessToken, client = {}) {
+        const decoded = jwt.verify(accessToken, JWT_SECRET);
+        if (!decoded.sid) {
+            throw new SessionError('Invalid or expired token', 'invalid');
+        }
+
+        const session = await getQuery(`
+      SELECT id, user_id, last_seen_at FROM user_sessions
+      WHERE id = ? AND user_id = ? AND revoked_at IS NULL AND expires_at > datetime('now')
+    `, [decoded.sid, decoded.userId]);
+
+        if (!session) {
+            throw new SessionError('Invalid or expired token', 'revoked');
+        }
+
+        const stale = moment.utc().subtract(LAST_USED_RESOLUTION_SECONDS, 'seconds').format(SQL_DATETIME);
+        if (!session.last_seen_at || session.last_seen_at < stale) {
+            await runQuery(`
+        UPDATE user_sessions SET last_seen_at = datetime('now'), ip_address = COALESCE(?, ip_address)
+        WHERE id = ?
+      `, [client.ipAddress || null, session.id]);
+        }
+
+        return decoded;
+    }
+
+    async listSessions(userId, currentSessionId = null) {
+        const sessions = await allQuery(`
+      SELECT id, user_agent, ip_address, created_at, last_seen_at, expires_at
+      FROM user_sessions
+      WHERE user_id = ? AND revoked_at IS NULL AND expires_at > datetime('now')
+      ORDER BY COALESCE(last_seen_at, created_at) DESC
+    `, [userId]);
+
+        return sessions.map(session => ({
+            id: session.id,
+            device: describeUserAgent(session.user_agent),
+            userAgent: session.user_agent,
+            ipAddress: session.ip_address,
+            createdAt: session.created_at,
+            lastSeenAt: session.last_seen_at,
+            expiresAt: session.expires_at,
+            current: session.id === currentSessionId
+        }));
+    }
+
+    async revokeSession(userId, sessionId, reason = 'revoked') {
+        const result = await runQuery(`
+      UPDATE user_sessions SET revoked_at = datetime('now'), revoked_reason = ?
+      WHERE id = ? AND user_id = ? AND revoked_at IS NULL
+    `, [reason, sessionId, userId]);
+        return result.changes > 0;
+    }
+
+    async revokeAllSessions(userId, { exceptSessionId = null, reason = 'revoked' } = {}) {
+        const result = await runQuery(`
+      UPDATE user_sessions SET revoked_at = datetime('now'), revoked_reason = ?
+      WHERE user_id = ? AND revoked_at IS NULL AND id != COALESCE(?, '')
+    `, [reason, userId, exceptSessionId]);
+        return result.changes;
+    }
+
+    // Expired and long-revoked sessions are only kept around long enough to show up in reuse detection
+    async purgeExpiredSessions(userId) {
+        const condition = `user_id = ? AND (expires_at < datetime('now') OR revoked_at < datetime('now', '-${REFRESH_TOKEN_TTL_DAYS} days'))`;
+        await runQuery(`DELETE FROM refresh_tokens WHERE session_id IN (SELECT id FROM user_sessions WHERE ${condition})`, [userId]);
+        await runQuery(`DELETE FROM user_sessions WHERE ${condition}`, [userId]);
+    }
+}
+
+module.exports = new SessionService();
@@ -0,0 +1,207 @@
+const { v4: uuidv4 } = require('uuid');
+const { getQuery, allQuery, runQuery } = require('../database/db');
+
+// Credibility tiers and what each adds to an article's relevance score
+const TIERS = {
+    1: { label: 'Highly credible', score: 2 }, // wire services, papers of record
+    2: { label: 'Credible', score: 1 },
+    3: { label: 'Unrated', score: 0 },
+    4: { label: 'Low credibility', score: -2 }
+};
+const DEFAULT_TIER = 3;
+
+const MAX_NAME_LENGTH = 100;
+const MAX_NOTES_LENGTH = 1000;
+const DOMAIN_PATTERN = /^[a-z0-9-]+(\.[a-z0-9-]+)+$/;
+
+class SourceError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SourceError';
+    }
+}
+
+function hostnameOf(url) {
+    try {
+        return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+    } catch (error) {
+        return '';
+    }
+}
+
+function normalizeNotes(value, fallback) {
+    if (value === undefined) return fallback ?? null;
+    if (value === null) return null;
+    return String(value).trim().slice(0, MAX_NOTES_LENGTH) || null;
+}
+
+class SourceService {
+    constructor() {
+        // The registry is small and read for every article scored or filtered, so it is kept in memory
+        // and reloaded after each change
+        this.sources = [];
+    }
+
+    async load() {
+        const rows = await allQuery('SELECT * FROM sources ORDER BY name COLLATE NOCASE');
+        this.sources = rows.map(row => this.rowToSource(row));
+        return this.sources;
+    }
+
+    // Accepts 'reuters.com', 'www.Reuters.com' or 'https://www.reuters.com/markets/'
+    normalizeDomain(value) {
+        const text = String(value || '').trim().toLowerCase();
+        const hostname = /^[a-z][a-z0-9+.-]*:\/\//.test(text) ? hostnameOf(text) : text.split('/')[0];
+        return hostname.replace(/^www\./, '').replace(/\.$/, '');
+    }
+
+    // Merge the input over the current values (if any) and validate; throws SourceError
+    normalizeSource(input = {}, current = {}) {
+        const domain = input.domain !== undefined ? this.normalizeDomain(input.domain) : current.domain;
+        const name = typeof input.name === 'string' ? input.name.trim().slice(0, MAX_NAME_LENGTH) : current.name;
+        const tier = input.tier !== undefined ? parseInt(input.tier, 10) : current.tier || DEFAULT_TIER;
+        const paywall = typeof input.paywall === 'boolean' ? input.paywall : Boolean(current.paywall);
+        const country = input.country !== undefined
+            ? (input.country ? String(input.country).trim().toUpperCase() : null)
+            : current.country || null;
+
+        if (!domain || !DOMAIN_PATTERN.test(domain)) {
+            throw new SourceError('A valid domain is required, e.g. reuters.com');
+        }
+        if (!name) {
+            throw new SourceError('Source name is required');
+        }
+        if (!TIERS[tier]) {
+            throw new SourceError(`tier must be one of: ${Object.keys(TIERS).join(', ')}`);
+        }
+        if (country && !/^[A-Z]{2}$/.test(country)) {
+            throw new SourceError('country must be an ISO 3166-1 alpha-2 code, e.g. US');
+        }
+
+        return {
+            domain,
+            name,
+            tier,
+            paywall,
+            country,
+            biasNotes: normalizeNotes(input.biasNotes, current.biasNotes),
+            ownershipNotes: normalizeNotes(input.ownershipNotes, current.ownershipNotes)
+        };
+    }
+
+    listSources() {
+        return this.sources;
+    }
+
+    async getSource(sourceId) {
+        const row = await getQuery('SELECT * FROM sources WHERE id = ?', [sourceId]);
+        return row ? this.rowToSource(row) : null;
+    }
+
+    async createSource(input) {
+        const source = this.normalizeSource(input);
+        await this.assertDomainAvailable(source.domain);
+
+        const sourceId = uuidv4();
+        await runQuery(`
+      INSERT INTO sources (id, domain, name, tier, paywall, country, bias_notes, ownership_notes)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+            sourceId,
+            source.domain,
+            source.name,
+            source.tier,
+            source.paywall ? 1 : 0,
+            source.country,
+            source.biasNotes,
+            source.ownershipNotes
+        ]);
+
+        await this.load();
+        return this.getSource(sourceId);
+    }
+
+    async updateSource(sourceId, input) {
+        const current = await this.getSource(sourceId);
+        if (!current) return null;
+
+        const source = this.normalizeSource(input, current);
+        if (source.domain !== current.domain) {
+            await this.assertDomainAvailable(source.domain);
+        }
+
+        await runQuery(`
+      UPDATE sources
+      SET domain = ?, name = ?, tier = ?, paywall = ?, country = ?, bias_notes = ?, ownership_notes = ?,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [
+            source.domain,
+            source.name,
+            source.tier,
+            source.paywall ? 1 : 0,
+            source.country,
+            source.biasNotes,
+            source.ownershipNotes,
+            sourceId
+        ]);
+
+        await this.load();
+        return this.getSource(sourceId);
+    }
+
+    async deleteSource(sourceId) {
+        const result = await runQuery('DELETE FROM sources WHERE id = ?', [sourceId]);
+        await this.load();
+        return result.changes > 0;
+    }
+
+    async assertDomainAvailable(domain) {
+        const existing = await getQuery('SELECT id FROM sources WHERE domain = ?', [domain]);
+        if (existing) {
+            throw new SourceError('A source with this domain already exists');
+        }
+    }
+
+    // The registry entry for an article: by the domain of its URL (subdomains included, most specific
+    // first), otherwise by source name
+    lookup(sourceName, url) {
+        const hostname = hostnameOf(url);
+        if (hostname) {
+            const byDomain = this.sources
+                .filter(source => hostname === source.domain || hostname.endsWith(`.${source.domain}`))
+                .sort((a, b) => b.domain.length - a.domain.length)[0];
+            if (byDomain) return byDomain;
+        }
+
+        const name = (sourceName || '').trim().toLowerCase();
+        if (!name) return null;
+        return this.sources.find(source => source.name.toLowerCase() === name) ||
+            this.sources.find(source => name.includes(source.name.toLowerCase())) ||
+            null;
+    }
+
+    // Relevance points for the source's tier; sources not in the registry are unrated
+    credibilityScore(sourceName, url) {
+        const source = this.lookup(sourceName, url);
+        return TIERS[source ? source.tier : DEFAULT_TIER].score;
+    }
+
+    rowToSource(row) {
+        return {
+            id: row.id,
+            domain: row.domain,
+            name: row.name,
+            tier: row.tier,
+            tierLabel: TIERS[row.tier]?.label || TIERS[DEFAULT_TIER].label,
+            paywall: Boolean(row.paywall),
+            country: row.country,
+            biasNotes: row.bias_notes,
+            ownershipNotes: row.ownership_notes,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        };
+    }
+}
+
+module.exports = new SourceService();
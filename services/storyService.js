@@ -0,0 +1,250 @@
+const moment = require('moment');
+const { v4: uuidv4 } = require('uuid');
+const { getQuery, allQuery, runQuery } = require('../database/db');
+const newsService = require('./newsService');
+const { titleTokens, titleSimilarity } = require('./articleIdentity');
+const { DEFAULT_PREFERENCES } = require('./preferences');
+
+// An article can join a story published up to this long before or after the story's coverage
+const STORY_WINDOW_HOURS = parseInt(process.env.STORY_WINDOW_HOURS, 10) || 48;
+
+// Near-identical headlines always belong together
+const TITLE_MATCH_THRESHOLD = 0.6;
+// Otherwise an article needs this many named entities in common with the story, and a combined
+// title/entity score of at least STORY_MATCH_THRESHOLD
+const MIN_SHARED_ENTITIES = 2;
+const STORY_MATCH_THRESHOLD = 0.4;
+
+// Stored articles without a story are clustered at the start of each ingestion run, a batch at a time
+const PENDING_BATCH_SIZE = 500;
+
+// Capitalized words that are not names
+const ENTITY_STOPWORDS = new Set([
+    'a', 'an', 'the', 'this', 'that', 'these', 'those', 'in', 'on', 'at', 'for', 'and', 'but', 'or', 'as',
+    'after', 'before', 'with', 'from', 'by', 'to', 'of', 'is', 'are', 'was', 'will', 'how', 'why', 'what',
+    'when', 'who', 'where', 'new', 'breaking', 'update', 'updated', 'analysis', 'opinion', 'exclusive',
+    'live', 'watch', 'video', 'report', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday',
+    'sunday', 'january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september',
+    'october', 'november', 'december'
+]);
+
+// Headlines in Title Case capitalize every word, so their capitals say nothing about names
+function isTitleCase(text) {
+    const words = text.split(/\s+/).filter(word => /^\p{L}{4,}/u.test(word));
+    if (words.length < 3) return false;
+    return words.filter(word => /^\p{Lu}/u.test(word)).length / words.length >= 0.6;
+}
+
+class StoryService {
+    // Named entities: tickers, acronyms and capitalized words that don't start a sentence
+    extractEntities(article) {
+        const entities = new Set();
+
+        const addFrom = (text, capitalsAreNames) => {
+            for (const match of text.matchAll(/\$[A-Z]{1,5}\b|\b[A-Z]{2,5}\b/g)) {
+                entities.add(match[0].replace('$', '').toLowerCase());
+            }
+            if (!capitalsAreNames) return;
+
+            const words = text.split(/\s+/);
+            words.forEach((word, index) => {
+                const clean = word.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '').replace(/['’]s$/i, '');
+                const startsSentence = index === 0 || /[.!?:]["')\]]?$/.test(words[index - 1]);
+                if (!startsSentence && /^\p{Lu}[\p{L}\p{N}&'-]+$/u.test(clean) && !ENTITY_STOPWORDS.has(clean.toLowerCase())) {
+                    entities.add(clean.toLowerCase());
+                }
+            });
+        };
+
+        const title = article.title || '';
+        addFrom(title, !isTitleCase(title));
+        addFrom(article.description || '', true);
+        return entities;
+    }
+
+    // Stories with coverage inside the window, with what new articles are compared against
+    async loadClusterer() {
+        const since = moment().subtract(STORY_WINDOW_HOURS * 2, 'hours').toISOString();
+        const rows = await allQuery(`
+      SELECT id, story_id, title, description, published_at FROM news_articles
+      WHERE story_id IS NOT NULL AND published_at >= ?
+      ORDER BY published_at
+    `, [since]);
+
+        const stories = new Map();
+        for (const row of rows) {
+            if (!stories.has(row.story_id)) {
+                stories.set(row.story_id, { id: row.story_id, titles: [], entities: new Set(), first: null, last: null });
+            }
+            this.addToStory(stories.get(row.story_id), row);
+        }
+        return { stories };
+    }
+
+    addToStory(story, article) {
+        const publishedAt = moment(article.published_at);
+        story.titles.push(titleTokens(article.title));
+        this.extractEntities(article).forEach(entity => story.entities.add(entity));
+        if (!story.first || publishedAt.isBefore(story.first)) story.first = publishedAt;
+        if (!story.last || publishedAt.isAfter(story.last)) story.last = publishedAt;
+    }
+
+    // How well an article fits a story (0 when it doesn't)
+    scoreMatch(story, tokens, entities) {
+        const titleScore = Math.max(...story.titles.map(title => titleSimilarity(title, tokens)));
+        if (titleScore >= TITLE_MATCH_THRESHOLD) return titleScore;
+
+        let shared = 0;
+        for (const entity of entities) {
+            if (story.entities.has(entity)) shared++;
+        }
+        if (shared < MIN_SHARED_ENTITIES) return 0;
+
+        const score = 0.5 * titleScore + 0.5 * shared / Math.min(entities.size, story.entities.size);
+        return score >= STORY_MATCH_THRESHOLD ? score : 0;
+    }
+
+    findStory(clusterer, article) {
+        const publishedAt = moment(article.published_at);
+        const tokens = titleTokens(article.title);
+        const entities = this.extractEntities(article);
+
+        let best = null;
+        let bestScore = 0;
+        for (const story of clusterer.stories.values()) {
+            const inWindow = publishedAt.isSameOrAfter(story.first.clone().subtract(STORY_WINDOW_HOURS, 'hours')) &&
+                publishedAt.isSameOrBefore(story.last.clone().add(STORY_WINDOW_HOURS, 'hours'));
+            if (!inWindow) continue;
+
+            const score = this.scoreMatch(story, tokens, entities);
+            if (score > bestScore) {
+                best = story;
+                bestScore = score;
+            }
+        }
+        return best;
+    }
+
+    // Put a stored article into the story it belongs to, or start a new one. Returns the story id.
+    async assignArticle(clusterer, article) {
+        const stored = await getQuery('SELECT story_id FROM news_articles WHERE id = ?', [article.id]);
+        if (!stored) return null;
+        if (stored.story_id) return stored.story_id;
+
+        let story = this.findStory(clusterer, article);
+        if (story) {
+            await runQuery('UPDATE stories SET updated_at = CURRENT_TIMESTAMP WHERE id = ?', [story.id]);
+        } else {
+            story = { id: uuidv4(), titles: [], entities: new Set(), first: null, last: null };
+            await runQuery('INSERT INTO stories (id, title) VALUES (?, ?)', [story.id, article.title]);
+            clusterer.stories.set(story.id, story);
+        }
+
+        await runQuery('UPDATE news_articles SET story_id = ? WHERE id = ?', [story.id, article.id]);
+        this.addToStory(story, article);
+        return story.id;
+    }
+
+    // Cluster stored articles that have no story yet, oldest first (e.g. articles stored before clustering existed)
+    async assignPending(clusterer) {
+        const rows = await allQuery(`
+      SELECT id, title, description, published_at FROM news_articles
+      WHERE story_id IS NULL
+      ORDER BY published_at
+      LIMIT ?
+    `, [PENDING_BATCH_SIZE]);
+
+        for (const row of rows) {
+            await this.assignArticle(clusterer, row);
+        }
+        return rows.length;
+    }
+
+    // The profile's stories: clusters with at least one article in the user's feed buckets, each with all
+    // of its coverage that passes the user's filters. Most recently updated first.
+    async listStories(userProfile, { limit = 20, minArticles = 2 } = {}) {
+        const preferences = userProfile.preferences || {};
+        const languages = preferences.preferredLanguages || DEFAULT_PREFERENCES.preferredLanguages;
+        const buckets = newsService.getProfileBuckets(userProfile);
+
+        const rows = await allQuery(`
+      SELECT n.* FROM news_articles n
+      WHERE n.story_id IN (
+        SELECT a.story_id FROM article_placements p
+        JOIN news_articles a ON a.id = p.article_id
+        WHERE a.story_id IS NOT NULL
+          AND (${buckets.map(() => '(p.bucket = ? AND p.bucket_value = ?)').join(' OR ')})
+      )
+        AND COALESCE(n.language, 'en') IN (${languages.map(() => '?').join(', ')})
+      ORDER BY n.published_at
+    `, [...buckets.flatMap(({ bucket, value }) => [bucket, value]), ...languages]);
+
+        const articles = newsService.applyPreferenceFilters(rows.map(row => newsService.rowToArticle(row)), preferences);
+        const byStory = new Map();
+        for (const article of articles) {
+            if (!byStory.has(article.story_id)) byStory.set(article.story_id, []);
+            byStory.get(article.story_id).push(article);
+        }
+
+        return [...byStory]
+            .filter(([, coverage]) => coverage.length >= minArticles)
+            .map(([storyId, coverage]) => this.summarize(storyId, coverage))
+            .sort((a, b) => moment(b.last_published_at).diff(moment(a.last_published_at)))
+            .slice(0, limit);
+    }
+
+    // One story with its coverage in chronological order
+    async getStory(storyId, preferences = {}) {
+        const story = await getQuery('SELECT id FROM stories WHERE id = ?', [storyId]);
+        if (!story) return null;
+
+        const rows = await allQuery('SELECT * FROM news_articles WHERE story_id = ? ORDER BY published_at', [storyId]);
+        const timeline = newsService.applyPreferenceFilters(rows.map(row => newsService.rowToArticle(row)), preferences);
+        if (timeline.length === 0) return null;
+
+        return { ...this.summarize(storyId, timeline), timeline };
+    }
+
+    // coverage is in chronological order; the lead article is the most relevant, earliest on ties
+    summarize(storyId, coverage) {
+        const lead = coverage.reduce((best, article) =>
+            (article.relevance_score || 0) > (best.relevance_score || 0) ? article : best
+        );
+        const sources = [...new Set(coverage.map(article => article.source_name))];
+
+        return {
+            id: storyId,
+            title: lead.title,
+            lead,
+            article_count: coverage.length,
+            source_count: sources.length,
+            sources,
+            first_published_at: coverage[0].published_at,
+            last_published_at: coverage[coverage.length - 1].published_at
+        };
+    }
+
+    // Attach { id, article_count, source_count } to feed articles whose story has other coverage
+    async attachStories(articles) {
+        const storyIds = [...new Set(articles.map(article => article.story_id).filter(Boolean))];
+        if (storyIds.length === 0) return articles;
+
+        const counts = await allQuery(`
+      SELECT story_id, COUNT(*) AS article_count, COUNT(DISTINCT source_name) AS source_count
+      FROM news_articles
+      WHERE story_id IN (${storyIds.map(() => '?').join(', ')})
+      GROUP BY story_id
+    `, storyIds);
+        const byStory = new Map(counts.map(row => [row.story_id, row]));
+
+        for (const article of articles) {
+            const story = byStory.get(article.story_id);
+            if (story && story.article_count > 1) {
+                article.story = { id: article.story_id, article_count: story.article_count, source_count: story.source_count };
+            }
+        }
+        return articles;
+    }
+}
+
+module.exports = new StoryService();
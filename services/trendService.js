@@ -0,0 +1,194 @@
+const moment = require('moment');
+const { allQuery } = require('../database/db');
+const newsService = require('./newsService');
+const storyService = require('./storyService');
+const interestService = require('./interestService');
+const { DEFAULT_PREFERENCES } = require('./preferences');
+const QueryCache = require('./queryCache');
+
+// Mentions in the last WINDOW_HOURS are compared to the rate over the BASELINE_DAYS before them.
+// The baseline can't reach back further than ARTICLE_RETENTION_DAYS.
+const WINDOW_HOURS = parseInt(process.env.TRENDING_WINDOW_HOURS, 10) || 24;
+const BASELINE_DAYS = parseInt(process.env.TRENDING_BASELINE_DAYS, 10) || 6;
+
+// A topic needs this many articles in the window, mentioned this many times more often than usual
+const MIN_MENTIONS = 3;
+const MIN_SPIKE = 2;
+
+// A topic whose articles are mostly covered by a higher-ranked topic says the same thing twice
+const MAX_OVERLAP = 0.8;
+
+const SPARKLINE_POINTS = 14;
+const MAX_TOPICS = 20;
+const CACHE_SECONDS = 300;
+const CACHE_MAX_SCOPES = 200;
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+class TrendService {
+    constructor() {
+        // Computed topics per scope, served for another CACHE_SECONDS past expiry while they are recomputed
+        this.cache = new QueryCache({
+            name: 'trending_topics',
+            ttlMs: CACHE_SECONDS * 1000,
+            staleMs: CACHE_SECONDS * 1000,
+            maxEntries: CACHE_MAX_SCOPES
+        });
+    }
+
+    // Named entities plus the meaningful words of the headline
+    extractTerms(article) {
+        const terms = storyService.extractEntities(article);
+        interestService.tokenize(article.title)
+            .filter(word => interestService.isTerm(word))
+            .forEach(word => terms.add(word));
+        return terms;
+    }
+
+    // region is a city, state or country as used in feed placements; industry matches industry placements.
+    // The reader's source lists and blocked keywords decide which articles are counted at all.
+    normalizeScope({ region, industry, languages, preferences = {} } = {}) {
+        return {
+            region: region ? newsService.normalizePlacementValue(region) : null,
+            industry: industry ? String(industry).trim().toLowerCase() : null,
+            languages: languages && languages.length > 0 ? languages : DEFAULT_PREFERENCES.preferredLanguages,
+            filters: {
+                mutedSources: preferences.mutedSources || [],
+                allowedSources: preferences.allowedSources || [],
+                blockedKeywords: preferences.blockedKeywords || []
+            }
+        };
+    }
+
+    // Ranked topics for a scope, most unusual first
+    async getTopics(options = {}, limit = 10) {
+        const scope = this.normalizeScope(options);
+        const topics = await this.cache.get(JSON.stringify(scope), () => this.computeTopics(scope));
+        return topics.slice(0, limit);
+    }
+
+    async computeTopics(scope) {
+        const now = moment.utc();
+        const windowStart = now.clone().subtract(WINDOW_HOURS, 'hours');
+        const since = windowStart.clone().subtract(BASELINE_DAYS, 'days');
+        const pointMs = now.diff(since) / SPARKLINE_POINTS;
+
+        const conditions = ['n.published_at >= ?', 'n.published_at <= ?'];
+        const params = [since.toISOString(), now.toISOString()];
+
+        conditions.push(`COALESCE(n.language, 'en') IN (${scope.languages.map(() => '?').join(', ')})`);
+        params.push(...scope.languages);
+        if (scope.region) {
+            conditions.push(`EXISTS (
+          SELECT 1 FROM article_placements p
+          WHERE p.article_id = n.id AND p.bucket IN ('local', 'metro', 'regional', 'national') AND p.bucket_value = ?
+        )`);
+            params.push(scope.region);
+        }
+        if (scope.industry) {
+            conditions.push(`(LOWER(COALESCE(n.industry, '')) LIKE ? OR EXISTS (
+          SELECT 1 FROM article_placements p
+          WHERE p.article_id = n.id AND p.bucket = 'industry' AND p.bucket_value LIKE ?
+        ))`);
+            params.push(`%${scope.industry}%`, `%${scope.industry}%`);
+        }
+
+        const rows = newsService.applyPreferenceFilters(await allQuery(`
+      SELECT n.id, n.title, n.description, n.url, n.source_name, n.published_at FROM news_articles n
+      WHERE ${conditions.join(' AND ')}
+    `, params), scope.filters);
+
+        const terms = new Map();
+        for (const row of rows) {
+            const publishedAt = moment.utc(row.published_at);
+            const inWindow = publishedAt.isSameOrAfter(windowStart);
+            const point = Math.min(Math.floor(publishedAt.diff(since) / pointMs), SPARKLINE_POINTS - 1);
+
+            for (const term of this.extractTerms(row)) {
+                if (!terms.has(term)) {
+                    terms.set(term, { term, articleIds: [], baseline: 0, sparkline: new Array(SPARKLINE_POINTS).fill(0) });
+                }
+                const entry = terms.get(term);
+                if (inWindow) {
+                    entry.articleIds.push(row.id);
+                } else {
+                    entry.baseline++;
+                }
+                entry.sparkline[point]++;
+            }
+        }
+
+        // Expected mentions in a window at the baseline rate; +1 keeps brand-new terms from dividing by zero
+        const windowsInBaseline = BASELINE_DAYS * 24 / WINDOW_HOURS;
+        const candidates = [...terms.values()]
+            .filter(entry => entry.articleIds.length >= MIN_MENTIONS)
+            .map(entry => {
+                const expected = entry.baseline / windowsInBaseline;
+                const spike = (entry.articleIds.length + 1) / (expected + 1);
+                return { ...entry, spike, score: spike * Math.log2(entry.articleIds.length + 1) };
+            })
+            .filter(entry => entry.spike >= MIN_SPIKE)
+            .sort((a, b) => b.score - a.score || b.articleIds.length - a.articleIds.length);
+
+        const topics = [];
+        for (const entry of candidates) {
+            const articleIds = new Set(entry.articleIds);
+            const repeats = topics.some(topic => {
+                const shared = topic.articleIds.filter(id => articleIds.has(id)).length;
+                return shared / articleIds.size >= MAX_OVERLAP;
+            });
+            if (repeats) continue;
+
+            topics.push({
+                topic: entry.term,
+                label: this.labelFor(entry.term, rows),
+                count: entry.articleIds.length,
+                baseline: entry.baseline,
+                spike: Math.round(entry.spike * 10) / 10,
+                score: Math.round(entry.score * 100) / 100,
+                sparkline: entry.sparkline,
+                articleIds: entry.articleIds
+            });
+            if (topics.length >= MAX_TOPICS) break;
+        }
+        return topics;
+    }
+
+    // Terms are lowercase; show the spelling headlines use most, e.g. "Nvidia" or "AI"
+    labelFor(term, rows) {
+        const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(term)}(?![\\p{L}\\p{N}])`, 'giu');
+        const spellings = new Map();
+        for (const row of rows) {
+            for (const match of `${row.title || ''} ${row.description || ''}`.matchAll(pattern)) {
+                spellings.set(match[0], (spellings.get(match[0]) || 0) + 1);
+            }
+        }
+        const best = [...spellings].sort((a, b) => b[1] - a[1])[0];
+        return best ? best[0] : term;
+    }
+
+    // The window's articles for one of the scope's topics, newest first
+    async getTopicArticles(topic, options = {}, limit = 10, preferences = {}) {
+        const topics = await this.getTopics(options, MAX_TOPICS);
+        const entry = topics.find(candidate => candidate.topic === String(topic).toLowerCase());
+        if (!entry) return null;
+
+        const rows = await allQuery(`
+      SELECT * FROM news_articles WHERE id IN (${entry.articleIds.map(() => '?').join(', ')})
+      ORDER BY published_at DESC
+    `, entry.articleIds);
+
+        const articles = newsService.applyPreferenceFilters(rows.map(row => newsService.rowToArticle(row)), preferences);
+        return { topic: entry, articles: articles.slice(0, limit) };
+    }
+
+    // Topics without the article id lists, for API responses
+    toResponse(topic) {
+        const { articleIds, ...rest } = topic;
+        return rest;
+    }
+}
+
+module.exports = new TrendService();
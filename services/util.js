@@ -0,0 +1,44 @@
+const crypto = require('crypto');
+
+// moment format of SQLite's datetime('now'), so formatted times compare with stored ones as strings
+const SQL_DATETIME = 'YYYY-MM-DD HH:mm:ss';
+
+// Sessions' last_seen_at and API keys' last_used_at are only written when they are older than this,
+// so every authenticated request doesn't cost a write
+const LAST_USED_RESOLUTION_SECONDS = 60;
+
+// Tokens we hand out (refresh tokens, API keys, emailed and feed tokens) are long and random, so an
+// unsalted SHA-256 is enough to store them without storing anything that could be replayed
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Safe in HTML and XML element content and in quoted attribute values
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// The URL normalized when it is http(s), otherwise null. Normalizing percent-encodes quotes and spaces,
+// so a stored link can't break out of an HTML attribute.
+function httpUrl(value) {
+    try {
+        const url = new URL(String(value).trim());
+        return ['http:', 'https:'].includes(url.protocol) ? url.href : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+module.exports = {
+    SQL_DATETIME,
+    LAST_USED_RESOLUTION_SECONDS,
+    hashToken,
+    escapeHtml,
+    escapeXml: escapeHtml,
+    httpUrl
+};
@@ -0,0 +1,445 @@
+const { v4: uuidv4 } = require('uuid');
+const { getQuery, allQuery, runQuery } = require('../database/db');
+const newsService = require('./newsService');
+const newsStreamService = require('./newsStreamService');
+const mailer = require('./mailer');
+const { renderWatchlistAlert } = require('./mailer/templates/watchlistAlert');
+const { normalizeStringList, normalizePreferences } = require('./preferences');
+
+const APP_URL = (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+const MAX_WATCHLISTS = 20;
+const MAX_TERMS = 25;
+const MAX_TERM_LENGTH = 100;
+const MAX_NAME_LENGTH = 60;
+const MATCH_MODES = ['any', 'all'];
+
+// How many stored articles a new or edited watchlist is checked against
+const BACKFILL_LIMIT = 1000;
+
+// Matches older than this are not emailed, e.g. when a user verifies their address days later
+const ALERT_EMAIL_WINDOW_HOURS = 24;
+const MAX_ALERTS_PER_EMAIL = 20;
+
+class WatchlistError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'WatchlistError';
+    }
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Whole-word, case-insensitive match that also works for terms like "$AAPL" or "S&P 500"
+function compileTerm(term) {
+    const body = term.split(/\s+/).map(escapeRegExp).join('\\s+');
+    return new RegExp(`(?<![\\p{L}\\p{N}])${body}(?![\\p{L}\\p{N}])`, 'iu');
+}
+
+class WatchlistService {
+    normalizeTerms(terms) {
+        const list = typeof terms === 'string' ? terms.split(',') : terms;
+        return normalizeStringList(list, MAX_TERMS).map(term => term.slice(0, MAX_TERM_LENGTH));
+    }
+
+    // Merge the input over the current values (if any) and validate; throws WatchlistError
+    normalizeWatchlist(input = {}, current = {}) {
+        const name = typeof input.name === 'string' ? input.name.trim().slice(0, MAX_NAME_LENGTH) : current.name;
+        const keywords = input.keywords !== undefined ? this.normalizeTerms(input.keywords) : current.keywords || [];
+        const excludeTerms = input.excludeTerms !== undefined ? this.normalizeTerms(input.excludeTerms) : current.excludeTerms || [];
+        const matchMode = input.matchMode !== undefined ? input.matchMode : current.matchMode || 'any';
+        const emailAlerts = typeof input.emailAlerts === 'boolean'
+            ? input.emailAlerts
+            : current.emailAlerts !== undefined ? current.emailAlerts : true;
+
+        if (!name) {
+            throw new WatchlistError('Watchlist name is required');
+        }
+        if (keywords.length === 0) {
+            throw new WatchlistError('At least one keyword is required');
+        }
+        if (!MATCH_MODES.includes(matchMode)) {
+            throw new WatchlistError(`matchMode must be one of: ${MATCH_MODES.join(', ')}`);
+        }
+
+        return { name, keywords, excludeTerms, matchMode, emailAlerts };
+    }
+
+    compile(watchlist) {
+        return {
+            ...watchlist,
+            keywordPatterns: watchlist.keywords.map(term => ({ term, pattern: compileTerm(term) })),
+            excludePatterns: watchlist.excludeTerms.map(compileTerm)
+        };
+    }
+
+    // The keywords an article matched, or null if it doesn't satisfy the watchlist's rules
+    matchArticle(compiled, article) {
+        const text = `${article.title || ''}\n${article.description || ''}`;
+        if (compiled.excludePatterns.some(pattern => pattern.test(text))) return null;
+
+        const matched = compiled.keywordPatterns.filter(({ pattern }) => pattern.test(text)).map(({ term }) => term);
+        if (matched.length === 0) return null;
+        if (compiled.matchMode === 'all' && matched.length < compiled.keywordPatterns.length) return null;
+        return matched;
+    }
+
+    async listWatchlists(userId) {
+        const rows = await allQuery(`
+      SELECT w.*, COUNT(m.article_id) AS match_count,
+             COALESCE(SUM(m.article_id IS NOT NULL AND m.read_at IS NULL), 0) AS unread_count
+      FROM watchlists w
+      LEFT JOIN watchlist_matches m ON m.watchlist_id = w.id
+      WHERE w.user_id = ?
+      GROUP BY w.id
+      ORDER BY w.name COLLATE NOCASE
+    `, [userId]);
+
+        return rows.map(row => this.rowToWatchlist(row));
+    }
+
+    async getWatchlist(userId, watchlistId) {
+        const row = await getQuery('SELECT * FROM watchlists WHERE id = ? AND user_id = ?', [watchlistId, userId]);
+        return row ? this.rowToWatchlist(row) : null;
+    }
+
+    async createWatchlist(userId, input) {
+        const watchlist = this.normalizeWatchlist(input);
+
+        const count = await getQuery('SELECT COUNT(*) AS count FROM watchlists WHERE user_id = ?', [userId]);
+        if (count.count >= MAX_WATCHLISTS) {
+            throw new WatchlistError(`You can have up to ${MAX_WATCHLISTS} watchlists`);
+        }
+        await this.assertNameAvailable(userId, watchlist.name);
+
+        const watchlistId = uuidv4();
+        await runQuery(`
+      INSERT INTO watchlists (id, user_id, name, keywords, match_mode, exclude_terms, email_alerts)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [
+            watchlistId,
+            userId,
+            watchlist.name,
+            JSON.stringify(watchlist.keywords),
+            watchlist.matchMode,
+            JSON.stringify(watchlist.excludeTerms),
+            watchlist.emailAlerts ? 1 : 0
+        ]);
+
+        const created = await this.getWatchlist(userId, watchlistId);
+        await this.backfillMatches(created);
+        return created;
+    }
+
+    // Returns null if the watchlist doesn't belong to the user
+    async updateWatchlist(userId, watchlistId, input) {
+        const current = await this.getWatchlist(userId, watchlistId);
+        if (!current) return null;
+
+        const watchlist = this.normalizeWatchlist(input, current);
+        if (watchlist.name.toLowerCase() !== current.name.toLowerCase()) {
+            await this.assertNameAvailable(userId, watchlist.name);
+        }
+
+        await runQuery(`
+      UPDATE watchlists
+      SET name = ?, keywords = ?, match_mode = ?, exclude_terms = ?, email_alerts = ?, updated_at = datetime('now')
+      WHERE id = ? AND user_id = ?
+    `, [
+            watchlist.name,
+            JSON.stringify(watchlist.keywords),
+            watchlist.matchMode,
+            JSON.stringify(watchlist.excludeTerms),
+            watchlist.emailAlerts ? 1 : 0,
+            watchlistId,
+            userId
+        ]);
+
+        const updated = await this.getWatchlist(userId, watchlistId);
+
+        // Different rules mean different matches; rebuild them from the store
+        const rulesChanged = JSON.stringify([current.keywords, current.excludeTerms, current.matchMode]) !==
+            JSON.stringify([updated.keywords, updated.excludeTerms, updated.matchMode]);
+        if (rulesChanged) {
+            await runQuery('DELETE FROM watchlist_matches WHERE watchlist_id = ?', [watchlistId]);
+            await this.backfillMatches(updated);
+        }
+
+        return updated;
+    }
+
+    async deleteWatchlist(userId, watchlistId) {
+        const watchlist = await this.getWatchlist(userId, watchlistId);
+        if (!watchlist) return false;
+
+        await runQuery('DELETE FROM watchlist_matches WHERE watchlist_id = ?', [watchlistId]);
+        await runQuery('DELETE FROM watchlists WHERE id = ? AND user_id = ?', [watchlistId, userId]);
+        return true;
+    }
+
+    async assertNameAvailable(userId, name) {
+        const existing = await getQuery(`
+      SELECT id FROM watchlists WHERE user_id = ? AND name = ? COLLATE NOCASE
+    `, [userId, name]);
+        if (existing) {
+            throw new WatchlistError('A watchlist with that name already exists');
+        }
+    }
+
+    // A watchlist only sees what its owner's feed would show: articles placed in one of the owner's
+    // buckets that their source lists and blocked keywords don't hide
+    ownerView(user) {
+        const profile = newsService.buildUserProfile(user);
+        return { buckets: newsService.getProfileBuckets(profile), preferences: profile.preferences };
+    }
+
+    // Match a new or edited watchlist against articles already in the store. These are existing
+    // stories, so they are recorded as read and are never alerted on.
+    async backfillMatches(watchlist) {
+        const compiled = this.compile(watchlist);
+        const owner = await getQuery(`
+      SELECT career_field, industries, city, state, country, preferences FROM users WHERE id = ?
+    `, [watchlist.userId]);
+        const { buckets, preferences } = this.ownerView(owner);
+
+        // Narrow the candidates with the search index, then apply the exact rules
+        const match = watchlist.keywords.map(term => `"${term.replace(/"/g, '""')}"`).join(' OR ');
+        const rows = await allQuery(`
+      SELECT n.id, n.title, n.description, n.url, n.source_name
+      FROM news_articles_fts
+      JOIN news_articles n ON n.rowid = news_articles_fts.rowid
+      WHERE news_articles_fts MATCH ?
+        AND EXISTS (
+          SELECT 1 FROM article_placements p
+          WHERE p.article_id = n.id AND (${buckets.map(() => '(p.bucket = ? AND p.bucket_value = ?)').join(' OR ')})
+        )
+      ORDER BY n.published_at DESC
+      LIMIT ?
+    `, [match, ...buckets.flatMap(({ bucket, value }) => [bucket, value]), BACKFILL_LIMIT]);
+
+        for (const row of newsService.applyPreferenceFilters(rows, preferences)) {
+            const matchedTerms = this.matchArticle(compiled, row);
+            if (matchedTerms) {
+                await runQuery(`
+          INSERT OR IGNORE INTO watchlist_matches (watchlist_id, article_id, matched_terms, read_at, emailed_at)
+          VALUES (?, ?, ?, datetime('now'), datetime('now'))
+        `, [watchlist.id, row.id, JSON.stringify(matchedTerms)]);
+            }
+        }
+    }
+
+    // Compiled watchlists of every user with their owner's view, for the ingestion job to tag articles with
+    async loadMatchers() {
+        const rows = await allQuery(`
+      SELECT w.*, u.career_field, u.industries, u.city, u.state, u.country, u.preferences
+      FROM watchlists w
+      JOIN users u ON u.id = w.user_id
+    `);
+
+        return rows.map(row => {
+            const { buckets, preferences } = this.ownerView(row);
+            return {
+                ...this.compile(this.rowToWatchlist(row)),
+                buckets: new Set(buckets.map(({ bucket, value }) => `${bucket}:${value}`)),
+                preferences
+            };
+        });
+    }
+
+    // Called by the ingestion job for each article it places in a bucket; new matches become in-app alerts
+    async tagArticle(matchers, article, { bucket, value }) {
+        const placement = `${bucket}:${newsService.normalizePlacementValue(value)}`;
+
+        let created = 0;
+        for (const matcher of matchers) {
+            if (!matcher.buckets.has(placement)) continue;
+            if (newsService.applyPreferenceFilters([article], matcher.preferences).length === 0) continue;
+
+            const matchedTerms = this.matchArticle(matcher, article);
+            if (!matchedTerms) continue;
+
+            const result = await runQuery(`
+        INSERT OR IGNORE INTO watchlist_matches (watchlist_id, article_id, matched_terms)
+        VALUES (?, ?, ?)
+      `, [matcher.id, article.id, JSON.stringify(matchedTerms)]);
+
+            if (result.changes > 0) {
+                created++;
+                newsStreamService.publishAlert(matcher.userId, {
+                    watchlistId: matcher.id,
+                    watchlistName: matcher.name,
+                    matchedTerms,
+                    article
+                });
+            }
+        }
+        return created;
+    }
+
+    // filters: { unread (true/false), limit, offset }
+    async listMatchedArticles(userId, watchlistId, filters = {}) {
+        const conditions = ['m.watchlist_id = ?', 'w.user_id = ?'];
+        const params = [watchlistId, userId];
+
+        if (filters.unread === true) {
+            conditions.push('m.read_at IS NULL');
+        } else if (filters.unread === false) {
+            conditions.push('m.read_at IS NOT NULL');
+        }
+
+        const where = conditions.join(' AND ');
+        const total = await getQuery(`
+      SELECT COUNT(*) AS count
+      FROM watchlist_matches m
+      JOIN watchlists w ON w.id = m.watchlist_id
+      JOIN news_articles n ON n.id = m.article_id
+      WHERE ${where}
+    `, params);
+
+        const rows = await allQuery(`
+      SELECT n.*, m.matched_terms, m.matched_at, m.read_at AS alert_read_at
+      FROM watchlist_matches m
+      JOIN watchlists w ON w.id = m.watchlist_id
+      JOIN news_articles n ON n.id = m.article_id
+      WHERE ${where}
+      ORDER BY n.published_at DESC
+      LIMIT ? OFFSET ?
+    `, [...params, filters.limit || 20, filters.offset || 0]);
+
+        return {
+            articles: rows.map(row => ({
+                ...newsService.rowToArticle(row),
+                matched_terms: JSON.parse(row.matched_terms),
+                matched_at: row.matched_at,
+                unread: !row.alert_read_at
+            })),
+            total: total.count
+        };
+    }
+
+    // Unread matches across all of the user's watchlists, newest first
+    async listAlerts(userId, limit = 50) {
+        const rows = await allQuery(`
+      SELECT n.*, m.watchlist_id, w.name AS watchlist_name, m.matched_terms, m.matched_at
+      FROM watchlist_matches m
+      JOIN watchlists w ON w.id = m.watchlist_id
+      JOIN news_articles n ON n.id = m.article_id
+      WHERE w.user_id = ? AND m.read_at IS NULL
+      ORDER BY m.matched_at DESC
+      LIMIT ?
+    `, [userId, limit]);
+
+        const unread = await getQuery(`
+      SELECT COUNT(*) AS count
+      FROM watchlist_matches m
+      JOIN watchlists w ON w.id = m.watchlist_id
+      WHERE w.user_id = ? AND m.read_at IS NULL
+    `, [userId]);
+
+        return {
+            alerts: rows.map(row => ({
+                watchlistId: row.watchlist_id,
+                watchlistName: row.watchlist_name,
+                matchedTerms: JSON.parse(row.matched_terms),
+                matchedAt: row.matched_at,
+                article: newsService.rowToArticle(row)
+            })),
+            unreadCount: unread.count
+        };
+    }
+
+    // Mark alerts read, optionally only those of one watchlist or for one article
+    async markAlertsRead(userId, { watchlistId = null, articleId = null } = {}) {
+        const result = await runQuery(`
+      UPDATE watchlist_matches SET read_at = datetime('now')
+      WHERE read_at IS NULL
+        AND watchlist_id IN (SELECT id FROM watchlists WHERE user_id = ? AND id = COALESCE(?, id))
+        AND article_id = COALESCE(?, article_id)
+    `, [userId, watchlistId, articleId]);
+        return result.changes;
+    }
+
+    // Email each user one message with their recent, unread and not yet emailed matches
+    async sendAlertEmails() {
+        const rows = await allQuery(`
+      SELECT m.watchlist_id, m.article_id, w.name AS watchlist_name, w.user_id,
+             u.email, u.first_name, u.preferences,
+             n.title, n.url, n.source_name, n.published_at
+      FROM watchlist_matches m
+      JOIN watchlists w ON w.id = m.watchlist_id
+      JOIN users u ON u.id = w.user_id
+      JOIN news_articles n ON n.id = m.article_id
+      WHERE m.emailed_at IS NULL AND m.read_at IS NULL AND w.email_alerts = 1
+        AND u.email_verified_at IS NOT NULL AND u.suspended_at IS NULL AND u.deletion_requested_at IS NULL
+        AND m.matched_at > datetime('now', '-${ALERT_EMAIL_WINDOW_HOURS} hours')
+      ORDER BY u.id, m.matched_at DESC
+    `);
+
+        const byUser = new Map();
+        for (const row of rows) {
+            if (!byUser.has(row.user_id)) byUser.set(row.user_id, []);
+            byUser.get(row.user_id).push(row);
+        }
+
+        let sent = 0;
+        for (const [userId, matches] of byUser) {
+            const preferences = normalizePreferences(JSON.parse(matches[0].preferences || '{}'));
+            if (!preferences.emailNotifications) continue;
+
+            const watchlists = new Map();
+            for (const match of matches.slice(0, MAX_ALERTS_PER_EMAIL)) {
+                if (!watchlists.has(match.watchlist_id)) {
+                    watchlists.set(match.watchlist_id, { name: match.watchlist_name, articles: [] });
+                }
+                watchlists.get(match.watchlist_id).articles.push(match);
+            }
+
+            try {
+                await mailer.send({
+                    to: matches[0].email,
+                    ...renderWatchlistAlert({
+                        firstName: matches[0].first_name,
+                        watchlists: [...watchlists.values()],
+                        totalMatches: matches.length,
+                        appUrl: APP_URL
+                    })
+                });
+
+                await runQuery(`
+          UPDATE watchlist_matches SET emailed_at = datetime('now')
+          WHERE emailed_at IS NULL AND watchlist_id IN (SELECT id FROM watchlists WHERE user_id = ?)
+        `, [userId]);
+                sent++;
+            } catch (error) {
+                console.error(`Error sending watchlist alert email to user ${userId}:`, error.message);
+            }
+        }
+
+        return sent;
+    }
+
+    rowToWatchlist(row) {
+        const watchlist = {
+            id: row.id,
+            userId: row.user_id,
+            name: row.name,
+            keywords: JSON.parse(row.keywords || '[]'),
+            matchMode: row.match_mode,
+            excludeTerms: JSON.parse(row.exclude_terms || '[]'),
+            emailAlerts: Boolean(row.email_alerts),
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        };
+
+        if (row.match_count !== undefined) {
+            watchlist.matchCount = row.match_count;
+            watchlist.unreadCount = row.unread_count;
+        }
+
+        return watchlist;
+    }
+}
+
+module.exports = new WatchlistService();
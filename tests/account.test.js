@@ -0,0 +1,86 @@
+const mailer = require('../services/mailer');
+const { request, startApp, stopApp, registerUser } = require('./helpers');
+
+let app;
+let user;
+
+beforeAll(async () => {
+    app = await startApp();
+    user = await registerUser();
+});
+afterAll(stopApp);
+afterEach(() => jest.restoreAllMocks());
+
+// Reset emails go out after the response, so wait for them
+async function resetMails(send) {
+    const sent = () => send.mock.calls.map(([message]) => message)
+        .filter(message => message.subject === 'Reset your NewsMini password');
+    for (let attempt = 0; attempt < 50 && sent().length === 0; attempt++) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    return sent();
+}
+
+describe('password reset', () => {
+    test('answers the same for registered and unknown addresses, even when mail fails', async () => {
+        const send = jest.spyOn(mailer, 'send').mockRejectedValue(new Error('SMTP 421'));
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        const known = await request(app).post('/api/auth/forgot-password').send({ email: user.email });
+        const unknown = await request(app).post('/api/auth/forgot-password').send({ email: 'nobody@example.com' });
+
+        expect(known.status).toBe(200);
+        expect(unknown.status).toBe(200);
+        expect(known.body).toEqual(unknown.body);
+        expect((await resetMails(send)).map(message => message.to)).toEqual([user.email]);
+    });
+
+    test('the emailed link resets the password once', async () => {
+        const send = jest.spyOn(mailer, 'send').mockResolvedValue({ id: 'test' });
+
+        await request(app).post('/api/auth/forgot-password').send({ email: user.email });
+        const [message] = await resetMails(send);
+        const token = decodeURIComponent(message.text.match(/\?reset=([^\s]+)/)[1]);
+
+        const reset = await request(app).post('/api/auth/reset-password').send({ token, password: 'N3w-passw0rd' });
+        expect(reset.status).toBe(200);
+
+        const reused = await request(app).post('/api/auth/reset-password').send({ token, password: 'An0ther-one' });
+        expect(reused.status).toBe(400);
+
+        const login = await request(app).post('/api/auth/login').send({ email: user.email, password: 'N3w-passw0rd' });
+        expect(login.status).toBe(200);
+    });
+});
+
+describe('mail transport', () => {
+    const env = { ...process.env };
+    afterEach(() => {
+        process.env = { ...env };
+    });
+
+    function loadMailer(variables) {
+        Object.assign(process.env, variables);
+        let isolated;
+        jest.isolateModules(() => {
+            isolated = require('../services/mailer');
+        });
+        return isolated;
+    }
+
+    test('falls back to console outside production', () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        const fallback = loadMailer({ NODE_ENV: 'development', MAIL_TRANSPORT: 'smtp', SMTP_HOST: '' });
+        expect(fallback.getTransport().name).toBe('console');
+        expect(console.warn).toHaveBeenCalledWith('Mail transport "smtp" is not configured, using console');
+    });
+
+    test('refuses an unconfigured or unknown transport in production', () => {
+        expect(() => loadMailer({ NODE_ENV: 'production', MAIL_TRANSPORT: 'smtp', SMTP_HOST: '' }).getTransport())
+            .toThrow('Mail transport "smtp" is not configured');
+        expect(() => loadMailer({ NODE_ENV: 'production', MAIL_TRANSPORT: 'pigeon' }).getTransport())
+            .toThrow('Unknown mail transport "pigeon" in MAIL_TRANSPORT');
+        expect(loadMailer({ NODE_ENV: 'production', MAIL_TRANSPORT: 'file' }).getTransport().name).toBe('file');
+    });
+});
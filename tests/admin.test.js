@@ -0,0 +1,135 @@
+const moment = require('moment');
+const newsService = require('../services/newsService');
+const ingestionService = require('../services/ingestionService');
+const { PASSWORD, request, startApp, stopApp, registerUser, makeAdmin, providerArticle, stubProviders } = require('./helpers');
+
+let app;
+let admin;
+let member;
+
+beforeAll(async () => {
+    app = await startApp();
+    admin = await registerUser({ firstName: 'Ada' });
+    await makeAdmin(admin);
+    member = await registerUser({ firstName: 'Morgan' });
+});
+afterAll(stopApp);
+afterEach(() => jest.restoreAllMocks());
+
+const signIn = () => request(app).post('/api/auth/login').send({ email: member.email, password: PASSWORD });
+
+describe('admin access', () => {
+    test('admin routes are refused to other users', async () => {
+        expect((await request(app).get('/api/admin/users').set(member.auth)).status).toBe(403);
+        expect((await request(app).get('/api/admin/users')).status).toBe(401);
+    });
+});
+
+describe('user management', () => {
+    test('accounts can be searched and filtered by status', async () => {
+        const response = await request(app).get('/api/admin/users').query({ q: 'morgan' }).set(admin.auth);
+
+        expect(response.status).toBe(200);
+        expect(response.body.users).toEqual([expect.objectContaining({ id: member.id, role: 'user', suspended: false })]);
+        expect(response.body.users[0].activeSessions).toBeGreaterThan(0);
+
+        expect((await request(app).get('/api/admin/users').query({ status: 'gone' }).set(admin.auth)).status).toBe(400);
+    });
+
+    test('suspending an account ends its sessions and blocks sign-in until lifted', async () => {
+        const response = await request(app).post(`/api/admin/users/${member.id}/suspend`).set(admin.auth)
+            .send({ reason: 'Spam' });
+        expect(response.status).toBe(200);
+        expect(response.body.user).toMatchObject({ suspended: true, suspendedReason: 'Spam', activeSessions: 0 });
+
+        expect((await request(app).get('/api/auth/verify').set(member.auth)).status).toBe(401);
+        const refused = await signIn();
+        expect(refused.status).toBe(403);
+        expect(refused.body.code).toBe('account_suspended');
+
+        const filtered = await request(app).get('/api/admin/users').query({ status: 'suspended' }).set(admin.auth);
+        expect(filtered.body.users.map(user => user.id)).toEqual([member.id]);
+
+        expect((await request(app).post(`/api/admin/users/${member.id}/unsuspend`).set(admin.auth)).status).toBe(200);
+        expect((await signIn()).status).toBe(200);
+    });
+
+    test('admins cannot suspend themselves', async () => {
+        const response = await request(app).post(`/api/admin/users/${admin.id}/suspend`).set(admin.auth);
+
+        expect(response.status).toBe(400);
+    });
+
+    test('a user can be signed out everywhere', async () => {
+        const session = (await signIn()).body;
+
+        const response = await request(app).delete(`/api/admin/users/${member.id}/sessions`).set(admin.auth);
+        expect(response.body.revoked).toBeGreaterThan(0);
+
+        expect((await request(app).get('/api/auth/verify').set({ Authorization: `Bearer ${session.token}` })).status).toBe(401);
+        expect((await request(app).delete('/api/admin/users/unknown/sessions').set(admin.auth)).status).toBe(404);
+    });
+});
+
+describe('operations', () => {
+    let older;
+    let newer;
+
+    beforeAll(async () => {
+        newer = providerArticle({ title: 'Freight rates ease' });
+        older = providerArticle({ title: 'Port strike averted' });
+        // A local article too, so feed requests read the store instead of ingesting the profile again
+        const local = providerArticle({ title: 'Austin warehouse opens' });
+        stubProviders(query => (query === 'global business economy' ? [newer, older] : query === 'Austin business' ? [local] : []));
+        await ingestionService.runIngestion();
+    });
+
+    const globalTitles = async () => (await request(app).get('/api/news/category/global').set(admin.auth)).body.articles
+        .map(article => article.title);
+
+    test('ingestion status shows the last run and what the store holds', async () => {
+        const response = await request(app).get('/api/admin/ingestion').set(admin.auth);
+
+        expect(response.status).toBe(200);
+        expect(response.body.ingestion.running).toBe(false);
+        expect(response.body.ingestion.lastScheduledRun).toMatchObject({ trigger: 'scheduled', articles: 3, failedTasks: 0 });
+        expect(response.body.ingestion.store.articles).toBe(3);
+    });
+
+    test('a pinned article stays on top of the feed until unpinned', async () => {
+        const { id } = newsService.processArticle(older);
+        expect(await globalTitles()).toEqual(['Freight rates ease', 'Port strike averted']);
+
+        const past = await request(app).post(`/api/admin/articles/${id}/pin`).set(admin.auth)
+            .send({ until: moment().subtract(1, 'hour').toISOString() });
+        expect(past.status).toBe(400);
+
+        const pinned = await request(app).post(`/api/admin/articles/${id}/pin`).set(admin.auth)
+            .send({ until: moment().add(1, 'day').toISOString() });
+        expect(pinned.status).toBe(200);
+        expect(await globalTitles()).toEqual(['Port strike averted', 'Freight rates ease']);
+
+        expect((await request(app).delete(`/api/admin/articles/${id}/pin`).set(admin.auth)).status).toBe(200);
+        expect(await globalTitles()).toEqual(['Freight rates ease', 'Port strike averted']);
+    });
+
+    test('a purged article leaves every feed', async () => {
+        const { id } = newsService.processArticle(newer);
+
+        expect((await request(app).delete(`/api/admin/articles/${id}`).set(admin.auth)).status).toBe(200);
+        expect(await globalTitles()).toEqual(['Port strike averted']);
+        expect((await request(app).delete(`/api/admin/articles/${id}`).set(admin.auth)).status).toBe(404);
+    });
+
+    test('the trending topic list can be replaced', async () => {
+        const invalid = await request(app).put('/api/admin/trending-topics').set(admin.auth).send({ topics: [] });
+        expect(invalid.status).toBe(400);
+
+        const response = await request(app).put('/api/admin/trending-topics').set(admin.auth)
+            .send({ topics: ['semiconductors', 'shipping'] });
+        expect(response.body.topics).toEqual(['semiconductors', 'shipping']);
+
+        const listed = await request(app).get('/api/admin/trending-topics').set(admin.auth);
+        expect(listed.body.topics).toEqual(['semiconductors', 'shipping']);
+    });
+});
@@ -0,0 +1,108 @@
+const moment = require('moment');
+const { runQuery } = require('../database/db');
+const newsStreamService = require('../services/newsStreamService');
+const { request, startApp, stopApp, registerUser, openStream, wait } = require('./helpers');
+
+let app;
+let user;
+
+beforeAll(async () => {
+    app = await startApp();
+    user = await registerUser();
+});
+afterAll(stopApp);
+
+async function createKey(fields) {
+    const response = await request(app).post('/api/auth/api-keys').set(user.auth)
+        .send({ name: 'Script', scopes: ['news:read'], ...fields });
+    expect(response.status).toBe(201);
+    return { ...response.body.apiKey, key: response.body.key, auth: { Authorization: `Bearer ${response.body.key}` } };
+}
+
+describe('personal API keys', () => {
+    test('a key works only on endpoints that allow its scope', async () => {
+        const apiKey = await createKey();
+        expect(apiKey.key).toMatch(/^nmk_/);
+
+        expect((await request(app).get('/api/news/sources').set(apiKey.auth)).status).toBe(200);
+
+        const profile = await request(app).get('/api/user/profile').set(apiKey.auth);
+        expect(profile.status).toBe(403);
+        expect(profile.body.code).toBe('insufficient_scope');
+
+        const sessions = await request(app).get('/api/auth/sessions').set(apiKey.auth);
+        expect(sessions.status).toBe(403);
+        expect(sessions.body.code).toBe('api_key_not_allowed');
+    });
+
+    test('expired and revoked keys are refused', async () => {
+        const expiring = await createKey({ name: 'Expiring' });
+        await runQuery("UPDATE api_keys SET expires_at = datetime('now', '-1 minute') WHERE id = ?", [expiring.id]);
+        expect((await request(app).get('/api/news/sources').set(expiring.auth)).status).toBe(401);
+
+        const revoked = await createKey({ name: 'Revoked' });
+        expect((await request(app).delete(`/api/auth/api-keys/${revoked.id}`).set(user.auth)).status).toBe(200);
+        expect((await request(app).get('/api/news/sources').set(revoked.auth)).status).toBe(401);
+    });
+
+    describe('news stream', () => {
+        let server;
+
+        beforeAll(done => {
+            server = app.listen(0, () => done());
+        });
+        afterAll(done => {
+            server.closeAllConnections();
+            server.close(() => done());
+        });
+
+        test('stays open for a key without an expiry and delivers events', async () => {
+            const apiKey = await createKey({ name: 'Dashboard' });
+            const stream = await openStream(server, apiKey.auth);
+
+            try {
+                expect(stream.status).toBe(200);
+                await wait(200);
+                expect(stream.ended).toBe(false);
+                expect(stream.body).toContain('event: ready');
+
+                newsStreamService.publishAlert(user.id, { watchlist: 'Chips' });
+                await wait(50);
+                expect(stream.body).toContain('event: alert\ndata: {"watchlist":"Chips"}');
+            } finally {
+                stream.close();
+            }
+        });
+
+        test('stays open for a key that expires later', async () => {
+            const apiKey = await createKey({ name: 'Quarterly', expiresAt: moment.utc().add(90, 'days').toISOString() });
+            const stream = await openStream(server, apiKey.auth);
+
+            try {
+                await wait(200);
+                expect(stream.status).toBe(200);
+                expect(stream.ended).toBe(false);
+            } finally {
+                stream.close();
+            }
+        });
+
+        test('closes once its key is revoked', async () => {
+            const apiKey = await createKey({ name: 'Wallboard' });
+            const stream = await openStream(server, apiKey.auth);
+
+            try {
+                await wait(100);
+                expect(stream.ended).toBe(false);
+
+                expect((await request(app).delete(`/api/auth/api-keys/${apiKey.id}`).set(user.auth)).status).toBe(200);
+                newsStreamService.publish();
+                await wait(100);
+
+                expect(stream.ended).toBe(true);
+            } finally {
+                stream.close();
+            }
+        });
+    });
+});
@@ -0,0 +1,65 @@
+const { canonicalizeUrl, generateArticleId, titleSimilarity, dedupeArticles } = require('../services/articleIdentity');
+const { request, startApp, stopApp, registerUser, providerArticle, stubProviders } = require('./helpers');
+
+describe('article identity', () => {
+    test('canonical URLs drop tracking, AMP and host variants', () => {
+        expect(canonicalizeUrl('http://www.example.com/markets/story/?utm_source=x&b=2&a=1&fbclid=abc'))
+            .toBe('https://example.com/markets/story?a=1&b=2');
+        expect(canonicalizeUrl('https://amp.example.com/markets/story/amp')).toBe('https://example.com/markets/story');
+        expect(canonicalizeUrl('https://example-com.cdn.ampproject.org/c/s/example.com/markets/story.amp.html'))
+            .toBe('https://example.com/markets/story.html');
+    });
+
+    test('every variant of a URL gets the same article id', () => {
+        const id = generateArticleId('https://example.com/markets/story');
+        expect(generateArticleId('https://www.example.com/markets/story/?utm_campaign=daily')).toBe(id);
+        expect(generateArticleId('https://example.com/markets/other-story')).not.toBe(id);
+    });
+
+    test('syndicated copies fold into the first one as alternate sources', () => {
+        expect(titleSimilarity('Fed holds rates steady - Reuters', 'Fed holds rates steady | Bloomberg')).toBe(1);
+
+        const articles = dedupeArticles([
+            { id: '1', title: 'Fed holds interest rates steady', url: 'https://a.example.com/1', source_name: 'A' },
+            { id: '2', title: 'Fed holds interest rates steady - Wire', url: 'https://b.example.com/2', source_name: 'B' },
+            { id: '3', title: 'Oil prices slide on supply glut', url: 'https://c.example.com/3', source_name: 'C' }
+        ]);
+
+        expect(articles.map(article => article.id)).toEqual(['1', '3']);
+        expect(articles[0].alternate_sources).toEqual([{ name: 'B', url: 'https://b.example.com/2' }]);
+    });
+});
+
+describe('deduplicated feed', () => {
+    let app;
+    let user;
+
+    beforeAll(async () => {
+        app = await startApp();
+        user = await registerUser();
+    });
+    afterAll(stopApp);
+
+    test('a story from several providers and outlets shows up once, listing the other outlets', async () => {
+        const story = providerArticle({ title: 'Chipmakers rally as demand surges', url: 'https://wire.example.com/chips' });
+        const copy = providerArticle({
+            title: 'Chipmakers rally as demand surges - Daily Ledger',
+            url: 'https://ledger.example.com/markets/chips-rally',
+            source: { name: 'Daily Ledger', url: 'https://ledger.example.com' },
+            publishedAt: story.publishedAt
+        });
+        stubProviders((query, provider) => query !== 'global business economy' ? []
+            : provider.name === 'newsapi'
+                ? [story]
+                : [{ ...story, url: `${story.url}?utm_source=marketaux`, provider: 'marketaux' }, copy]);
+
+        const response = await request(app).get('/api/news/personalized').set(user.auth);
+
+        expect(response.status).toBe(200);
+        const chips = response.body.news.global.filter(article => article.title.startsWith('Chipmakers rally'));
+        expect(chips).toHaveLength(1);
+        // The utm_ copy is the same article; the other outlet's copy is listed alongside it
+        expect(chips[0].url).toBe(story.url);
+        expect(chips[0].alternate_sources).toEqual([{ name: 'Daily Ledger', url: copy.url }]);
+    });
+});
@@ -0,0 +1,131 @@
+const { runQuery } = require('../database/db');
+const newsService = require('../services/newsService');
+const { request, startApp, stopApp, registerUser, providerArticle } = require('./helpers');
+
+let app;
+let user;
+let other;
+
+beforeAll(async () => {
+    app = await startApp();
+    user = await registerUser();
+    other = await registerUser();
+});
+afterAll(stopApp);
+
+const listTitles = async (query = {}) => {
+    const response = await request(app).get('/api/news/bookmarks').query(query).set(user.auth);
+    expect(response.status).toBe(200);
+    return response.body.bookmarks.map(bookmark => bookmark.title);
+};
+
+describe('bookmark snapshots', () => {
+    test('a bookmark keeps the article after it leaves the store', async () => {
+        const article = newsService.processArticle(providerArticle({ title: 'Rates on hold' }), { category: 'business' });
+        await newsService.saveArticleToCache(article);
+
+        const created = await request(app).post('/api/news/bookmark').set(user.auth).send({ articleId: article.id });
+        expect(created.status).toBe(200);
+
+        await runQuery("UPDATE news_articles SET last_seen_at = datetime('now', '-60 days') WHERE id = ?", [article.id]);
+        await newsService.refreshNewsCache();
+
+        const response = await request(app).get('/api/news/bookmarks').set(user.auth);
+        expect(response.body.bookmarks).toEqual([
+            expect.objectContaining({ article_id: article.id, title: 'Rates on hold', url: article.url, is_read: false })
+        ]);
+    });
+
+    test('articles that are not in the store need a title and URL from the client', async () => {
+        const missing = await request(app).post('/api/news/bookmark').set(user.auth).send({ articleId: 'gone-1' });
+        expect(missing.status).toBe(400);
+
+        const created = await request(app).post('/api/news/bookmark').set(user.auth)
+            .send({ articleId: 'gone-1', title: 'Archived story', url: 'https://news.example.com/archived' });
+        expect(created.status).toBe(200);
+        expect(created.body.bookmark).toMatchObject({ title: 'Archived story', url: 'https://news.example.com/archived' });
+
+        const duplicate = await request(app).post('/api/news/bookmark').set(user.auth).send({ articleId: 'gone-1' });
+        expect(duplicate.status).toBe(400);
+        expect(duplicate.body.bookmarkId).toBe(created.body.bookmarkId);
+    });
+
+    test('links from the client must be http(s)', async () => {
+        const script = await request(app).post('/api/news/bookmark').set(other.auth)
+            .send({ articleId: 'gone-3', title: 'Planted', url: 'javascript:alert(document.cookie)' });
+        expect(script.status).toBe(400);
+
+        const created = await request(app).post('/api/news/bookmark').set(other.auth).send({
+            articleId: 'gone-3',
+            title: 'Planted',
+            url: 'https://news.example.com/planted',
+            imageUrl: 'data:image/svg+xml,<svg onload=alert(1)>'
+        });
+        expect(created.status).toBe(200);
+        expect(created.body.bookmark).toMatchObject({ url: 'https://news.example.com/planted', image_url: null });
+    });
+});
+
+describe('organizing bookmarks', () => {
+    let folder;
+    let bookmark;
+
+    beforeAll(async () => {
+        folder = (await request(app).post('/api/news/bookmarks/folders').set(user.auth).send({ name: 'Research' })).body.folder;
+        bookmark = (await request(app).post('/api/news/bookmark').set(user.auth).send({
+            articleId: 'gone-2',
+            title: 'Chip supply outlook',
+            url: 'https://news.example.com/chips',
+            folderId: folder.id,
+            tags: ['Semis', 'semis', 'supply chain'],
+            note: '  Compare with last quarter  '
+        })).body.bookmark;
+    });
+
+    test('folders, tags and notes are stored normalized', () => {
+        expect(bookmark).toMatchObject({
+            folder_id: folder.id,
+            folder_name: 'Research',
+            tags: ['semis', 'supply chain'],
+            note: 'Compare with last quarter'
+        });
+    });
+
+    test('the list filters by folder, tag, text and read state', async () => {
+        expect(await listTitles({ folder: folder.id })).toEqual(['Chip supply outlook']);
+        expect(await listTitles({ folder: 'none', sort: 'title' })).toEqual(['Archived story', 'Rates on hold']);
+        expect(await listTitles({ tag: 'SEMIS' })).toEqual(['Chip supply outlook']);
+        expect(await listTitles({ q: 'last quarter' })).toEqual(['Chip supply outlook']);
+
+        await request(app).patch(`/api/news/bookmark/${bookmark.id}`).set(user.auth).send({ isRead: true });
+        expect(await listTitles({ read: 'true' })).toEqual(['Chip supply outlook']);
+        expect(await listTitles({ read: 'false' })).not.toContain('Chip supply outlook');
+
+        const invalid = await request(app).get('/api/news/bookmarks').query({ read: 'yes' }).set(user.auth);
+        expect(invalid.status).toBe(400);
+    });
+
+    test('folder names are unique per user', async () => {
+        const duplicate = await request(app).post('/api/news/bookmarks/folders').set(user.auth).send({ name: 'research' });
+        expect(duplicate.status).toBe(400);
+
+        const elsewhere = await request(app).post('/api/news/bookmarks/folders').set(other.auth).send({ name: 'Research' });
+        expect(elsewhere.status).toBe(201);
+    });
+
+    test('other users cannot change or file into someone else\'s bookmarks', async () => {
+        const patch = await request(app).patch(`/api/news/bookmark/${bookmark.id}`).set(other.auth).send({ note: 'mine now' });
+        expect(patch.status).toBe(404);
+
+        const filed = await request(app).post('/api/news/bookmark').set(other.auth)
+            .send({ articleId: 'gone-3', title: 'Story', url: 'https://news.example.com/story', folderId: folder.id });
+        expect(filed.status).toBe(400);
+    });
+
+    test('deleting a folder leaves its bookmarks unfiled', async () => {
+        const response = await request(app).delete(`/api/news/bookmarks/folders/${folder.id}`).set(user.auth);
+        expect(response.status).toBe(200);
+
+        expect(await listTitles({ folder: 'none' })).toContain('Chip supply outlook');
+    });
+});
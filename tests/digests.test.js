@@ -0,0 +1,108 @@
+const { runQuery } = require('../database/db');
+const newsService = require('../services/newsService');
+const digestService = require('../services/digestService');
+const mailer = require('../services/mailer');
+const { request, startApp, stopApp, registerUser, providerArticle } = require('./helpers');
+
+let app;
+let reader;
+let unverified;
+
+beforeAll(async () => {
+    app = await startApp();
+    reader = await registerUser();
+    unverified = await registerUser();
+    await runQuery("UPDATE users SET email_verified_at = datetime('now') WHERE id = ?", [reader.id]);
+});
+afterAll(stopApp);
+afterEach(() => jest.restoreAllMocks());
+
+async function storeArticle(title, bucket, value = '') {
+    const article = newsService.processArticle(providerArticle({ title }), { category: 'business' });
+    await newsService.saveArticleToCache(article);
+    await newsService.savePlacement(article, bucket, value);
+}
+
+// Digests sent during a run; the verification emails from registration are left out
+async function runDigests(date) {
+    const send = jest.spyOn(mailer, 'send').mockResolvedValue({ id: 'test' });
+    const run = await digestService.runDigests('daily', date);
+    const digests = send.mock.calls.map(([message]) => message).filter(message => message.headers?.['List-Unsubscribe']);
+    send.mockRestore();
+    return { run, digests };
+}
+
+describe('daily digest', () => {
+    let digest;
+
+    beforeAll(async () => {
+        await storeArticle('Austin council approves budget', 'local', 'Austin');
+        await storeArticle('Global markets steady', 'global');
+
+        const { run, digests } = await runDigests(new Date('2026-03-02T07:00:00Z'));
+        expect(run).toMatchObject({ periodKey: '2026-03-02', sent: 1, failed: 0 });
+        [digest] = digests;
+    });
+
+    test('goes to verified subscribers with their local and global stories', () => {
+        expect(digest.to).toBe(reader.email);
+        expect(digest.html).toContain('Austin council approves budget');
+        expect(digest.text).toContain('Global markets steady');
+    });
+
+    test('carries a signed one-click unsubscribe link', () => {
+        const url = digestService.unsubscribeUrl(reader.id);
+
+        expect(digest.headers).toEqual({
+            'List-Unsubscribe': `<${url}>`,
+            'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+        });
+        expect(digest.text).toContain(url);
+    });
+
+    test('is sent once per period and never repeats an article', async () => {
+        expect((await runDigests(new Date('2026-03-02T18:00:00Z'))).digests).toEqual([]);
+
+        const nothingNew = await runDigests(new Date('2026-03-03T07:00:00Z'));
+        expect(nothingNew.digests).toEqual([]);
+        expect(nothingNew.run.skipped).toBe(1);
+
+        await storeArticle('Austin transit line opens', 'local', 'Austin');
+        const { digests } = await runDigests(new Date('2026-03-04T07:00:00Z'));
+        expect(digests).toHaveLength(1);
+        expect(digests[0].text).toContain('Austin transit line opens');
+        expect(digests[0].text).not.toContain('Austin council approves budget');
+    });
+});
+
+describe('/api/digest/unsubscribe', () => {
+    test('rejects links with a signature for someone else', async () => {
+        const query = { user: reader.id, sig: digestService.signUnsubscribe(unverified.id) };
+
+        expect((await request(app).get('/api/digest/unsubscribe').query(query)).status).toBe(400);
+        expect((await request(app).post('/api/digest/unsubscribe').query(query)).status).toBe(400);
+    });
+
+    test('following the link only asks for confirmation', async () => {
+        const { pathname, search } = new URL(digestService.unsubscribeUrl(reader.id));
+        const response = await request(app).get(`${pathname}${search}`);
+
+        expect(response.status).toBe(200);
+        expect(response.text).toContain(`<form method="post" action="${pathname}${search.replace(/&/g, '&amp;')}">`);
+        const profile = await request(app).get('/api/user/profile').set(reader.auth);
+        expect(profile.body.user.preferences.digestFrequency).not.toBe('off');
+    });
+
+    test('a one-click POST to the List-Unsubscribe URL turns digests off', async () => {
+        const { pathname, search } = new URL(digestService.unsubscribeUrl(reader.id));
+        const response = await request(app).post(`${pathname}${search}`)
+            .type('form').send('List-Unsubscribe=One-Click');
+        expect(response.status).toBe(200);
+
+        const profile = await request(app).get('/api/user/profile').set(reader.auth);
+        expect(profile.body.user.preferences.digestFrequency).toBe('off');
+
+        await storeArticle('Austin library expands hours', 'local', 'Austin');
+        expect((await runDigests(new Date('2026-03-05T07:00:00Z'))).digests).toEqual([]);
+    });
+});
@@ -0,0 +1,106 @@
+const axios = require('axios');
+const newsService = require('../services/newsService');
+const { request, startApp, stopApp, registerUser, providerArticle } = require('./helpers');
+
+const PARAGRAPH = 'Regional lenders reported steady deposit growth this quarter, and analysts said the gains, while modest, ' +
+    'suggest customers are returning after a difficult stretch for the industry.';
+
+const PAGE = `<!DOCTYPE html>
+<html>
+<head>
+  <link rel="canonical" href="/markets/lenders-recover">
+  <meta property="og:image" content="/images/lead.jpg">
+  <meta name="author" content="By Jordan Lee">
+</head>
+<body>
+  <nav><a href="/">Home</a> <a href="/markets">Markets</a></nav>
+  <div class="sidebar"><p>Subscribe to our newsletter for the latest market moves, every single morning.</p></div>
+  <article class="story-body">
+    <h1>Lenders recover</h1>
+    <p>${PARAGRAPH}</p>
+    <p onclick="steal()">${PARAGRAPH} <a href="/data" onmouseover="steal()">See the data</a>.</p>
+    <script>steal()</script>
+    <p>${PARAGRAPH}</p>
+  </article>
+  <footer><p>Copyright Example Media, all rights reserved, 2026.</p></footer>
+</body>
+</html>`;
+
+let app;
+let user;
+
+beforeAll(async () => {
+    app = await startApp();
+    user = await registerUser();
+});
+afterAll(stopApp);
+afterEach(() => jest.restoreAllMocks());
+
+// Article pages have to be on public hosts; an address literal avoids a DNS lookup
+async function storeArticle(url) {
+    const article = newsService.processArticle(providerArticle({ url }), { category: 'business' });
+    await newsService.saveArticleToCache(article);
+    return article;
+}
+
+const getContent = articleId => request(app).get(`/api/news/articles/${articleId}/content`).set(user.auth);
+
+describe('GET /api/news/articles/:id/content', () => {
+    test('extracts the article body, byline, lead image and canonical URL', async () => {
+        const article = await storeArticle('http://93.184.216.40/markets/lenders-recover?ref=home');
+        jest.spyOn(axios, 'get').mockResolvedValue({ status: 200, headers: { 'content-type': 'text/html; charset=utf-8' }, data: PAGE });
+
+        const response = await getContent(article.id);
+
+        expect(response.status).toBe(200);
+        const { content } = response.body;
+        expect(content).toMatchObject({
+            byline: 'Jordan Lee',
+            canonicalUrl: 'http://93.184.216.40/markets/lenders-recover',
+            imageUrl: 'http://93.184.216.40/images/lead.jpg',
+            readingTimeMinutes: 1
+        });
+        expect(content.wordCount).toBeGreaterThan(60);
+        expect(content.html).toContain('<h2>Lenders recover</h2>');
+        expect(content.html).toContain('<a href="http://93.184.216.40/data" target="_blank" rel="noopener noreferrer">See the data</a>');
+        expect(content.html).not.toMatch(/steal|newsletter|Copyright|Markets/);
+
+        // Stored with the article, so the page is fetched once
+        expect((await getContent(article.id)).body.content.html).toBe(content.html);
+        expect(axios.get).toHaveBeenCalledTimes(1);
+    });
+
+    test('a page that can\'t be fetched is reported and not retried right away', async () => {
+        const article = await storeArticle('http://93.184.216.41/gone');
+        jest.spyOn(axios, 'get').mockRejectedValue(Object.assign(new Error('Not Found'), { response: { status: 404 } }));
+
+        const response = await getContent(article.id);
+        expect(response.status).toBe(502);
+        expect(response.body).toMatchObject({ error: 'The article page returned HTTP 404', code: 'extraction_failed', url: article.url });
+
+        expect((await getContent(article.id)).status).toBe(502);
+        expect(axios.get).toHaveBeenCalledTimes(1);
+    });
+
+    test('pages without enough text and non-HTML responses are not turned into reader views', async () => {
+        const short = await storeArticle('http://93.184.216.42/short');
+        jest.spyOn(axios, 'get').mockResolvedValue({ status: 200, headers: { 'content-type': 'text/html' }, data: '<p>Too short.</p>' });
+        expect((await getContent(short.id)).body.error).toBe('No article text was found on the page');
+
+        const pdf = await storeArticle('http://93.184.216.43/report.pdf');
+        axios.get.mockResolvedValue({ status: 200, headers: { 'content-type': 'application/pdf' }, data: '%PDF' });
+        expect((await getContent(pdf.id)).body.error).toBe('The article URL is not a web page');
+    });
+
+    test('articles on private hosts are never fetched', async () => {
+        const article = await storeArticle('http://10.0.0.8/internal');
+        jest.spyOn(axios, 'get');
+
+        expect((await getContent(article.id)).status).toBe(502);
+        expect(axios.get).not.toHaveBeenCalled();
+    });
+
+    test('unknown articles are not found', async () => {
+        expect((await getContent('unknown')).status).toBe(404);
+    });
+});
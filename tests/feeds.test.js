@@ -0,0 +1,106 @@
+const { allQuery } = require('../database/db');
+const newsService = require('../services/newsService');
+const { request, startApp, stopApp, registerUser, providerArticle } = require('./helpers');
+
+let app;
+let user;
+let other;
+
+beforeAll(async () => {
+    app = await startApp();
+    user = await registerUser({ city: 'Austin', state: 'TX' });
+    other = await registerUser();
+
+    for (const [title, bucket, value] of [
+        ['Austin R&D fair opens', 'local', 'Austin'],
+        ['Global shipping costs fall', 'global', '']
+    ]) {
+        const article = newsService.processArticle(providerArticle({ title }), { category: 'business' });
+        await newsService.saveArticleToCache(article);
+        await newsService.savePlacement(article, bucket, value);
+    }
+});
+afterAll(stopApp);
+
+const createFeed = (fields = {}, owner = user) => request(app).post('/api/user/feeds').set(owner.auth).send(fields);
+
+// The path of a feed URL, for requests against the app
+const pathOf = url => new URL(url).pathname;
+
+describe('personal feed URLs', () => {
+    let created;
+
+    beforeAll(async () => {
+        created = (await createFeed()).body;
+    });
+
+    test('the feed renders as RSS, Atom and JSON Feed', async () => {
+        const rss = await request(app).get(pathOf(created.urls.rss));
+        expect(rss.status).toBe(200);
+        expect(rss.headers['content-type']).toBe('application/rss+xml; charset=utf-8');
+        expect(rss.headers['cache-control']).toBe('private, max-age=900');
+        expect(rss.text).toContain('<title>Austin R&amp;D fair opens</title>');
+        expect(rss.text).toContain('<title>Global shipping costs fall</title>');
+
+        const atom = await request(app).get(pathOf(created.urls.atom));
+        expect(atom.headers['content-type']).toBe('application/atom+xml; charset=utf-8');
+        expect(atom.text).toContain(`<id>urn:uuid:${created.feed.id}</id>`);
+
+        const json = await request(app).get(pathOf(created.urls.json));
+        expect(json.headers['content-type']).toBe('application/feed+json; charset=utf-8');
+        const feed = JSON.parse(json.text);
+        expect(feed).toMatchObject({ version: 'https://jsonfeed.org/version/1.1', title: 'NewsMini: My news', feed_url: created.urls.json });
+        expect(feed.items.map(item => item.title).sort()).toEqual(['Austin R&D fair opens', 'Global shipping costs fall']);
+    });
+
+    test('feed readers get 304 for an unchanged feed', async () => {
+        const first = await request(app).get(pathOf(created.urls.rss));
+        const again = await request(app).get(pathOf(created.urls.rss)).set('If-None-Match', first.headers.etag);
+
+        expect(again.status).toBe(304);
+    });
+
+    test('only a hash of the token is stored', async () => {
+        const token = pathOf(created.urls.rss).split('/').pop().replace(/\.rss$/, '');
+        const rows = await allQuery('SELECT token_hash FROM feed_tokens');
+
+        expect(rows.map(row => row.token_hash)).not.toContain(token);
+    });
+
+    test('unknown tokens and formats are not found, revoked feeds are gone', async () => {
+        expect((await request(app).get('/api/feeds/unknown.rss')).status).toBe(404);
+        expect((await request(app).get(pathOf(created.urls.rss).replace(/\.rss$/, '.html'))).status).toBe(404);
+
+        expect((await request(app).delete(`/api/user/feeds/${created.feed.id}`).set(user.auth)).status).toBe(200);
+        expect((await request(app).get(pathOf(created.urls.rss))).status).toBe(410);
+        expect((await request(app).get('/api/user/feeds').set(user.auth)).body.feeds).toEqual([]);
+    });
+});
+
+describe('scoped feeds', () => {
+    test('a category feed has only that section', async () => {
+        const { body } = await createFeed({ scope: 'category', scopeValue: 'global' });
+        expect(body.feed.name).toBe('Global news');
+
+        const feed = JSON.parse((await request(app).get(pathOf(body.urls.json))).text);
+        expect(feed.items.map(item => item.title)).toEqual(['Global shipping costs fall']);
+    });
+
+    test('a bookmark folder feed lists the folder\'s bookmarks', async () => {
+        const folder = (await request(app).post('/api/news/bookmarks/folders').set(user.auth).send({ name: 'Reading list' })).body.folder;
+        await request(app).post('/api/news/bookmark').set(user.auth)
+            .send({ articleId: 'saved-1', title: 'Saved story', url: 'https://news.example.com/saved', folderId: folder.id });
+
+        const { body } = await createFeed({ scope: 'folder', scopeValue: folder.id });
+        const feed = JSON.parse((await request(app).get(pathOf(body.urls.json))).text);
+        expect(feed.title).toBe('NewsMini: Reading list');
+        expect(feed.items.map(item => item.url)).toEqual(['https://news.example.com/saved']);
+
+        expect((await createFeed({ scope: 'folder', scopeValue: folder.id }, other)).status).toBe(400);
+    });
+
+    test('unknown scopes and categories are rejected', async () => {
+        expect((await createFeed({ scope: 'everything' })).status).toBe(400);
+        expect((await createFeed({ scope: 'category', scopeValue: 'sports' })).status).toBe(400);
+    });
+});
@@ -0,0 +1,145 @@
+const axios = require('axios');
+const dns = require('dns').promises;
+const providers = require('../services/providers');
+const { isPrivateAddress } = require('../services/publicUrl');
+const { request, startApp, stopApp, registerUser } = require('./helpers');
+
+const FEED = `<?xml version="1.0"?>
+<rss version="2.0"><channel><title>Public feed</title>
+  <item><title>Hello</title><link>https://public.example.com/hello</link></item>
+</channel></rss>`;
+
+function opml(...urls) {
+    return `<?xml version="1.0"?>
+<opml version="2.0"><head><title>Subscriptions</title></head><body>
+  ${urls.map((url, index) => `<outline type="rss" text="Feed ${index}" xmlUrl="${url}"/>`).join('\n  ')}
+  <outline text="Semiconductors"/>
+</body></opml>`;
+}
+
+let app;
+let user;
+
+beforeAll(async () => {
+    app = await startApp();
+    user = await registerUser();
+});
+afterAll(stopApp);
+afterEach(() => jest.restoreAllMocks());
+
+describe('following feeds', () => {
+    test('OPML import skips feeds on private hosts and keeps public ones', async () => {
+        jest.spyOn(axios, 'get').mockResolvedValue({ status: 200, headers: {}, data: FEED });
+
+        const response = await request(app).post('/api/user/import/opml').set(user.auth)
+            .set('Content-Type', 'text/x-opml')
+            .send(opml('http://127.0.0.1:4555/internal-admin', 'http://169.254.169.254/latest/meta-data', 'http://93.184.216.34/feed'));
+
+        expect(response.status).toBe(200);
+        expect(response.body.feeds.map(feed => feed.url)).toEqual(['http://93.184.216.34/feed']);
+        expect(response.body.topics).toEqual(['Semiconductors']);
+        expect(response.body.skipped.invalidFeeds).toBe(2);
+
+        const exported = await request(app).get('/api/user/export/opml').set(user.auth);
+        expect(exported.text).toContain('xmlUrl="http://93.184.216.34/feed"');
+        expect(exported.text).not.toContain('127.0.0.1');
+        expect(axios.get.mock.calls.map(([url]) => url)).not.toContain('http://127.0.0.1:4555/internal-admin');
+    });
+
+    test('saving the profile rejects a newly followed feed on a private host', async () => {
+        const profile = (await request(app).get('/api/user/profile').set(user.auth)).body.user;
+        const save = followedFeeds => request(app).put('/api/user/profile').set(user.auth).send({
+            ...profile,
+            preferences: { ...profile.preferences, followedFeeds }
+        });
+        const followed = profile.preferences.followedFeeds;
+
+        const rejected = await save([...followed, { title: 'Admin', url: 'http://[::1]:8080/admin' }]);
+        expect(rejected.status).toBe(400);
+        expect(rejected.body.error).toMatch(/not on a public host/);
+
+        expect((await save(followed)).status).toBe(200);
+    });
+});
+
+describe('fetching feeds', () => {
+    const rss = providers.get('rss');
+
+    test('refuses a private feed URL without requesting it', async () => {
+        jest.spyOn(axios, 'get');
+
+        await expect(rss.fetchFeed('http://10.0.0.5/feed.xml')).rejects.toThrow('The URL points to a private address');
+        expect(axios.get).not.toHaveBeenCalled();
+    });
+
+    test('checks every redirect hop and bounds the response size', async () => {
+        jest.spyOn(axios, 'get').mockResolvedValue({
+            status: 302,
+            headers: { location: 'http://169.254.169.254/latest/meta-data/' },
+            data: ''
+        });
+
+        await expect(rss.fetchFeed('http://93.184.216.35/redirecting-feed'))
+            .rejects.toThrow('The URL points to a private address');
+        expect(axios.get).toHaveBeenCalledTimes(1);
+        expect(axios.get).toHaveBeenCalledWith('http://93.184.216.35/redirecting-feed', expect.objectContaining({
+            maxRedirects: 0,
+            maxContentLength: expect.any(Number)
+        }));
+    });
+
+    test('follows redirects between public hosts', async () => {
+        jest.spyOn(axios, 'get')
+            .mockResolvedValueOnce({ status: 301, headers: { location: '/moved.xml' }, data: '' })
+            .mockResolvedValueOnce({ status: 200, headers: {}, data: FEED });
+
+        const articles = await rss.fetchFeed('http://93.184.216.36/old.xml');
+        expect(articles.map(article => article.title)).toEqual(['Hello']);
+        expect(axios.get.mock.calls[1][0]).toBe('http://93.184.216.36/moved.xml');
+    });
+});
+
+describe('address checks', () => {
+    const rss = providers.get('rss');
+
+    test('IPv6 spellings of private IPv4 addresses are private too', () => {
+        for (const address of [
+            '[::ffff:7f00:1]', // http://[::ffff:127.0.0.1]/ as URL parsing writes it
+            '[::ffff:a9fe:a9fe]', // 169.254.169.254
+            '::ffff:10.0.0.1',
+            '::ffff:0:7f00:1',
+            '64:ff9b::a9fe:a9fe', // NAT64
+            '2002:7f00:1::', // 6to4
+            '::1',
+            'fe80::1%eth0',
+            'fd00::1'
+        ]) {
+            expect(isPrivateAddress(address)).toBe(true);
+        }
+        for (const address of ['93.184.216.34', '::ffff:5db8:d822', '64:ff9b::5db8:d822', '2002:5db8:d822::1', '2606:4700::1111']) {
+            expect(isPrivateAddress(address)).toBe(false);
+        }
+    });
+
+    test('bracketed IPv6 feed URLs that map to private addresses are not requested', async () => {
+        jest.spyOn(axios, 'get');
+
+        for (const url of ['http://[::ffff:127.0.0.1]/feed.xml', 'http://[::ffff:a9fe:a9fe]/latest/meta-data/', 'http://[64:ff9b::7f00:1]/']) {
+            await expect(rss.fetchFeed(url)).rejects.toThrow('The URL points to a private address');
+        }
+        expect(axios.get).not.toHaveBeenCalled();
+    });
+
+    test('the request connects to the address that was checked instead of resolving the name again', async () => {
+        jest.spyOn(dns, 'lookup').mockResolvedValue([{ address: '93.184.216.37', family: 4 }]);
+        jest.spyOn(axios, 'get').mockResolvedValue({ status: 200, headers: {}, data: FEED });
+
+        await rss.fetchFeed('http://feeds.example.com/feed.xml');
+
+        const { lookup, proxy } = axios.get.mock.calls[0][1];
+        expect(proxy).toBe(false);
+        const resolved = await new Promise(resolve => lookup('feeds.example.com', {}, (error, address) => resolve(address)));
+        expect(resolved).toBe('93.184.216.37');
+        expect(dns.lookup).toHaveBeenCalledTimes(1);
+    });
+});
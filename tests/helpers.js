@@ -0,0 +1,115 @@
+const http = require('http');
+const request = require('supertest');
+const { initializeDatabase, closeDatabase, runQuery } = require('../database/db');
+const sourceService = require('../services/sourceService');
+const providers = require('../services/providers');
+const app = require('../server');
+
+const PASSWORD = 'Passw0rd!23';
+
+let registered = 0;
+let published = 0;
+
+// Open this test file's in-memory database and load what the server loads at startup
+async function startApp() {
+    await initializeDatabase();
+    await sourceService.load();
+    return app;
+}
+
+async function stopApp() {
+    jest.restoreAllMocks();
+    await closeDatabase();
+}
+
+// A signed-in user: the profile from registration plus its tokens and an Authorization header
+async function registerUser(fields = {}) {
+    const body = {
+        email: `user${++registered}@example.com`,
+        password: PASSWORD,
+        firstName: 'Test',
+        lastName: 'User',
+        careerField: 'technology',
+        city: 'Austin',
+        state: 'TX',
+        country: 'US',
+        ...fields
+    };
+
+    const response = await request(app).post('/api/auth/register').send(body);
+    if (response.status !== 201) {
+        throw new Error(`Registration failed: ${JSON.stringify(response.body)}`);
+    }
+
+    return {
+        ...response.body.user,
+        password: body.password,
+        token: response.body.token,
+        refreshToken: response.body.refreshToken,
+        auth: { Authorization: `Bearer ${response.body.token}` }
+    };
+}
+
+async function makeAdmin(user) {
+    await runQuery("UPDATE users SET role = 'admin' WHERE id = ?", [user.id]);
+}
+
+// A provider article in the shared shape, with a URL no other test article has
+function providerArticle(fields = {}) {
+    published++;
+    return {
+        title: `Test story ${published}`,
+        description: `Description of test story ${published}`,
+        url: `https://news.example.com/stories/${published}`,
+        urlToImage: null,
+        publishedAt: new Date(Date.now() - published * 1000).toISOString(),
+        source: { name: 'Example News', url: 'https://news.example.com' },
+        language: 'en',
+        provider: 'newsapi',
+        ...fields
+    };
+}
+
+// Answer every enabled provider's fetchArticles with articlesFor(query, provider) instead of the network
+function stubProviders(articlesFor = () => []) {
+    return providers.getEnabledProviders().map(provider =>
+        jest.spyOn(provider, 'fetchArticles')
+            .mockImplementation(async (query, pageSize) => (await articlesFor(query, provider)).slice(0, pageSize)));
+}
+
+// Open /api/news/stream on a real socket and collect what arrives until close() is called
+function openStream(server, headers) {
+    return new Promise((resolve, reject) => {
+        const stream = { body: '', ended: false };
+        const req = http.get({ port: server.address().port, path: '/api/news/stream', headers }, res => {
+            stream.status = res.statusCode;
+            res.setEncoding('utf8');
+            res.on('data', chunk => {
+                stream.body += chunk;
+            });
+            res.on('end', () => {
+                stream.ended = true;
+            });
+            resolve(stream);
+        });
+        stream.close = () => req.destroy();
+        req.on('error', error => {
+            if (!stream.ended) reject(error);
+        });
+    });
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+module.exports = {
+    PASSWORD,
+    request,
+    startApp,
+    stopApp,
+    registerUser,
+    makeAdmin,
+    providerArticle,
+    stubProviders,
+    openStream,
+    wait
+};
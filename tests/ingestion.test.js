@@ -0,0 +1,116 @@
+const { getQuery, runQuery } = require('../database/db');
+const newsService = require('../services/newsService');
+const ingestionService = require('../services/ingestionService');
+const { request, startApp, stopApp, registerUser, providerArticle, stubProviders } = require('./helpers');
+
+let app;
+let austin;
+
+beforeAll(async () => {
+    app = await startApp();
+    austin = await registerUser({ city: 'Austin', state: 'TX', careerField: 'technology' });
+    await registerUser({ city: 'Austin', state: 'TX', careerField: 'finance' });
+});
+afterAll(stopApp);
+afterEach(() => jest.restoreAllMocks());
+
+describe('ingestion job', () => {
+    let run;
+    let stubs;
+    const local = providerArticle({ title: 'Austin startup raises a round' });
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        stubs = stubProviders(query => {
+            if (query === 'Austin business') return [local];
+            if (query.startsWith('banking')) throw new Error('HTTP 500');
+            return [];
+        });
+        run = await ingestionService.runIngestion();
+    });
+
+    test('fetches each shared location once and stores what it gets in feed buckets', async () => {
+        const queries = stubs[0].mock.calls.map(([query]) => query);
+        expect(queries.filter(query => query === 'Austin business')).toHaveLength(1);
+        expect(queries).toContain('global business economy');
+
+        const placement = await getQuery(`
+      SELECT bucket, bucket_value FROM article_placements WHERE article_id = ?
+    `, [newsService.processArticle(local).id]);
+        expect(placement).toEqual({ bucket: 'local', bucket_value: 'austin' });
+    });
+
+    test('a failing query is counted without stopping the run', () => {
+        expect(run.failedTasks).toBeGreaterThan(0);
+        expect(run.tasks).toBeGreaterThan(run.failedTasks);
+        expect(run.articles).toBe(1);
+    });
+
+    test('feeds are read from the store without calling the providers', async () => {
+        const calls = stubs[0].mock.calls.length;
+
+        const response = await request(app).get('/api/news/personalized').set(austin.auth);
+        expect(response.status).toBe(200);
+        expect(response.body.news.local.map(article => article.title)).toEqual(['Austin startup raises a round']);
+        expect(stubs[0].mock.calls.length).toBe(calls);
+    });
+
+    test('a run that is already in progress is not started twice', async () => {
+        stubProviders(() => []);
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+
+        const previous = ingestionService.lastRun;
+        const [started, skipped] = await Promise.all([ingestionService.runIngestion(), ingestionService.runIngestion()]);
+        expect(started).not.toBe(previous);
+        expect(skipped).toBe(previous);
+        expect(console.log).toHaveBeenCalledWith('Ingestion already in progress, skipping this run');
+    });
+});
+
+describe('on-demand ingestion', () => {
+    test('a profile fetches only the sections that have nothing stored', async () => {
+        const texas = newsService.processArticle(providerArticle({ title: 'Texas grid expands' }), { category: 'business' });
+        await newsService.saveArticleToCache(texas);
+        await newsService.savePlacement(texas, 'regional', 'Texas');
+        const local = providerArticle({ title: 'Round Rock plant opens' });
+        stubProviders(query => (query === 'Round Rock business' ? [local] : []));
+        const ingest = jest.spyOn(ingestionService, 'ingestProfile');
+
+        const user = await registerUser({ city: 'Round Rock', state: 'TX', careerField: 'technology' });
+        const response = await request(app).get('/api/news/personalized').set(user.auth);
+
+        const fetched = ingest.mock.calls[0][1];
+        expect(fetched).toContainEqual({ bucket: 'local', value: 'round rock' });
+        expect(fetched).not.toContainEqual({ bucket: 'regional', value: 'texas' });
+        expect(response.body.news.local.map(article => article.title)).toEqual(['Round Rock plant opens']);
+        expect(response.body.news.regional.map(article => article.title)).toEqual(['Texas grid expands']);
+    });
+});
+
+describe('retention', () => {
+    test('articles older than the retention window are removed with their placements', async () => {
+        const old = newsService.processArticle(providerArticle({ title: 'Old news' }), { category: 'business' });
+        await newsService.saveArticleToCache(old);
+        await newsService.savePlacement(old, 'global', '');
+        await runQuery("UPDATE news_articles SET last_seen_at = datetime('now', '-60 days') WHERE id = ?", [old.id]);
+
+        await newsService.refreshNewsCache();
+
+        expect(await getQuery('SELECT id FROM news_articles WHERE id = ?', [old.id])).toBeUndefined();
+        expect(await getQuery('SELECT article_id FROM article_placements WHERE article_id = ?', [old.id])).toBeUndefined();
+    });
+
+    test('articles ingestion still sees are kept however long ago they were first stored', async () => {
+        const recurring = newsService.processArticle(providerArticle({ title: 'Long-running story' }), { category: 'business' });
+        await newsService.saveArticleToCache(recurring);
+        await runQuery(`
+      UPDATE news_articles SET created_at = datetime('now', '-60 days'), last_seen_at = datetime('now', '-60 days')
+      WHERE id = ?
+    `, [recurring.id]);
+
+        await newsService.saveArticleToCache(recurring);
+        await newsService.refreshNewsCache();
+
+        expect(await getQuery('SELECT id FROM news_articles WHERE id = ?', [recurring.id])).toEqual({ id: recurring.id });
+    });
+});
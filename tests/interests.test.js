@@ -0,0 +1,97 @@
+const { runQuery } = require('../database/db');
+const newsService = require('../services/newsService');
+const interestService = require('../services/interestService');
+const { request, startApp, stopApp, registerUser, providerArticle, stubProviders } = require('./helpers');
+
+const MINING_WEEKLY = { name: 'Mining Weekly', url: 'https://miningweekly.example.com' };
+
+let app;
+let user;
+
+beforeAll(async () => {
+    app = await startApp();
+    user = await registerUser();
+});
+afterAll(stopApp);
+beforeEach(() => stubProviders());
+afterEach(() => jest.restoreAllMocks());
+
+async function storeGlobal(fields) {
+    const article = newsService.processArticle(providerArticle(fields), { category: 'business' });
+    await newsService.saveArticleToCache(article);
+    await newsService.savePlacement(article, 'global', '');
+    return article;
+}
+
+const globalFeed = async () => {
+    const response = await request(app).get('/api/news/personalized').set(user.auth);
+    expect(response.status).toBe(200);
+    return response.body.news.global;
+};
+
+describe('interest signals', () => {
+    test('time spent reading strengthens a read, up to a cap, and bounces count least', () => {
+        expect(interestService.readingStrength(2)).toBeLessThan(interestService.readingStrength(0));
+        expect(interestService.readingStrength(0)).toBeLessThan(interestService.readingStrength(120));
+        expect(interestService.readingStrength(3600)).toBeLessThan(interestService.readingStrength(0) + 4);
+    });
+
+    test('affinities decay with a half-life', async () => {
+        const other = await registerUser();
+        await runQuery(`
+      INSERT INTO user_interests (user_id, kind, value, weight, updated_at)
+      VALUES (?, 'term', 'copper', 4, datetime('now', '-28 days'))
+    `, [other.id]);
+
+        const { terms } = await interestService.getInterestProfile(other.id);
+        expect(terms.get('copper')).toBeCloseTo(1, 1);
+    });
+});
+
+describe('learned ranking', () => {
+    let lithium;
+
+    beforeAll(async () => {
+        await storeGlobal({ title: 'Airline fares climb' });
+        await storeGlobal({ title: 'Retail sales slip' });
+        // Each test article is published before the previous one, so this is last by recency alone
+        lithium = await storeGlobal({ title: 'Lithium refinery breaks ground', source: MINING_WEEKLY });
+    });
+
+    test('without a learned profile the feed is ranked by recency', async () => {
+        const feed = await globalFeed();
+
+        expect(feed.map(article => article.title)[2]).toBe('Lithium refinery breaks ground');
+        expect(feed[2].explanation).toEqual([{ type: 'global', text: 'Top global business story' }]);
+    });
+
+    test('reading and bookmarking lift matching articles and explain why', async () => {
+        const read = await storeGlobal({ title: 'Lithium prices surge on demand', source: MINING_WEEKLY });
+        const bookmarked = await storeGlobal({ title: 'Lithium miners expand output', source: MINING_WEEKLY });
+        await runQuery('DELETE FROM article_placements WHERE article_id IN (?, ?)', [read.id, bookmarked.id]);
+
+        await request(app).post('/api/news/read').set(user.auth).send({ articleId: read.id, readingTime: 90 });
+        await request(app).post('/api/news/bookmark').set(user.auth).send({ articleId: bookmarked.id });
+
+        const interests = await request(app).get('/api/user/interests').set(user.auth);
+        expect(interests.body.terms[0].value).toBe('lithium');
+        expect(interests.body.sources.map(source => source.value)).toEqual(['mining weekly']);
+
+        const [first] = await globalFeed();
+        expect(first.id).toBe(lithium.id);
+        expect(first.explanation).toEqual(expect.arrayContaining([
+            { type: 'interest', text: expect.stringContaining('lithium') },
+            { type: 'source', text: 'You often read Mining Weekly' }
+        ]));
+    });
+
+    test('resetting the learned profile goes back to recency', async () => {
+        const response = await request(app).delete('/api/user/interests').set(user.auth);
+        expect(response.status).toBe(200);
+        expect(response.body.removed).toBeGreaterThan(0);
+
+        const feed = await globalFeed();
+        expect(feed[2].id).toBe(lithium.id);
+        expect(feed.flatMap(article => article.explanation).map(reason => reason.type)).not.toContain('interest');
+    });
+});
@@ -0,0 +1,131 @@
+const gazetteer = require('../services/gazetteer');
+const newsService = require('../services/newsService');
+const ingestionService = require('../services/ingestionService');
+const { request, startApp, stopApp, registerUser, providerArticle, stubProviders } = require('./helpers');
+
+let app;
+
+beforeAll(async () => {
+    app = await startApp();
+});
+afterAll(stopApp);
+afterEach(() => jest.restoreAllMocks());
+
+async function storePlaced(title, bucket, value) {
+    const article = newsService.processArticle(providerArticle({ title }), { category: 'business' });
+    await newsService.saveArticleToCache(article);
+    await newsService.savePlacement(article, bucket, value);
+}
+
+describe('gazetteer', () => {
+    test('a city expands into its metro area, state and country', () => {
+        expect(gazetteer.resolve({ city: 'round rock', state: 'TX', country: 'USA' })).toEqual({
+            city: 'Round Rock',
+            metro: 'Greater Austin',
+            metroId: 'us-austin',
+            state: 'Texas',
+            stateCode: 'TX',
+            country: 'United States',
+            countryCode: 'US'
+        });
+    });
+
+    test('the state or country given decides between namesakes', () => {
+        expect(gazetteer.resolve({ city: 'Vancouver' })).toMatchObject({ metro: 'Metro Vancouver', state: 'British Columbia' });
+        expect(gazetteer.resolve({ city: 'Vancouver', state: 'WA' })).toMatchObject({ metro: 'Portland metropolitan area', state: 'Washington' });
+        expect(gazetteer.resolve({ city: 'Toronto', state: 'Canada' })).toMatchObject({ state: 'Ontario', country: 'Canada' });
+    });
+
+    test('places it doesn\'t know are kept as typed', () => {
+        expect(gazetteer.resolve({ city: 'Smallville', state: 'Kansas' })).toEqual({
+            city: 'Smallville',
+            metro: null,
+            metroId: null,
+            state: 'Kansas',
+            stateCode: 'KS',
+            country: 'United States',
+            countryCode: 'US'
+        });
+    });
+});
+
+describe('/api/user/locations', () => {
+    let user;
+
+    beforeAll(async () => {
+        user = await registerUser({ city: 'Austin', state: 'TX', country: 'US' });
+        await storePlaced('Austin chipmaker expands', 'local', 'Austin');
+        await storePlaced('Denver airport adds routes', 'local', 'Denver');
+        await storePlaced('Front Range housing cools', 'metro', 'Denver metropolitan area');
+        await storePlaced('Colorado budget passes', 'regional', 'Colorado');
+    });
+
+    const saveLocations = locations => request(app).put('/api/user/locations').set(user.auth).send({ locations });
+
+    test('the profile location is listed first, expanded', async () => {
+        const response = await request(app).get('/api/user/locations').set(user.auth);
+
+        expect(response.status).toBe(200);
+        expect(response.body.locations).toEqual([{
+            name: 'Home',
+            primary: true,
+            label: 'Austin, Texas, United States',
+            city: 'Austin',
+            metro: 'Greater Austin',
+            state: 'Texas',
+            country: 'United States'
+        }]);
+    });
+
+    test('saved locations are validated, named and unique by name', async () => {
+        expect((await saveLocations('Denver')).status).toBe(400);
+        expect((await saveLocations(Array.from({ length: 6 }, (_, i) => ({ city: `Town ${i}` })))).status).toBe(400);
+
+        stubProviders();
+        const response = await saveLocations([
+            { city: ' Denver ', state: 'CO' },
+            { name: 'denver', city: 'Boulder', state: 'CO' },
+            { name: 'Nowhere' }
+        ]);
+        expect(response.status).toBe(200);
+        expect(response.body.savedLocations).toEqual([{ name: 'Denver', city: 'Denver', state: 'CO', country: '' }]);
+    });
+
+    test('saving fetches the sections with nothing stored, and only the local ones of saved locations', async () => {
+        const fetchers = stubProviders();
+        const ingest = jest.spyOn(ingestionService, 'ingestProfile');
+
+        await saveLocations([{ name: 'Office', city: 'Denver', state: 'CO' }]);
+        await ingest.mock.results[0].value;
+
+        const queries = new Set(fetchers[0].mock.calls.map(([query]) => query));
+        expect(queries).toContain('Texas economy');
+        expect(queries).not.toContain('Denver business');
+        expect(queries).not.toContain('Colorado economy');
+    });
+
+    test('the feed has a local section per saved location, labelled with its name', async () => {
+        stubProviders();
+        const response = await request(app).get('/api/news/personalized').set(user.auth);
+
+        expect(response.status).toBe(200);
+        const { local, locations } = response.body.news;
+        expect(local.map(article => article.title)).toEqual(['Austin chipmaker expands']);
+        expect(locations).toHaveLength(1);
+        expect(locations[0]).toMatchObject({ name: 'Office', label: 'Denver, Colorado, United States', metro: 'Denver metropolitan area' });
+        expect(locations[0].articles.map(article => article.title).sort())
+            .toEqual(['Denver airport adds routes', 'Front Range housing cools']);
+        expect(locations[0].articles.find(article => article.location_type === 'local').explanation)
+            .toContainEqual({ type: 'location', text: 'Local business news for Denver (Office)' });
+    });
+});
+
+describe('GET /api/user/locations/search', () => {
+    test('suggests places from the gazetteer', async () => {
+        const user = await registerUser();
+        const response = await request(app).get('/api/user/locations/search').query({ q: 'cedar' }).set(user.auth);
+
+        expect(response.body.places[0]).toMatchObject({ label: 'Cedar Park, Texas, United States', metro: 'Greater Austin' });
+        expect((await request(app).get('/api/user/locations/search').query({ q: 'c' }).set(user.auth)).body.places).toEqual([]);
+    });
+});
@@ -0,0 +1,63 @@
+const { initializeDatabase, closeDatabase, runQuery, getQuery, allQuery } = require('../database/db');
+const migrator = require('../database/migrator');
+
+const helpers = { runQuery, getQuery, allQuery };
+
+const indexNames = async () => (await allQuery("SELECT name FROM sqlite_master WHERE type = 'index'"))
+    .map(row => row.name);
+
+beforeAll(initializeDatabase);
+afterAll(closeDatabase);
+
+describe('schema migrations', () => {
+    test('a new database is brought up to the latest version', async () => {
+        const migrations = await migrator.status(helpers);
+
+        expect(migrations.length).toBeGreaterThan(0);
+        expect(migrations.filter(migration => !migration.appliedAt)).toEqual([]);
+        expect(await migrator.migrate(helpers)).toEqual([]);
+    });
+
+    test('the hot lookups are indexed', async () => {
+        const indexes = await allQuery(`
+      SELECT m.tbl_name AS table_name, i.name AS column_name
+      FROM sqlite_master m, pragma_index_info(m.name) i
+      WHERE m.type = 'index'
+    `);
+
+        expect(indexes).toEqual(expect.arrayContaining([
+            { table_name: 'refresh_tokens', column_name: 'token_hash' },
+            { table_name: 'user_sessions', column_name: 'user_id' },
+            { table_name: 'user_bookmarks', column_name: 'user_id' },
+            { table_name: 'user_reading_history', column_name: 'read_at' }
+        ]));
+    });
+
+    test('every migration rolls back and applies again', async () => {
+        const versions = (await migrator.status(helpers)).map(migration => `${migration.version}_${migration.name}`);
+        const indexes = await indexNames();
+
+        const rolledBack = await migrator.rollback(helpers, versions.length);
+        expect(rolledBack).toEqual([...versions].reverse());
+        expect(await getQuery("SELECT name FROM sqlite_master WHERE name = 'users'")).toBeUndefined();
+
+        expect(await migrator.migrate(helpers)).toEqual(versions);
+        expect((await indexNames()).sort()).toEqual(indexes.sort());
+    });
+
+    test('a failing migration leaves the schema at the previous version', async () => {
+        const [latest] = await migrator.rollback(helpers, 1);
+        const run = jest.spyOn(helpers, 'runQuery');
+        run.mockImplementation(async (sql, params) => {
+            if (/^\s*INSERT INTO schema_migrations/.test(sql)) throw new Error('disk full');
+            return runQuery(sql, params);
+        });
+
+        await expect(migrator.migrate(helpers)).rejects.toThrow('disk full');
+        run.mockRestore();
+
+        const migrations = await migrator.status(helpers);
+        expect(migrations.find(migration => `${migration.version}_${migration.name}` === latest).appliedAt).toBeNull();
+        expect(await migrator.migrate(helpers)).toEqual([latest]);
+    });
+});
@@ -0,0 +1,116 @@
+const newsService = require('../services/newsService');
+const newsStreamService = require('../services/newsStreamService');
+const sessionService = require('../services/sessionService');
+const { startApp, stopApp, registerUser, providerArticle, openStream, wait } = require('./helpers');
+
+let app;
+let server;
+let user;
+
+beforeAll(async () => {
+    app = await startApp();
+    user = await registerUser({ city: 'Austin', state: 'TX' });
+    await new Promise(resolve => {
+        server = app.listen(0, () => resolve());
+    });
+});
+afterAll(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(() => resolve()));
+    await stopApp();
+});
+
+async function placeArticle(title, bucket, value = '') {
+    const article = newsService.processArticle(providerArticle({ title }), { category: 'business' });
+    await newsService.saveArticleToCache(article);
+    await newsService.savePlacement(article, bucket, value);
+    return article;
+}
+
+// The events in a stream body as { id, event, data }, heartbeats and bare id updates left out
+function parseEvents(body) {
+    return body.split('\n\n')
+        .map(block => Object.fromEntries(block.split('\n')
+            .filter(line => /^(id|event|data): /.test(line))
+            .map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)])))
+        .filter(event => event.event)
+        .map(event => ({ ...event, data: JSON.parse(event.data) }));
+}
+
+const streamedTitles = stream => parseEvents(stream.body)
+    .filter(event => event.event === 'articles')
+    .flatMap(event => event.data.articles.map(article => `${article.section}: ${article.title}`));
+
+describe('GET /api/news/stream', () => {
+    test('requires authentication', async () => {
+        const stream = await openStream(server, {});
+        stream.close();
+
+        expect(stream.status).toBe(401);
+    });
+
+    test('pushes newly placed articles from the user\'s buckets only', async () => {
+        const stream = await openStream(server, user.auth);
+
+        try {
+            await wait(100);
+            const [ready] = parseEvents(stream.body);
+            expect(ready.event).toBe('ready');
+            expect(stream.body).toMatch(/^retry: \d+\n/);
+
+            await placeArticle('Austin airport adds routes', 'local', 'Austin');
+            await placeArticle('Denver zoning vote', 'local', 'Denver');
+            await placeArticle('Chip exports rise', 'industry', 'technology');
+            newsStreamService.publish();
+            await wait(100);
+
+            expect(streamedTitles(stream)).toEqual(['local: Austin airport adds routes', 'industry: Chip exports rise']);
+            const last = parseEvents(stream.body).pop();
+            expect(Number(last.id)).toBeGreaterThan(Number(ready.id));
+        } finally {
+            stream.close();
+        }
+    });
+
+    test('a reconnect with Last-Event-ID catches up on what was missed', async () => {
+        const lastEventId = await newsStreamService.latestEventId();
+        await placeArticle('Austin library opens branch', 'local', 'Austin');
+        await placeArticle('Markets close higher', 'global');
+
+        const stream = await openStream(server, { ...user.auth, 'Last-Event-ID': String(lastEventId) });
+        try {
+            await wait(100);
+            expect(streamedTitles(stream)).toEqual(['local: Austin library opens branch', 'global: Markets close higher']);
+        } finally {
+            stream.close();
+        }
+    });
+
+    test('closes once the session it was opened with is revoked', async () => {
+        const other = await registerUser();
+        const stream = await openStream(server, other.auth);
+
+        try {
+            await wait(100);
+            expect(stream.ended).toBe(false);
+
+            await sessionService.revokeAllSessions(other.id);
+            newsStreamService.publish();
+            await wait(100);
+
+            expect(stream.ended).toBe(true);
+        } finally {
+            stream.close();
+        }
+    });
+
+    test('a new connection without Last-Event-ID starts from now', async () => {
+        const stream = await openStream(server, user.auth);
+        try {
+            await wait(100);
+            expect(streamedTitles(stream)).toEqual([]);
+        } finally {
+            stream.close();
+        }
+    });
+});
@@ -0,0 +1,81 @@
+const newsService = require('../services/newsService');
+const { request, startApp, stopApp, registerUser, providerArticle, stubProviders } = require('./helpers');
+
+let app;
+let user;
+
+beforeAll(async () => {
+    app = await startApp();
+    user = await registerUser({ careerField: 'finance', industries: ['fintech'] });
+
+    const stored = [
+        [providerArticle({ title: 'Fintech lender expands' }), 'fintech'],
+        [providerArticle({ title: 'Payments startup plans layoffs' }), 'fintech'],
+        [providerArticle({ title: 'Fintech gossip roundup', source: { name: 'Tabloid Daily', url: 'https://tabloid.example.com' } }), 'fintech'],
+        [providerArticle({ title: 'Neobank wins licence' }), 'fintech'],
+        [providerArticle({ title: 'Fintech-Boom in Berlin', language: 'de' }), 'fintech'],
+        [providerArticle({ title: 'Digital wallets go mainstream' }), 'fintech'],
+        // Career default that the chosen sub-industry replaces
+        [providerArticle({ title: 'Banks report earnings' }), 'banking']
+    ];
+    for (const [article, industry] of stored) {
+        const processed = newsService.processArticle(article, { category: 'business', industry });
+        await newsService.saveArticleToCache(processed);
+        await newsService.savePlacement(processed, 'industry', industry);
+    }
+});
+afterAll(stopApp);
+beforeEach(() => stubProviders());
+afterEach(() => jest.restoreAllMocks());
+
+async function setPreferences(preferences) {
+    const profile = (await request(app).get('/api/user/profile').set(user.auth)).body.user;
+    const response = await request(app).put('/api/user/profile').set(user.auth).send({
+        ...profile,
+        preferences: { ...profile.preferences, ...preferences }
+    });
+    expect(response.status).toBe(200);
+}
+
+const industryTitles = async () => {
+    const response = await request(app).get('/api/news/personalized').set(user.auth);
+    expect(response.status).toBe(200);
+    return response.body.news.industry.map(article => article.title);
+};
+
+describe('GET /api/news/personalized', () => {
+    test('the industry section follows the chosen sub-industries instead of the career defaults', async () => {
+        const titles = await industryTitles();
+
+        expect(titles).toContain('Fintech lender expands');
+        expect(titles).not.toContain('Banks report earnings');
+    });
+
+    test('muted sources, blocked keywords and the per-category count are applied', async () => {
+        await setPreferences({ articlesPerCategory: 3, mutedSources: ['Tabloid Daily'], blockedKeywords: ['layoffs'] });
+
+        expect(await industryTitles()).toEqual(['Fintech lender expands', 'Neobank wins licence', 'Digital wallets go mainstream']);
+    });
+
+    test('articles in other languages show up once the language is preferred', async () => {
+        expect(await industryTitles()).not.toContain('Fintech-Boom in Berlin');
+
+        await setPreferences({ preferredLanguages: ['en', 'de'] });
+
+        expect(await industryTitles()).toContain('Fintech-Boom in Berlin');
+    });
+});
+
+describe('upstream queries per profile', () => {
+    test('industries are fetched once each, and only the first three', () => {
+        expect(newsService.getIndustryKeywords('technology', ['AI/ML', 'artificial intelligence', 'Fintech', 'HR', 'Retail']))
+            .toEqual(['artificial intelligence', 'fintech', 'human resources']);
+    });
+
+    test('at most three preferred languages are kept', async () => {
+        await setPreferences({ preferredLanguages: ['en', 'de', 'fr', 'es'] });
+
+        const profile = (await request(app).get('/api/user/profile').set(user.auth)).body.user;
+        expect(profile.preferences.preferredLanguages).toEqual(['en', 'de', 'fr']);
+    });
+});
@@ -0,0 +1,123 @@
+const { getQuery, runQuery } = require('../database/db');
+const newsService = require('../services/newsService');
+const privacyService = require('../services/privacyService');
+const { PASSWORD, request, startApp, stopApp, registerUser, providerArticle } = require('./helpers');
+
+let app;
+let article;
+
+beforeAll(async () => {
+    app = await startApp();
+    article = newsService.processArticle(providerArticle({ title: 'Rail freight volumes rise' }), { category: 'business' });
+    await newsService.saveArticleToCache(article);
+});
+afterAll(stopApp);
+afterEach(() => jest.restoreAllMocks());
+
+// A user with a bookmark, a read and the interests those leave behind
+async function activeUser() {
+    const user = await registerUser();
+    await request(app).post('/api/news/bookmark').set(user.auth).send({ articleId: article.id, note: 'Check, "later"' });
+    await request(app).post('/api/news/read').set(user.auth).send({ articleId: article.id, readingTime: 30 });
+    return user;
+}
+
+const binary = (res, callback) => {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+const countRows = async (table, userId) => (await getQuery(`SELECT COUNT(*) AS count FROM ${table} WHERE user_id = ?`, [userId])).count;
+
+describe('GET /api/user/export', () => {
+    let user;
+
+    beforeAll(async () => {
+        user = await activeUser();
+    });
+
+    test('downloads a zip with the data as JSON and a CSV per section', async () => {
+        const response = await request(app).get('/api/user/export').set(user.auth).buffer(true).parse(binary);
+
+        expect(response.status).toBe(200);
+        expect(response.headers['content-type']).toBe('application/zip');
+        expect(response.headers['content-disposition']).toMatch(/^attachment; filename="newsmini-export-\d{4}-\d{2}-\d{2}\.zip"$/);
+        expect(response.body.subarray(0, 2).toString()).toBe('PK');
+        // Entry names are stored uncompressed in the archive
+        for (const name of ['data.json', 'profile.csv', 'preferences.csv', 'bookmarks.csv', 'reading_history.csv', 'sessions.csv']) {
+            expect(response.body.includes(name)).toBe(true);
+        }
+    });
+
+    test('covers the profile, bookmarks, reading history, sessions and derived data', async () => {
+        const data = await privacyService.collectUserData(user.id);
+
+        expect(data.profile).toMatchObject({ id: user.id, email: user.email });
+        expect(data.profile).not.toHaveProperty('password_hash');
+        expect(data.bookmarks).toEqual([expect.objectContaining({ article_id: article.id, note: 'Check, "later"' })]);
+        expect(data.readingHistory).toEqual([expect.objectContaining({ article_id: article.id, reading_time: 30 })]);
+        expect(data.sessions).toHaveLength(1);
+        expect(data.interests.map(interest => interest.value)).toContain('freight');
+    });
+});
+
+describe('account deletion', () => {
+    let user;
+
+    beforeAll(async () => {
+        user = await activeUser();
+    });
+
+    const signIn = body => request(app).post('/api/auth/login').send({ email: user.email, password: PASSWORD, ...body });
+
+    test('needs the password', async () => {
+        const response = await request(app).delete('/api/user/account').set(user.auth).send({ password: 'wrong' });
+
+        expect(response.status).toBe(400);
+    });
+
+    test('signs out everywhere and can be undone by signing in during the grace period', async () => {
+        const response = await request(app).delete('/api/user/account').set(user.auth).send({ password: PASSWORD });
+        expect(response.status).toBe(200);
+        expect(response.body.deletionScheduledFor).toBeTruthy();
+        expect((await request(app).get('/api/auth/verify').set(user.auth)).status).toBe(401);
+
+        const pending = await signIn();
+        expect(pending.status).toBe(403);
+        expect(pending.body.code).toBe('account_pending_deletion');
+
+        expect((await signIn({ restore: true })).status).toBe(200);
+        expect(await getQuery('SELECT deletion_scheduled_for FROM users WHERE id = ?', [user.id]))
+            .toEqual({ deletion_scheduled_for: null });
+    });
+
+    test('a failed purge leaves the account whole', async () => {
+        await privacyService.scheduleDeletion(user.id);
+        await runQuery("UPDATE users SET deletion_scheduled_for = datetime('now', '-1 minute') WHERE id = ?", [user.id]);
+        await runQuery("CREATE TEMP TRIGGER keep_users BEFORE DELETE ON users BEGIN SELECT RAISE(ABORT, 'users are locked'); END");
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        try {
+            expect(await privacyService.purgeDeletedAccounts()).toBe(0);
+        } finally {
+            await runQuery('DROP TRIGGER keep_users');
+        }
+
+        expect(await countRows('user_bookmarks', user.id)).toBe(1);
+        expect(await countRows('user_interests', user.id)).toBeGreaterThan(0);
+    });
+
+    test('accounts past the grace period are erased with everything derived from them', async () => {
+        const bystander = await activeUser();
+
+        expect(await privacyService.purgeDeletedAccounts()).toBe(1);
+
+        expect(await getQuery('SELECT id FROM users WHERE id = ?', [user.id])).toBeUndefined();
+        for (const table of ['user_bookmarks', 'user_reading_history', 'user_interests', 'user_sessions', 'digest_articles']) {
+            expect(await countRows(table, user.id)).toBe(0);
+        }
+        expect(await countRows('user_bookmarks', bystander.id)).toBe(1);
+        expect(await getQuery('SELECT id FROM news_articles WHERE id = ?', [article.id])).toEqual({ id: article.id });
+    });
+});
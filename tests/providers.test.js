@@ -0,0 +1,153 @@
+const RssProvider = require('../services/providers/rssProvider');
+const NewsApiProvider = require('../services/providers/newsApiProvider');
+const providers = require('../services/providers');
+const newsService = require('../services/newsService');
+const { startApp, stopApp, providerArticle, stubProviders } = require('./helpers');
+
+const RSS = `<?xml version="1.0"?>
+<rss version="2.0" xmlns:media="http://search.yahoo.com/mrss/">
+  <channel>
+    <title>Example Business</title>
+    <link>https://business.example.com</link>
+    <language>en-us</language>
+    <item>
+      <title>Chipmaker beats earnings estimates</title>
+      <link>https://business.example.com/chips</link>
+      <description><![CDATA[<p>Revenue rose 20%</p>]]></description>
+      <pubDate>Mon, 05 Jan 2026 10:00:00 GMT</pubDate>
+      <enclosure url="https://business.example.com/chips.jpg" type="image/jpeg"/>
+    </item>
+    <item>
+      <title>Retail sales slow</title>
+      <guid>https://business.example.com/retail</guid>
+      <description>Shoppers held back</description>
+    </item>
+    <item>
+      <description>No title, so not an article</description>
+    </item>
+  </channel>
+</rss>`;
+
+const ATOM = `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="de">
+  <title>Wirtschaft</title>
+  <link href="https://wirtschaft.example.de/"/>
+  <entry>
+    <title>Exporte steigen</title>
+    <link rel="alternate" href="https://wirtschaft.example.de/exporte"/>
+    <published>2026-01-05T08:30:00Z</published>
+    <summary>Mehr Ausfuhren</summary>
+  </entry>
+</feed>`;
+
+describe('RSS/Atom provider', () => {
+    const rss = new RssProvider(['https://business.example.com/feed']);
+
+    test('parses RSS 2.0 items into the shared article shape', () => {
+        const articles = rss.parseFeed(RSS, 'https://business.example.com/feed');
+
+        expect(articles).toHaveLength(2);
+        expect(articles[0]).toMatchObject({
+            title: 'Chipmaker beats earnings estimates',
+            url: 'https://business.example.com/chips',
+            urlToImage: 'https://business.example.com/chips.jpg',
+            publishedAt: '2026-01-05T10:00:00.000Z',
+            source: { name: 'Example Business', url: 'https://business.example.com' },
+            language: 'en',
+            provider: 'rss'
+        });
+        // Items without a <link> fall back to their guid
+        expect(articles[1].url).toBe('https://business.example.com/retail');
+    });
+
+    test('parses Atom entries with the feed language', () => {
+        const [article] = rss.parseFeed(ATOM, 'https://wirtschaft.example.de/atom');
+
+        expect(article).toMatchObject({
+            title: 'Exporte steigen',
+            url: 'https://wirtschaft.example.de/exporte',
+            publishedAt: '2026-01-05T08:30:00.000Z',
+            source: { name: 'Wirtschaft', url: 'https://wirtschaft.example.de/' },
+            language: 'de'
+        });
+    });
+
+    test('keeps the items that mention the query, in the requested language', async () => {
+        jest.spyOn(rss, 'fetchFeed').mockResolvedValue(rss.parseFeed(RSS, 'https://business.example.com/feed'));
+
+        const articles = await rss.fetchArticles('chips earnings business', 10, { language: 'en' });
+        expect(articles.map(article => article.title)).toEqual(['Chipmaker beats earnings estimates']);
+
+        expect(await rss.fetchArticles('earnings', 10, { language: 'fr' })).toEqual([]);
+    });
+
+    test('fails when every feed fails', async () => {
+        jest.spyOn(rss, 'fetchFeed').mockRejectedValue(new Error('timeout'));
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        await expect(rss.fetchArticles('anything')).rejects.toThrow('All RSS feeds failed');
+    });
+});
+
+describe('provider registry', () => {
+    beforeAll(startApp);
+    afterAll(stopApp);
+    afterEach(() => jest.restoreAllMocks());
+
+    test('enables the providers named in NEWS_PROVIDERS that are configured', () => {
+        expect(providers.getEnabledProviders().map(provider => provider.name)).toEqual(['newsapi', 'marketaux']);
+    });
+
+    test('NewsAPI without a key is not configured', () => {
+        const key = process.env.NEWS_API_KEY;
+        delete process.env.NEWS_API_KEY;
+        try {
+            expect(new NewsApiProvider().isConfigured()).toBe(false);
+        } finally {
+            process.env.NEWS_API_KEY = key;
+        }
+    });
+
+    test('merges every provider\'s results newest first, without repeating a URL', async () => {
+        const shared = providerArticle({ title: 'Shared story', publishedAt: '2026-01-03T00:00:00Z' });
+        stubProviders((query, provider) => provider.name === 'newsapi'
+            ? [shared, providerArticle({ title: 'Older', publishedAt: '2026-01-01T00:00:00Z' })]
+            // The same story behind tracking parameters
+            : [{ ...shared, url: `${shared.url}?utm_source=feed`, provider: 'marketaux' },
+                providerArticle({ title: 'Newest', publishedAt: '2026-01-04T00:00:00Z', provider: 'marketaux' })]);
+
+        const articles = await newsService.fetchNewsFromAPI('merge test', 10);
+        expect(articles.map(article => article.title)).toEqual(['Newest', 'Shared story', 'Older']);
+    });
+
+    test('drops articles whose link is not http(s) and clears unsafe image and source URLs', async () => {
+        stubProviders((query, provider) => provider.name === 'newsapi' ? [
+            providerArticle({ title: 'Script link', url: 'javascript:alert(document.cookie)' }),
+            providerArticle({ title: 'Data link', url: 'data:text/html,<script>alert(1)</script>' }),
+            providerArticle({
+                title: 'Attribute break-out',
+                url: 'https://x.example.com/a" onmouseover="alert(1)',
+                urlToImage: 'javascript:alert(1)',
+                source: { name: 'Evil', url: 'javascript:alert(2)' }
+            })
+        ] : []);
+
+        const articles = await newsService.fetchNewsFromAPI('unsafe url test', 10);
+        expect(articles).toHaveLength(1);
+        expect(articles[0].url).toBe('https://x.example.com/a%22%20onmouseover=%22alert(1)');
+        expect(articles[0].urlToImage).toBeNull();
+        expect(articles[0].source).toEqual({ name: 'Evil', url: null });
+    });
+
+    test('one failing provider does not fail the query', async () => {
+        stubProviders(async (query, provider) => {
+            if (provider.name === 'newsapi') throw new Error('HTTP 500');
+            return [providerArticle({ title: 'From marketaux' })];
+        });
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        const articles = await newsService.fetchNewsFromAPI('partial failure test', 10);
+        expect(articles.map(article => article.title)).toEqual(['From marketaux']);
+        expect(providers.getStats().find(stats => stats.name === 'newsapi').lastError.message).toBe('HTTP 500');
+    });
+});
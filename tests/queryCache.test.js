@@ -0,0 +1,121 @@
+const QueryCache = require('../services/queryCache');
+const newsService = require('../services/newsService');
+const { request, startApp, stopApp, registerUser, makeAdmin, providerArticle, stubProviders } = require('./helpers');
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('QueryCache', () => {
+    let now;
+    let cache;
+
+    beforeEach(() => {
+        now = Date.now();
+        jest.spyOn(Date, 'now').mockImplementation(() => now);
+        cache = new QueryCache({ name: 'test', ttlMs: 1000, staleMs: 1000, maxEntries: 2 });
+    });
+
+    test('serves fresh entries without loading again', async () => {
+        const load = jest.fn().mockResolvedValue('first');
+
+        expect(await cache.get('key', load)).toBe('first');
+        now += 999;
+        expect(await cache.get('key', load)).toBe('first');
+
+        expect(load).toHaveBeenCalledTimes(1);
+        expect(cache.getStats()).toMatchObject({ hits: 1, misses: 1, hitRate: 0.5 });
+    });
+
+    test('serves a stale entry while one background call refreshes it', async () => {
+        await cache.get('key', async () => 'first');
+        now += 1500;
+
+        let finish;
+        const load = jest.fn(() => new Promise(resolve => { finish = resolve; }));
+        expect(await cache.get('key', load)).toBe('first');
+        expect(await cache.get('key', load)).toBe('first');
+        expect(load).toHaveBeenCalledTimes(1);
+
+        finish('second');
+        await cache.pending.get('key');
+        expect(await cache.get('key', load)).toBe('second');
+        expect(cache.getStats()).toMatchObject({ staleHits: 2, revalidations: 1 });
+    });
+
+    test('a failed refresh keeps the stale entry, and failures are not cached', async () => {
+        await cache.get('key', async () => 'first');
+        now += 1500;
+
+        const down = () => Promise.reject(new Error('down'));
+        expect(await cache.get('key', down)).toBe('first');
+        await new Promise(resolve => setImmediate(resolve));
+        expect(await cache.get('key', down)).toBe('first');
+
+        now += 1000;
+        await expect(cache.get('key', down)).rejects.toThrow('down');
+        expect(await cache.get('key', async () => 'third')).toBe('third');
+        expect(cache.getStats().errors).toBe(3);
+    });
+
+    test('concurrent misses for a key share one call', async () => {
+        const load = jest.fn(async () => 'value');
+
+        expect(await Promise.all([cache.get('key', load), cache.get('key', load), cache.get('key', load)]))
+            .toEqual(['value', 'value', 'value']);
+        expect(load).toHaveBeenCalledTimes(1);
+        expect(cache.getStats()).toMatchObject({ misses: 1, coalesced: 2 });
+    });
+
+    test('evicts the least recently used entry past its size', async () => {
+        await cache.get('a', async () => 'a');
+        await cache.get('b', async () => 'b');
+        await cache.get('a', async () => 'unused');
+        await cache.get('c', async () => 'c');
+
+        expect([...cache.entries.keys()]).toEqual(['a', 'c']);
+        expect(cache.getStats()).toMatchObject({ size: 2, evictions: 1 });
+    });
+});
+
+describe('provider query cache', () => {
+    let app;
+    let admin;
+
+    beforeAll(async () => {
+        app = await startApp();
+        admin = await registerUser();
+        await makeAdmin(admin);
+    });
+    afterAll(stopApp);
+
+    test('identical queries share one upstream call and get their own copies', async () => {
+        const answer = providerArticle({ title: 'Apple earnings beat estimates' });
+        const fetchers = stubProviders(async () => [answer]);
+
+        const first = await newsService.fetchNewsFromAPI('Apple  Earnings');
+        first[0].title = 'Changed by a caller';
+        const second = await newsService.fetchNewsFromAPI(' apple earnings');
+
+        expect(second.map(article => article.title)).toEqual(['Apple earnings beat estimates']);
+        for (const fetcher of fetchers) {
+            expect(fetcher).toHaveBeenCalledTimes(1);
+        }
+
+        // Another page size or language is another upstream query
+        await newsService.fetchNewsFromAPI('apple earnings', 5);
+        await newsService.fetchNewsFromAPI('apple earnings', 20, { language: 'de' });
+        expect(fetchers[0]).toHaveBeenCalledTimes(3);
+    });
+
+    test('operators can see the counters and clear the cache', async () => {
+        const response = await request(app).get('/api/admin/cache').set(admin.auth);
+
+        expect(response.status).toBe(200);
+        const [queries, trends] = response.body.caches;
+        expect(queries).toMatchObject({ name: 'provider_queries', size: 3, hits: 1, misses: 3 });
+        expect(trends).toHaveProperty('hits');
+
+        const cleared = await request(app).delete('/api/admin/cache').set(admin.auth);
+        expect(cleared.body.cleared).toBeGreaterThanOrEqual(3);
+        expect(newsService.queryCache.getStats()).toMatchObject({ size: 0, hits: 1, misses: 3 });
+    });
+});
@@ -0,0 +1,97 @@
+const newsService = require('../services/newsService');
+const { parseSearchQuery } = require('../services/searchQuery');
+const { request, startApp, stopApp, registerUser, providerArticle, stubProviders } = require('./helpers');
+
+const ARTICLES = [
+    { title: 'Tesla earnings beat forecasts', description: 'Quarterly results lifted the shares' },
+    { title: 'Tesla revenue slips', description: 'Deliveries fell short' },
+    { title: 'Tesla issues recall', description: 'A software fix for older models' },
+    { title: 'Ford earnings steady', description: 'Trucks carried the quarter' }
+];
+
+let app;
+let user;
+
+beforeAll(async () => {
+    app = await startApp();
+    user = await registerUser();
+    for (const fields of ARTICLES) {
+        await newsService.saveArticleToCache(newsService.processArticle(providerArticle(fields), { category: 'search' }));
+    }
+});
+afterAll(stopApp);
+
+const search = q => request(app).get('/api/news/search').query({ q }).set(user.auth);
+const titles = response => response.body.articles.map(article => article.title).sort();
+
+describe('search query parser', () => {
+    test('joins terms and groups with an explicit AND', () => {
+        expect(parseSearchQuery('tesla (earnings OR revenue)').match).toBe('"tesla" AND ("earnings" OR "revenue")');
+        expect(parseSearchQuery('(earnings OR revenue) tesla').match).toBe('("earnings" OR "revenue") AND "tesla"');
+        expect(parseSearchQuery('NEAR(a b)').match).toBe('"NEAR" AND ("a" "b")');
+    });
+
+    test('turns NOT inside a group into FTS5\'s binary NOT', () => {
+        expect(parseSearchQuery('(tesla AND NOT recall) earnings').match).toBe('("tesla" NOT "recall") AND "earnings"');
+        expect(parseSearchQuery('(tesla -recall)').match).toBe('("tesla" NOT "recall")');
+        expect(parseSearchQuery('tesla NOT (recall OR earnings)').match).toBe('"tesla" NOT ("recall" OR "earnings")');
+    });
+
+    test('rejects a NOT with nothing before it to exclude from', () => {
+        for (const query of ['x (NOT y)', 'tesla OR NOT recall', '(tesla OR -recall)', 'tesla OR -recall']) {
+            expect(() => parseSearchQuery(query)).toThrow(/cannot come right after OR or an opening parenthesis/);
+        }
+    });
+});
+
+describe('GET /api/news/search', () => {
+    test('a term next to a group must match too', async () => {
+        const response = await search('tesla (earnings OR revenue)');
+        expect(response.status).toBe(200);
+        expect(titles(response)).toEqual(['Tesla earnings beat forecasts', 'Tesla revenue slips']);
+    });
+
+    test('exclusions inside a group apply to that group', async () => {
+        const response = await search('(tesla -recall) OR ford');
+        expect(response.status).toBe(200);
+        expect(titles(response)).toEqual(['Ford earnings steady', 'Tesla earnings beat forecasts', 'Tesla revenue slips']);
+    });
+
+    test('top-level exclusions apply to the whole query', async () => {
+        const response = await search('tesla -recall -"revenue slips"');
+        expect(titles(response)).toEqual(['Tesla earnings beat forecasts']);
+    });
+
+    test('explains a NOT that cannot be applied instead of dropping it', async () => {
+        stubProviders();
+
+        const response = await search('tesla (NOT recall)');
+        expect(response.status).toBe(400);
+        expect(response.body.error).toMatch(/^NOT excludes what follows it from the terms before it/);
+    });
+});
+
+describe('search filters and malformed queries', () => {
+    beforeAll(async () => {
+        const article = newsService.processArticle(providerArticle({
+            title: 'Index funds draw inflows',
+            source: { name: '100% Markets', url: 'https://markets.example.com' }
+        }), { category: 'search' });
+        await newsService.saveArticleToCache(article);
+    });
+    beforeEach(() => stubProviders());
+    afterEach(() => jest.restoreAllMocks());
+
+    test('% and _ in source: and industry: values match themselves', async () => {
+        expect(titles(await search('source:%'))).toEqual(['Index funds draw inflows']);
+        expect(titles(await search('source:100%'))).toEqual(['Index funds draw inflows']);
+        expect((await search('source:_')).body.articles).toEqual([]);
+        expect((await search('industry:%')).body.articles).toEqual([]);
+    });
+
+    test('unbalanced or stray syntax never reaches SQLite as an error', async () => {
+        for (const query of ['"', '(', ')', 'AND', 'OR tesla', 'tesla OR', '*', 'tesla*', '^tesla', 'title:tesla', 'NEAR(', '-', '""']) {
+            expect([200, 400]).toContain((await search(query)).status);
+        }
+    });
+});
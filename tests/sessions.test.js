@@ -0,0 +1,113 @@
+const { allQuery } = require('../database/db');
+const { PASSWORD, request, startApp, stopApp, registerUser } = require('./helpers');
+
+const FIREFOX = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:128.0) Gecko/20100101 Firefox/128.0';
+
+let app;
+let user;
+
+beforeAll(async () => {
+    app = await startApp();
+    user = await registerUser();
+});
+afterAll(stopApp);
+
+async function signIn(userAgent = 'curl/8.5.0') {
+    const response = await request(app).post('/api/auth/login').set('User-Agent', userAgent)
+        .send({ email: user.email, password: PASSWORD });
+    expect(response.status).toBe(200);
+    return { ...response.body, auth: { Authorization: `Bearer ${response.body.token}` } };
+}
+
+const verify = headers => request(app).get('/api/auth/verify').set(headers);
+
+describe('refresh tokens', () => {
+    test('only hashes of refresh tokens are stored', async () => {
+        const stored = await allQuery('SELECT token_hash FROM refresh_tokens');
+
+        expect(stored.length).toBeGreaterThan(0);
+        expect(stored.map(row => row.token_hash)).not.toContain(user.refreshToken);
+    });
+
+    test('a refresh token is exchanged for a new pair once', async () => {
+        const session = await signIn();
+
+        const refreshed = await request(app).post('/api/auth/refresh').send({ refreshToken: session.refreshToken });
+        expect(refreshed.status).toBe(200);
+        expect(refreshed.body.refreshToken).not.toBe(session.refreshToken);
+        expect(refreshed.body.expiresIn).toBeGreaterThan(0);
+        expect((await verify({ Authorization: `Bearer ${refreshed.body.token}` })).status).toBe(200);
+
+        const again = await request(app).post('/api/auth/refresh').send({ refreshToken: refreshed.body.refreshToken });
+        expect(again.status).toBe(200);
+    });
+
+    test('replaying a rotated refresh token revokes the whole session', async () => {
+        const session = await signIn();
+        const refreshed = await request(app).post('/api/auth/refresh').send({ refreshToken: session.refreshToken });
+
+        const replay = await request(app).post('/api/auth/refresh').send({ refreshToken: session.refreshToken });
+        expect(replay.status).toBe(401);
+        expect(replay.body.code).toBe('reused');
+
+        expect((await verify({ Authorization: `Bearer ${refreshed.body.token}` })).status).toBe(401);
+        const next = await request(app).post('/api/auth/refresh').send({ refreshToken: refreshed.body.refreshToken });
+        expect(next.body.code).toBe('revoked');
+    });
+
+    test('unknown refresh tokens are rejected', async () => {
+        const response = await request(app).post('/api/auth/refresh').send({ refreshToken: 'not-a-token' });
+
+        expect(response.status).toBe(401);
+        expect(response.body.code).toBe('invalid');
+    });
+});
+
+describe('sessions', () => {
+    let laptop;
+    let phone;
+
+    beforeAll(async () => {
+        laptop = await signIn(FIREFOX);
+        phone = await signIn('Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 Version/17.5 Mobile/15E148 Safari/604.1');
+    });
+
+    test('the session list describes each device and marks the current one', async () => {
+        const response = await request(app).get('/api/auth/sessions').set(laptop.auth);
+
+        expect(response.status).toBe(200);
+        const devices = response.body.sessions.map(session => [session.device, session.current]);
+        expect(devices).toEqual(expect.arrayContaining([['Firefox on Windows', true], ['Safari on iOS', false]]));
+    });
+
+    test('revoking another session signs that device out', async () => {
+        const sessions = (await request(app).get('/api/auth/sessions').set(laptop.auth)).body.sessions;
+        const phoneSession = sessions.find(session => session.device === 'Safari on iOS');
+
+        const response = await request(app).delete(`/api/auth/sessions/${phoneSession.id}`).set(laptop.auth);
+        expect(response.status).toBe(200);
+        expect(response.body.current).toBe(false);
+
+        expect((await verify(phone.auth)).status).toBe(401);
+        expect((await request(app).post('/api/auth/refresh').send({ refreshToken: phone.refreshToken })).status).toBe(401);
+        expect((await request(app).delete(`/api/auth/sessions/${phoneSession.id}`).set(laptop.auth)).status).toBe(404);
+    });
+
+    test('signing out everywhere else keeps the current session', async () => {
+        const other = await signIn();
+
+        const response = await request(app).delete('/api/auth/sessions').set(laptop.auth);
+        expect(response.status).toBe(200);
+        expect(response.body.revoked).toBeGreaterThan(0);
+
+        expect((await verify(other.auth)).status).toBe(401);
+        expect((await verify(user.auth)).status).toBe(401);
+        expect((await verify(laptop.auth)).status).toBe(200);
+    });
+
+    test('logging out revokes the current session', async () => {
+        expect((await request(app).post('/api/auth/logout').set(laptop.auth)).status).toBe(200);
+
+        expect((await verify(laptop.auth)).status).toBe(401);
+    });
+});
@@ -0,0 +1,9 @@
+// Runs before every test file. Each file gets its own in-memory database. Providers have fake keys,
+// so tests stub their calls (see stubProviders in helpers.js); mail goes to the console.
+process.env.NODE_ENV = 'test';
+process.env.DATABASE_PATH = ':memory:';
+process.env.JWT_SECRET = 'test-secret';
+process.env.NEWS_PROVIDERS = 'newsapi,marketaux';
+process.env.NEWS_API_KEY = 'test-key';
+process.env.MARKETAUX_API_KEY = 'test-key';
+process.env.MAIL_TRANSPORT = 'console';
@@ -0,0 +1,117 @@
+const newsService = require('../services/newsService');
+const sourceService = require('../services/sourceService');
+const { request, startApp, stopApp, registerUser, makeAdmin, providerArticle } = require('./helpers');
+
+let app;
+let admin;
+let reader;
+
+beforeAll(async () => {
+    app = await startApp();
+    admin = await registerUser();
+    await makeAdmin(admin);
+    reader = await registerUser();
+});
+afterAll(stopApp);
+
+const scoreFrom = (source, url) => newsService.calculateRelevanceScore(
+    providerArticle({ title: 'Factory orders rise', source: { name: source }, url, publishedAt: new Date(Date.now() - 48 * 3600 * 1000).toISOString() }),
+    'orders'
+);
+
+describe('credibility scoring', () => {
+    test('registered sources score by tier, matched by domain or name', () => {
+        const unrated = scoreFrom('Some Blog', 'https://someblog.example.com/orders');
+
+        expect(scoreFrom('Reuters', 'https://www.reuters.com/markets/orders')).toBe(unrated + 2);
+        expect(scoreFrom('Syndicated', 'https://uk.reuters.com/markets/orders')).toBe(unrated + 2);
+        expect(scoreFrom('Reuters', 'https://aggregator.example.com/orders')).toBe(unrated + 2);
+    });
+});
+
+describe('admin source registry', () => {
+    let source;
+
+    test('is only open to admins', async () => {
+        expect((await request(app).get('/api/admin/sources').set(reader.auth)).status).toBe(403);
+        expect((await request(app).post('/api/admin/sources').set(reader.auth).send({ domain: 'x.example', name: 'X' })).status).toBe(403);
+    });
+
+    test('validates new sources', async () => {
+        const invalid = await request(app).post('/api/admin/sources').set(admin.auth).send({ domain: 'not a domain', name: 'Nope' });
+        expect(invalid.status).toBe(400);
+
+        const tier = await request(app).post('/api/admin/sources').set(admin.auth).send({ domain: 'nope.example', name: 'Nope', tier: 9 });
+        expect(tier.status).toBe(400);
+
+        const duplicate = await request(app).post('/api/admin/sources').set(admin.auth)
+            .send({ domain: 'https://www.reuters.com/markets', name: 'Reuters again' });
+        expect(duplicate.status).toBe(400);
+    });
+
+    test('a new low-credibility source lowers its articles\' scores', async () => {
+        const before = scoreFrom('Rumor Wire', 'https://rumorwire.example.com/orders');
+
+        const response = await request(app).post('/api/admin/sources').set(admin.auth)
+            .send({ domain: 'www.RumorWire.example.com', name: 'Rumor Wire', tier: 4, paywall: true, country: 'us' });
+        expect(response.status).toBe(201);
+        source = response.body.source;
+        expect(source).toMatchObject({ domain: 'rumorwire.example.com', tier: 4, tierLabel: 'Low credibility', paywall: true, country: 'US' });
+
+        expect(scoreFrom('Rumor Wire', 'https://rumorwire.example.com/orders')).toBe(Math.max(before - 2, 0));
+    });
+
+    test('updates and deletes apply to scoring right away', async () => {
+        const updated = await request(app).put(`/api/admin/sources/${source.id}`).set(admin.auth).send({ tier: 2 });
+        expect(updated.status).toBe(200);
+        expect(updated.body.source).toMatchObject({ name: 'Rumor Wire', tier: 2, paywall: true });
+        expect(sourceService.credibilityScore('Rumor Wire', 'https://rumorwire.example.com/orders')).toBe(1);
+
+        expect((await request(app).delete(`/api/admin/sources/${source.id}`).set(admin.auth)).status).toBe(200);
+        expect(sourceService.credibilityScore('Rumor Wire', 'https://rumorwire.example.com/orders')).toBe(0);
+        expect((await request(app).delete(`/api/admin/sources/${source.id}`).set(admin.auth)).status).toBe(404);
+    });
+});
+
+describe('reader source lists', () => {
+    beforeAll(async () => {
+        for (const fields of [
+            { title: 'Wire: exports climb', source: { name: 'Reuters' }, url: 'https://www.reuters.com/markets/exports' },
+            { title: 'Blog: exports climb' }
+        ]) {
+            const article = newsService.processArticle(providerArticle(fields), { category: 'business' });
+            await newsService.saveArticleToCache(article);
+            await newsService.savePlacement(article, 'global', '');
+        }
+    });
+
+    async function setSourceLists(lists) {
+        const profile = (await request(app).get('/api/user/profile').set(reader.auth)).body.user;
+        await request(app).put('/api/user/profile').set(reader.auth).send({
+            ...profile,
+            preferences: { ...profile.preferences, mutedSources: [], allowedSources: [], ...lists }
+        });
+    }
+
+    const globalTitles = async () => (await request(app).get('/api/news/category/global').set(reader.auth)).body.articles
+        .map(article => article.title);
+
+    test('articles carry their source\'s tier', async () => {
+        const response = await request(app).get('/api/news/category/global').set(reader.auth);
+        const wire = response.body.articles.find(article => article.title === 'Wire: exports climb');
+
+        expect(wire).toMatchObject({ source_tier: 1, paywall: false });
+    });
+
+    test('a muted registry domain hides the source', async () => {
+        await setSourceLists({ mutedSources: ['reuters.com'] });
+
+        expect(await globalTitles()).toEqual(['Blog: exports climb']);
+    });
+
+    test('an allow list by registry name keeps only that source', async () => {
+        await setSourceLists({ allowedSources: ['Reuters'] });
+
+        expect(await globalTitles()).toEqual(['Wire: exports climb']);
+    });
+});
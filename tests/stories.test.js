@@ -0,0 +1,94 @@
+const moment = require('moment');
+const storyService = require('../services/storyService');
+const ingestionService = require('../services/ingestionService');
+const { request, startApp, stopApp, registerUser, providerArticle, stubProviders } = require('./helpers');
+
+const hoursAgo = hours => moment().subtract(hours, 'hours').toISOString();
+
+let app;
+let user;
+
+beforeAll(async () => {
+    app = await startApp();
+    user = await registerUser();
+
+    const coverage = [
+        providerArticle({
+            title: 'Machinists vote to end strike at Boeing',
+            description: 'Workers represented by the IAM Machinists union accepted the Boeing offer.',
+            source: { name: 'Seattle Ledger' },
+            publishedAt: hoursAgo(6)
+        }),
+        providerArticle({
+            title: 'Boeing strike ends after union approves contract',
+            description: 'The IAM Machinists ratified a deal with Boeing after seven weeks.',
+            source: { name: 'Wire Service' },
+            publishedAt: hoursAgo(4)
+        }),
+        providerArticle({
+            title: 'What the end of the strike means for Boeing deliveries',
+            description: 'Analysts expect Boeing to restart its lines once IAM Machinists return.',
+            source: { name: 'Aero Weekly' },
+            publishedAt: hoursAgo(2)
+        }),
+        providerArticle({ title: 'Coffee prices hit a record', description: 'Arabica futures rose again.', publishedAt: hoursAgo(3) })
+    ];
+    stubProviders(query => (query === 'global business economy' ? coverage : []));
+    await ingestionService.runIngestion();
+});
+afterAll(stopApp);
+
+describe('GET /api/news/stories', () => {
+    let story;
+
+    test('groups coverage of one event from several outlets into a story', async () => {
+        const response = await request(app).get('/api/news/stories').set(user.auth);
+
+        expect(response.status).toBe(200);
+        expect(response.body.stories).toHaveLength(1);
+        story = response.body.stories[0];
+        expect(story).toMatchObject({ article_count: 3, source_count: 3 });
+        expect(story.sources.sort()).toEqual(['Aero Weekly', 'Seattle Ledger', 'Wire Service']);
+    });
+
+    test('single-article stories are listed when asked for', async () => {
+        const response = await request(app).get('/api/news/stories').query({ minArticles: 1 }).set(user.auth);
+
+        expect(response.body.stories.map(entry => entry.article_count).sort()).toEqual([1, 3]);
+    });
+
+    test('a story has a chronological timeline of its coverage', async () => {
+        const response = await request(app).get(`/api/news/stories/${story.id}`).set(user.auth);
+
+        expect(response.status).toBe(200);
+        expect(response.body.story.timeline.map(article => article.source_name))
+            .toEqual(['Seattle Ledger', 'Wire Service', 'Aero Weekly']);
+        expect(response.body.story.first_published_at).toBe(response.body.story.timeline[0].published_at);
+
+        expect((await request(app).get('/api/news/stories/unknown').set(user.auth)).status).toBe(404);
+    });
+
+    test('the feed shows a story once, pointing to it and listing the other outlets', async () => {
+        const response = await request(app).get('/api/news/personalized').set(user.auth);
+        const boeing = response.body.news.global.filter(article => article.story);
+
+        expect(boeing).toHaveLength(1);
+        expect(boeing[0].story).toEqual({ id: story.id, article_count: 3, source_count: 3 });
+        expect(boeing[0].alternate_sources.map(source => source.name).sort()).toEqual(['Seattle Ledger', 'Wire Service']);
+        expect(response.body.news.global.map(article => article.title)).toContain('Coffee prices hit a record');
+    });
+});
+
+describe('story matching', () => {
+    test('coverage outside the time window starts a new story', async () => {
+        const clusterer = await storyService.loadClusterer();
+        const article = {
+            title: 'Boeing strike ends after union approves contract',
+            description: 'The IAM Machinists ratified a deal with Boeing.',
+            published_at: moment().add(5, 'days').toISOString()
+        };
+
+        expect(storyService.findStory(clusterer, article)).toBeNull();
+        expect(storyService.findStory(clusterer, { ...article, published_at: hoursAgo(1) })).not.toBeNull();
+    });
+});
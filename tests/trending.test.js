@@ -0,0 +1,56 @@
+const newsService = require('../services/newsService');
+const { request, startApp, stopApp, registerUser, providerArticle } = require('./helpers');
+
+const GOSSIP = { name: 'Chip Gossip', url: 'https://chipgossip.example.com' };
+
+let app;
+let user;
+
+beforeAll(async () => {
+    app = await startApp();
+    user = await registerUser();
+
+    const articles = [
+        ...['Nvidia unveils new GPU', 'Nvidia shares jump', 'Nvidia supplier deal', 'Nvidia faces probe']
+            .map(title => providerArticle({ title, source: GOSSIP })),
+        ...['Lithium prices climb', 'Lithium mine opens', 'Lithium demand outlook']
+            .map(title => providerArticle({ title }))
+    ];
+    for (const article of articles) {
+        await newsService.saveArticleToCache(newsService.processArticle(article, { category: 'business' }));
+    }
+});
+afterAll(stopApp);
+
+async function setSourceLists(lists) {
+    const profile = (await request(app).get('/api/user/profile').set(user.auth)).body.user;
+    await request(app).put('/api/user/profile').set(user.auth).send({
+        ...profile,
+        preferences: { ...profile.preferences, mutedSources: [], allowedSources: [], ...lists }
+    });
+}
+
+const topicsFor = async headers => (await request(app).get('/api/news/trending/topics').set(headers)).body.topics
+    .map(topic => topic.topic);
+
+describe('GET /api/news/trending/topics', () => {
+    test('counts every stored article for anonymous readers', async () => {
+        expect(await topicsFor({})).toEqual(expect.arrayContaining(['nvidia', 'lithium']));
+    });
+
+    test('leaves out articles from muted sources before counting', async () => {
+        await setSourceLists({ mutedSources: ['Chip Gossip'] });
+
+        const topics = await topicsFor(user.auth);
+        expect(topics).toContain('lithium');
+        expect(topics).not.toContain('nvidia');
+    });
+
+    test('leaves out articles from sources outside the allow list', async () => {
+        await setSourceLists({ allowedSources: ['Chip Gossip'] });
+
+        const topics = await topicsFor(user.auth);
+        expect(topics).toContain('nvidia');
+        expect(topics).not.toContain('lithium');
+    });
+});
@@ -0,0 +1,137 @@
+const moment = require('moment');
+const { getQuery, runQuery } = require('../database/db');
+const newsService = require('../services/newsService');
+const providers = require('../services/providers');
+const { QuotaTracker, CircuitBreaker } = require('../services/providers/guards');
+const { request, startApp, stopApp, registerUser, providerArticle, stubProviders } = require('./helpers');
+
+const MINUTE_MS = 60 * 1000;
+
+describe('QuotaTracker', () => {
+    test('blocks calls over the daily or per-minute limit until the oldest one ages out', () => {
+        const quota = new QuotaTracker({ daily: 3, perMinute: 2 });
+        const start = Date.now();
+
+        quota.record(start);
+        quota.record(start + 1000);
+        expect(quota.blocked(start + 2000)).toEqual({ reason: 'minute', until: start + MINUTE_MS });
+
+        quota.record(start + 2 * MINUTE_MS);
+        expect(quota.blocked(start + 3 * MINUTE_MS)).toEqual({ reason: 'daily', until: start + 24 * 60 * MINUTE_MS });
+        expect(quota.blocked(start + 24 * 60 * MINUTE_MS)).toBeNull();
+    });
+
+    test('an upstream rate limit blocks until it says so, and no limit means unlimited', () => {
+        const quota = new QuotaTracker();
+        const now = Date.now();
+        for (let i = 0; i < 500; i++) quota.record(now);
+        expect(quota.blocked(now)).toBeNull();
+
+        quota.exhaust(now + 5000);
+        expect(quota.blocked(now)).toEqual({ reason: 'upstream', until: now + 5000 });
+        expect(quota.getUsage(now)).toMatchObject({ daily: { limit: null, used: 500 }, blockedUntil: new Date(now + 5000).toISOString() });
+    });
+});
+
+describe('CircuitBreaker', () => {
+    test('opens after repeated failures and lets one trial call through after the backoff', () => {
+        const breaker = new CircuitBreaker({ threshold: 2, baseDelayMs: 1000, maxDelayMs: 3000 });
+        const now = Date.now();
+
+        breaker.failure(now);
+        expect(breaker.allow(now)).toBe(true);
+        breaker.failure(now);
+        expect(breaker.getStatus()).toMatchObject({ state: 'open', consecutiveFailures: 2 });
+        expect(breaker.allow(now + 999)).toBe(false);
+
+        expect(breaker.allow(now + 1000)).toBe(true);
+        expect(breaker.allow(now + 1000)).toBe(false);
+        expect(breaker.isOpen(now + 1000)).toBe(true);
+
+        // A failed trial reopens with double the delay, capped
+        breaker.failure(now + 1000);
+        expect(breaker.retryAt).toBe(now + 3000);
+        expect(breaker.allow(now + 3000)).toBe(true);
+        breaker.failure(now + 3000);
+        expect(breaker.retryAt).toBe(now + 6000);
+
+        expect(breaker.allow(now + 6000)).toBe(true);
+        breaker.success();
+        expect(breaker.getStatus()).toEqual({ state: 'closed', consecutiveFailures: 0, openedAt: null, retryAt: null });
+    });
+});
+
+describe('degraded mode', () => {
+    let app;
+    let user;
+    let stored;
+
+    beforeAll(async () => {
+        app = await startApp();
+        user = await registerUser();
+
+        stored = newsService.processArticle(providerArticle({ title: 'Grain exports climb' }), { category: 'business' });
+        await newsService.saveArticleToCache(stored);
+        await newsService.savePlacement(stored, 'global', '');
+        await newsService.savePlacement(stored, 'local', 'Austin');
+    });
+    afterAll(stopApp);
+    afterEach(() => jest.restoreAllMocks());
+
+    const statsFor = name => providers.getStats().find(provider => provider.name === name);
+
+    test('a rate-limited provider is left alone for as long as it asks, without tripping its circuit', async () => {
+        const answer = providerArticle({ title: 'Copper rallies' });
+        const [newsapi, marketaux] = stubProviders(async (query, provider) => {
+            if (provider.name === 'newsapi') {
+                throw Object.assign(new Error('Too many requests'), { response: { status: 429, headers: { 'retry-after': '120' } } });
+            }
+            return [answer];
+        });
+
+        expect((await newsService.fetchNewsFromAPI('copper')).map(article => article.title)).toEqual(['Copper rallies']);
+        await newsService.fetchNewsFromAPI('zinc');
+
+        expect(newsapi).toHaveBeenCalledTimes(1);
+        expect(marketaux).toHaveBeenCalledTimes(2);
+        const stats = statsFor('newsapi');
+        expect(moment(stats.quota.blockedUntil).diff(moment(), 'seconds')).toBeGreaterThan(100);
+        expect(stats.circuit.state).toBe('closed');
+        expect((await newsService.getUpstreamStatus()).degraded).toBe(false);
+    });
+
+    test('with every provider unavailable, feeds are served from the store and say so', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const [, marketaux] = stubProviders(async () => {
+            throw new Error('socket hang up');
+        });
+
+        for (const query of ['nickel', 'tin', 'lead']) {
+            await expect(newsService.fetchNewsFromAPI(query)).rejects.toThrow('No news provider answered');
+        }
+        expect(statsFor('marketaux').circuit.state).toBe('open');
+
+        // Nothing is called while the circuit is open
+        await expect(newsService.fetchNewsFromAPI('silver')).rejects.toThrow('is failing; retrying later');
+        expect(marketaux).toHaveBeenCalledTimes(3);
+
+        const response = await request(app).get('/api/news/category/global').set(user.auth);
+        expect(response.status).toBe(200);
+        expect(response.body.articles.map(article => article.title)).toEqual(['Grain exports climb']);
+        expect(response.body.degraded).toBe(true);
+        expect(response.body.stale_since).toBe(providers.getHealth().lastSuccessAt.toISOString());
+
+        const personalized = await request(app).get('/api/news/personalized').set(user.auth);
+        expect(personalized.body.degraded).toBe(true);
+        expect(marketaux).toHaveBeenCalledTimes(3);
+    });
+
+    test('stored articles outlive the retention window while upstream is down', async () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        await runQuery("UPDATE news_articles SET last_seen_at = datetime('now', '-60 days') WHERE id = ?", [stored.id]);
+
+        await newsService.refreshNewsCache();
+
+        expect(await getQuery('SELECT id FROM news_articles WHERE id = ?', [stored.id])).toEqual({ id: stored.id });
+    });
+});
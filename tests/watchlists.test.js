@@ -0,0 +1,64 @@
+const { getQuery } = require('../database/db');
+const newsService = require('../services/newsService');
+const ingestionService = require('../services/ingestionService');
+const { request, startApp, stopApp, registerUser, providerArticle, stubProviders } = require('./helpers');
+
+let app;
+let owner;
+
+beforeAll(async () => {
+    app = await startApp();
+    owner = await registerUser({ city: 'Austin', state: 'TX' });
+
+    const profile = (await request(app).get('/api/user/profile').set(owner.auth)).body.user;
+    await request(app).put('/api/user/profile').set(owner.auth).send({
+        ...profile,
+        preferences: { ...profile.preferences, mutedSources: ['Tabloid Daily'] }
+    });
+});
+afterAll(stopApp);
+
+async function ownerProfile() {
+    return newsService.buildUserProfile(await getQuery(`
+      SELECT career_field, industries, city, state, country, preferences FROM users WHERE id = ?
+    `, [owner.id]));
+}
+
+describe('watchlist matching', () => {
+    let watchlist;
+
+    beforeAll(async () => {
+        const response = await request(app).post('/api/user/watchlists').set(owner.auth)
+            .send({ name: 'Tesla', keywords: ['Tesla'] });
+        expect(response.status).toBe(201);
+        watchlist = response.body.watchlist;
+
+        const local = [
+            providerArticle({ title: 'Tesla expands its Austin plant' }),
+            providerArticle({ title: 'Tesla rumor mill', source: { name: 'Tabloid Daily', url: 'https://tabloid.example.com' } })
+        ];
+        // Trending news that is not placed in any of the owner's buckets
+        const trending = [providerArticle({ title: 'Tesla robotaxi spotted abroad' })];
+        stubProviders(query => (query === 'Austin business' ? local : query === 'robotaxi' ? trending : []));
+
+        await ingestionService.ingestProfile(await ownerProfile());
+        await ingestionService.ingestTopic('robotaxi');
+    });
+
+    test('alerts only on articles in the owner\'s buckets from sources they haven\'t muted', async () => {
+        const response = await request(app).get('/api/user/alerts').set(owner.auth);
+
+        expect(response.status).toBe(200);
+        expect(response.body.alerts.map(alert => alert.article.title)).toEqual(['Tesla expands its Austin plant']);
+        expect(response.body.alerts[0]).toMatchObject({ watchlistId: watchlist.id, matchedTerms: ['Tesla'] });
+    });
+
+    test('a new watchlist is backfilled under the same rules, without alerts', async () => {
+        const created = await request(app).post('/api/user/watchlists').set(owner.auth)
+            .send({ name: 'Tesla again', keywords: ['tesla'] });
+        const response = await request(app).get(`/api/user/watchlists/${created.body.watchlist.id}/articles`).set(owner.auth);
+
+        expect(response.body.articles.map(article => article.title)).toEqual(['Tesla expands its Austin plant']);
+        expect(response.body.articles[0].unread).toBe(false);
+    });
+});